@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+const path = require('path')
+const Web3 = require('web3')
+const truffleConfig = require('../truffle')
+const {
+  parseArgs,
+  getProvider,
+  readArtifact,
+  getDeployedAddress
+} = require('../src/cli')
+const { loadDeployConfig, deployVotableOwner } = require('../src/deploy')
+
+const buildDir = path.resolve(__dirname, '../build/contracts')
+
+const usage = [
+  'usage: deploy-votable-owner <config> [options]',
+  '',
+  'deploys a VotableOwner through VotableOwnerFactory from a JSON config file',
+  '(see src/deploy.js for the format of the config)',
+  '',
+  'options:',
+  '  --network <name>   network from truffle.js (default: test)',
+  '  --factory <addr>   VotableOwnerFactory address (default: address from build)',
+  '  --from <addr>      deploying account, owner of the token when transferring ownership (default: first account)'
+].join('\n')
+
+const main = async () => {
+  const { args, options } = parseArgs(process.argv.slice(2))
+  const networkName = options.network || 'test'
+  const networkConfig = truffleConfig.networks[networkName]
+
+  if (args.length !== 1) {
+    // eslint-disable-next-line no-console
+    console.log(usage)
+    return
+  }
+
+  if (!networkConfig) {
+    throw new Error(`network ${networkName} not found in truffle.js`)
+  }
+
+  const web3 = new Web3(getProvider(networkConfig))
+  const networkId = await web3.eth.net.getId()
+  const factoryAddress =
+    options.factory ||
+    getDeployedAddress(networkId, buildDir, 'VotableOwnerFactory')
+  const [defaultFrom] = await web3.eth.getAccounts()
+  const factory = new web3.eth.Contract(
+    readArtifact(path.join(buildDir, 'VotableOwnerFactory.json')).abi,
+    factoryAddress
+  )
+
+  const deployment = await deployVotableOwner(
+    web3,
+    factory,
+    loadDeployConfig(args[0]),
+    {
+      from: options.from || defaultFrom
+    }
+  )
+
+  // eslint-disable-next-line no-console
+  console.log(
+    [
+      `VotableOwner: ${deployment.address}`,
+      `transaction: ${deployment.transactionHash}`,
+      `token ownership: ${deployment.ownershipTransactionHash ||
+        'not transferred'}`
+    ].join('\n')
+  )
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(err.message)
+    process.exit(1)
+  })
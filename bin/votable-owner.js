@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+const path = require('path')
+const Web3 = require('web3')
+const truffleConfig = require('../truffle')
+const {
+  usage,
+  parseArgs,
+  getProvider,
+  getDeployedAddress,
+  setupCliClient,
+  runCommand
+} = require('../src/cli')
+const { loadDeploymentRecord } = require('../src/deploy')
+
+const buildDir = path.resolve(__dirname, '../build/contracts')
+const deploymentsDir = path.resolve(__dirname, '../deployments')
+
+const main = async () => {
+  const { args, options } = parseArgs(process.argv.slice(2))
+  const networkName = options.network || 'test'
+  const networkConfig = truffleConfig.networks[networkName]
+
+  if (args.length === 0) {
+    // eslint-disable-next-line no-console
+    console.log(usage)
+    return
+  }
+
+  if (!networkConfig) {
+    throw new Error(`network ${networkName} not found in truffle.js`)
+  }
+
+  const web3 = new Web3(getProvider(networkConfig))
+  const networkId = await web3.eth.net.getId()
+  const record = loadDeploymentRecord(deploymentsDir, networkName)
+  const address =
+    options.address ||
+    (record && record.votableOwner) ||
+    getDeployedAddress(networkId, buildDir)
+  const [defaultFrom] = await web3.eth.getAccounts()
+  const client = setupCliClient(web3, address, buildDir)
+
+  await runCommand(client, args, {
+    from: options.from || defaultFrom,
+    // eslint-disable-next-line no-console
+    log: console.log
+  })
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(err.message)
+    process.exit(1)
+  })
@@ -0,0 +1,87 @@
+pragma solidity ^0.4.24;
+
+
+/**
+  @title Upgradeable keeps track of the implementation which VotableOwnerProxy delegates calls to.
+  @dev the implementation address is kept in a fixed storage slot rather than in a state variable. This means that it
+  can not collide with the state variables of the implementation, which are stored in the storage of the proxy.
+  Both the proxy and the implementation inherit from this contract in order to read and write the same slot.
+  The same goes for the extension which the implementation delegates part of its functions to. The implementation
+  keeps it in its own storage, and the proxy copies it from there whenever the implementation is set.
+ */
+contract Upgradeable {
+
+  // storage slot holding the address of the current implementation
+  bytes32 internal constant IMPLEMENTATION_SLOT = keccak256("votable-owner.proxy.implementation");
+  // storage slot holding the address of the extension of the current implementation
+  bytes32 internal constant EXTENSION_SLOT = keccak256("votable-owner.proxy.extension");
+
+  /**
+    @notice returns the address of the implementation which calls are delegated to
+   */
+  function implementation()
+    public
+    view
+    returns (address _implementation)
+  {
+    bytes32 _position = IMPLEMENTATION_SLOT;
+    assembly { _implementation := sload(_position) }
+  }
+
+  /**
+    @notice returns the address of the extension which the implementation delegates part of its functions to
+   */
+  function extension()
+    public
+    view
+    returns (address _extension)
+  {
+    bytes32 _position = EXTENSION_SLOT;
+    assembly { _extension := sload(_position) }
+  }
+
+  /**
+    @dev returns whether _address has code deployed to it
+   */
+  function isContract(
+    address _address
+  )
+    internal
+    view
+    returns (bool)
+  {
+    uint256 _codeSize;
+    assembly { _codeSize := extcodesize(_address) }
+    return _codeSize > 0;
+  }
+
+  /**
+    @dev stores the address of the implementation which calls are delegated to, along with its extension
+   */
+  function setImplementation(
+    address _implementation
+  )
+    internal
+  {
+    require(isContract(_implementation));
+
+    bytes32 _position = IMPLEMENTATION_SLOT;
+    assembly { sstore(_position, _implementation) }
+
+    setExtension(Upgradeable(_implementation).extension());
+  }
+
+  /**
+    @dev stores the address of the extension which the implementation delegates part of its functions to
+   */
+  function setExtension(
+    address _extension
+  )
+    internal
+  {
+    require(isContract(_extension));
+
+    bytes32 _position = EXTENSION_SLOT;
+    assembly { sstore(_position, _extension) }
+  }
+}
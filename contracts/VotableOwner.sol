@@ -1,52 +1,131 @@
 pragma solidity ^0.4.24;
 
 import "./interfaces/IPausableToken.sol";
+import "./interfaces/IERC20.sol";
+import "./Upgradeable.sol";
 
-/**
-  @title VotableOwner can act as the owner for other contracts and requires a minimum vote for any owner action before running.
-  It can also act as a "multi-sig" wallet for tokens and ether. 
-  @notice Any non-private/internal function other than constructor implements a voting pattern where running a given function
-  will act as a vote for the function until the minimumVotes requirement has been met. The voter calling a function triggering minimumVotes
-  to be met will trigger the action to be performed. Once when an action has been performed after a successful vote, all votes for all
-  actions are reset.
 
-  @dev The voting aspect of this contract operates on the principle of hashes and nonces. Actions in this contract can be
-  defined as an action that a voter wants to take. These actions are expressed/performed through functions. 
-  actionNonces holds a nonce which is incremented every time that any vote has been passed. 
-  Each time an action is voted on by a voter, voteHasPassed() is run which creates the appropriate  _actionId. 
-  The _actionId is calculated by hashing the following: 
-    - msg.data (contains function signature and call data)
-      - function signature ensures that a vote is only for a particular action (ex. pauseToken) and not another (ex. unpauseToken)
-      - call data ensures that a particular function with different arguments doesnt count as a vote for that same action with different arguments
-    - actionNonce
-      - hashing the nonce ensures that voting is reset each time a vote has passed
-  
-  The _actionId is used for tracking:
-    - votes for a particular action
-    - whether a voter has already voted for an action
-  
-  Once when the function relating to a given action has been called by enough different voters, the vote has passed and
-  the final person voting triggers the action to be performed. As stated above, the action nonce is incremented which
-  effectively resets all of the voting logic.
+/**
+  @title VotableOwnerBase holds the state, events and voting logic shared by VotableOwner and VotableOwnerExtension.
+  @dev both contracts run in the storage of the proxy, which is why they inherit the same state variables from this
+  contract. See VotableOwner for how voting works.
  */
-contract VotableOwner {
+contract VotableOwnerBase is Upgradeable {
+
+  bytes32 constant DOMAIN_TYPEHASH = keccak256(
+    "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+  );
+  bytes32 constant ACTION_TYPEHASH = keccak256(
+    "Action(bytes callData,uint256 actionNonce,uint256 revocations)"
+  );
+  // largest s of a signature accepted by executeSigned(): half the order of the secp256k1 curve (see EIP-2)
+  uint256 constant MAX_SIGNATURE_S = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+  // seconds after which an emergency pause by a guardian expires unless confirmed by voters
+  uint256 public constant EMERGENCY_PAUSE_DURATION = 2 days;
+
+  struct Proposal {
+    // voter who cast the first vote for the action
+    address proposer;
+    // function signature of the action
+    bytes4 funcSig;
+    // hash of the call data without function signature
+    bytes32 argsHash;
+    // call data used when executing the action
+    bytes callData;
+    // unix timestamp of the first vote for the action
+    uint256 createdAt;
+    // accumulated vote weight of voters who voted for the action
+    uint256 votes;
+    // whether the action has been performed
+    bool executed;
+    // unix timestamp after which a queued action can be performed. 0 when not queued
+    uint256 eta;
+    // amount of vetoes against a queued action
+    uint256 vetoes;
+    // accumulated vote weight of voters who rejected the action
+    uint256 rejections;
+    // configurationEpoch in which the proposal was created. the proposal is void once when the epoch has changed
+    uint256 epoch;
+    // amount of votes revoked for the action. signed votes are only valid for the current amount (see actionDigest())
+    uint256 revocations;
+  }
   
-  // minimum votes needed for any action to successfully run
+  // minimum vote weight needed for any action to successfully run
   uint256 public minimumVotes;
-  // unix timestamp indicating when voters tokens can be released
+  // seconds after the first vote for an action after which votes for the action are void
+  uint256 public voteLifetime;
+  // amount of vetoes needed to cancel a queued action
+  uint256 public vetoThreshold;
+  // seconds between minimumVotes being met and an action being performed for each function signature
+  mapping(bytes4 => uint256) public executionDelays;
+  // vote weight needed for an action for each function signature. 0 for functions which need minimumVotes
+  mapping(bytes4 => uint256) public actionThresholds;
+  // function signatures which have a threshold in actionThresholds
+  bytes4[] internal thresholdFuncSigs;
+  // index + 1 of each function signature in thresholdFuncSigs
+  mapping(bytes4 => uint256) internal thresholdFuncSigIndexes;
+  // unix timestamp indicating when voters tokens start to be released (vesting cliff)
   uint256 public tokenReleaseDate;
-  // keeps track of how many voters currently exist
-  uint256 public voterCount;
+  // seconds after tokenReleaseDate over which voters tokens vest. 0 for all tokens to vest at tokenReleaseDate
+  uint256 public vestingDuration;
+  // amount of equal tranches in which tokens vest over vestingDuration. 0 for tokens to vest continuously
+  uint256 public vestingTranches;
+  // amount of voters tokens transferred after having vested
+  uint256 public releasedTokens;
+  // sum of the weights of all voters. minimumVotes can never be more than this
+  uint256 public totalWeight;
+  // amount of ether in wei which can be transferred per allowance period with only allowanceVotes
+  uint256 public dailyEtherAllowance;
+  // amount of token which can be transferred per allowance period with only allowanceVotes
+  uint256 public dailyTokenAllowance;
+  // vote weight needed for transfers within the remaining allowance
+  uint256 public allowanceVotes;
+  // unix timestamp of the start of the current allowance period
+  uint256 public allowancePeriodStart;
+  // amount of ether in wei transferred within the allowance during the current allowance period
+  uint256 public etherAllowanceSpent;
+  // amount of token transferred within the allowance during the current allowance period
+  uint256 public tokenAllowanceSpent;
   // token on which this wallet operates as owner
   IPausableToken public token;
-  // mapping used for voter permissions
-  mapping(address => bool) public isVoter;
-  // keeps track of each vote for a given action
-  mapping(bytes32 => uint256) public actionVotes;
+  // other tokens held by this contract which are kept track of
+  address[] internal trackedTokens;
+  // index + 1 of each tracked token in trackedTokens
+  mapping(address => uint256) internal trackedTokenIndexes;
+  // all current voters, see getVoters()
+  address[] internal voters;
+  // index + 1 of each voter in voters
+  mapping(address => uint256) internal voterIndexes;
+  // vote weight of each voter, used for voter permissions. 0 for addresses which are not voters
+  mapping(address => uint256) public voterWeights;
+  // proposal for each actionId, holding votes for the action
+  mapping(bytes32 => Proposal) public proposals;
   // keeps track of whether a voter has already voted for a given action
   mapping(bytes32 => mapping(address => bool)) public hasVoted;
-  // increments every time a vote has been passed reseting all pending votes
-  uint256 public actionNonce;
+  // keeps track of whether a voter has already vetoed a given queued action
+  mapping(bytes32 => mapping(address => bool)) public hasVetoed;
+  // keeps track of whether a voter has already rejected a given action
+  mapping(bytes32 => mapping(address => bool)) public hasRejected;
+  // nonce for each action (hash of call data) incremented every time a vote for that action has passed or been invalidated
+  mapping(bytes32 => uint256) public actionNonces;
+  // EIP-712 domain separator for signed votes, containing the address of this contract and chainId
+  bytes32 public domainSeparator;
+  // id of the chain this contract has been deployed to (given when initializing, solidity 0.4 can not read it)
+  uint256 public chainId;
+  // incremented every time voters, minimumVotes or a threshold change, voiding proposals created before
+  uint256 public configurationEpoch;
+  // actionIds of open proposals for each configurationEpoch: actions which have votes but have not yet passed
+  mapping(uint256 => bytes32[]) internal pendingActionIds;
+  // index + 1 of each pending action in pendingActionIds of the epoch of its proposal
+  mapping(bytes32 => uint256) internal pendingActionIndexes;
+  // addresses which can pause token without a vote through emergencyPause()
+  mapping(address => bool) public isGuardian;
+  // keeps track of how many guardians currently exist
+  uint256 public guardianCount;
+  // unix timestamp after which the current emergency pause can be ended. 0 when there is no unconfirmed emergency pause
+  uint256 public emergencyPauseExpiry;
+  // whether initialize() has been called. always true for the implementation itself
+  bool internal initialized;
 
   event VotersTokensTransferred(
     address recipient,
@@ -62,6 +141,11 @@ contract VotableOwner {
   event VoterRemoved(
     address voter
   );
+  event VoterWeightUpdated(
+    address indexed voter,
+    uint256 oldWeight,
+    uint256 newWeight
+  );
   event MinimumVotesUpdated(
     uint256 oldMinimumVotes,
     uint256 newMinimumVotes
@@ -69,242 +153,2263 @@ contract VotableOwner {
   event VoterVoted(
     address indexed voter,
     bytes4 indexed funcSig,
+    bytes32 indexed actionId,
+    uint256 actionNonce,
+    uint256 votes,
+    bytes callData
+  );
+  event VoteLifetimeUpdated(
+    uint256 oldVoteLifetime,
+    uint256 newVoteLifetime
+  );
+  event VotePassed(
+    bytes32 indexed actionId,
+    uint256 actionNonce
+  );
+  event ActionInvalidated(
+    bytes32 indexed actionId,
+    uint256 actionNonce
+  );
+  event PendingActionsInvalidated(
+    uint256 configurationEpoch
+  );
+  event ActionExpired(
+    bytes32 indexed actionId,
+    uint256 actionNonce
+  );
+  event ERC20Transferred(
+    address indexed token,
+    address recipient,
+    uint256 value
+  );
+  event TrackedTokenAdded(
+    address token
+  );
+  event TrackedTokenRemoved(
+    address token
+  );
+  event TokenOwnershipTransferred(
+    address newOwner
+  );
+  event TokenOwnershipRenounced();
+  event TokenReleaseDateUpdated(
+    uint256 oldTokenReleaseDate,
+    uint256 newTokenReleaseDate
+  );
+  event ActionExecuted(
+    address indexed target,
+    uint256 value,
+    bytes data,
+    bytes returnData
+  );
+  event ActionThresholdUpdated(
+    bytes4 indexed funcSig,
+    uint256 oldThreshold,
+    uint256 newThreshold
+  );
+  event DailyEtherAllowanceUpdated(
+    uint256 oldDailyEtherAllowance,
+    uint256 newDailyEtherAllowance
+  );
+  event DailyTokenAllowanceUpdated(
+    uint256 oldDailyTokenAllowance,
+    uint256 newDailyTokenAllowance
+  );
+  event AllowanceVotesUpdated(
+    uint256 oldAllowanceVotes,
+    uint256 newAllowanceVotes
+  );
+  event ExecutionDelayUpdated(
+    bytes4 indexed funcSig,
+    uint256 oldExecutionDelay,
+    uint256 newExecutionDelay
+  );
+  event VetoThresholdUpdated(
+    uint256 oldVetoThreshold,
+    uint256 newVetoThreshold
+  );
+  event ActionQueued(
+    bytes32 indexed actionId,
+    uint256 eta
+  );
+  event ActionVetoed(
+    address indexed voter,
+    bytes32 indexed actionId,
+    uint256 vetoes
+  );
+  event ActionCancelled(
+    bytes32 indexed actionId,
+    uint256 actionNonce
+  );
+  event VoteRevoked(
+    address indexed voter,
+    bytes32 indexed actionId,
     uint256 votes
   );
+  event RejectionVoted(
+    address indexed voter,
+    bytes32 indexed actionId,
+    uint256 rejections
+  );
+  event ActionRejected(
+    bytes32 indexed actionId,
+    uint256 actionNonce
+  );
+  event GuardianAdded(
+    address guardian
+  );
+  event GuardianRemoved(
+    address guardian
+  );
+  event EmergencyPaused(
+    address indexed guardian,
+    uint256 expiry
+  );
+  event EmergencyPauseConfirmed();
+  event EmergencyPauseEnded();
+  event Upgraded(
+    address indexed implementation
+  );
 
   modifier onlyVoter() {
-    require(isVoter[msg.sender]);
+    require(isVoter(msg.sender));
+
+    _;
+  }
+
+  // this contract calls its own functions when executing a passed proposal through execute()
+  modifier onlyVoterOrSelf() {
+    require(isVoter(msg.sender) || msg.sender == address(this));
 
     _;
   }
 
   /**
-    @dev initializes the contract with: appropriate voters, minimum votes needed for
-    an action, appropriate date for token release, and address of token on which to operate
-    @param _voters an array of addresses who should start as voters
-    @param _minimumVotes minimum votes needed for any action (each voter can only vote once)
-    @param _tokenReleaseDate unix timestamp at which tokens can be released
-    @param _token the token on which to operate (transfer voters tokens, pause/unpause)
+    @dev locks the implementation, meaning that only proxies delegating to it can be initialized
    */
-  constructor(
-    address[] _voters,
-    uint256 _minimumVotes,
-    uint256 _tokenReleaseDate,
-    IPausableToken _token
-  )
+  constructor()
     public
   {
-    uint256 _codeSize;
-    assembly { _codeSize := extcodesize(_token) }
-    require(_codeSize > 0);
-    require(_voters.length > 1);
-    require(_minimumVotes > 1);
-    require(_minimumVotes <= _voters.length);
-    require(_tokenReleaseDate > block.timestamp);
+    initialized = true;
+  }
 
-    for(uint256 _i = 0; _i < _voters.length; _i++) {
-      isVoter[_voters[_i]] = true;
+  /**
+    @notice returns unix timestamp at which votes for a given action expire. returns 0 for actions without a proposal
+    and for queued actions, which do not expire. the expiry follows voteLifetime meaning that updating voteLifetime
+    also updates expiry of open proposals.
+    @param _actionId id of the action
+   */
+  function actionExpiry(
+    bytes32 _actionId
+  )
+    public
+    view
+    returns (uint256)
+  {
+    Proposal storage _proposal = proposals[_actionId];
 
-      emit VoterAdded(_voters[_i]);
+    if (_proposal.createdAt == 0 || _proposal.eta != 0) {
+      return 0;
     }
 
-    voterCount = _voters.length;
-    minimumVotes = _minimumVotes;
-    tokenReleaseDate = _tokenReleaseDate;
-    token = _token;
+    return _proposal.createdAt + voteLifetime;
   }
 
   /**
-    @dev wrap any votable action in an if statement using this function to implement to implement voting logic
-    this function increments the vote count and checks if minimum votes requirement
-    has been met. if minimum vote count has been met, actionNonce will
-    be incremented, effectively resetting the vote count and whether a voter has voted.
-    the function will return true if vote count requirement has been met and false if not.
-    Changing minimumVotes or voterCount also effectively resets votes.
+    @notice returns whether an address is a voter (has a vote weight)
+    @param _voter address to check
    */
-  function voteHasPassed() 
-    internal
+  function isVoter(
+    address _voter
+  )
+    public
+    view
     returns (bool)
   {
-    bytes32 _actionId = keccak256(abi.encodePacked(
-      msg.data,
-      actionNonce
-    ));
+    return voterWeights[_voter] > 0;
+  }
 
-    require(!hasVoted[_actionId][msg.sender]);
+  /**
+    @notice returns vote weight needed to perform an action for a given function. renouncing token ownership,
+    shortening tokenReleaseDate and upgrading need a vote from every voter (totalWeight). any other action needs its
+    threshold in actionThresholds or minimumVotes when it has none.
+    @param _funcSig function signature of the action
+   */
+  function requiredVotes(
+    bytes4 _funcSig
+  )
+    public
+    view
+    returns (uint256)
+  {
+    if (needsEveryVoter(_funcSig)) {
+      return totalWeight;
+    }
+
+    if (actionThresholds[_funcSig] != 0) {
+      return actionThresholds[_funcSig];
+    }
 
-    actionVotes[_actionId]++;
-    hasVoted[_actionId][msg.sender] = true;
+    return minimumVotes;
+  }
 
-    emit VoterVoted(
-      msg.sender,
-      msg.sig,
-      actionVotes[_actionId]
-    );
+  /**
+    @notice returns whether an open proposal can currently be performed. an action can be performed when it has
+    minimumVotes and either has no execution delay or has been queued and its eta has passed.
+    @param _actionId id of the action
+   */
+  function actionIsExecutable(
+    bytes32 _actionId
+  )
+    public
+    view
+    returns (bool)
+  {
+    Proposal storage _proposal = proposals[_actionId];
 
-    if (actionVotes[_actionId] >= minimumVotes) {
-      actionNonce++;
+    if (
+      !isPendingAction(_actionId) ||
+      _proposal.votes < actionRequiredVotes(_proposal.callData)
+    ) {
+      return false;
+    }
 
-      return true;
+    if (_proposal.eta == 0) {
+      return actionExecutionDelay(_proposal.callData) == 0 &&
+        !actionHasExpired(_actionId);
     }
 
-    return false;
+    return block.timestamp >= _proposal.eta;
   }
 
   /**
-    @notice vote for transferring a given amount of ether from the wallet to a given address
-    @param _recipient address to receive the ether
-    @param _value amount of ether in wei to send to _recipient
+    @notice returns vote weight needed to perform an action. transfers which fit within the remaining
+    allowance need allowanceVotes, any other action needs requiredVotes() of its function. batch transfers and calls
+    sending ether need at least requiredVotes() of transferEther() or transferTokens() (see transferFuncSig()).
+    @param _callData call data of the action (ex. call data for transferEther())
    */
-  function transferEther(
-    address _recipient,
-    uint256 _value
+  function actionRequiredVotes(
+    bytes _callData
   )
-    external
-    onlyVoter
-    returns (bool)
+    public
+    view
+    returns (uint256)
   {
-    require(_recipient != address(0));
+    bytes4 _funcSig;
+    assembly {
+      _funcSig := and(
+        mload(add(_callData, 32)),
+        0xffffffff00000000000000000000000000000000000000000000000000000000
+      )
+    }
+    uint256 _requiredVotes = requiredVotes(_funcSig);
+    bytes4 _transferFuncSig = transferFuncSig(_funcSig, _callData);
 
-    if (voteHasPassed()) {
-      _recipient.transfer(_value);
+    if (
+      _transferFuncSig != bytes4(0) &&
+      requiredVotes(_transferFuncSig) > _requiredVotes
+    ) {
+      return requiredVotes(_transferFuncSig);
+    }
 
-      emit VotersEtherTransferred(
-        _recipient,
-        _value
-      );
+    if (
+      allowanceVotes < _requiredVotes &&
+      isWithinAllowance(_funcSig, _callData)
+    ) {
+      return allowanceVotes;
     }
 
-    return true;
+    return _requiredVotes;
   }
 
   /**
-    @notice pauses the token contract, halting transfers
+    @notice returns seconds between minimumVotes being met and an action being performed. batch transfers and calls
+    sending ether are delayed by at least the execution delay of transferEther() or transferTokens() (see
+    transferFuncSig()), meaning that the delay of a transfer can not be skipped by moving the same funds another way.
+    @param _callData call data of the action (ex. call data for transferEther())
    */
-  function pauseToken()
-    external
-    onlyVoter
-    returns (bool)
+  function actionExecutionDelay(
+    bytes _callData
+  )
+    public
+    view
+    returns (uint256)
   {
-    if (voteHasPassed()) {
-      token.pause();
+    bytes4 _funcSig;
+    assembly {
+      _funcSig := and(
+        mload(add(_callData, 32)),
+        0xffffffff00000000000000000000000000000000000000000000000000000000
+      )
     }
+    uint256 _executionDelay = executionDelays[_funcSig];
+    bytes4 _transferFuncSig = transferFuncSig(_funcSig, _callData);
 
-    return true;
+    if (
+      _transferFuncSig != bytes4(0) &&
+      executionDelays[_transferFuncSig] > _executionDelay
+    ) {
+      return executionDelays[_transferFuncSig];
+    }
+
+    return _executionDelay;
   }
 
   /**
-    @notice unpauses the token contrct, enabling transfers
+    @notice returns amount of ether in wei which can still be transferred with only allowanceVotes
    */
-  function unpauseToken()
-    external
-    onlyVoter
-    returns (bool)
+  function remainingEtherAllowance()
+    public
+    view
+    returns (uint256)
   {
-    if (voteHasPassed()) {
-      token.unpause();
+    if (allowancePeriodHasEnded()) {
+      return dailyEtherAllowance;
     }
-    
-    return true;
+
+    return dailyEtherAllowance > etherAllowanceSpent
+      ? dailyEtherAllowance - etherAllowanceSpent
+      : 0;
   }
 
   /**
-    @notice transfers given amount of voters tokens to given address (must be after tokenReleaseDate)
-    @param _recipient address to receive tokens
-    @param _value amount of tokens to send to _recipient
+    @notice returns amount of token which can still be transferred with only allowanceVotes
    */
-  function transferTokens(
-    address _recipient,
-    uint256 _value
-  )
-    external
-    onlyVoter
+  function remainingTokenAllowance()
+    public
+    view
+    returns (uint256)
+  {
+    if (allowancePeriodHasEnded()) {
+      return dailyTokenAllowance;
+    }
+
+    return dailyTokenAllowance > tokenAllowanceSpent
+      ? dailyTokenAllowance - tokenAllowanceSpent
+      : 0;
+  }
+
+  /**
+    @dev wrap any votable action in an if statement using this function to implement to implement voting logic
+    this function increments the vote count and checks if minimum votes requirement
+    has been met. if minimum vote count has been met, the nonce for this action will
+    be incremented, effectively resetting the vote count and whether a voter has voted for this action.
+    the function will return true if vote count requirement has been met and false if not.
+    when called through execute() the vote has already passed and the function will always return true.
+   */
+  function voteHasPassed() 
+    internal
     returns (bool)
   {
-    require( block.timestamp > tokenReleaseDate);
+    if (msg.sender == address(this)) {
+      return true;
+    }
 
-    if (voteHasPassed()) {
-      token.transfer(_recipient, _value);
+    bytes32 _actionId = vote(msg.sender, msg.data);
 
-      emit VotersTokensTransferred(
-        _recipient,
-        _value
-      );
+    if (actionIsExecutable(_actionId)) {
+      passVote(_actionId);
+
+      return true;
     }
 
-    return true;
+    return false;
   }
 
   /**
-    @notice adds a new voter to wallet, allowing new voter to vote
-    @param _newVoter address to add as a new voter
+    @dev counts a vote from _voter for the given call data, creating a proposal if needed.
+    votes for an invalidated or expired action are void and the vote is counted towards a new proposal.
    */
-  function addVoter(
-    address _newVoter
+  function vote(
+    address _voter,
+    bytes _callData
   )
-    external
-    onlyVoter
-    returns (bool)
+    internal
+    returns (bytes32)
   {
-    require(!isVoter[_newVoter]);
+    bytes32 _actionId = refreshActionId(_callData);
+    uint256 _actionNonce = actionNonces[keccak256(_callData)];
+    Proposal storage _proposal = proposals[_actionId];
 
-    if (voteHasPassed()) {
-      isVoter[_newVoter] = true;
-      voterCount++;
+    require(!hasVoted[_actionId][_voter]);
+    require(!hasRejected[_actionId][_voter]);
+
+    if (_proposal.votes == 0) {
+      bytes4 _funcSig;
+      bytes32 _argsHash;
+      assembly {
+        _funcSig := and(
+          mload(add(_callData, 32)),
+          0xffffffff00000000000000000000000000000000000000000000000000000000
+        )
+        _argsHash := keccak256(add(_callData, 36), sub(mload(_callData), 4))
+      }
 
-      emit VoterAdded(_newVoter);
+      _proposal.proposer = _voter;
+      _proposal.funcSig = _funcSig;
+      _proposal.argsHash = _argsHash;
+      _proposal.callData = _callData;
+      _proposal.createdAt = block.timestamp;
+      _proposal.epoch = configurationEpoch;
+
+      addPendingAction(_actionId);
     }
 
-    return true;
+    _proposal.votes += voterWeights[_voter];
+    hasVoted[_actionId][_voter] = true;
+
+    if (_proposal.eta == 0 && _proposal.votes >= actionRequiredVotes(_callData)) {
+      if (actionExecutionDelay(_callData) != 0) {
+        queueAction(_actionId);
+      }
+    }
+
+    emit VoterVoted(
+      _voter,
+      _proposal.funcSig,
+      _actionId,
+      _actionNonce,
+      _proposal.votes,
+      _callData
+    );
+
+    return _actionId;
   }
 
   /**
-    @notice removes a voter from wallet, removing voting rights
-    @param _voter address of voter to remove
+    @dev returns current actionId for the given call data, invalidating or expiring the pending action for it first
+    if needed
    */
-  function removeVoter(
-    address _voter
+  function refreshActionId(
+    bytes _callData
   )
-    external
-    onlyVoter
-    returns (bool)
+    internal
+    returns (bytes32 _actionId)
   {
-    require(isVoter[_voter]);
-    require(voterCount - 1 >= minimumVotes);
+    _actionId = getActionId(_callData);
 
-    if (voteHasPassed()) {
-      isVoter[_voter] = false;
-      voterCount--;
+    if (isVoidAction(_actionId)) {
+      if (proposals[_actionId].epoch != configurationEpoch) {
+        emit ActionInvalidated(
+          _actionId,
+          resetPendingAction(_actionId)
+        );
+      } else {
+        emit ActionExpired(
+          _actionId,
+          resetPendingAction(_actionId)
+        );
+      }
 
-      emit VoterRemoved(_voter);
+      _actionId = getActionId(_callData);
     }
-
-    return true;
   }
 
   /**
-    @notice vote for updating minimum votes needed to perform an action
-    @param _minimumVotes proposed amount of votes needed to perform an action
+    @dev returns whether votes for an action have expired
    */
-  function updateMinimumVotes(
-    uint256 _minimumVotes
+  function actionHasExpired(
+    bytes32 _actionId
   )
-    external
-    onlyVoter
+    internal
+    view
     returns (bool)
   {
-    require(_minimumVotes > 1);
-    require(_minimumVotes <= voterCount);
-    require(_minimumVotes != minimumVotes);
+    uint256 _actionExpiry = actionExpiry(_actionId);
 
-    if (voteHasPassed()) {
-      uint256 _oldMinimumVotes = minimumVotes;
-      minimumVotes = _minimumVotes;
+    return _actionExpiry != 0 && block.timestamp >= _actionExpiry;
+  }
 
-      emit MinimumVotesUpdated(
-        _oldMinimumVotes,
-        _minimumVotes
-      );
+  /**
+    @dev returns current actionId for the given call data
+   */
+  function getActionId(
+    bytes _callData
+  )
+    internal
+    view
+    returns (bytes32)
+  {
+    return keccak256(abi.encodePacked(
+      _callData,
+      actionNonces[keccak256(_callData)]
+    ));
+  }
+
+  /**
+    @dev marks the proposal as executed and increments the nonce for the action
+   */
+  function passVote(
+    bytes32 _actionId
+  )
+    internal
+  {
+    proposals[_actionId].executed = true;
+
+    emit VotePassed(
+      _actionId,
+      resetPendingAction(_actionId)
+    );
+  }
+
+  function addPendingAction(
+    bytes32 _actionId
+  )
+    internal
+  {
+    bytes32[] storage _pendingActionIds = pendingActionIds[configurationEpoch];
+
+    _pendingActionIds.push(_actionId);
+    pendingActionIndexes[_actionId] = _pendingActionIds.length;
+  }
+
+  function removePendingAction(
+    bytes32 _actionId
+  )
+    internal
+  {
+    bytes32[] storage _pendingActionIds = pendingActionIds[proposals[_actionId].epoch];
+    uint256 _index = pendingActionIndexes[_actionId] - 1;
+    bytes32 _lastActionId = _pendingActionIds[_pendingActionIds.length - 1];
+
+    _pendingActionIds[_index] = _lastActionId;
+    pendingActionIndexes[_lastActionId] = _index + 1;
+    _pendingActionIds.length--;
+
+    delete pendingActionIndexes[_actionId];
+  }
+
+  /**
+    @dev returns whether an action has an open proposal created in the current configurationEpoch
+   */
+  function isPendingAction(
+    bytes32 _actionId
+  )
+    internal
+    view
+    returns (bool)
+  {
+    return pendingActionIndexes[_actionId] != 0 &&
+      proposals[_actionId].epoch == configurationEpoch;
+  }
+
+  /**
+    @dev returns whether an action has an open proposal which has been invalidated or has expired, meaning that the
+    next vote for the action resets its votes
+   */
+  function isVoidAction(
+    bytes32 _actionId
+  )
+    internal
+    view
+    returns (bool)
+  {
+    return pendingActionIndexes[_actionId] != 0 && (
+      proposals[_actionId].epoch != configurationEpoch ||
+      actionHasExpired(_actionId)
+    );
+  }
+
+  /**
+    @dev schedules an action which has met minimumVotes to be performed after the execution delay of its function
+   */
+  function queueAction(
+    bytes32 _actionId
+  )
+    internal
+  {
+    Proposal storage _proposal = proposals[_actionId];
+    _proposal.eta = block.timestamp + actionExecutionDelay(_proposal.callData);
+
+    emit ActionQueued(
+      _actionId,
+      _proposal.eta
+    );
+  }
+
+  /**
+    @dev removes a pending action and increments the nonce for the action, resetting votes for it. returns the nonce
+    which the action had, used by callers for the event they emit.
+   */
+  function resetPendingAction(
+    bytes32 _actionId
+  )
+    internal
+    returns (uint256 _actionNonce)
+  {
+    bytes32 _actionHash = keccak256(proposals[_actionId].callData);
+
+    _actionNonce = actionNonces[_actionHash]++;
+    removePendingAction(_actionId);
+  }
+
+  /**
+    @dev returns whether actions for a function need a vote from every voter
+   */
+  function needsEveryVoter(
+    bytes4 _funcSig
+  )
+    internal
+    pure
+    returns (bool)
+  {
+    if (_funcSig == VotableOwner(0).renounceTokenOwnership.selector) {
+      return true;
+    }
+
+    if (_funcSig == VotableOwner(0).shortenTokenReleaseDate.selector) {
+      return true;
+    }
+
+    if (_funcSig == VotableOwner(0).upgradeTo.selector) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+    @dev returns whether the allowance period has been running for at least 1 day
+   */
+  function allowancePeriodHasEnded()
+    internal
+    view
+    returns (bool)
+  {
+    return block.timestamp >= allowancePeriodStart + 1 days;
+  }
+
+  /**
+    @dev returns whether call data is for transferEther() or transferTokens() with a value which fits within the
+    remaining allowance
+   */
+  function isWithinAllowance(
+    bytes4 _funcSig,
+    bytes memory _callData
+  )
+    internal
+    view
+    returns (bool)
+  {
+    if (
+      _funcSig != VotableOwner(0).transferEther.selector &&
+      _funcSig != VotableOwner(0).transferTokens.selector
+    ) {
+      return false;
+    }
+
+    uint256 _value;
+    assembly { _value := mload(add(_callData, 68)) }
+
+    return _funcSig == VotableOwner(0).transferEther.selector
+      ? _value <= remainingEtherAllowance()
+      : _value <= remainingTokenAllowance();
+  }
+
+  /**
+    @dev returns the function signature of the transfer which an action moves ether or tokens like: transferTokens()
+    for batchTransferTokens(), transferEther() for batchTransferEther() and for executeCall() or batchExecuteCall()
+    sending ether. 0 for any other action. such actions can not be used to skip the rules of the transfer.
+   */
+  function transferFuncSig(
+    bytes4 _funcSig,
+    bytes memory _callData
+  )
+    internal
+    pure
+    returns (bytes4)
+  {
+    if (_funcSig == VotableOwner(0).batchTransferTokens.selector) {
+      return VotableOwner(0).transferTokens.selector;
+    }
+
+    if (_funcSig == VotableOwner(0).batchTransferEther.selector) {
+      return VotableOwner(0).transferEther.selector;
+    }
+
+    if (
+      _funcSig == VotableOwner(0).executeCall.selector &&
+      callValue(_callData) != 0
+    ) {
+      return VotableOwner(0).transferEther.selector;
+    }
+
+    if (
+      _funcSig == VotableOwner(0).batchExecuteCall.selector &&
+      batchCallValue(_callData) != 0
+    ) {
+      return VotableOwner(0).transferEther.selector;
+    }
+
+    return bytes4(0);
+  }
+
+  /**
+    @dev returns _value of call data for executeCall()
+   */
+  function callValue(
+    bytes memory _callData
+  )
+    internal
+    pure
+    returns (uint256 _value)
+  {
+    require(_callData.length >= 68);
+
+    assembly { _value := mload(add(_callData, 68)) }
+  }
+
+  /**
+    @dev returns the sum of _values of call data for batchExecuteCall(). _values is a dynamic array, meaning that the
+    call data holds its position from the start of the arguments, followed by its length and items at that position.
+   */
+  function batchCallValue(
+    bytes memory _callData
+  )
+    internal
+    pure
+    returns (uint256 _value)
+  {
+    uint256 _position = callValue(_callData);
+    require(_position < _callData.length);
+
+    uint256 _length;
+    assembly { _length := mload(add(add(_callData, 36), _position)) }
+    require(_length < _callData.length);
+    require(4 + _position + 32 * (_length + 1) <= _callData.length);
+
+    for (uint256 _i = 0; _i < _length; _i++) {
+      uint256 _itemValue;
+      assembly { _itemValue := mload(add(add(_callData, 68), add(_position, mul(_i, 32)))) }
+      require(_value + _itemValue >= _value);
+      _value += _itemValue;
+    }
+  }
+}
+
+
+/**
+  @title VotableOwner can act as the owner for other contracts and requires a minimum vote for any owner action before running.
+  It can also act as a "multi-sig" wallet for tokens and ether. Other than token, any ERC20 token can be transferred
+  through transferERC20(). Tokens added through addTrackedToken() are listed with their balances by getTrackedTokenBalances().
+  Batch actions (batchTransferTokens(), batchTransferEther() and batchExecuteCall()) perform several transfers or calls
+  after a single vote, reverting all of them if any one fails.
+  @notice Any non-private/internal function other than initialize() implements a voting pattern where running a given function
+  will act as a vote for the function until the minimumVotes requirement has been met. The voter calling a function triggering minimumVotes
+  to be met will trigger the action to be performed. Once when an action has been performed after a successful vote, votes for that
+  action are reset. Votes for other actions are kept unless voters or minimumVotes have changed.
+
+  @dev The voting aspect of this contract operates on the principle of hashes and nonces. Actions in this contract can be
+  defined as an action that a voter wants to take. These actions are expressed/performed through functions. 
+  actionNonces holds a nonce for each action (hash of msg.data) which is incremented every time that a vote for the action has been passed. 
+  Each time an action is voted on by a voter, voteHasPassed() is run which creates the appropriate  _actionId. 
+  The _actionId is calculated by hashing the following: 
+    - msg.data (contains function signature and call data)
+      - function signature ensures that a vote is only for a particular action (ex. pauseToken) and not another (ex. unpauseToken)
+      - call data ensures that a particular function with different arguments doesnt count as a vote for that same action with different arguments
+    - actionNonces[keccak256(msg.data)]
+      - hashing the nonce ensures that voting for the action is reset each time a vote for it has passed
+  
+  The _actionId is used for tracking:
+    - votes for a particular action
+    - whether a voter has already voted for an action
+  
+  Once when the function relating to a given action has been called by enough different voters, the vote has passed and
+  the final person voting triggers the action to be performed. As stated above, the nonce for the action is incremented which
+  effectively resets the voting logic for that action only. Other pending actions keep their votes.
+
+  Actions which have votes but have not yet passed are kept track of as pending actions. Adding/removing voters or changing
+  minimumVotes or a threshold invalidates all pending actions by incrementing configurationEpoch (emitting
+  PendingActionsInvalidated). Proposals created in an earlier epoch are void: they can no longer be approved, rejected,
+  vetoed or executed, and the next vote for one increments its nonce (emitting ActionInvalidated) and starts a new
+  proposal. This ensures that votes from removed voters or votes cast under a different minimumVotes can never trigger
+  an action, no matter how many actions are pending.
+
+  Each vote emits VoterVoted containing the _actionId, action nonce and call data which is being voted on. A passed vote
+  emits VotePassed. This allows for voting history to be reconstructed from logs alone.
+
+  Votes for each action are held in a Proposal which is created on the first vote for an action. Proposals can also be
+  used directly through propose(), approve(), revokeApproval() and execute(). execute() performs a passed proposal by
+  calling this contract with the proposal call data. voteHasPassed() always returns true for such calls, meaning that
+  the functions above act as thin wrappers around proposals: calling pauseToken() is the same as proposing/approving
+  the call data for pauseToken() and executing it once when minimumVotes has been met. propose() only accepts call data
+  of these functions (see isVotableFunction()).
+
+  A voter can revoke a vote for an action which has not yet passed through revokeVote() (using the same call data) or
+  revokeApproval() (using the _actionId). VoteRevoked is emitted for each revoked vote.
+
+  Votes for an action are void once when voteLifetime seconds have passed since the first vote for the action. An expired
+  action can no longer be approved or executed. The next vote for it increments its nonce (emitting ActionExpired) and
+  starts a new proposal.
+
+  Each function can have an execution delay (see executionDelays). An action for a function with an execution delay is
+  queued with an eta once when minimumVotes has been met rather than being performed immediately (ActionQueued).
+  Any voter can perform it through execute() once when the eta has passed. Until then, voters can veto the action.
+  The action is cancelled once when vetoThreshold has been met (ActionCancelled). Queued actions do not expire and
+  votes for them can no longer be revoked. Functions without an execution delay (ex. pauseToken) are performed
+  immediately. Batch transfers and calls sending ether are delayed by at least the execution delay of transferEther()
+  or transferTokens() (see actionExecutionDelay()).
+
+  Other than the token related actions, executeCall() allows for voting on calling any other contract. This allows
+  for this contract to act as the owner of any contract. Ownership of token can be transferred through
+  transferTokenOwnership(). renounceTokenOwnership() needs a vote from every voter (see requiredVotes()).
+
+  Voters can also vote without sending a transaction by signing an EIP-712 typed Action message containing the call data,
+  current action nonce and amount of revoked votes of the action (see actionDigest()). The domain of the message
+  contains the address of this contract and chainId, meaning that a signature can only be used on this contract, on this
+  chain and for the current nonce of the action. Revoking a vote increments the amount of revoked votes, meaning that
+  signatures collected before can not count a revoked vote again. Anyone can submit collected signatures through
+  executeSigned() which counts a vote for each signer and performs the action once when enough voters have voted.
+
+  Voters can carry different vote weights (see voterWeights). Every voter starts with a weight of 1, which can be changed
+  through updateVoterWeight(). Votes for an action (actionVotes() and votes of VoterVoted) are the accumulated weight
+  of the voters who voted for it and minimumVotes is the weight needed for an action to pass. The total weight of all
+  voters can never drop below minimumVotes, meaning that enough voters are always left to perform any action.
+
+  Functions can need a different vote weight than minimumVotes (ex. pauseToken needing less for emergencies and addVoter
+  needing a supermajority). actionThresholds holds the vote weight needed for each function signature, which is updated
+  through updateActionThreshold(). Functions without a threshold need minimumVotes. Just like minimumVotes, the total
+  weight of all voters can never drop below any threshold. Batch transfers and calls sending ether need at least the
+  vote weight of transferEther() or transferTokens() (see actionRequiredVotes()).
+
+  Small transfers do not need a full vote. transferEther() and transferTokens() only need allowanceVotes (1 unless
+  updated) while their value fits within what is left of dailyEtherAllowance or dailyTokenAllowance for the current
+  allowance period (see remainingEtherAllowance() and remainingTokenAllowance()). Every transfer which fits within the
+  remaining allowance counts towards it. A new allowance period starts with the first transfer at least 1 day after the
+  start of the previous period. Both allowances start at 0, meaning that every transfer needs a full vote.
+
+  Voters tokens vest rather than all being released at once. Nothing can be transferred through transferTokens()
+  before tokenReleaseDate (the cliff). After the cliff, tokens vest linearly over vestingDuration, either continuously
+  or in vestingTranches equal tranches. The amount vesting is the token balance of this contract plus releasedTokens,
+  meaning that tokens received later vest on the same schedule. transferTokens() reverts for any amount beyond what
+  has vested and has not yet been released (see releasableTokens() and getVesting()).
+
+  tokenReleaseDate can be pushed later through a vote on extendTokenReleaseDate() (ex. when a lock-up needs to be
+  extended) until tokens start to be released. Extending it afterwards would take back tokens which have already
+  vested, leaving fewer vested tokens than have been released. Moving it earlier through shortenTokenReleaseDate()
+  releases tokens sooner than voters agreed on when deploying, which is why it needs a vote from every voter just like
+  renounceTokenOwnership().
+
+  Current voters are listed by getVoters() and voterAt(), kept up to date by initialize(), addVoter(),
+  removeVoter() and replaceVoter(). Removing a voter moves the last voter into its place.
+
+  Guardians (added and removed through votes on addGuardian() and removeGuardian()) can pause token on their own
+  through emergencyPause() when there is no time to wait for a vote. Guardians can not do anything else. An emergency
+  pause lasts for EMERGENCY_PAUSE_DURATION unless voters confirm it through a vote on confirmEmergencyPause(). Once
+  when it has expired, anyone can unpause token through endEmergencyPause().
+
+  Voters can also vote against an open proposal through reject(). A voter can not both vote for and reject the same
+  proposal. Once when the weight of rejections means that the remaining weight can no longer meet the vote weight
+  needed for the action, the proposal is rejected: its nonce is incremented and ActionRejected is emitted. Votes for
+  the action then count towards a new proposal.
+
+  VotableOwner is deployed as an implementation behind a VotableOwnerProxy, which holds all state, ether and tokens.
+  initialize() takes the place of a constructor and can only be called once, through the proxy. The implementation
+  itself can not be initialized. Voters upgrade to a new implementation through a vote on upgradeTo(), which needs a
+  vote from every voter. A new implementation must inherit from the current one (or keep its state variables in the
+  same order) and only add state variables after the existing ones, otherwise it reads the existing state from the
+  wrong storage slots.
+
+  Managing voters, guardians and tracked tokens, configuration updates, token ownership and tokenReleaseDate are
+  performed by VotableOwnerExtension, which VotableOwner delegates these functions to. This keeps VotableOwner well
+  below the contract size limit, leaving room for new implementations to add functions. The extension is given when
+  deploying VotableOwner and is copied to the proxy along with the implementation (see extension()).
+ */
+contract VotableOwner is VotableOwnerBase {
+
+  /**
+    @dev sets the extension which functions that do not fit into this contract are delegated to
+    @param _extension deployed VotableOwnerExtension
+   */
+  constructor(
+    address _extension
+  )
+    public
+  {
+    setExtension(_extension);
+  }
+
+  /**
+    @dev initializes the proxy (only once) with: appropriate voters, minimum votes needed for
+    an action, appropriate date for token release, and address of token on which to operate
+    @param _voters an array of addresses who should start as voters
+    @param _minimumVotes minimum votes needed for any action (each voter can only vote once)
+    @param _voteLifetime seconds after the first vote for an action after which votes for the action are void
+    @param _tokenReleaseDate unix timestamp at which tokens start to be released (vesting cliff)
+    @param _vestingDuration seconds after _tokenReleaseDate over which tokens vest. 0 for all tokens at _tokenReleaseDate
+    @param _vestingTranches amount of equal tranches in which tokens vest. 0 for tokens to vest continuously
+    @param _token the token on which to operate (transfer voters tokens, pause/unpause)
+    @param _chainId id of the chain this contract is deployed to, used for signed votes
+   */
+  function initialize(
+    address[] _voters,
+    uint256 _minimumVotes,
+    uint256 _voteLifetime,
+    uint256 _tokenReleaseDate,
+    uint256 _vestingDuration,
+    uint256 _vestingTranches,
+    IPausableToken _token,
+    uint256 _chainId
+  )
+    public
+  {
+    require(!initialized);
+    require(isContract(_token));
+    require(_voters.length > 1);
+    require(_minimumVotes > 1);
+    require(_minimumVotes <= _voters.length);
+    require(_voteLifetime > 0);
+    require(_tokenReleaseDate > block.timestamp);
+    require(_vestingTranches <= _vestingDuration);
+
+    for(uint256 _i = 0; _i < _voters.length; _i++) {
+      require(_voters[_i] != address(0));
+      require(voterWeights[_voters[_i]] == 0);
+      voterWeights[_voters[_i]] = 1;
+      voters.push(_voters[_i]);
+      voterIndexes[_voters[_i]] = voters.length;
+
+      emit VoterAdded(_voters[_i]);
+    }
+
+    totalWeight = _voters.length;
+    minimumVotes = _minimumVotes;
+    voteLifetime = _voteLifetime;
+    vetoThreshold = 1;
+    allowanceVotes = 1;
+    tokenReleaseDate = _tokenReleaseDate;
+    vestingDuration = _vestingDuration;
+    vestingTranches = _vestingTranches;
+    token = _token;
+    chainId = _chainId;
+    initialized = true;
+    domainSeparator = keccak256(
+      abi.encode(
+        DOMAIN_TYPEHASH,
+        keccak256("VotableOwner"),
+        keccak256("1"),
+        _chainId,
+        address(this)
+      )
+    );
+  }
+
+  /**
+    @notice returns actionIds of all open proposals (actions which have votes but have not yet passed)
+   */
+  function getPendingActionIds()
+    external
+    view
+    returns (bytes32[])
+  {
+    return pendingActionIds[configurationEpoch];
+  }
+
+  /**
+    @notice returns the amount of voters which currently exist
+   */
+  function voterCount()
+    public
+    view
+    returns (uint256)
+  {
+    return voters.length;
+  }
+
+  /**
+    @notice returns addresses of all current voters
+   */
+  function getVoters()
+    external
+    view
+    returns (address[])
+  {
+    return voters;
+  }
+
+  /**
+    @notice returns the voter at a given index of getVoters(). the order of voters changes when voters are removed
+    @param _index index of the voter
+   */
+  function voterAt(
+    uint256 _index
+  )
+    external
+    view
+    returns (address)
+  {
+    require(_index < voters.length);
+
+    return voters[_index];
+  }
+
+  /**
+    @notice returns addresses of all tracked tokens
+   */
+  function getTrackedTokens()
+    external
+    view
+    returns (address[])
+  {
+    return trackedTokens;
+  }
+
+  /**
+    @notice returns balances of this contract for all tracked tokens
+   */
+  function getTrackedTokenBalances()
+    external
+    view
+    returns (address[], uint256[])
+  {
+    uint256[] memory _balances = new uint256[](trackedTokens.length);
+
+    for (uint256 _i = 0; _i < trackedTokens.length; _i++) {
+      _balances[_i] = IERC20(trackedTokens[_i]).balanceOf(address(this));
+    }
+
+    return (trackedTokens, _balances);
+  }
+
+  /**
+    @notice returns function signatures which have a threshold along with their threshold
+   */
+  function getActionThresholds()
+    external
+    view
+    returns (bytes4[], uint256[])
+  {
+    uint256[] memory _thresholds = new uint256[](thresholdFuncSigs.length);
+
+    for (uint256 _i = 0; _i < thresholdFuncSigs.length; _i++) {
+      _thresholds[_i] = actionThresholds[thresholdFuncSigs[_i]];
+    }
+
+    return (thresholdFuncSigs, _thresholds);
+  }
+
+  /**
+    @notice returns amount of votes for a given action
+    @param _actionId id of the action
+   */
+  function actionVotes(
+    bytes32 _actionId
+  )
+    external
+    view
+    returns (uint256)
+  {
+    return proposals[_actionId].votes;
+  }
+
+  /**
+    @notice returns accumulated vote weight for and against a given action
+    @param _actionId id of the action
+   */
+  function actionTally(
+    bytes32 _actionId
+  )
+    external
+    view
+    returns (uint256, uint256)
+  {
+    return (proposals[_actionId].votes, proposals[_actionId].rejections);
+  }
+
+  /**
+    @notice returns amount of voters tokens which have vested so far (including tokens already released)
+   */
+  function vestedTokens()
+    public
+    view
+    returns (uint256)
+  {
+    if (block.timestamp < tokenReleaseDate) {
+      return 0;
+    }
+
+    uint256 _totalTokens = token.balanceOf(address(this)) + releasedTokens;
+    uint256 _elapsed = block.timestamp - tokenReleaseDate;
+
+    if (_elapsed >= vestingDuration) {
+      return _totalTokens;
+    }
+
+    // dividing vestingDuration by vestingTranches first would round down and let tranches vest early
+    if (vestingTranches > 0) {
+      return _totalTokens * (_elapsed * vestingTranches / vestingDuration) / vestingTranches;
+    }
+
+    return _totalTokens * _elapsed / vestingDuration;
+  }
+
+  /**
+    @notice returns amount of voters tokens which have vested and can be transferred through transferTokens().
+    0 rather than wrapping around when fewer tokens have vested than have been released (ex. when the balance of
+    this contract has dropped)
+   */
+  function releasableTokens()
+    public
+    view
+    returns (uint256)
+  {
+    uint256 _vested = vestedTokens();
+
+    return _vested > releasedTokens
+      ? _vested - releasedTokens
+      : 0;
+  }
+
+  /**
+    @notice returns amounts of voters tokens which have vested, have been released and have yet to vest
+   */
+  function getVesting()
+    external
+    view
+    returns (uint256, uint256, uint256)
+  {
+    uint256 _vested = vestedTokens();
+    uint256 _totalTokens = token.balanceOf(address(this)) + releasedTokens;
+
+    return (
+      _vested,
+      releasedTokens,
+      _totalTokens > _vested ? _totalTokens - _vested : 0
+    );
+  }
+
+  /**
+    @notice returns the EIP-712 digest which voters sign in order to vote for an action without a transaction
+    @param _callData call data of the action (ex. call data for pauseToken())
+    @param _actionNonce nonce of the action to vote for. signatures are only valid for the current nonce
+    @param _revocations amount of votes revoked for the action. signatures are only valid for the current amount
+   */
+  function actionDigest(
+    bytes _callData,
+    uint256 _actionNonce,
+    uint256 _revocations
+  )
+    public
+    view
+    returns (bytes32)
+  {
+    bytes32 _actionHash = keccak256(
+      abi.encode(
+        ACTION_TYPEHASH,
+        keccak256(_callData),
+        _actionNonce,
+        _revocations
+      )
+    );
+
+    return keccak256(
+      abi.encodePacked(
+        "\x19\x01",
+        domainSeparator,
+        _actionHash
+      )
+    );
+  }
+
+  /**
+    @notice returns the action nonce which the next vote for the given call data counts towards. this is one more than
+    actionNonces for an action of which the open proposal has been invalidated or has expired, as the next vote resets
+    its votes first. signed votes (see actionDigest()) need to be signed for this nonce.
+    @param _callData call data of the action (ex. call data for pauseToken())
+   */
+  function currentActionNonce(
+    bytes _callData
+  )
+    external
+    view
+    returns (uint256)
+  {
+    uint256 _actionNonce = actionNonces[keccak256(_callData)];
+
+    return isVoidAction(getActionId(_callData))
+      ? _actionNonce + 1
+      : _actionNonce;
+  }
+
+  /**
+    @notice creates a proposal for an action, counting as a vote from the proposer
+    @param _callData call data of the action (ex. call data for pauseToken())
+   */
+  function propose(
+    bytes _callData
+  )
+    external
+    onlyVoter
+    returns (bytes32)
+  {
+    require(_callData.length >= 4);
+    require(isVotableAction(_callData));
+
+    bytes32 _actionId = vote(msg.sender, _callData);
+    // the vote of the proposer must be the only vote, meaning that the proposal is new
+    require(proposals[_actionId].votes == voterWeights[msg.sender]);
+
+    return _actionId;
+  }
+
+  /**
+    @notice votes for an open proposal. the proposal still needs to be executed through execute()
+    once when it has enough votes.
+    @param _actionId id of the action to vote for
+   */
+  function approve(
+    bytes32 _actionId
+  )
+    external
+    onlyVoter
+    returns (bool)
+  {
+    require(isPendingAction(_actionId));
+    require(!actionHasExpired(_actionId));
+
+    vote(msg.sender, proposals[_actionId].callData);
+
+    return true;
+  }
+
+  /**
+    @notice removes vote of sender from an open proposal
+    @param _actionId id of the action to remove vote from
+   */
+  function revokeApproval(
+    bytes32 _actionId
+  )
+    external
+    onlyVoter
+    returns (bool)
+  {
+    revoke(_actionId);
+
+    return true;
+  }
+
+  /**
+    @notice removes vote of sender for an action which has not yet passed. allows for a voter to retract
+    a vote using the same call data which was voted with (ex. call data for transferEther() with a wrong amount).
+    @param _callData call data of the action to remove vote from
+   */
+  function revokeVote(
+    bytes _callData
+  )
+    external
+    onlyVoter
+    returns (bool)
+  {
+    revoke(getActionId(_callData));
+
+    return true;
+  }
+
+  /**
+    @notice vetoes a queued action. the action is cancelled once when vetoThreshold has been met.
+    @param _actionId id of the queued action to veto
+   */
+  function veto(
+    bytes32 _actionId
+  )
+    external
+    onlyVoter
+    returns (bool)
+  {
+    Proposal storage _proposal = proposals[_actionId];
+
+    require(isPendingAction(_actionId));
+    require(_proposal.eta != 0);
+    require(!hasVetoed[_actionId][msg.sender]);
+
+    _proposal.vetoes++;
+    hasVetoed[_actionId][msg.sender] = true;
+
+    emit ActionVetoed(
+      msg.sender,
+      _actionId,
+      _proposal.vetoes
+    );
+
+    if (_proposal.vetoes >= vetoThreshold) {
+      emit ActionCancelled(
+        _actionId,
+        resetPendingAction(_actionId)
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice votes against an open proposal which has not been queued. the proposal is rejected once when the weight
+    of voters who have not rejected it is less than the vote weight needed for the action (see actionRequiredVotes()).
+    @param _actionId id of the action to reject
+   */
+  function reject(
+    bytes32 _actionId
+  )
+    external
+    onlyVoter
+    returns (bool)
+  {
+    Proposal storage _proposal = proposals[_actionId];
+
+    require(isPendingAction(_actionId));
+    require(_proposal.eta == 0);
+    require(!actionHasExpired(_actionId));
+    require(!hasVoted[_actionId][msg.sender]);
+    require(!hasRejected[_actionId][msg.sender]);
+
+    _proposal.rejections += voterWeights[msg.sender];
+    hasRejected[_actionId][msg.sender] = true;
+
+    emit RejectionVoted(
+      msg.sender,
+      _actionId,
+      _proposal.rejections
+    );
+
+    if (totalWeight - _proposal.rejections < actionRequiredVotes(_proposal.callData)) {
+      emit ActionRejected(
+        _actionId,
+        resetPendingAction(_actionId)
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice performs the action of an open proposal which has enough votes. queued actions can be performed
+    by any voter once when their eta has passed.
+    @param _actionId id of the action to perform
+   */
+  function execute(
+    bytes32 _actionId
+  )
+    external
+    onlyVoter
+    returns (bool)
+  {
+    Proposal storage _proposal = proposals[_actionId];
+
+    require(actionIsExecutable(_actionId));
+
+    passVote(_actionId);
+
+    performCall(address(this), 0, _proposal.callData);
+
+    return true;
+  }
+
+  /**
+    @notice counts a vote for each signature of the action (see actionDigest()) and performs the action once when
+    enough voters have voted. can be sent by anyone, meaning that voters do not need to send a transaction themselves.
+    an action with an execution delay is queued instead and still needs to be performed through execute().
+    @param _callData call data of the action (ex. call data for pauseToken())
+    @param _signatures 65 byte signatures (r, s, v) of voters concatenated
+   */
+  function executeSigned(
+    bytes _callData,
+    bytes _signatures
+  )
+    external
+    returns (bool)
+  {
+    require(_callData.length >= 4);
+    require(isVotableAction(_callData));
+    require(_signatures.length > 0);
+    require(_signatures.length % 65 == 0);
+
+    bytes32 _actionId = refreshActionId(_callData);
+    bytes32 _digest = actionDigest(
+      _callData,
+      actionNonces[keccak256(_callData)],
+      proposals[_actionId].revocations
+    );
+
+    for (uint256 _i = 0; _i < _signatures.length / 65; _i++) {
+      address _signer = recoverSigner(_digest, _signatures, _i);
+      require(isVoter(_signer));
+
+      _actionId = vote(_signer, _callData);
+    }
+
+    if (actionIsExecutable(_actionId)) {
+      passVote(_actionId);
+      performCall(address(this), 0, _callData);
+    }
+
+    return true;
+  }
+
+  /**
+    @dev removes vote of sender from an open proposal
+   */
+  function revoke(
+    bytes32 _actionId
+  )
+    private
+  {
+    Proposal storage _proposal = proposals[_actionId];
+
+    require(isPendingAction(_actionId));
+    require(_proposal.eta == 0);
+    require(hasVoted[_actionId][msg.sender]);
+
+    _proposal.votes -= voterWeights[msg.sender];
+    _proposal.revocations++;
+    hasVoted[_actionId][msg.sender] = false;
+
+    if (_proposal.votes == 0) {
+      removePendingAction(_actionId);
+    }
+
+    emit VoteRevoked(
+      msg.sender,
+      _actionId,
+      _proposal.votes
+    );
+  }
+
+  /**
+    @dev returns the signer of _digest for the signature at _index of concatenated 65 byte signatures. reverts for
+    invalid signatures, as well as for signatures with a v other than 27 or 28 or a high s, meaning that every
+    signature has only one accepted form.
+   */
+  function recoverSigner(
+    bytes32 _digest,
+    bytes memory _signatures,
+    uint256 _index
+  )
+    private
+    pure
+    returns (address)
+  {
+    bytes32 _r;
+    bytes32 _s;
+    uint8 _v;
+    assembly {
+      let _signature := add(add(_signatures, 32), mul(_index, 65))
+      _r := mload(_signature)
+      _s := mload(add(_signature, 32))
+      _v := byte(0, mload(add(_signature, 64)))
+    }
+
+    require(_v == 27 || _v == 28);
+    require(uint256(_s) <= MAX_SIGNATURE_S);
+
+    address _signer = ecrecover(
+      _digest,
+      _v,
+      _r,
+      _s
+    );
+    require(_signer != address(0));
+
+    return _signer;
+  }
+
+  /**
+    @dev calls _target with _data, passing on revert data of a failed call
+   */
+  function performCall(
+    address _target,
+    uint256 _value,
+    bytes memory _data
+  )
+    private
+    returns (bytes memory _returnData)
+  {
+    bool _success;
+    assembly {
+      _success := call(gas, _target, _value, add(_data, 32), mload(_data), 0, 0)
+      _returnData := mload(0x40)
+      mstore(_returnData, returndatasize)
+      returndatacopy(add(_returnData, 32), 0, returndatasize)
+      mstore(0x40, add(_returnData, and(add(returndatasize, 63), not(31))))
+    }
+
+    if (!_success) {
+      assembly { revert(add(_returnData, 32), mload(_returnData)) }
+    }
+  }
+
+  /**
+    @dev copies _length bytes of _data starting at _start
+   */
+  function sliceBytes(
+    bytes memory _data,
+    uint256 _start,
+    uint256 _length
+  )
+    private
+    pure
+    returns (bytes memory _slice)
+  {
+    _slice = new bytes(_length);
+
+    for (uint256 _i = 0; _i < _length; _i++) {
+      _slice[_i] = _data[_start + _i];
+    }
+  }
+
+  /**
+    @dev counts a transfer towards the allowance when it fits within the remaining allowance, starting a new
+    allowance period if the current one has ended
+   */
+  function spendAllowance(
+    uint256 _value,
+    bool _isToken
+  )
+    private
+  {
+    if (_value > (_isToken ? remainingTokenAllowance() : remainingEtherAllowance())) {
+      return;
+    }
+
+    if (allowancePeriodHasEnded()) {
+      allowancePeriodStart = block.timestamp;
+      etherAllowanceSpent = 0;
+      tokenAllowanceSpent = 0;
+    }
+
+    if (_isToken) {
+      tokenAllowanceSpent += _value;
+    } else {
+      etherAllowanceSpent += _value;
+    }
+  }
+
+  /**
+    @dev performs the call in VotableOwnerExtension, returning or reverting with the data returned by it. the
+    parameters of the functions calling this are only named for the ABI, the extension decodes them from msg.data.
+   */
+  function delegateToExtension()
+    private
+  {
+    address _extension = extension();
+
+    assembly {
+      calldatacopy(0, 0, calldatasize)
+      let _result := delegatecall(gas, _extension, 0, calldatasize, 0, 0)
+      returndatacopy(0, 0, returndatasize)
+
+      switch _result
+      case 0 { revert(0, returndatasize) }
+      default { return(0, returndatasize) }
+    }
+  }
+
+  /**
+    @dev returns whether _callData calls a function which can be voted for (see isVotableFunction())
+   */
+  function isVotableAction(
+    bytes _callData
+  )
+    internal
+    pure
+    returns (bool)
+  {
+    bytes4 _funcSig;
+    assembly {
+      _funcSig := and(
+        mload(add(_callData, 32)),
+        0xffffffff00000000000000000000000000000000000000000000000000000000
+      )
+    }
+
+    return isVotableFunction(_funcSig);
+  }
+
+  /**
+    @dev returns whether _funcSig is a function which can be voted for through propose() or executeSigned(). call
+    data for any other function would reach the fallback function when executed, doing nothing. contracts upgrading
+    VotableOwner with new actions add them by overriding this
+   */
+  function isVotableFunction(
+    bytes4 _funcSig
+  )
+    internal
+    pure
+    returns (bool)
+  {
+    bytes4[31] memory _actions = [
+      VotableOwner(0).pauseToken.selector,
+      VotableOwner(0).unpauseToken.selector,
+      VotableOwner(0).confirmEmergencyPause.selector,
+      VotableOwner(0).transferEther.selector,
+      VotableOwner(0).batchTransferEther.selector,
+      VotableOwner(0).transferTokens.selector,
+      VotableOwner(0).batchTransferTokens.selector,
+      VotableOwner(0).transferERC20.selector,
+      VotableOwner(0).executeCall.selector,
+      VotableOwner(0).batchExecuteCall.selector,
+      VotableOwner(0).upgradeTo.selector,
+      VotableOwner(0).addVoter.selector,
+      VotableOwner(0).removeVoter.selector,
+      VotableOwner(0).replaceVoter.selector,
+      VotableOwner(0).updateVoterWeight.selector,
+      VotableOwner(0).addGuardian.selector,
+      VotableOwner(0).removeGuardian.selector,
+      VotableOwner(0).addTrackedToken.selector,
+      VotableOwner(0).removeTrackedToken.selector,
+      VotableOwner(0).updateMinimumVotes.selector,
+      VotableOwner(0).updateVoteLifetime.selector,
+      VotableOwner(0).updateActionThreshold.selector,
+      VotableOwner(0).updateVetoThreshold.selector,
+      VotableOwner(0).updateExecutionDelay.selector,
+      VotableOwner(0).updateAllowanceVotes.selector,
+      VotableOwner(0).updateDailyEtherAllowance.selector,
+      VotableOwner(0).updateDailyTokenAllowance.selector,
+      VotableOwner(0).transferTokenOwnership.selector,
+      VotableOwner(0).renounceTokenOwnership.selector,
+      VotableOwner(0).extendTokenReleaseDate.selector,
+      VotableOwner(0).shortenTokenReleaseDate.selector
+    ];
+
+    for (uint256 _i = 0; _i < _actions.length; _i++) {
+      if (_funcSig == _actions[_i]) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+    @dev calls transfer() of _token, returning whether it succeeded. tokens which do not return a value from
+    transfer() (ex. USDT) are supported, meaning that the call has to succeed and return either nothing or true.
+   */
+  function transferERC20Tokens(
+    IERC20 _token,
+    address _recipient,
+    uint256 _value
+  )
+    private
+    returns (bool)
+  {
+    require(isContract(_token));
+
+    bytes memory _data = abi.encodeWithSignature(
+      "transfer(address,uint256)",
+      _recipient,
+      _value
+    );
+    bool _success;
+
+    assembly {
+      _success := call(gas, _token, 0, add(_data, 32), mload(_data), 0, 0)
+
+      switch returndatasize
+      case 0 {}
+      case 32 {
+        returndatacopy(0, 0, 32)
+        _success := and(_success, eq(mload(0), 1))
+      }
+      default { _success := 0 }
+    }
+
+    return _success;
+  }
+
+  /**
+    @notice vote for transferring a given amount of ether from the wallet to a given address
+    @param _recipient address to receive the ether
+    @param _value amount of ether in wei to send to _recipient
+   */
+  function transferEther(
+    address _recipient,
+    uint256 _value
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_recipient != address(0));
+
+    if (voteHasPassed()) {
+      spendAllowance(_value, false);
+      _recipient.transfer(_value);
+
+      emit VotersEtherTransferred(
+        _recipient,
+        _value
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for transferring ether to several addresses at once. all transfers are performed in a single
+    transaction once the vote has passed, if one fails they all fail.
+    @param _recipients addresses to receive ether
+    @param _values amounts of ether in wei to send to the recipient at the same index
+   */
+  function batchTransferEther(
+    address[] _recipients,
+    uint256[] _values
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_recipients.length > 0);
+    require(_recipients.length == _values.length);
+
+    for (uint256 _i = 0; _i < _recipients.length; _i++) {
+      require(_recipients[_i] != address(0));
+    }
+
+    if (voteHasPassed()) {
+      for (_i = 0; _i < _recipients.length; _i++) {
+        _recipients[_i].transfer(_values[_i]);
+
+        emit VotersEtherTransferred(
+          _recipients[_i],
+          _values[_i]
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+    @notice pauses the token contract, halting transfers
+   */
+  function pauseToken()
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    if (voteHasPassed()) {
+      token.pause();
+    }
+
+    return true;
+  }
+
+  /**
+    @notice unpauses the token contrct, enabling transfers. also ends an unconfirmed emergency pause
+   */
+  function unpauseToken()
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    if (voteHasPassed()) {
+      emergencyPauseExpiry = 0;
+      token.unpause();
+    }
+    
+    return true;
+  }
+
+  /**
+    @notice see VotableOwnerExtension.emergencyPause()
+   */
+  function emergencyPause()
+    external
+    returns (bool)
+  {
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.confirmEmergencyPause()
+   */
+  function confirmEmergencyPause()
+    external
+    returns (bool)
+  {
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.endEmergencyPause()
+   */
+  function endEmergencyPause()
+    external
+    returns (bool)
+  {
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.addGuardian()
+   */
+  function addGuardian(
+    address _guardian
+  )
+    external
+    returns (bool)
+  {
+    _guardian;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.removeGuardian()
+   */
+  function removeGuardian(
+    address _guardian
+  )
+    external
+    returns (bool)
+  {
+    _guardian;
+    delegateToExtension();
+  }
+
+  /**
+    @notice vote for transferring any ERC20 token other than token held by this contract (ex. airdrops)
+    @param _token address of the ERC20 token to transfer. use transferTokens() for token
+    @param _recipient address to receive tokens
+    @param _value amount of tokens to send to _recipient
+   */
+  function transferERC20(
+    IERC20 _token,
+    address _recipient,
+    uint256 _value
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(address(_token) != address(token));
+
+    if (voteHasPassed()) {
+      require(transferERC20Tokens(_token, _recipient, _value));
+
+      emit ERC20Transferred(
+        _token,
+        _recipient,
+        _value
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice see VotableOwnerExtension.addTrackedToken()
+   */
+  function addTrackedToken(
+    address _token
+  )
+    external
+    returns (bool)
+  {
+    _token;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.removeTrackedToken()
+   */
+  function removeTrackedToken(
+    address _token
+  )
+    external
+    returns (bool)
+  {
+    _token;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.transferTokenOwnership()
+   */
+  function transferTokenOwnership(
+    address _newOwner
+  )
+    external
+    returns (bool)
+  {
+    _newOwner;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.renounceTokenOwnership()
+   */
+  function renounceTokenOwnership()
+    external
+    returns (bool)
+  {
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.extendTokenReleaseDate()
+   */
+  function extendTokenReleaseDate(
+    uint256 _tokenReleaseDate
+  )
+    external
+    returns (bool)
+  {
+    _tokenReleaseDate;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.shortenTokenReleaseDate()
+   */
+  function shortenTokenReleaseDate(
+    uint256 _tokenReleaseDate
+  )
+    external
+    returns (bool)
+  {
+    _tokenReleaseDate;
+    delegateToExtension();
+  }
+
+  /**
+    @notice transfers given amount of voters tokens to given address (must have vested, see releasableTokens())
+    @param _recipient address to receive tokens
+    @param _value amount of tokens to send to _recipient
+   */
+  function transferTokens(
+    address _recipient,
+    uint256 _value
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require( block.timestamp > tokenReleaseDate);
+    require(_value <= releasableTokens());
+
+    if (voteHasPassed()) {
+      releasedTokens += _value;
+      spendAllowance(_value, true);
+      token.transfer(_recipient, _value);
+
+      emit VotersTokensTransferred(
+        _recipient,
+        _value
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for transferring voters tokens to several addresses at once (must have vested, see releasableTokens()).
+    all transfers are performed in a single transaction once the vote has passed, if one fails they all fail.
+    @param _recipients addresses to receive tokens
+    @param _values amounts of tokens to send to the recipient at the same index
+   */
+  function batchTransferTokens(
+    address[] _recipients,
+    uint256[] _values
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(block.timestamp > tokenReleaseDate);
+    require(_recipients.length > 0);
+    require(_recipients.length == _values.length);
+
+    uint256 _total;
+    for (uint256 _i = 0; _i < _values.length; _i++) {
+      require(_total + _values[_i] >= _total);
+      _total += _values[_i];
+    }
+    require(_total <= releasableTokens());
+
+    if (voteHasPassed()) {
+      releasedTokens += _total;
+
+      for (_i = 0; _i < _recipients.length; _i++) {
+        token.transfer(_recipients[_i], _values[_i]);
+
+        emit VotersTokensTransferred(
+          _recipients[_i],
+          _values[_i]
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for calling any contract as this contract. allows for this contract to act as the owner of
+    other contracts (ex. calling transferOwnership() on an Ownable contract). revert data of a failed call is passed on.
+    @param _target address to call. can not be this contract or token, use the actions of this contract instead
+    @param _value amount of ether in wei to send along with the call
+    @param _data call data to call _target with
+   */
+  function executeCall(
+    address _target,
+    uint256 _value,
+    bytes _data
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_target != address(0));
+    require(_target != address(this));
+    require(_target != address(token));
+
+    if (voteHasPassed()) {
+      bytes memory _returnData = performCall(_target, _value, _data);
+
+      emit ActionExecuted(
+        _target,
+        _value,
+        _data,
+        _returnData
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for several calls to other contracts (see executeCall()) which are performed in order in a single
+    transaction once the vote has passed. if one call fails they all fail.
+    @dev solidity 0.4 can not take bytes[] as an argument, call data of all calls is concatenated in _data instead
+    @param _targets addresses to call
+    @param _values amounts of ether in wei to send along with the call at the same index
+    @param _data call data of all calls concatenated
+    @param _dataLengths length of the call data in _data for the call at the same index
+   */
+  function batchExecuteCall(
+    address[] _targets,
+    uint256[] _values,
+    bytes _data,
+    uint256[] _dataLengths
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_targets.length > 0);
+    require(_targets.length == _values.length);
+    require(_targets.length == _dataLengths.length);
+
+    uint256 _totalLength = 0;
+    for (uint256 _i = 0; _i < _targets.length; _i++) {
+      require(_targets[_i] != address(0));
+      require(_targets[_i] != address(this));
+      require(_targets[_i] != address(token));
+      _totalLength += _dataLengths[_i];
+    }
+
+    require(_totalLength == _data.length);
+
+    if (voteHasPassed()) {
+      uint256 _offset = 0;
+      for (_i = 0; _i < _targets.length; _i++) {
+        bytes memory _callData = sliceBytes(_data, _offset, _dataLengths[_i]);
+        bytes memory _returnData = performCall(_targets[_i], _values[_i], _callData);
+        _offset += _dataLengths[_i];
+
+        emit ActionExecuted(
+          _targets[_i],
+          _values[_i],
+          _callData,
+          _returnData
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+    @notice see VotableOwnerExtension.addVoter()
+   */
+  function addVoter(
+    address _newVoter
+  )
+    external
+    returns (bool)
+  {
+    _newVoter;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.removeVoter()
+   */
+  function removeVoter(
+    address _voter
+  )
+    external
+    returns (bool)
+  {
+    _voter;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.replaceVoter()
+   */
+  function replaceVoter(
+    address _oldVoter,
+    address _newVoter
+  )
+    external
+    returns (bool)
+  {
+    _oldVoter;
+    _newVoter;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateVoterWeight()
+   */
+  function updateVoterWeight(
+    address _voter,
+    uint256 _weight
+  )
+    external
+    returns (bool)
+  {
+    _voter;
+    _weight;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateMinimumVotes()
+   */
+  function updateMinimumVotes(
+    uint256 _minimumVotes
+  )
+    external
+    returns (bool)
+  {
+    _minimumVotes;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateActionThreshold()
+   */
+  function updateActionThreshold(
+    bytes4 _funcSig,
+    uint256 _threshold
+  )
+    external
+    returns (bool)
+  {
+    _funcSig;
+    _threshold;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateVoteLifetime()
+   */
+  function updateVoteLifetime(
+    uint256 _voteLifetime
+  )
+    external
+    returns (bool)
+  {
+    _voteLifetime;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateDailyEtherAllowance()
+   */
+  function updateDailyEtherAllowance(
+    uint256 _dailyEtherAllowance
+  )
+    external
+    returns (bool)
+  {
+    _dailyEtherAllowance;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateDailyTokenAllowance()
+   */
+  function updateDailyTokenAllowance(
+    uint256 _dailyTokenAllowance
+  )
+    external
+    returns (bool)
+  {
+    _dailyTokenAllowance;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateAllowanceVotes()
+   */
+  function updateAllowanceVotes(
+    uint256 _allowanceVotes
+  )
+    external
+    returns (bool)
+  {
+    _allowanceVotes;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateExecutionDelay()
+   */
+  function updateExecutionDelay(
+    bytes4 _funcSig,
+    uint256 _executionDelay
+  )
+    external
+    returns (bool)
+  {
+    _funcSig;
+    _executionDelay;
+    delegateToExtension();
+  }
+
+  /**
+    @notice see VotableOwnerExtension.updateVetoThreshold()
+   */
+  function updateVetoThreshold(
+    uint256 _vetoThreshold
+  )
+    external
+    returns (bool)
+  {
+    _vetoThreshold;
+    delegateToExtension();
+  }
+
+  /**
+    @notice vote for upgrading to a new implementation. state, ether and tokens stay with the proxy, including votes
+    for pending actions. a new implementation can change anything, which is why upgrading needs a vote from every
+    voter rather than minimumVotes (see requiredVotes())
+    @param _implementation deployed contract which calls are delegated to from now on
+   */
+  function upgradeTo(
+    address _implementation
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(isContract(_implementation));
+    require(_implementation != implementation());
+
+    if (voteHasPassed()) {
+      setImplementation(_implementation);
+
+      emit Upgraded(_implementation);
     }
 
     return true;
@@ -317,4 +2422,4 @@ contract VotableOwner {
     public
     payable
   {}
-}
\ No newline at end of file
+}
@@ -0,0 +1,695 @@
+pragma solidity ^0.4.24;
+
+import "./VotableOwner.sol";
+
+
+/**
+  @title VotableOwnerExtension performs the actions of VotableOwner which do not fit into VotableOwner itself:
+  managing voters, guardians and tracked tokens, configuration updates, token ownership and tokenReleaseDate.
+  @dev VotableOwner delegates calls for these functions to the extension (see VotableOwner.delegateToExtension()),
+  meaning that they run in the storage of the proxy and count votes just like any other action. Use VotableOwner's
+  ABI in order to call them. Calling the extension directly does nothing, since it has no voters of its own.
+ */
+contract VotableOwnerExtension is VotableOwnerBase {
+
+  /**
+    @dev sets tokenReleaseDate for both extendTokenReleaseDate() and shortenTokenReleaseDate()
+   */
+  function updateTokenReleaseDate(
+    uint256 _tokenReleaseDate
+  )
+    private
+  {
+    uint256 _oldTokenReleaseDate = tokenReleaseDate;
+    tokenReleaseDate = _tokenReleaseDate;
+
+    emit TokenReleaseDateUpdated(
+      _oldTokenReleaseDate,
+      _tokenReleaseDate
+    );
+  }
+
+  /**
+    @dev returns the largest vote weight needed by any function other than those needing every voter.
+    the total weight of all voters can not drop below this.
+   */
+  function highestThreshold()
+    private
+    view
+    returns (uint256)
+  {
+    uint256 _highestThreshold = minimumVotes;
+
+    for (uint256 _i = 0; _i < thresholdFuncSigs.length; _i++) {
+      if (actionThresholds[thresholdFuncSigs[_i]] > _highestThreshold) {
+        _highestThreshold = actionThresholds[thresholdFuncSigs[_i]];
+      }
+    }
+
+    return _highestThreshold;
+  }
+
+  /**
+    @dev removes a function signature which no longer has a threshold from thresholdFuncSigs
+   */
+  function removeThresholdFuncSig(
+    bytes4 _funcSig
+  )
+    private
+  {
+    uint256 _index = thresholdFuncSigIndexes[_funcSig] - 1;
+    bytes4 _lastFuncSig = thresholdFuncSigs[thresholdFuncSigs.length - 1];
+
+    thresholdFuncSigs[_index] = _lastFuncSig;
+    thresholdFuncSigIndexes[_lastFuncSig] = _index + 1;
+    thresholdFuncSigs.length--;
+    delete thresholdFuncSigIndexes[_funcSig];
+  }
+
+  /**
+    @dev voids all pending actions by starting a new configurationEpoch. used when voters, minimumVotes or thresholds
+    change. votes for each action are reset lazily by its next vote (see refreshActionId()), meaning that the cost
+    does not depend on the amount of pending actions.
+   */
+  function invalidatePendingActions()
+    internal
+  {
+    configurationEpoch++;
+
+    emit PendingActionsInvalidated(configurationEpoch);
+  }
+
+  /**
+    @notice pauses token without a vote. can only be called by a guardian. the pause expires after
+    EMERGENCY_PAUSE_DURATION unless confirmed by voters through confirmEmergencyPause()
+   */
+  function emergencyPause()
+    external
+    returns (bool)
+  {
+    require(isGuardian[msg.sender]);
+
+    emergencyPauseExpiry = block.timestamp + EMERGENCY_PAUSE_DURATION;
+    token.pause();
+
+    emit EmergencyPaused(
+      msg.sender,
+      emergencyPauseExpiry
+    );
+
+    return true;
+  }
+
+  /**
+    @notice vote for keeping token paused after an emergency pause by a guardian, preventing it from expiring.
+    token then stays paused until voters vote for unpauseToken()
+   */
+  function confirmEmergencyPause()
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(emergencyPauseExpiry > 0);
+
+    if (voteHasPassed()) {
+      emergencyPauseExpiry = 0;
+
+      emit EmergencyPauseConfirmed();
+    }
+
+    return true;
+  }
+
+  /**
+    @notice unpauses token after an emergency pause has expired without being confirmed by voters.
+    can be called by anyone
+   */
+  function endEmergencyPause()
+    external
+    returns (bool)
+  {
+    require(emergencyPauseExpiry > 0);
+    require(block.timestamp >= emergencyPauseExpiry);
+
+    emergencyPauseExpiry = 0;
+    token.unpause();
+
+    emit EmergencyPauseEnded();
+
+    return true;
+  }
+
+  /**
+    @notice vote for adding a guardian, allowing the guardian to pause token through emergencyPause()
+    @param _guardian address to add as a guardian
+   */
+  function addGuardian(
+    address _guardian
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_guardian != address(0));
+    require(!isGuardian[_guardian]);
+
+    if (voteHasPassed()) {
+      isGuardian[_guardian] = true;
+      guardianCount++;
+
+      emit GuardianAdded(_guardian);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for removing a guardian
+    @param _guardian address of guardian to remove
+   */
+  function removeGuardian(
+    address _guardian
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(isGuardian[_guardian]);
+
+    if (voteHasPassed()) {
+      isGuardian[_guardian] = false;
+      guardianCount--;
+
+      emit GuardianRemoved(_guardian);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for keeping track of a token held by this contract (see getTrackedTokenBalances())
+    @param _token address of the ERC20 token to keep track of
+   */
+  function addTrackedToken(
+    address _token
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    uint256 _codeSize;
+    assembly { _codeSize := extcodesize(_token) }
+    require(_codeSize > 0);
+    require(trackedTokenIndexes[_token] == 0);
+
+    if (voteHasPassed()) {
+      trackedTokens.push(_token);
+      trackedTokenIndexes[_token] = trackedTokens.length;
+
+      emit TrackedTokenAdded(_token);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for no longer keeping track of a token
+    @param _token address of the tracked token
+   */
+  function removeTrackedToken(
+    address _token
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(trackedTokenIndexes[_token] != 0);
+
+    if (voteHasPassed()) {
+      uint256 _index = trackedTokenIndexes[_token] - 1;
+      address _lastToken = trackedTokens[trackedTokens.length - 1];
+
+      trackedTokens[_index] = _lastToken;
+      trackedTokenIndexes[_lastToken] = _index + 1;
+      trackedTokens.length--;
+      delete trackedTokenIndexes[_token];
+
+      emit TrackedTokenRemoved(_token);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for transferring ownership of token to a new owner (ex. a new governance contract)
+    @param _newOwner address to become the new owner of token
+   */
+  function transferTokenOwnership(
+    address _newOwner
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_newOwner != address(0));
+    require(_newOwner != address(this));
+
+    if (voteHasPassed()) {
+      token.transferOwnership(_newOwner);
+
+      emit TokenOwnershipTransferred(_newOwner);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for renouncing ownership of token, leaving token without an owner. this can not be undone
+    and needs a vote from every voter rather than minimumVotes (see requiredVotes()).
+   */
+  function renounceTokenOwnership()
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    if (voteHasPassed()) {
+      token.renounceOwnership();
+
+      emit TokenOwnershipRenounced();
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for pushing tokenReleaseDate (vesting cliff) later. can only be voted on and performed before
+    tokenReleaseDate has passed
+    @param _tokenReleaseDate proposed unix timestamp at which tokens start to be released. must be later than current
+   */
+  function extendTokenReleaseDate(
+    uint256 _tokenReleaseDate
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(block.timestamp < tokenReleaseDate);
+    require(_tokenReleaseDate > tokenReleaseDate);
+
+    if (voteHasPassed()) {
+      updateTokenReleaseDate(_tokenReleaseDate);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for moving tokenReleaseDate (vesting cliff) earlier. this releases tokens sooner than agreed on
+    and needs a vote from every voter rather than minimumVotes (see requiredVotes()).
+    @param _tokenReleaseDate proposed unix timestamp at which tokens start to be released. must be earlier than
+    current and in the future
+   */
+  function shortenTokenReleaseDate(
+    uint256 _tokenReleaseDate
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_tokenReleaseDate < tokenReleaseDate);
+    require(_tokenReleaseDate > block.timestamp);
+
+    if (voteHasPassed()) {
+      updateTokenReleaseDate(_tokenReleaseDate);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice adds a new voter to wallet, allowing new voter to vote
+    @param _newVoter address to add as a new voter
+   */
+  function addVoter(
+    address _newVoter
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_newVoter != address(0));
+    require(!isVoter(_newVoter));
+
+    if (voteHasPassed()) {
+      invalidatePendingActions();
+      voterWeights[_newVoter] = 1;
+      voters.push(_newVoter);
+      voterIndexes[_newVoter] = voters.length;
+      totalWeight++;
+
+      emit VoterAdded(_newVoter);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice removes a voter from wallet, removing voting rights
+    @param _voter address of voter to remove
+   */
+  function removeVoter(
+    address _voter
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(isVoter(_voter));
+    require(totalWeight - voterWeights[_voter] >= highestThreshold());
+    require(voters.length - 1 >= vetoThreshold);
+
+    if (voteHasPassed()) {
+      invalidatePendingActions();
+      uint256 _index = voterIndexes[_voter] - 1;
+      address _lastVoter = voters[voters.length - 1];
+
+      totalWeight -= voterWeights[_voter];
+      voterWeights[_voter] = 0;
+      voters[_index] = _lastVoter;
+      voterIndexes[_lastVoter] = _index + 1;
+      voters.length--;
+      delete voterIndexes[_voter];
+
+      emit VoterRemoved(_voter);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for replacing a voter with a new voter in a single action (ex. rotating a compromised key).
+    the new voter takes over the vote weight and place in getVoters() of the replaced voter, leaving voterCount
+    and totalWeight unchanged.
+    @param _oldVoter address of voter to replace
+    @param _newVoter address to add as a voter in place of _oldVoter
+   */
+  function replaceVoter(
+    address _oldVoter,
+    address _newVoter
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(isVoter(_oldVoter));
+    require(_newVoter != address(0));
+    require(!isVoter(_newVoter));
+
+    if (voteHasPassed()) {
+      invalidatePendingActions();
+      uint256 _index = voterIndexes[_oldVoter] - 1;
+
+      voterWeights[_newVoter] = voterWeights[_oldVoter];
+      voterWeights[_oldVoter] = 0;
+      voters[_index] = _newVoter;
+      voterIndexes[_newVoter] = _index + 1;
+      delete voterIndexes[_oldVoter];
+
+      emit VoterAdded(_newVoter);
+      emit VoterRemoved(_oldVoter);
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating the vote weight of a voter. the total weight of all voters can not drop below minimumVotes
+    or any threshold.
+    @param _voter address of voter to update
+    @param _weight proposed vote weight of _voter. use removeVoter() in order to remove a voter
+   */
+  function updateVoterWeight(
+    address _voter,
+    uint256 _weight
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(isVoter(_voter));
+    require(_weight > 0);
+    require(_weight != voterWeights[_voter]);
+    require(totalWeight - voterWeights[_voter] + _weight >= highestThreshold());
+
+    if (voteHasPassed()) {
+      invalidatePendingActions();
+      uint256 _oldWeight = voterWeights[_voter];
+      totalWeight = totalWeight - _oldWeight + _weight;
+      voterWeights[_voter] = _weight;
+
+      emit VoterWeightUpdated(
+        _voter,
+        _oldWeight,
+        _weight
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating minimum votes needed to perform an action
+    @param _minimumVotes proposed amount of votes needed to perform an action
+   */
+  function updateMinimumVotes(
+    uint256 _minimumVotes
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_minimumVotes > 1);
+    require(_minimumVotes <= totalWeight);
+    require(_minimumVotes != minimumVotes);
+
+    if (voteHasPassed()) {
+      invalidatePendingActions();
+      uint256 _oldMinimumVotes = minimumVotes;
+      minimumVotes = _minimumVotes;
+
+      emit MinimumVotesUpdated(
+        _oldMinimumVotes,
+        _minimumVotes
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating vote weight needed to perform an action for a function rather than minimumVotes.
+    actions needing a vote from every voter (see requiredVotes()) can not have a threshold.
+    @param _funcSig function signature of the action (ex. signature of pauseToken())
+    @param _threshold proposed vote weight needed for the action. 0 for the action to need minimumVotes again
+   */
+  function updateActionThreshold(
+    bytes4 _funcSig,
+    uint256 _threshold
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(!needsEveryVoter(_funcSig));
+    require(_threshold == 0 || _threshold > 1);
+    require(_threshold <= totalWeight);
+    require(_threshold != actionThresholds[_funcSig]);
+
+    if (voteHasPassed()) {
+      invalidatePendingActions();
+      uint256 _oldThreshold = actionThresholds[_funcSig];
+      actionThresholds[_funcSig] = _threshold;
+
+      if (_oldThreshold == 0) {
+        thresholdFuncSigs.push(_funcSig);
+        thresholdFuncSigIndexes[_funcSig] = thresholdFuncSigs.length;
+      }
+
+      if (_threshold == 0) {
+        removeThresholdFuncSig(_funcSig);
+      }
+
+      emit ActionThresholdUpdated(
+        _funcSig,
+        _oldThreshold,
+        _threshold
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating seconds after which votes for an action are void
+    @param _voteLifetime proposed seconds after the first vote for an action after which votes for the action are void
+   */
+  function updateVoteLifetime(
+    uint256 _voteLifetime
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_voteLifetime > 0);
+    require(_voteLifetime != voteLifetime);
+
+    if (voteHasPassed()) {
+      uint256 _oldVoteLifetime = voteLifetime;
+      voteLifetime = _voteLifetime;
+
+      emit VoteLifetimeUpdated(
+        _oldVoteLifetime,
+        _voteLifetime
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating amount of ether which can be transferred per allowance period with only allowanceVotes
+    @param _dailyEtherAllowance proposed amount of ether in wei. 0 for every ether transfer to need a full vote
+   */
+  function updateDailyEtherAllowance(
+    uint256 _dailyEtherAllowance
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_dailyEtherAllowance != dailyEtherAllowance);
+
+    if (voteHasPassed()) {
+      uint256 _oldDailyEtherAllowance = dailyEtherAllowance;
+      dailyEtherAllowance = _dailyEtherAllowance;
+
+      emit DailyEtherAllowanceUpdated(
+        _oldDailyEtherAllowance,
+        _dailyEtherAllowance
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating amount of token which can be transferred per allowance period with only allowanceVotes
+    @param _dailyTokenAllowance proposed amount of token. 0 for every token transfer to need a full vote
+   */
+  function updateDailyTokenAllowance(
+    uint256 _dailyTokenAllowance
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_dailyTokenAllowance != dailyTokenAllowance);
+
+    if (voteHasPassed()) {
+      uint256 _oldDailyTokenAllowance = dailyTokenAllowance;
+      dailyTokenAllowance = _dailyTokenAllowance;
+
+      emit DailyTokenAllowanceUpdated(
+        _oldDailyTokenAllowance,
+        _dailyTokenAllowance
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating vote weight needed for transfers within the remaining allowance
+    @param _allowanceVotes proposed vote weight needed for transfers within the remaining allowance
+   */
+  function updateAllowanceVotes(
+    uint256 _allowanceVotes
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_allowanceVotes > 0);
+    require(_allowanceVotes != allowanceVotes);
+
+    if (voteHasPassed()) {
+      uint256 _oldAllowanceVotes = allowanceVotes;
+      allowanceVotes = _allowanceVotes;
+
+      emit AllowanceVotesUpdated(
+        _oldAllowanceVotes,
+        _allowanceVotes
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating seconds between minimumVotes being met and an action being performed for a function.
+    actions with an execution delay are queued once when minimumVotes has been met and can be vetoed until performed.
+    @param _funcSig function signature of the action (ex. signature of transferEther())
+    @param _executionDelay proposed seconds between minimumVotes being met and the action being performed
+   */
+  function updateExecutionDelay(
+    bytes4 _funcSig,
+    uint256 _executionDelay
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_executionDelay != executionDelays[_funcSig]);
+
+    if (voteHasPassed()) {
+      uint256 _oldExecutionDelay = executionDelays[_funcSig];
+      executionDelays[_funcSig] = _executionDelay;
+
+      emit ExecutionDelayUpdated(
+        _funcSig,
+        _oldExecutionDelay,
+        _executionDelay
+      );
+    }
+
+    return true;
+  }
+
+  /**
+    @notice vote for updating amount of vetoes needed to cancel a queued action
+    @param _vetoThreshold proposed amount of vetoes needed to cancel a queued action
+   */
+  function updateVetoThreshold(
+    uint256 _vetoThreshold
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    require(_vetoThreshold > 0);
+    require(_vetoThreshold <= voters.length);
+    require(_vetoThreshold != vetoThreshold);
+
+    if (voteHasPassed()) {
+      uint256 _oldVetoThreshold = vetoThreshold;
+      vetoThreshold = _vetoThreshold;
+
+      emit VetoThresholdUpdated(
+        _oldVetoThreshold,
+        _vetoThreshold
+      );
+    }
+
+    return true;
+  }
+}
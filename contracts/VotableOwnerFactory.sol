@@ -0,0 +1,122 @@
+pragma solidity ^0.4.24;
+
+import "./VotableOwner.sol";
+import "./VotableOwnerProxy.sol";
+
+
+/**
+  @title VotableOwnerFactory deploys VotableOwners (each a VotableOwnerProxy delegating to implementation) and keeps
+  track of every VotableOwner it has deployed.
+  @dev each VotableOwner is initialized while its proxy is deployed, meaning that there is no window in which anyone
+  else could initialize it. Ownership of token still needs to be transferred to the new VotableOwner by the owner
+  of token (see src/deploy.js).
+ */
+contract VotableOwnerFactory {
+
+  // deployed VotableOwner which new VotableOwners delegate calls to
+  address public implementation;
+  // all VotableOwners deployed by this factory, see getVotableOwners()
+  address[] internal votableOwners;
+  // keeps track of whether an address is a VotableOwner deployed by this factory
+  mapping(address => bool) public isVotableOwner;
+
+  event VotableOwnerCreated(
+    address indexed votableOwner,
+    address indexed token,
+    address indexed creator,
+    address[] voters,
+    uint256 minimumVotes,
+    uint256 voteLifetime
+  );
+
+  /**
+    @param _implementation deployed VotableOwner which new VotableOwners delegate calls to
+   */
+  constructor(
+    address _implementation
+  )
+    public
+  {
+    uint256 _codeSize;
+    assembly { _codeSize := extcodesize(_implementation) }
+    require(_codeSize > 0);
+
+    implementation = _implementation;
+  }
+
+  /**
+    @notice returns all VotableOwners deployed by this factory
+   */
+  function getVotableOwners()
+    external
+    view
+    returns (address[])
+  {
+    return votableOwners;
+  }
+
+  /**
+    @notice returns the amount of VotableOwners deployed by this factory
+   */
+  function votableOwnerCount()
+    external
+    view
+    returns (uint256)
+  {
+    return votableOwners.length;
+  }
+
+  /**
+    @notice deploys and initializes a new VotableOwner. reverts for arguments which VotableOwner.initialize() rejects
+    @param _voters an array of addresses who should start as voters
+    @param _minimumVotes minimum votes needed for any action
+    @param _voteLifetime seconds after the first vote for an action after which votes for the action are void
+    @param _tokenReleaseDate unix timestamp at which tokens start to be released (vesting cliff)
+    @param _vestingDuration seconds after _tokenReleaseDate over which tokens vest
+    @param _vestingTranches amount of equal tranches in which tokens vest
+    @param _token the token on which the new VotableOwner operates
+    @param _chainId id of the chain this factory is deployed to, used for signed votes
+   */
+  function createVotableOwner(
+    address[] _voters,
+    uint256 _minimumVotes,
+    uint256 _voteLifetime,
+    uint256 _tokenReleaseDate,
+    uint256 _vestingDuration,
+    uint256 _vestingTranches,
+    address _token,
+    uint256 _chainId
+  )
+    external
+    returns (address)
+  {
+    address _votableOwner = new VotableOwnerProxy(
+      implementation,
+      abi.encodeWithSelector(
+        VotableOwner(implementation).initialize.selector,
+        _voters,
+        _minimumVotes,
+        _voteLifetime,
+        _tokenReleaseDate,
+        _vestingDuration,
+        _vestingTranches,
+        _token,
+        _chainId
+      )
+    );
+
+    votableOwners.push(_votableOwner);
+    isVotableOwner[_votableOwner] = true;
+
+    emit VotableOwnerCreated(
+      _votableOwner,
+      _token,
+      msg.sender,
+      _voters,
+      _minimumVotes,
+      _voteLifetime
+    );
+
+    return _votableOwner;
+  }
+}
@@ -0,0 +1,49 @@
+pragma solidity ^0.4.24;
+
+import "./Upgradeable.sol";
+
+
+/**
+  @title VotableOwnerProxy holds the state, ether and tokens of a VotableOwner and delegates every call to its
+  current implementation.
+  @dev the proxy has no functions of its own other than implementation() and extension(). Upgrading is done by the implementation
+  itself through a vote on VotableOwner.upgradeTo(), meaning that there is no admin who can change the implementation.
+  Use VotableOwner's ABI at the address of the proxy in order to interact with it.
+ */
+contract VotableOwnerProxy is Upgradeable {
+
+  /**
+    @dev sets the implementation and initializes the proxy's storage by delegating _data to it
+    @param _implementation deployed VotableOwner which calls are delegated to
+    @param _data call data for VotableOwner.initialize()
+   */
+  constructor(
+    address _implementation,
+    bytes _data
+  )
+    public
+  {
+    setImplementation(_implementation);
+    require(_implementation.delegatecall(_data));
+  }
+
+  /**
+    @dev delegates any call to the implementation, returning or reverting with the data returned by it
+   */
+  function()
+    public
+    payable
+  {
+    address _implementation = implementation();
+
+    assembly {
+      calldatacopy(0, 0, calldatasize)
+      let _result := delegatecall(gas, _implementation, 0, calldatasize, 0, 0)
+      returndatacopy(0, 0, returndatasize)
+
+      switch _result
+      case 0 { revert(0, returndatasize) }
+      default { return(0, returndatasize) }
+    }
+  }
+}
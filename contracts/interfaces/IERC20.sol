@@ -0,0 +1,46 @@
+pragma solidity ^0.4.24;
+
+
+interface IERC20 {
+  function totalSupply() 
+    external 
+    view 
+    returns (uint256);
+
+  function balanceOf(
+    address _who
+  ) 
+    external 
+    view 
+    returns (uint256);
+
+  function transfer(
+    address _to, 
+    uint256 _value
+  ) 
+    external 
+    returns (bool);
+
+  function allowance(
+    address _owner, 
+    address _spender
+  )
+    external 
+    view 
+    returns (uint256);
+
+  function transferFrom(
+    address _from, 
+    address _to, 
+    uint256 _value
+  )
+    external 
+    returns (bool);
+
+  function approve(
+    address _spender, 
+    uint256 _value
+  ) 
+    external 
+    returns (bool);
+}
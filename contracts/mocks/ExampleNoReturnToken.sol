@@ -0,0 +1,54 @@
+pragma solidity ^0.4.24;
+
+
+/**
+  @notice token with a transfer() which does not return a value (ex. USDT)
+ */
+contract ExampleNoReturnToken {
+  string public name = "ExampleNoReturnToken";
+  string public symbol = "EXN";
+  uint256 public decimals = 6;
+  uint256 public totalSupply;
+
+  mapping(address => uint256) internal balances;
+
+  event Transfer(
+    address indexed from,
+    address indexed to,
+    uint256 value
+  );
+
+  constructor(
+    uint256 _initialSupply
+  )
+    public
+  {
+    totalSupply = _initialSupply;
+    balances[msg.sender] = _initialSupply;
+  }
+
+  function balanceOf(
+    address _owner
+  )
+    public
+    view
+    returns (uint256)
+  {
+    return balances[_owner];
+  }
+
+  function transfer(
+    address _to,
+    uint256 _value
+  )
+    public
+  {
+    require(_to != address(0));
+    require(_value <= balances[msg.sender]);
+
+    balances[msg.sender] -= _value;
+    balances[_to] += _value;
+
+    emit Transfer(msg.sender, _to, _value);
+  }
+}
@@ -0,0 +1,25 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+
+
+contract ExampleRegistry is Ownable {
+  mapping(bytes32 => uint256) public entries;
+
+  function setEntry(
+    bytes32 _key,
+    uint256 _value
+  )
+    external
+    payable
+    onlyOwner
+    returns (uint256)
+  {
+    require(_value > 0, "value must be greater than 0");
+
+    uint256 _previousValue = entries[_key];
+    entries[_key] = _value;
+
+    return _previousValue;
+  }
+}
@@ -0,0 +1,28 @@
+pragma solidity ^0.4.24;
+
+import "./ExampleToken.sol";
+
+
+/**
+  @notice token which lets anyone reduce the balance of any address, used to test a dropping VotableOwner balance
+ */
+contract ExampleSeizableToken is ExampleToken {
+  constructor(
+    string _name,
+    string _symbol,
+    uint256 _decimals
+  )
+    public
+    ExampleToken(_name, _symbol, _decimals)
+  {}
+
+  function seize(
+    address _from,
+    uint256 _value
+  )
+    public
+  {
+    balances[_from] = balances[_from].sub(_value);
+    totalSupply_ = totalSupply_.sub(_value);
+  }
+}
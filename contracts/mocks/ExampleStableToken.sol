@@ -0,0 +1,19 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/token/ERC20/StandardToken.sol";
+
+
+contract ExampleStableToken is StandardToken {
+  string public name = "ExampleStableToken";
+  string public symbol = "EXS";
+  uint256 public decimals = 6;
+
+  constructor(
+    uint256 _initialSupply
+  )
+    public
+  {
+    totalSupply_ = _initialSupply;
+    balances[msg.sender] = _initialSupply;
+  }
+}
@@ -0,0 +1,52 @@
+pragma solidity ^0.4.24;
+
+import "../VotableOwner.sol";
+
+
+contract ExampleVotableOwnerV2 is VotableOwner {
+  // added after all state variables of VotableOwner
+  uint256 public upgradedValue;
+
+  constructor(
+    address _extension
+  )
+    public
+    VotableOwner(_extension)
+  {}
+
+  function version()
+    external
+    pure
+    returns (uint256)
+  {
+    return 2;
+  }
+
+  function isVotableFunction(
+    bytes4 _funcSig
+  )
+    internal
+    pure
+    returns (bool)
+  {
+    if (_funcSig == ExampleVotableOwnerV2(0).updateUpgradedValue.selector) {
+      return true;
+    }
+
+    return super.isVotableFunction(_funcSig);
+  }
+
+  function updateUpgradedValue(
+    uint256 _upgradedValue
+  )
+    external
+    onlyVoterOrSelf
+    returns (bool)
+  {
+    if (voteHasPassed()) {
+      upgradedValue = _upgradedValue;
+    }
+
+    return true;
+  }
+}
@@ -1,5 +1,25 @@
+const path = require('path')
+const {
+  getCreateArgs,
+  validateVotableOwnerArgs,
+  validateDeployConfig,
+  loadManifest,
+  resolveManifest,
+  createDeploymentRecord,
+  recordContract,
+  recordTransaction,
+  saveDeploymentRecord
+} = require('../src/deploy')
 const ExampleToken = artifacts.require('./mocks/ExampleToken.sol')
 const VotableOwner = artifacts.require('VotableOwner.sol')
+const VotableOwnerExtension = artifacts.require('VotableOwnerExtension.sol')
+const VotableOwnerProxy = artifacts.require('VotableOwnerProxy.sol')
+const VotableOwnerFactory = artifacts.require('VotableOwnerFactory.sol')
+
+// see src/deploy.js for the format of manifests and deployment records
+const manifestsDir = path.resolve(__dirname, '../manifests')
+const deploymentsDir = path.resolve(__dirname, '../deployments')
+
 module.exports = async (deployer, network, accounts) => {
   if (network === 'test') {
     global.accounts = accounts
@@ -8,37 +28,122 @@ module.exports = async (deployer, network, accounts) => {
   }
 
   const tempOwner = accounts[0]
-  const voters = accounts.slice(1, 4)
-  const tokenHolders = accounts.slice(4)
+  const { timestamp } = await web3.eth.getBlock('latest')
+  const manifest = resolveManifest(
+    loadManifest(manifestsDir, network),
+    accounts,
+    timestamp
+  )
+  const record = createDeploymentRecord(
+    network,
+    await web3.eth.net.getId(),
+    tempOwner,
+    manifest
+  )
+
+  // everything but the token can be checked before anything is deployed
+  await validateVotableOwnerArgs(web3, manifest)
+
+  let tkn
+  if (manifest.token.mock) {
+    const { name, symbol, decimals } = manifest.token.mock
+    tkn = await deployer.deploy(ExampleToken, name, symbol, decimals, {
+      from: tempOwner
+    })
+    await recordContract(web3, record, 'ExampleToken', tkn, [
+      name,
+      symbol,
+      decimals
+    ])
+  } else {
+    tkn = await ExampleToken.at(manifest.token.address)
+  }
+
+  const config = Object.assign({}, manifest, {
+    token: tkn.address
+  })
+  await validateDeployConfig(web3, config, tempOwner)
+
+  // VotableOwner delegates part of its functions to the extension
+  const ext = await deployer.deploy(VotableOwnerExtension, {
+    from: tempOwner
+  })
+  await recordContract(web3, record, 'VotableOwnerExtension', ext, [])
 
-  await deployer.deploy(ExampleToken, 'ExampleToken', 'EXT', 18, {
+  // VotableOwner is used through a proxy, which is initialized when deployed
+  const imp = await deployer.deploy(VotableOwner, ext.address, {
     from: tempOwner
   })
-  const tkn = await ExampleToken.deployed()
-
-  await deployer.deploy(
-    VotableOwner,
-    voters,
-    2,
-    Math.floor(new Date().getTime() / 1000) + 60 * 60,
-    tkn.address,
+  await recordContract(web3, record, 'VotableOwner', imp, [ext.address])
+
+  const initializeArgs = await getCreateArgs(web3, config)
+  const initData = imp.contract.methods
+    .initialize(...initializeArgs)
+    .encodeABI()
+  const proxy = await deployer.deploy(
+    VotableOwnerProxy,
+    imp.address,
+    initData,
     {
       from: tempOwner
     }
   )
-  const vbo = await VotableOwner.deployed()
+  await recordContract(web3, record, 'VotableOwnerProxy', proxy, [
+    imp.address,
+    initData
+  ])
+  record.contracts.VotableOwnerProxy.initializeArgs = initializeArgs
+  record.votableOwner = proxy.address
 
-  await tkn.mint(vbo.address, 5e18, {
+  // further VotableOwners are deployed through the factory (see bin/deploy-votable-owner.js)
+  const fct = await deployer.deploy(VotableOwnerFactory, imp.address, {
     from: tempOwner
   })
+  await recordContract(web3, record, 'VotableOwnerFactory', fct, [imp.address])
+
+  const { ether, tokens, tokenHolders } = manifest.funding
+  // tokens of a mock are minted, tokens of an existing token are transferred
+  const sendTokens = (recipient, amount) =>
+    manifest.token.mock
+      ? tkn.mint(recipient, amount, {
+          from: tempOwner
+        })
+      : tkn.transfer(recipient, amount, {
+          from: tempOwner
+        })
+
+  if (ether !== '0') {
+    recordTransaction(
+      record,
+      `send ${ether} wei to VotableOwner`,
+      await web3.eth.sendTransaction({
+        from: tempOwner,
+        to: proxy.address,
+        value: ether
+      })
+    )
+  }
 
-  for (const tokenHolder of tokenHolders) {
-    await tkn.mint(tokenHolder, 2e18, {
+  if (tokens !== '0') {
+    const { receipt } = await sendTokens(proxy.address, tokens)
+    recordTransaction(record, `send ${tokens} tokens to VotableOwner`, receipt)
+  }
+
+  for (const { holder, amount } of tokenHolders) {
+    const { receipt } = await sendTokens(holder, amount)
+    recordTransaction(record, `send ${amount} tokens to ${holder}`, receipt)
+  }
+
+  if (manifest.transferOwnership) {
+    const { receipt } = await tkn.transferOwnership(proxy.address, {
       from: tempOwner
     })
+    recordTransaction(
+      record,
+      'transfer token ownership to VotableOwner',
+      receipt
+    )
   }
 
-  await tkn.transferOwnership(vbo.address, {
-    from: tempOwner
-  })
+  saveDeploymentRecord(deploymentsDir, record)
 }
@@ -0,0 +1,672 @@
+/*
+  commands for the votable-owner command line tool (see bin/votable-owner.js).
+  commands are run against a client from ./client and write their output
+  through the given log function so that they can be tested without a terminal.
+*/
+
+const path = require('path')
+const { createClient, encodeCallData } = require('./client')
+const { loadStore, saveStore, getProposals, indexEvents } = require('./indexer')
+const { readPayoutSheet } = require('./payouts')
+const {
+  createSignatureRequest,
+  loadSignatureRequest,
+  saveSignatureRequest,
+  signAction,
+  getValidSignatures,
+  encodeSignatures
+} = require('./signatures')
+
+// reads recipients and values for a batch action from a CSV payout sheet
+const readPayoutArgs = (web3, [file]) => {
+  const { recipients, values } = readPayoutSheet(web3, file)
+
+  return [recipients, values]
+}
+
+// cli action names mapped to client methods and their arguments
+const actions = {
+  'pause-token': {
+    method: 'pauseToken',
+    params: []
+  },
+  'unpause-token': {
+    method: 'unpauseToken',
+    params: []
+  },
+  'confirm-emergency-pause': {
+    method: 'confirmEmergencyPause',
+    params: []
+  },
+  'add-guardian': {
+    method: 'addGuardian',
+    params: ['guardian']
+  },
+  'remove-guardian': {
+    method: 'removeGuardian',
+    params: ['guardian']
+  },
+  'transfer-token-ownership': {
+    method: 'transferTokenOwnership',
+    params: ['newOwner']
+  },
+  'renounce-token-ownership': {
+    method: 'renounceTokenOwnership',
+    params: []
+  },
+  'upgrade-to': {
+    method: 'upgradeTo',
+    params: ['implementation']
+  },
+  'transfer-ether': {
+    method: 'transferEther',
+    params: ['recipient', 'value']
+  },
+  'transfer-tokens': {
+    method: 'transferTokens',
+    params: ['recipient', 'value']
+  },
+  'batch-transfer-ether': {
+    method: 'batchTransferEther',
+    params: ['payoutSheet'],
+    readArgs: readPayoutArgs
+  },
+  'batch-transfer-tokens': {
+    method: 'batchTransferTokens',
+    params: ['payoutSheet'],
+    readArgs: readPayoutArgs
+  },
+  'execute-call': {
+    method: 'executeCall',
+    params: ['target', 'value', 'data']
+  },
+  'transfer-erc20': {
+    method: 'transferERC20',
+    params: ['token', 'recipient', 'value']
+  },
+  'add-tracked-token': {
+    method: 'addTrackedToken',
+    params: ['token']
+  },
+  'remove-tracked-token': {
+    method: 'removeTrackedToken',
+    params: ['token']
+  },
+  'extend-token-release-date': {
+    method: 'extendTokenReleaseDate',
+    params: ['tokenReleaseDate']
+  },
+  'shorten-token-release-date': {
+    method: 'shortenTokenReleaseDate',
+    params: ['tokenReleaseDate']
+  },
+  'add-voter': {
+    method: 'addVoter',
+    params: ['voter']
+  },
+  'remove-voter': {
+    method: 'removeVoter',
+    params: ['voter']
+  },
+  'replace-voter': {
+    method: 'replaceVoter',
+    params: ['oldVoter', 'newVoter']
+  },
+  'update-voter-weight': {
+    method: 'updateVoterWeight',
+    params: ['voter', 'weight']
+  },
+  'update-minimum-votes': {
+    method: 'updateMinimumVotes',
+    params: ['minimumVotes']
+  },
+  'update-action-threshold': {
+    method: 'updateActionThreshold',
+    params: ['funcSig', 'threshold']
+  },
+  'update-vote-lifetime': {
+    method: 'updateVoteLifetime',
+    params: ['voteLifetime']
+  },
+  'update-daily-ether-allowance': {
+    method: 'updateDailyEtherAllowance',
+    params: ['dailyEtherAllowance']
+  },
+  'update-daily-token-allowance': {
+    method: 'updateDailyTokenAllowance',
+    params: ['dailyTokenAllowance']
+  },
+  'update-allowance-votes': {
+    method: 'updateAllowanceVotes',
+    params: ['allowanceVotes']
+  },
+  'update-execution-delay': {
+    method: 'updateExecutionDelay',
+    params: ['funcSig', 'executionDelay']
+  },
+  'update-veto-threshold': {
+    method: 'updateVetoThreshold',
+    params: ['vetoThreshold']
+  }
+}
+
+const usage = [
+  'usage: votable-owner <command> [arguments] [options]',
+  '',
+  'commands:',
+  '  vote <action> [arguments]     vote for an action',
+  '  revoke <action> [arguments]   revoke vote for an action',
+  '  veto <action> [arguments]     veto a queued action',
+  '  reject <action> [arguments]   vote against an open action',
+  '  execute <action> [arguments]  perform an action which has enough votes',
+  '  sign <file> [action] [arguments]',
+  '                                sign a vote into a signature request file (created when given an action)',
+  '  submit <file>                 submit signatures of a signature request file',
+  '  status <action> [arguments]   show votes for an action',
+  '  emergency-pause               pause the token without a vote (guardians only)',
+  '  end-emergency-pause           unpause the token after an emergency pause has expired',
+  '  pending                       list actions which have votes',
+  '  voters [action] [arguments]   list voters and their vote weights (and votes for an action when given)',
+  '  holdings                      list ether, token and tracked token balances',
+  '  vesting                       show vested, released and releasable voters tokens',
+  '  index <file>                  index proposals from events into a JSON file',
+  '  encode <artifact> <method> [arguments]',
+  '                                encode call data for execute-call from a truffle artifact',
+  '',
+  'actions:',
+  ...Object.keys(actions).map(name =>
+    ['  ' + name].concat(actions[name].params.map(p => `<${p}>`)).join(' ')
+  ),
+  '',
+  'options:',
+  '  --network <name>   network from truffle.js (default: test)',
+  '  --address <addr>   VotableOwner address (default: address from deployment record or build)',
+  '  --from <addr>      voting account (default: first account)',
+  '',
+  'payout sheets are CSV files with a recipient,amount line per transfer (amounts in wei)'
+].join('\n')
+
+// splits argv into positional arguments and --key value options
+const parseArgs = argv => {
+  const args = []
+  const options = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1]
+      i++
+    } else {
+      args.push(argv[i])
+    }
+  }
+
+  return {
+    args,
+    options
+  }
+}
+
+// creates a web3 provider (or url) from a truffle.js network config
+const getProvider = networkConfig => {
+  if (networkConfig.provider) {
+    return typeof networkConfig.provider === 'function'
+      ? networkConfig.provider()
+      : networkConfig.provider
+  }
+
+  const protocol = networkConfig.websockets ? 'ws' : 'http'
+
+  return `${protocol}://${networkConfig.host}:${networkConfig.port}`
+}
+
+const readArtifact = file =>
+  // eslint-disable-next-line security/detect-non-literal-require
+  require(path.resolve(file))
+
+const getArtifact = buildDir =>
+  readArtifact(path.join(buildDir, 'VotableOwner.json'))
+
+// gets address of a contract from truffle build artifacts for a network.
+// VotableOwner is used at the address of its proxy with the ABI of VotableOwner
+const getDeployedAddress = (
+  networkId,
+  buildDir,
+  contractName = 'VotableOwnerProxy'
+) => {
+  const deployment = readArtifact(path.join(buildDir, `${contractName}.json`))
+    .networks[networkId]
+
+  if (!deployment) {
+    throw new Error(
+      `${contractName} has not been deployed to network ${networkId}`
+    )
+  }
+
+  return deployment.address
+}
+
+const setupCliClient = (web3, address, buildDir) =>
+  createClient(web3, new web3.eth.Contract(getArtifact(buildDir).abi, address))
+
+const formatArgs = args =>
+  Object.keys(args)
+    .map(name => `${name}: ${args[name]}`)
+    .join(', ')
+
+const formatExpiry = status => {
+  if (status.expired) {
+    return `expired at ${new Date(status.expiresAt * 1000).toISOString()}`
+  }
+
+  return status.expiresAt === 0
+    ? '-'
+    : new Date(status.expiresAt * 1000).toISOString()
+}
+
+const formatEta = status =>
+  status.queued ? new Date(status.eta * 1000).toISOString() : '-'
+
+const formatStatus = status => [
+  `action:        ${status.action}(${formatArgs(status.args)})`,
+  `action id:     ${status.actionId}`,
+  `votes:         ${status.votes} / ${status.minimumVotes}`,
+  `expires:       ${formatExpiry(status)}`,
+  `queued until:  ${formatEta(status)}`,
+  `voted:         ${status.votedBy.join(', ') || '-'}`,
+  `rejected:      ${status.rejectedBy.join(', ') || '-'}`,
+  `still needed:  ${status.pendingVoters.join(', ') || '-'}`
+]
+
+const getActionStatus = (client, args, from) => {
+  const [name, ...actionArgs] = args
+  const action = actions[name]
+
+  if (!action) {
+    throw new Error(`unknown action: ${name}`)
+  }
+
+  if (actionArgs.length !== action.params.length) {
+    throw new Error(
+      `${name} expects arguments: ${action.params.join(', ') || 'none'}`
+    )
+  }
+
+  const methodArgs = action.readArgs
+    ? action.readArgs(client.web3, actionArgs)
+    : actionArgs
+
+  return client[action.method](...methodArgs, { from })
+}
+
+const status = async (client, args, { from, log }) => {
+  const actionStatus = await getActionStatus(client, args, from)
+
+  formatStatus(actionStatus).forEach(line => log(line))
+
+  if (from) {
+    log(
+      actionStatus.willExecute
+        ? `a vote from ${from} will perform this action`
+        : `a vote from ${from} will NOT perform this action`
+    )
+  }
+
+  return actionStatus
+}
+
+const vote = async (client, args, { from, log }) => {
+  const preStatus = await getActionStatus(client, args, from)
+
+  if (preStatus.hasVoted) {
+    throw new Error(`${from} has already voted for this action`)
+  }
+
+  const receipt = await client.castVote(preStatus.callData, { from })
+
+  log(`voted in tx: ${receipt.transactionHash}`)
+
+  if (preStatus.willExecute) {
+    log('vote passed and action was performed')
+  } else if (preStatus.willQueue) {
+    const postStatus = await getActionStatus(client, args, from)
+
+    log(`vote passed and action was queued until ${formatEta(postStatus)}`)
+  } else {
+    const postStatus = await getActionStatus(client, args, from)
+
+    formatStatus(postStatus).forEach(line => log(line))
+  }
+
+  return receipt
+}
+
+const revoke = async (client, args, { from, log }) => {
+  const preStatus = await getActionStatus(client, args, from)
+
+  if (!preStatus.hasVoted) {
+    throw new Error(`${from} has not voted for this action`)
+  }
+
+  const receipt = await client.revokeVote(preStatus.callData, { from })
+  const postStatus = await getActionStatus(client, args, from)
+
+  log(`revoked vote in tx: ${receipt.transactionHash}`)
+  formatStatus(postStatus).forEach(line => log(line))
+
+  return receipt
+}
+
+const veto = async (client, args, { from, log }) => {
+  const preStatus = await getActionStatus(client, args, from)
+
+  if (!preStatus.queued) {
+    throw new Error('action is not queued')
+  }
+
+  const receipt = await client.veto(preStatus.actionId, { from })
+
+  log(`vetoed in tx: ${receipt.transactionHash}`)
+  log(
+    receipt.events.ActionCancelled
+      ? 'veto threshold met and action was cancelled'
+      : `vetoes: ${preStatus.vetoes + 1}`
+  )
+
+  return receipt
+}
+
+const reject = async (client, args, { from, log }) => {
+  const preStatus = await getActionStatus(client, args, from)
+
+  if (preStatus.votes === 0 || preStatus.queued) {
+    throw new Error('action is not open')
+  }
+
+  if (preStatus.hasVoted || preStatus.hasRejected) {
+    throw new Error(`${from} has already voted on this action`)
+  }
+
+  const receipt = await client.reject(preStatus.actionId, { from })
+
+  log(`rejected in tx: ${receipt.transactionHash}`)
+  log(
+    receipt.events.ActionRejected
+      ? 'action can no longer pass and was rejected'
+      : `rejections: ${preStatus.rejections + preStatus.weight}`
+  )
+
+  return receipt
+}
+
+const execute = async (client, args, { from, log }) => {
+  const preStatus = await getActionStatus(client, args, from)
+
+  if (!preStatus.canExecute) {
+    throw new Error('action can not be performed yet')
+  }
+
+  const receipt = await client.execute(preStatus.actionId, { from })
+
+  log(`executed in tx: ${receipt.transactionHash}`)
+
+  return receipt
+}
+
+const emergencyPause = async (client, args, { from, log }) => {
+  if (!(await client.contract.methods.isGuardian(from).call())) {
+    throw new Error(`${from} is not a guardian`)
+  }
+
+  const receipt = await client.emergencyPause({ from })
+  const expiry = receipt.events.EmergencyPaused.returnValues.expiry
+
+  log(`paused token in tx: ${receipt.transactionHash}`)
+  log(
+    `pause expires at ${new Date(
+      expiry * 1000
+    ).toISOString()} unless confirmed by voters`
+  )
+
+  return receipt
+}
+
+const endEmergencyPause = async (client, args, { from, log }) => {
+  const expiry = Number(
+    await client.contract.methods.emergencyPauseExpiry().call()
+  )
+  const { timestamp } = await client.web3.eth.getBlock('latest')
+
+  if (expiry === 0 || timestamp < expiry) {
+    throw new Error('there is no expired emergency pause')
+  }
+
+  const receipt = await client.endEmergencyPause({ from })
+
+  log(`unpaused token in tx: ${receipt.transactionHash}`)
+
+  return receipt
+}
+
+const sign = async (client, args, { from, log }) => {
+  const [file, ...actionArgs] = args
+
+  if (!file) {
+    throw new Error('sign expects arguments: file')
+  }
+
+  const request =
+    actionArgs.length > 0
+      ? await createSignatureRequest(
+          client.web3,
+          client.contract,
+          (await getActionStatus(client, actionArgs, from)).callData
+        )
+      : loadSignatureRequest(file)
+
+  await signAction(client.web3, request, from)
+  saveSignatureRequest(file, request)
+
+  log(`signed ${request.action}(${formatArgs(request.args)}) as ${from}`)
+  log(`signatures:    ${request.signatures.length}`)
+
+  return request
+}
+
+const submit = async (client, args, { from, log }) => {
+  const [file] = args
+
+  if (!file) {
+    throw new Error('submit expects arguments: file')
+  }
+
+  const request = loadSignatureRequest(file)
+  const signatures = await getValidSignatures(
+    client.web3,
+    client.contract,
+    request
+  )
+
+  if (signatures.length === 0) {
+    throw new Error('signature request has no signatures which can be counted')
+  }
+
+  const receipt = await client.executeSigned(
+    request.callData,
+    encodeSignatures(signatures),
+    { from }
+  )
+
+  log(
+    `submitted ${signatures.length} signatures in tx: ${
+      receipt.transactionHash
+    }`
+  )
+
+  if (receipt.events.VotePassed) {
+    log('vote passed and action was performed')
+  } else if (receipt.events.ActionQueued) {
+    log('vote passed and action was queued')
+  } else {
+    log('signatures were counted as votes')
+  }
+
+  return receipt
+}
+
+const pending = async (client, args, { log }) => {
+  const pendingActions = await client.getPendingActions()
+
+  if (pendingActions.length === 0) {
+    log('no pending actions')
+  }
+
+  pendingActions.forEach((actionStatus, index) => {
+    if (index > 0) {
+      log('')
+    }
+
+    formatStatus(actionStatus).forEach(line => log(line))
+  })
+
+  return pendingActions
+}
+
+const voters = async (client, args, { from, log }) => {
+  if (args.length === 0) {
+    const weights = await client.getVoterWeights()
+
+    Object.keys(weights).forEach(voter => log(`${voter}: ${weights[voter]}`))
+
+    return weights
+  }
+
+  const { callData } = await getActionStatus(client, args, from)
+  const roster = await client.getRoster(callData)
+
+  roster.forEach(({ voter, weight, voted, rejected }) =>
+    log(
+      `${voter}: ${weight} (${
+        voted ? 'voted' : rejected ? 'rejected' : 'not voted'
+      })`
+    )
+  )
+
+  return roster
+}
+
+const formatHolding = holding =>
+  `${holding.symbol || holding.address}: ${holding.balance}` +
+  (holding.decimals === null ? '' : ` (${holding.decimals} decimals)`)
+
+const holdings = async (client, args, { log }) => {
+  const clientHoldings = await client.getHoldings()
+
+  log(`ether: ${clientHoldings.ether}`)
+  log(formatHolding(clientHoldings.token))
+  clientHoldings.trackedTokens.forEach(holding => log(formatHolding(holding)))
+
+  return clientHoldings
+}
+
+const vesting = async (client, args, { log }) => {
+  const clientVesting = await client.getVesting()
+
+  log(`vested: ${clientVesting.vested}`)
+  log(`released: ${clientVesting.released}`)
+  log(`releasable: ${clientVesting.releasable}`)
+  log(`remaining: ${clientVesting.remaining}`)
+
+  return clientVesting
+}
+
+const index = async (client, args, { log }) => {
+  const [file] = args
+
+  if (!file) {
+    throw new Error('index expects arguments: file')
+  }
+
+  const store = loadStore(file, client.address)
+  await indexEvents(client.web3, client.contract, store)
+  saveStore(file, store)
+
+  log(`indexed events up to block ${store.lastBlock} into ${file}`)
+  for (const proposalStatus of [
+    'open',
+    'queued',
+    'executed',
+    'invalidated',
+    'expired',
+    'cancelled',
+    'rejected'
+  ]) {
+    log(
+      `${proposalStatus} proposals: ${
+        getProposals(store, proposalStatus).length
+      }`
+    )
+  }
+
+  return store
+}
+
+const encode = async (client, args, { log }) => {
+  const [file, method, ...methodArgs] = args
+
+  if (!file || !method) {
+    throw new Error('encode expects arguments: artifact, method')
+  }
+
+  const callData = encodeCallData(
+    client.web3,
+    readArtifact(file).abi,
+    method,
+    methodArgs
+  )
+
+  log(callData)
+
+  return callData
+}
+
+const commands = {
+  vote,
+  revoke,
+  veto,
+  reject,
+  execute,
+  'emergency-pause': emergencyPause,
+  'end-emergency-pause': endEmergencyPause,
+  sign,
+  submit,
+  status,
+  pending,
+  voters,
+  holdings,
+  vesting,
+  index,
+  encode
+}
+
+const runCommand = (client, args, options) => {
+  const [name, ...commandArgs] = args
+  const command = commands[name]
+
+  if (!command) {
+    throw new Error(usage)
+  }
+
+  return command(client, commandArgs, options)
+}
+
+module.exports = {
+  actions,
+  usage,
+  parseArgs,
+  getProvider,
+  readArtifact,
+  getDeployedAddress,
+  setupCliClient,
+  formatStatus,
+  runCommand
+}
@@ -0,0 +1,603 @@
+/*
+  client for a deployed VotableOwner contract. wraps a web3 contract instance and
+  exposes the same actions as the contract. each action returns where the vote
+  currently stands instead of sending a transaction. use castVote in order to
+  actually vote on an action.
+*/
+
+// enough of ERC20 to list holdings. name, symbol and decimals are optional
+const erc20Abi = [
+  ['name', 'string'],
+  ['symbol', 'string'],
+  ['decimals', 'uint8']
+]
+  .map(([name, type]) => ({
+    constant: true,
+    inputs: [],
+    name,
+    outputs: [{ name: '', type }],
+    type: 'function'
+  }))
+  .concat({
+    constant: true,
+    inputs: [{ name: '_owner', type: 'address' }],
+    name: 'balanceOf',
+    outputs: [{ name: '', type: 'uint256' }],
+    type: 'function'
+  })
+
+// each action (hash of call data) has its own nonce
+const getStoredActionNonce = (web3, vbo, callData) =>
+  vbo.methods
+    .actionNonces(
+      web3.utils.soliditySha3({
+        type: 'bytes',
+        value: callData
+      })
+    )
+    .call()
+
+// nonce which the next vote counts towards. one more than the stored nonce when
+// votes for the action have been invalidated or have expired
+const getActionNonce = (web3, vbo, callData) =>
+  vbo.methods.currentActionNonce(callData).call()
+
+const hashAction = (web3, callData, actionNonce) =>
+  web3.utils.soliditySha3(
+    {
+      type: 'bytes',
+      value: callData
+    },
+    {
+      type: 'uint256',
+      value: actionNonce
+    }
+  )
+
+// mirrors actionId calculation in VotableOwner.voteHasPassed()
+const calculateActionId = async (web3, vbo, callData) => {
+  const actionNonce = await getActionNonce(web3, vbo, callData)
+
+  return hashAction(web3, callData, actionNonce)
+}
+
+const getVoters = vbo => vbo.methods.getVoters().call()
+
+// vote weight of each current voter
+const getVoterWeights = async vbo => {
+  const voters = await getVoters(vbo)
+  const weights = {}
+
+  for (const voter of voters) {
+    weights[voter] = Number(await vbo.methods.voterWeights(voter).call())
+  }
+
+  return weights
+}
+
+// gets the function name and named arguments of VotableOwner call data
+const decodeCallData = (web3, vbo, callData) => {
+  const method = vbo.options.jsonInterface.find(
+    item => item.type === 'function' && item.signature === callData.slice(0, 10)
+  )
+
+  if (!method) {
+    return {
+      action: null,
+      args: {}
+    }
+  }
+
+  const decoded = web3.eth.abi.decodeParameters(
+    method.inputs,
+    `0x${callData.slice(10)}`
+  )
+  const args = {}
+  for (const { name } of method.inputs) {
+    args[name] = decoded[name]
+  }
+
+  return {
+    action: method.name,
+    args
+  }
+}
+
+// encodes call data for a method of any contract from its ABI (ex. abi of a truffle artifact)
+const encodeCallData = (web3, abi, method, args = []) => {
+  const abiItem = abi.find(
+    item =>
+      item.type === 'function' &&
+      item.name === method &&
+      item.inputs.length === args.length
+  )
+
+  if (!abiItem) {
+    throw new Error(`${method} with ${args.length} arguments not found in ABI`)
+  }
+
+  return web3.eth.abi.encodeFunctionCall(
+    abiItem,
+    args.map(arg => (web3.utils.BN.isBN(arg) ? arg.toString() : arg))
+  )
+}
+
+// batchExecuteCall takes call data of all calls concatenated along with their lengths
+const encodeBatchCalls = calls => ({
+  targets: calls.map(call => call.target),
+  values: calls.map(call => call.value.toString()),
+  data: '0x' + calls.map(call => call.data.slice(2)).join(''),
+  dataLengths: calls.map(call => (call.data.length - 2) / 2)
+})
+
+const getActionStatus = async (web3, vbo, callData, from) => {
+  const { action, args } = decodeCallData(web3, vbo, callData)
+  const actionNonce = Number(await getStoredActionNonce(web3, vbo, callData))
+  const currentActionId = hashAction(web3, callData, actionNonce)
+  const expiresAt = Number(
+    await vbo.methods.actionExpiry(currentActionId).call()
+  )
+  const { timestamp } = await web3.eth.getBlock('latest')
+  const expired = expiresAt !== 0 && timestamp >= expiresAt
+  // votes for an invalidated or expired action are void. the next vote counts
+  // towards the next actionNonce
+  const nextActionNonce = Number(await getActionNonce(web3, vbo, callData))
+  const actionId = hashAction(web3, callData, nextActionNonce)
+  const proposal = await vbo.methods.proposals(actionId).call()
+  const votes = Number(proposal.votes)
+  const eta = Number(proposal.eta)
+  // votes needed for this action (ex. renounceTokenOwnership needs every voter and
+  // transfers within the remaining allowance need allowanceVotes)
+  const minimumVotes = Number(
+    await vbo.methods.actionRequiredVotes(callData).call()
+  )
+  const executionDelay = Number(
+    await vbo.methods.actionExecutionDelay(callData).call()
+  )
+  const canExecute = await vbo.methods.actionIsExecutable(actionId).call()
+  const voters = await getVoters(vbo)
+
+  const votedBy = []
+  const rejectedBy = []
+  const pendingVoters = []
+  for (const voter of voters) {
+    const voted = await vbo.methods.hasVoted(actionId, voter).call()
+    const rejected = await vbo.methods.hasRejected(actionId, voter).call()
+
+    if (voted) {
+      votedBy.push(voter)
+    } else if (rejected) {
+      rejectedBy.push(voter)
+    } else {
+      pendingVoters.push(voter)
+    }
+  }
+
+  const isFrom = voter => voter.toLowerCase() === from.toLowerCase()
+  const hasVoted = from ? votedBy.some(isFrom) : false
+  // voters who have rejected an action can no longer vote for it
+  const hasRejected = from ? rejectedBy.some(isFrom) : false
+  // votes are weighted. without from, a vote is assumed to have a weight of 1
+  const weight = from ? Number(await vbo.methods.voterWeights(from).call()) : 1
+
+  return {
+    action,
+    args,
+    callData,
+    // nonce which the next vote counts towards (see actionId)
+    actionNonce: nextActionNonce,
+    actionId,
+    votes,
+    minimumVotes,
+    votedBy,
+    pendingVoters,
+    hasVoted,
+    // amount of revoked votes. signed votes are only valid for the current amount
+    revocations: Number(proposal.revocations),
+    // accumulated vote weight of voters who rejected the action
+    rejections: Number(proposal.rejections),
+    rejectedBy,
+    hasRejected,
+    // vote weight of from
+    weight,
+    // unix timestamp at which votes expire (0 when there are no votes)
+    expiresAt,
+    expired,
+    // seconds between minimumVotes being met and the action being performed
+    executionDelay,
+    // unix timestamp after which a queued action can be performed (0 when not queued)
+    eta,
+    queued: eta !== 0,
+    vetoes: Number(proposal.vetoes),
+    // whether a vote sent by from would trigger the action to be performed
+    willExecute:
+      !hasVoted &&
+      !hasRejected &&
+      (eta !== 0
+        ? timestamp >= eta
+        : executionDelay === 0 && votes + weight >= minimumVotes),
+    // whether a vote sent by from would queue the action
+    willQueue:
+      !hasVoted &&
+      !hasRejected &&
+      eta === 0 &&
+      executionDelay !== 0 &&
+      votes + weight >= minimumVotes,
+    // whether the action can currently be performed through execute
+    canExecute
+  }
+}
+
+// current voters with their vote weight and whether they have voted for or rejected
+// the action of the given call data
+const getRoster = async (web3, vbo, callData) => {
+  const { votedBy, rejectedBy } = await getActionStatus(web3, vbo, callData)
+  const weights = await getVoterWeights(vbo)
+
+  return Object.keys(weights).map(voter => ({
+    voter,
+    weight: weights[voter],
+    voted: votedBy.includes(voter),
+    rejected: rejectedBy.includes(voter)
+  }))
+}
+
+// call data of pending actions is taken from VoterVoted events, or from the
+// proposal when the node no longer returns the event (pruned logs, range limits)
+const getPendingActions = async (web3, vbo) => {
+  const actionIds = await vbo.methods.getPendingActionIds().call()
+
+  if (actionIds.length === 0) {
+    return []
+  }
+
+  const events = await vbo.getPastEvents('VoterVoted', {
+    filter: {
+      actionId: actionIds
+    },
+    fromBlock: 0,
+    toBlock: 'latest'
+  })
+
+  const pendingActions = []
+  for (const actionId of actionIds) {
+    const voted = events.find(event => event.returnValues.actionId === actionId)
+    const { callData } = voted
+      ? voted.returnValues
+      : await vbo.methods.proposals(actionId).call()
+
+    const status = await getActionStatus(web3, vbo, callData)
+
+    // expired actions stay pending in the contract until voted on again
+    if (!status.expired) {
+      pendingActions.push(status)
+    }
+  }
+
+  return pendingActions
+}
+
+// every call is delegated by the proxy to the implementation of VotableOwner.
+// execute, or a vote which performs an action, also calls other contracts (or
+// this contract with the proposal call data). gas estimates do not always account
+// for the gas which needs to be forwarded to those calls
+const gasMargin = 1.5
+
+// sends a vote for the given call data (as returned in an action status)
+const castVote = async (web3, vbo, callData, config) => {
+  const { from } = config
+  const tx = {
+    from,
+    to: vbo.options.address,
+    data: callData
+  }
+  const gas =
+    config.gas || Math.ceil((await web3.eth.estimateGas(tx)) * gasMargin)
+
+  return web3.eth.sendTransaction(Object.assign({}, config, tx, { gas }))
+}
+
+const getProposal = async (web3, vbo, actionId) => {
+  const proposal = await vbo.methods.proposals(actionId).call()
+  const { action, args } = decodeCallData(web3, vbo, proposal.callData)
+
+  return {
+    actionId,
+    action,
+    args,
+    proposer: proposal.proposer,
+    funcSig: proposal.funcSig,
+    argsHash: proposal.argsHash,
+    callData: proposal.callData,
+    createdAt: Number(proposal.createdAt),
+    votes: Number(proposal.votes),
+    executed: proposal.executed,
+    eta: Number(proposal.eta),
+    vetoes: Number(proposal.vetoes),
+    rejections: Number(proposal.rejections)
+  }
+}
+
+// optional ERC20 fields are null for tokens which do not implement them
+const callOptional = method => method.call().catch(() => null)
+
+const getTokenHolding = async (web3, owner, address) => {
+  const erc20 = new web3.eth.Contract(erc20Abi, address)
+  const [name, symbol, decimals, balance] = await Promise.all([
+    callOptional(erc20.methods.name()),
+    callOptional(erc20.methods.symbol()),
+    callOptional(erc20.methods.decimals()),
+    erc20.methods.balanceOf(owner).call()
+  ])
+
+  return {
+    address,
+    name,
+    symbol,
+    decimals: decimals === null ? null : Number(decimals),
+    balance
+  }
+}
+
+// ether, main token and tracked token balances of VotableOwner
+const getHoldings = async (web3, vbo) => {
+  const owner = vbo.options.address
+  const tokenAddress = await vbo.methods.token().call()
+  const trackedTokens = await vbo.methods.getTrackedTokens().call()
+
+  return {
+    ether: await web3.eth.getBalance(owner),
+    token: await getTokenHolding(web3, owner, tokenAddress),
+    trackedTokens: await Promise.all(
+      trackedTokens.map(address => getTokenHolding(web3, owner, address))
+    )
+  }
+}
+
+// voters tokens which have vested, have been released, can be released and have yet to vest
+const getVesting = async vbo => {
+  const vesting = await vbo.methods.getVesting().call()
+
+  return {
+    vested: vesting[0],
+    released: vesting[1],
+    releasable: await vbo.methods.releasableTokens().call(),
+    remaining: vesting[2]
+  }
+}
+
+// daily allowances along with what is left of them for the current allowance period
+const getAllowances = async vbo => ({
+  allowanceVotes: Number(await vbo.methods.allowanceVotes().call()),
+  dailyEtherAllowance: await vbo.methods.dailyEtherAllowance().call(),
+  remainingEtherAllowance: await vbo.methods.remainingEtherAllowance().call(),
+  dailyTokenAllowance: await vbo.methods.dailyTokenAllowance().call(),
+  remainingTokenAllowance: await vbo.methods.remainingTokenAllowance().call()
+})
+
+// sends a transaction for a contract method (ex. vbo.methods.approve(actionId))
+const sendMethod = async (method, config) => {
+  const gas =
+    config.gas ||
+    Math.ceil((await method.estimateGas({ from: config.from })) * gasMargin)
+
+  return method.send(Object.assign({}, config, { gas }))
+}
+
+const createClient = (web3, vbo) => {
+  const status = (callData, options = {}) =>
+    getActionStatus(web3, vbo, callData, options.from)
+
+  return {
+    web3,
+    contract: vbo,
+    address: vbo.options.address,
+    calculateActionId: callData => calculateActionId(web3, vbo, callData),
+    getVoters: () => getVoters(vbo),
+    getVoterWeights: () => getVoterWeights(vbo),
+    getActionStatus: status,
+    getRoster: callData => getRoster(web3, vbo, callData),
+    getPendingActions: () => getPendingActions(web3, vbo),
+    castVote: (callData, config) => castVote(web3, vbo, callData, config),
+    getProposal: actionId => getProposal(web3, vbo, actionId),
+    getHoldings: () => getHoldings(web3, vbo),
+    getAllowances: () => getAllowances(vbo),
+    getVesting: () => getVesting(vbo),
+    propose: (callData, config) =>
+      sendMethod(vbo.methods.propose(callData), config),
+    approve: (actionId, config) =>
+      sendMethod(vbo.methods.approve(actionId), config),
+    revokeApproval: (actionId, config) =>
+      sendMethod(vbo.methods.revokeApproval(actionId), config),
+    revokeVote: (callData, config) =>
+      sendMethod(vbo.methods.revokeVote(callData), config),
+    execute: (actionId, config) =>
+      sendMethod(vbo.methods.execute(actionId), config),
+    veto: (actionId, config) => sendMethod(vbo.methods.veto(actionId), config),
+    reject: (actionId, config) =>
+      sendMethod(vbo.methods.reject(actionId), config),
+    // guardians pause token without a vote. anyone can end an expired emergency pause
+    emergencyPause: config => sendMethod(vbo.methods.emergencyPause(), config),
+    endEmergencyPause: config =>
+      sendMethod(vbo.methods.endEmergencyPause(), config),
+    // signatures are 65 byte signatures concatenated (see ./signatures)
+    executeSigned: (callData, signatures, config) =>
+      sendMethod(vbo.methods.executeSigned(callData, signatures), config),
+    pauseToken: options =>
+      status(vbo.methods.pauseToken().encodeABI(), options),
+    unpauseToken: options =>
+      status(vbo.methods.unpauseToken().encodeABI(), options),
+    confirmEmergencyPause: options =>
+      status(vbo.methods.confirmEmergencyPause().encodeABI(), options),
+    addGuardian: (guardian, options) =>
+      status(vbo.methods.addGuardian(guardian).encodeABI(), options),
+    removeGuardian: (guardian, options) =>
+      status(vbo.methods.removeGuardian(guardian).encodeABI(), options),
+    transferEther: (recipient, value, options) =>
+      status(
+        vbo.methods.transferEther(recipient, value.toString()).encodeABI(),
+        options
+      ),
+    transferTokenOwnership: (newOwner, options) =>
+      status(vbo.methods.transferTokenOwnership(newOwner).encodeABI(), options),
+    renounceTokenOwnership: options =>
+      status(vbo.methods.renounceTokenOwnership().encodeABI(), options),
+    upgradeTo: (implementation, options) =>
+      status(vbo.methods.upgradeTo(implementation).encodeABI(), options),
+    transferTokens: (recipient, value, options) =>
+      status(
+        vbo.methods.transferTokens(recipient, value.toString()).encodeABI(),
+        options
+      ),
+    batchTransferEther: (recipients, values, options) =>
+      status(
+        vbo.methods
+          .batchTransferEther(recipients, values.map(value => value.toString()))
+          .encodeABI(),
+        options
+      ),
+    batchTransferTokens: (recipients, values, options) =>
+      status(
+        vbo.methods
+          .batchTransferTokens(
+            recipients,
+            values.map(value => value.toString())
+          )
+          .encodeABI(),
+        options
+      ),
+    // calls is a list of { target, value, data }
+    batchExecuteCall: (calls, options) => {
+      const { targets, values, data, dataLengths } = encodeBatchCalls(calls)
+
+      return status(
+        vbo.methods
+          .batchExecuteCall(targets, values, data, dataLengths)
+          .encodeABI(),
+        options
+      )
+    },
+    transferERC20: (erc20, recipient, value, options) =>
+      status(
+        vbo.methods
+          .transferERC20(erc20, recipient, value.toString())
+          .encodeABI(),
+        options
+      ),
+    addTrackedToken: (trackedToken, options) =>
+      status(vbo.methods.addTrackedToken(trackedToken).encodeABI(), options),
+    removeTrackedToken: (trackedToken, options) =>
+      status(vbo.methods.removeTrackedToken(trackedToken).encodeABI(), options),
+    extendTokenReleaseDate: (tokenReleaseDate, options) =>
+      status(
+        vbo.methods
+          .extendTokenReleaseDate(tokenReleaseDate.toString())
+          .encodeABI(),
+        options
+      ),
+    shortenTokenReleaseDate: (tokenReleaseDate, options) =>
+      status(
+        vbo.methods
+          .shortenTokenReleaseDate(tokenReleaseDate.toString())
+          .encodeABI(),
+        options
+      ),
+    addVoter: (voter, options) =>
+      status(vbo.methods.addVoter(voter).encodeABI(), options),
+    removeVoter: (voter, options) =>
+      status(vbo.methods.removeVoter(voter).encodeABI(), options),
+    replaceVoter: (oldVoter, newVoter, options) =>
+      status(vbo.methods.replaceVoter(oldVoter, newVoter).encodeABI(), options),
+    updateVoterWeight: (voter, weight, options) =>
+      status(
+        vbo.methods.updateVoterWeight(voter, weight.toString()).encodeABI(),
+        options
+      ),
+    updateMinimumVotes: (minimumVotes, options) =>
+      status(
+        vbo.methods.updateMinimumVotes(minimumVotes.toString()).encodeABI(),
+        options
+      ),
+    updateVoteLifetime: (voteLifetime, options) =>
+      status(
+        vbo.methods.updateVoteLifetime(voteLifetime.toString()).encodeABI(),
+        options
+      ),
+    executeCall: (target, value, data, options) =>
+      status(
+        vbo.methods.executeCall(target, value.toString(), data).encodeABI(),
+        options
+      ),
+    // status of calling method of a contract at target (abi from a truffle artifact)
+    executeContractCall: (abi, target, method, args, value, options) =>
+      status(
+        vbo.methods
+          .executeCall(
+            target,
+            value.toString(),
+            encodeCallData(web3, abi, method, args)
+          )
+          .encodeABI(),
+        options
+      ),
+    updateActionThreshold: (funcSig, threshold, options) =>
+      status(
+        vbo.methods
+          .updateActionThreshold(funcSig, threshold.toString())
+          .encodeABI(),
+        options
+      ),
+    updateDailyEtherAllowance: (dailyEtherAllowance, options) =>
+      status(
+        vbo.methods
+          .updateDailyEtherAllowance(dailyEtherAllowance.toString())
+          .encodeABI(),
+        options
+      ),
+    updateDailyTokenAllowance: (dailyTokenAllowance, options) =>
+      status(
+        vbo.methods
+          .updateDailyTokenAllowance(dailyTokenAllowance.toString())
+          .encodeABI(),
+        options
+      ),
+    updateAllowanceVotes: (allowanceVotes, options) =>
+      status(
+        vbo.methods.updateAllowanceVotes(allowanceVotes.toString()).encodeABI(),
+        options
+      ),
+    updateExecutionDelay: (funcSig, executionDelay, options) =>
+      status(
+        vbo.methods
+          .updateExecutionDelay(funcSig, executionDelay.toString())
+          .encodeABI(),
+        options
+      ),
+    updateVetoThreshold: (vetoThreshold, options) =>
+      status(
+        vbo.methods.updateVetoThreshold(vetoThreshold.toString()).encodeABI(),
+        options
+      )
+  }
+}
+
+module.exports = {
+  getStoredActionNonce,
+  getActionNonce,
+  calculateActionId,
+  getVoters,
+  getVoterWeights,
+  decodeCallData,
+  encodeCallData,
+  encodeBatchCalls,
+  getActionStatus,
+  getRoster,
+  getPendingActions,
+  castVote,
+  getProposal,
+  getHoldings,
+  getAllowances,
+  getVesting,
+  sendMethod,
+  createClient
+}
@@ -0,0 +1,345 @@
+/*
+  deploys VotableOwners through a VotableOwnerFactory from a JSON config file
+  (see bin/deploy-votable-owner.js):
+    {
+      "voters": ["0x1234...", "0x5678...", "0x9abc..."],
+      "minimumVotes": 2,
+      "voteLifetime": 604800,
+      "tokenReleaseDate": "2019-06-01T00:00:00Z",
+      "vestingDuration": 31536000,
+      "vestingTranches": 4,
+      "token": "0xdef0...",
+      "transferOwnership": true
+    }
+  tokenReleaseDate is a unix timestamp or a date string. vestingDuration and
+  vestingTranches default to 0 and chainId defaults to the network id. configs
+  are checked against the same rules as VotableOwner.initialize() before
+  anything is sent, rather than finding out through a reverted transaction.
+  when transferOwnership is set, the deploying account must own the token.
+
+  the migrations deploy from a manifest per network (manifests/<network>.json)
+  containing the same fields as a config, except for token and funding:
+    {
+      "token": { "mock": { "name": "ExampleToken", "symbol": "EXT", "decimals": 18 } },
+      "voters": [1, 2, 3],
+      "tokenReleaseDelay": 2592000,
+      ...
+      "funding": {
+        "ether": "0",
+        "tokens": "5000000000000000000",
+        "tokenHolders": [{ "holder": 4, "amount": "2000000000000000000" }]
+      }
+    }
+  token is either an existing token ({ "address": "0xdef0..." }) or a mock
+  which is deployed along with VotableOwner. voters and token holders are
+  addresses or indexes of accounts of the deploying mnemonic. tokenReleaseDelay
+  can be given instead of tokenReleaseDate: seconds after the latest block at the
+  time of deploying, meaning that the manifest does not go stale. funding is sent
+  from the deploying account: tokens are minted for a mock and transferred for
+  an existing token. each migration writes a deployment record
+  (deployments/<network>.json) with addresses, transaction hashes, block numbers
+  and constructor arguments of everything deployed.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { sendMethod } = require('./client')
+
+// enough of Ownable to hand token ownership over to a new VotableOwner
+const ownableAbi = [
+  {
+    constant: true,
+    inputs: [],
+    name: 'owner',
+    outputs: [{ name: '', type: 'address' }],
+    type: 'function'
+  },
+  {
+    constant: false,
+    inputs: [{ name: '_newOwner', type: 'address' }],
+    name: 'transferOwnership',
+    outputs: [],
+    type: 'function'
+  }
+]
+
+const loadDeployConfig = file =>
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  JSON.parse(fs.readFileSync(file, 'utf8'))
+
+// unix timestamp from a unix timestamp or a date string such as 2019-06-01T00:00:00Z
+const toTimestamp = date =>
+  typeof date === 'number' ? date : Math.floor(new Date(date).getTime() / 1000)
+
+// arguments for VotableOwnerFactory.createVotableOwner() (and VotableOwner.initialize())
+// in the order expected by it
+const getCreateArgs = async (web3, config) => [
+  config.voters,
+  config.minimumVotes,
+  config.voteLifetime,
+  toTimestamp(config.tokenReleaseDate),
+  config.vestingDuration || 0,
+  config.vestingTranches || 0,
+  config.token,
+  config.chainId || (await web3.eth.net.getId())
+]
+
+// throws for arguments other than token which VotableOwner.initialize() would reject
+const validateVotableOwnerArgs = async (web3, config) => {
+  const {
+    voters,
+    minimumVotes,
+    voteLifetime,
+    vestingDuration = 0,
+    vestingTranches = 0
+  } = config
+  const tokenReleaseDate = toTimestamp(config.tokenReleaseDate)
+  const { timestamp } = await web3.eth.getBlock('latest')
+
+  if (!Array.isArray(voters) || voters.length < 2) {
+    throw new Error('voters must list at least 2 addresses')
+  }
+
+  voters.forEach((voter, index) => {
+    if (!web3.utils.isAddress(voter)) {
+      throw new Error(`${voter} is not an address`)
+    }
+
+    if (web3.utils.toBN(voter).isZero()) {
+      throw new Error('voters can not include the zero address')
+    }
+
+    if (
+      voters.findIndex(other => other.toLowerCase() === voter.toLowerCase()) !==
+      index
+    ) {
+      throw new Error(`${voter} is listed more than once`)
+    }
+  })
+
+  if (
+    !Number.isInteger(minimumVotes) ||
+    minimumVotes < 2 ||
+    minimumVotes > voters.length
+  ) {
+    throw new Error(
+      'minimumVotes must be at least 2 and at most the amount of voters'
+    )
+  }
+
+  if (!Number.isInteger(voteLifetime) || voteLifetime <= 0) {
+    throw new Error('voteLifetime must be greater than 0')
+  }
+
+  if (isNaN(tokenReleaseDate) || tokenReleaseDate <= timestamp) {
+    throw new Error('tokenReleaseDate must be in the future')
+  }
+
+  if (vestingTranches > vestingDuration) {
+    throw new Error('vestingTranches can not be more than vestingDuration')
+  }
+}
+
+// throws for configs which VotableOwner.initialize() would reject, or when token
+// ownership should be transferred but from does not own the token
+const validateDeployConfig = async (web3, config, from) => {
+  const { token } = config
+
+  await validateVotableOwnerArgs(web3, config)
+
+  if (
+    !web3.utils.isAddress(token) ||
+    /^0x0*$/.test(await web3.eth.getCode(token))
+  ) {
+    throw new Error('token must be a deployed contract')
+  }
+
+  if (config.transferOwnership) {
+    const owner = await new web3.eth.Contract(ownableAbi, token).methods
+      .owner()
+      .call()
+
+    if (owner.toLowerCase() !== from.toLowerCase()) {
+      throw new Error(`${from} is not the owner of token`)
+    }
+  }
+}
+
+// validates config and deploys a VotableOwner through factory (a web3 contract
+// instance). token ownership is transferred to the new VotableOwner when
+// config.transferOwnership is set
+const deployVotableOwner = async (web3, factory, config, txConfig) => {
+  const { from } = txConfig
+
+  await validateDeployConfig(web3, config, from)
+
+  const receipt = await sendMethod(
+    factory.methods.createVotableOwner(...(await getCreateArgs(web3, config))),
+    txConfig
+  )
+  const { votableOwner } = receipt.events.VotableOwnerCreated.returnValues
+
+  const ownershipReceipt = config.transferOwnership
+    ? await sendMethod(
+        new web3.eth.Contract(
+          ownableAbi,
+          config.token
+        ).methods.transferOwnership(votableOwner),
+        txConfig
+      )
+    : null
+
+  return {
+    address: votableOwner,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    ownershipTransactionHash: ownershipReceipt
+      ? ownershipReceipt.transactionHash
+      : null
+  }
+}
+
+const loadManifest = (dir, network) => {
+  const file = path.join(dir, `${network}.json`)
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(file)) {
+    throw new Error(`no deployment manifest for network ${network} (${file})`)
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+// account index (ex. 1 for the second account of the mnemonic) or address
+const resolveAccount = (account, accounts) => {
+  if (typeof account !== 'number') {
+    return account
+  }
+
+  if (!accounts[account]) {
+    throw new Error(`account ${account} does not exist`)
+  }
+
+  return accounts[account]
+}
+
+// tokenReleaseDate of a manifest, which is tokenReleaseDelay seconds after blockTime
+// when given as a delay
+const resolveTokenReleaseDate = (manifest, blockTime) => {
+  const { tokenReleaseDate, tokenReleaseDelay } = manifest
+
+  if (tokenReleaseDelay === undefined) {
+    return tokenReleaseDate
+  }
+
+  if (tokenReleaseDate !== undefined) {
+    throw new Error(
+      'manifest can not have both tokenReleaseDate and tokenReleaseDelay'
+    )
+  }
+
+  if (!Number.isInteger(tokenReleaseDelay) || tokenReleaseDelay <= 0) {
+    throw new Error('tokenReleaseDelay must be greater than 0')
+  }
+
+  return blockTime + tokenReleaseDelay
+}
+
+// replaces account indexes of a manifest with addresses and tokenReleaseDelay with
+// a tokenReleaseDate relative to blockTime (latest block time), and fills in funding
+const resolveManifest = (manifest, accounts, blockTime) => {
+  const { token = {}, voters = [], funding = {} } = manifest
+
+  if (!token.address === !token.mock) {
+    throw new Error('token must have either an address or a mock')
+  }
+
+  return Object.assign({}, manifest, {
+    voters: voters.map(voter => resolveAccount(voter, accounts)),
+    tokenReleaseDate: resolveTokenReleaseDate(manifest, blockTime),
+    funding: {
+      ether: funding.ether || '0',
+      tokens: funding.tokens || '0',
+      tokenHolders: (funding.tokenHolders || []).map(({ holder, amount }) => ({
+        holder: resolveAccount(holder, accounts),
+        amount
+      }))
+    }
+  })
+}
+
+const createDeploymentRecord = (network, networkId, deployer, manifest) => ({
+  network,
+  networkId,
+  deployer,
+  manifest,
+  votableOwner: null,
+  contracts: {},
+  transactions: []
+})
+
+// adds a contract deployed through truffle and its constructor arguments
+const recordContract = async (web3, record, name, instance, args) => {
+  const { blockNumber } = await web3.eth.getTransactionReceipt(
+    instance.transactionHash
+  )
+
+  record.contracts[name] = {
+    address: instance.address,
+    transactionHash: instance.transactionHash,
+    blockNumber,
+    args
+  }
+}
+
+// adds a transaction sent while deploying (ex. funding), given its receipt
+const recordTransaction = (record, description, receipt) =>
+  record.transactions.push({
+    description,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber
+  })
+
+const saveDeploymentRecord = (dir, record) => {
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(dir)) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.mkdirSync(dir)
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(
+    path.join(dir, `${record.network}.json`),
+    JSON.stringify(record, null, 2)
+  )
+}
+
+// deployment record of a network. null when nothing has been migrated to it
+const loadDeploymentRecord = (dir, network) => {
+  const file = path.join(dir, `${network}.json`)
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(file)) {
+    return null
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+module.exports = {
+  loadDeployConfig,
+  toTimestamp,
+  getCreateArgs,
+  validateVotableOwnerArgs,
+  validateDeployConfig,
+  deployVotableOwner,
+  loadManifest,
+  resolveManifest,
+  createDeploymentRecord,
+  recordContract,
+  recordTransaction,
+  saveDeploymentRecord,
+  loadDeploymentRecord
+}
@@ -0,0 +1,391 @@
+/*
+  indexer for VotableOwner events. replays contract events into a JSON store
+  containing every proposal (action voted on for a given actionNonce) and its
+  lifecycle:
+    - open: proposal has votes but has not yet passed
+    - queued: proposal passed and is waiting for the execution delay of its function
+    - executed: proposal passed and the action was performed
+    - invalidated: voters, minimumVotes or action thresholds changed, resetting votes for this proposal
+    - expired: voteLifetime passed before the proposal passed, voiding its votes
+    - cancelled: queued proposal was vetoed
+    - rejected: rejections left too little vote weight for the proposal to pass
+    - revoked: all votes for the proposal have been revoked
+  the store can be saved to disk and indexed again later to pick up new events.
+*/
+
+const fs = require('fs')
+const { decodeCallData } = require('./client')
+
+// events emitted while an action is performed after a successful vote
+const effectEvents = [
+  'VoterAdded',
+  'VoterRemoved',
+  'VoterWeightUpdated',
+  'MinimumVotesUpdated',
+  'ActionThresholdUpdated',
+  'VoteLifetimeUpdated',
+  'ExecutionDelayUpdated',
+  'VetoThresholdUpdated',
+  'DailyEtherAllowanceUpdated',
+  'DailyTokenAllowanceUpdated',
+  'AllowanceVotesUpdated',
+  'VotersTokensTransferred',
+  'VotersEtherTransferred',
+  'ERC20Transferred',
+  'TrackedTokenAdded',
+  'TrackedTokenRemoved',
+  'TokenOwnershipTransferred',
+  'TokenOwnershipRenounced',
+  'TokenReleaseDateUpdated',
+  'GuardianAdded',
+  'GuardianRemoved',
+  'EmergencyPauseConfirmed',
+  'Upgraded',
+  'ActionExecuted'
+]
+
+const createStore = address => ({
+  address,
+  lastBlock: -1,
+  voters: [],
+  voterWeights: {},
+  minimumVotes: null,
+  voteLifetime: null,
+  vetoThreshold: null,
+  actionThresholds: {},
+  executionDelays: {},
+  trackedTokens: [],
+  guardians: [],
+  proposals: {},
+  history: []
+})
+
+const loadStore = (file, address) => {
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(file)) {
+    return createStore(address)
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+  if (store.address.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`${file} is a store for a different contract`)
+  }
+
+  return store
+}
+
+const saveStore = (file, store) =>
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(file, JSON.stringify(store, null, 2))
+
+// returnValues without the positional keys added by web3
+const namedValues = returnValues =>
+  Object.keys(returnValues)
+    .filter(key => isNaN(key))
+    .reduce(
+      (values, key) => Object.assign(values, { [key]: returnValues[key] }),
+      {}
+    )
+
+const getProposals = (store, status) =>
+  Object.keys(store.proposals)
+    .map(actionId => store.proposals[actionId])
+    .filter(proposal => !status || proposal.status === status)
+
+const closeProposal = (proposal, status, event) => {
+  proposal.status = status
+  proposal.closedBlock = event.blockNumber
+  proposal.closedTransactionHash = event.transactionHash
+}
+
+const applyVoterVoted = (web3, vbo, store, event, values) => {
+  const { actionId, actionNonce, callData, funcSig, voter, votes } = values
+
+  if (!store.proposals[actionId]) {
+    const { action, args } = decodeCallData(web3, vbo, callData)
+
+    store.proposals[actionId] = {
+      actionId,
+      actionNonce,
+      action,
+      args,
+      callData,
+      funcSig,
+      proposer: voter,
+      status: 'open',
+      votes: [],
+      vetoes: [],
+      rejections: [],
+      effects: [],
+      eta: null,
+      createdBlock: event.blockNumber,
+      closedBlock: null,
+      closedTransactionHash: null
+    }
+  }
+
+  // voting again after all votes were revoked reopens the proposal
+  if (store.proposals[actionId].status === 'revoked') {
+    Object.assign(store.proposals[actionId], {
+      proposer: voter,
+      status: 'open',
+      closedBlock: null,
+      closedTransactionHash: null
+    })
+  }
+
+  store.proposals[actionId].votes.push({
+    voter,
+    votes,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash
+  })
+}
+
+const applyVotePassed = (store, event, values) =>
+  closeProposal(store.proposals[values.actionId], 'executed', event)
+
+// proposals are closed by PendingActionsInvalidated already. ActionInvalidated
+// is only emitted once when the next vote for the action resets its nonce
+const applyActionInvalidated = (store, event, values) => {
+  const proposal = store.proposals[values.actionId]
+
+  if (proposal.status === 'open' || proposal.status === 'queued') {
+    closeProposal(proposal, 'invalidated', event)
+  }
+}
+
+const applyPendingActionsInvalidated = (store, event) =>
+  getProposals(store)
+    .filter(
+      proposal => proposal.status === 'open' || proposal.status === 'queued'
+    )
+    .forEach(proposal => closeProposal(proposal, 'invalidated', event))
+
+const applyActionQueued = (store, event, values) =>
+  Object.assign(store.proposals[values.actionId], {
+    status: 'queued',
+    eta: values.eta
+  })
+
+const applyActionVetoed = (store, event, values) =>
+  store.proposals[values.actionId].vetoes.push({
+    voter: values.voter,
+    vetoes: values.vetoes,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash
+  })
+
+const applyActionCancelled = (store, event, values) =>
+  closeProposal(store.proposals[values.actionId], 'cancelled', event)
+
+const applyRejectionVoted = (store, event, values) =>
+  store.proposals[values.actionId].rejections.push({
+    voter: values.voter,
+    rejections: values.rejections,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash
+  })
+
+const applyActionRejected = (store, event, values) =>
+  closeProposal(store.proposals[values.actionId], 'rejected', event)
+
+const applyActionExpired = (store, event, values) =>
+  closeProposal(store.proposals[values.actionId], 'expired', event)
+
+const applyVoteRevoked = (store, event, values) => {
+  const proposal = store.proposals[values.actionId]
+  proposal.votes = proposal.votes.filter(vote => vote.voter !== values.voter)
+
+  if (proposal.votes.length === 0) {
+    closeProposal(proposal, 'revoked', event)
+  }
+}
+
+const applyEffect = (store, event, values) => {
+  const proposal = getProposals(store, 'executed').find(
+    executed => executed.closedTransactionHash === event.transactionHash
+  )
+
+  if (proposal) {
+    proposal.effects.push(
+      Object.assign(
+        {
+          event: event.event
+        },
+        values
+      )
+    )
+  }
+
+  // voters are added with a weight of 1, unless they take over the weight of a
+  // replaced voter (removed right after)
+  if (event.event === 'VoterAdded') {
+    const replacedVoter =
+      proposal && proposal.action === 'replaceVoter'
+        ? proposal.args._oldVoter
+        : null
+
+    store.voters.push(values.voter)
+    store.voterWeights[values.voter] = replacedVoter
+      ? store.voterWeights[replacedVoter]
+      : '1'
+  }
+
+  if (event.event === 'VoterRemoved') {
+    store.voters = store.voters.filter(voter => voter !== values.voter)
+    delete store.voterWeights[values.voter]
+  }
+
+  if (event.event === 'VoterWeightUpdated') {
+    store.voterWeights[values.voter] = values.newWeight
+  }
+
+  if (event.event === 'MinimumVotesUpdated') {
+    store.minimumVotes = values.newMinimumVotes
+  }
+
+  // functions without a threshold need minimumVotes
+  if (event.event === 'ActionThresholdUpdated') {
+    if (values.newThreshold === '0') {
+      delete store.actionThresholds[values.funcSig]
+    } else {
+      store.actionThresholds[values.funcSig] = values.newThreshold
+    }
+  }
+
+  if (event.event === 'VoteLifetimeUpdated') {
+    store.voteLifetime = values.newVoteLifetime
+  }
+
+  if (event.event === 'ExecutionDelayUpdated') {
+    store.executionDelays[values.funcSig] = values.newExecutionDelay
+  }
+
+  if (event.event === 'VetoThresholdUpdated') {
+    store.vetoThreshold = values.newVetoThreshold
+  }
+
+  if (event.event === 'TrackedTokenAdded') {
+    store.trackedTokens.push(values.token)
+  }
+
+  if (event.event === 'TrackedTokenRemoved') {
+    store.trackedTokens = store.trackedTokens.filter(
+      token => token !== values.token
+    )
+  }
+
+  if (event.event === 'GuardianAdded') {
+    store.guardians.push(values.guardian)
+  }
+
+  if (event.event === 'GuardianRemoved') {
+    store.guardians = store.guardians.filter(
+      guardian => guardian !== values.guardian
+    )
+  }
+}
+
+const applyEvent = (web3, vbo, store, event) => {
+  const values = namedValues(event.returnValues)
+
+  store.history.push({
+    event: event.event,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
+    values
+  })
+
+  if (event.event === 'VoterVoted') {
+    applyVoterVoted(web3, vbo, store, event, values)
+  }
+
+  if (event.event === 'VotePassed') {
+    applyVotePassed(store, event, values)
+  }
+
+  if (event.event === 'ActionInvalidated') {
+    applyActionInvalidated(store, event, values)
+  }
+
+  if (event.event === 'PendingActionsInvalidated') {
+    applyPendingActionsInvalidated(store, event)
+  }
+
+  if (event.event === 'ActionQueued') {
+    applyActionQueued(store, event, values)
+  }
+
+  if (event.event === 'ActionVetoed') {
+    applyActionVetoed(store, event, values)
+  }
+
+  if (event.event === 'ActionCancelled') {
+    applyActionCancelled(store, event, values)
+  }
+
+  if (event.event === 'ActionExpired') {
+    applyActionExpired(store, event, values)
+  }
+
+  if (event.event === 'RejectionVoted') {
+    applyRejectionVoted(store, event, values)
+  }
+
+  if (event.event === 'ActionRejected') {
+    applyActionRejected(store, event, values)
+  }
+
+  if (event.event === 'VoteRevoked') {
+    applyVoteRevoked(store, event, values)
+  }
+
+  if (effectEvents.includes(event.event)) {
+    applyEffect(store, event, values)
+  }
+
+  return store
+}
+
+// applies all events since the last indexed block to the store
+const indexEvents = async (web3, vbo, store) => {
+  const toBlock = await web3.eth.getBlockNumber()
+  const events = await vbo.getPastEvents('allEvents', {
+    fromBlock: store.lastBlock + 1,
+    toBlock
+  })
+
+  events
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .forEach(event => applyEvent(web3, vbo, store, event))
+
+  // minimumVotes, voteLifetime and vetoThreshold are not emitted when deploying
+  if (store.minimumVotes === null) {
+    store.minimumVotes = await vbo.methods.minimumVotes().call()
+  }
+
+  if (store.voteLifetime === null) {
+    store.voteLifetime = await vbo.methods.voteLifetime().call()
+  }
+
+  if (store.vetoThreshold === null) {
+    store.vetoThreshold = await vbo.methods.vetoThreshold().call()
+  }
+
+  store.lastBlock = toBlock
+
+  return store
+}
+
+module.exports = {
+  createStore,
+  loadStore,
+  saveStore,
+  getProposals,
+  applyEvent,
+  indexEvents
+}
@@ -0,0 +1,102 @@
+/*
+  builds batch transfers (see VotableOwner.batchTransferTokens() and
+  VotableOwner.batchTransferEther()) from a CSV payout sheet. each line of the
+  sheet is a recipient address followed by an amount:
+    recipient,amount
+    0x1234...,1000
+  an optional header line, blank lines and lines starting with # are ignored.
+  amounts are in the smallest unit (wei) unless decimals are given, in which
+  case amounts such as 1.5 are converted.
+*/
+
+const fs = require('fs')
+
+const digitsPattern = /^\d+$/
+
+// whole number or decimal amount such as 1000 or 1.5
+const isAmount = amount => {
+  const [whole, fraction, ...rest] = amount.split('.')
+
+  return (
+    digitsPattern.test(whole) &&
+    (fraction === undefined || digitsPattern.test(fraction)) &&
+    rest.length === 0
+  )
+}
+
+// converts a decimal amount string to the smallest unit of a token
+const toBaseUnits = (web3, amount, decimals) => {
+  const [whole, fraction = ''] = amount.split('.')
+
+  if (fraction.length > decimals) {
+    throw new Error(`${amount} has more than ${decimals} decimals`)
+  }
+
+  return new web3.utils.BN(whole + fraction.padEnd(decimals, '0')).toString()
+}
+
+const parsePayoutSheet = (web3, csv, decimals = 0) => {
+  const payouts = []
+  const lines = csv.split(/\r?\n/)
+  let isFirstLine = true
+
+  for (let i = 0; i < lines.length; i++) {
+    const [recipient, amount = '', ...rest] = lines[i]
+      .split(',')
+      .map(cell => cell.trim())
+
+    if (!recipient || recipient.startsWith('#')) {
+      continue
+    }
+
+    const isHeader =
+      isFirstLine && !web3.utils.isAddress(recipient) && !isAmount(amount)
+    isFirstLine = false
+
+    if (isHeader) {
+      continue
+    }
+
+    if (!web3.utils.isAddress(recipient)) {
+      throw new Error(`line ${i + 1}: invalid recipient ${recipient}`)
+    }
+
+    if (!isAmount(amount)) {
+      throw new Error(`line ${i + 1}: invalid amount ${amount}`)
+    }
+
+    if (rest.some(cell => cell !== '')) {
+      throw new Error(`line ${i + 1}: expected recipient,amount`)
+    }
+
+    payouts.push({
+      recipient: web3.utils.toChecksumAddress(recipient),
+      value: toBaseUnits(web3, amount, decimals)
+    })
+  }
+
+  if (payouts.length === 0) {
+    throw new Error('payout sheet does not contain any payouts')
+  }
+
+  return payouts
+}
+
+// arguments for batchTransferTokens/batchTransferEther
+const buildPayoutBatch = payouts => ({
+  recipients: payouts.map(payout => payout.recipient),
+  values: payouts.map(payout => payout.value)
+})
+
+const readPayoutSheet = (web3, file, decimals) =>
+  buildPayoutBatch(
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    parsePayoutSheet(web3, fs.readFileSync(file, 'utf8'), decimals)
+  )
+
+module.exports = {
+  toBaseUnits,
+  parsePayoutSheet,
+  buildPayoutBatch,
+  readPayoutSheet
+}
@@ -0,0 +1,223 @@
+/*
+  signed votes for VotableOwner (see VotableOwner.executeSigned()). instead of
+  sending a transaction, voters sign an EIP-712 typed Action message containing
+  the call data, current nonce and amount of revoked votes of an action. signatures are collected in a
+  signature request (plain JSON) which can be passed around by email or kept in
+  a shared file. anyone can submit the collected signatures in a single
+  transaction once when enough voters have signed.
+*/
+
+const fs = require('fs')
+const { getActionStatus } = require('./client')
+
+// must match DOMAIN_TYPEHASH and ACTION_TYPEHASH in VotableOwner
+const actionTypes = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  Action: [
+    { name: 'callData', type: 'bytes' },
+    { name: 'actionNonce', type: 'uint256' },
+    { name: 'revocations', type: 'uint256' }
+  ]
+}
+
+// ex. Action(bytes callData,uint256 actionNonce,uint256 revocations)
+const encodeType = type =>
+  `${type}(${actionTypes[type]
+    .map(field => `${field.type} ${field.name}`)
+    .join(',')})`
+
+// EIP-712 typed data as expected by eth_signTypedData
+const getTypedData = request => ({
+  types: actionTypes,
+  primaryType: 'Action',
+  domain: {
+    name: 'VotableOwner',
+    version: '1',
+    chainId: request.chainId,
+    verifyingContract: request.address
+  },
+  message: {
+    callData: request.callData,
+    actionNonce: request.actionNonce,
+    revocations: request.revocations
+  }
+})
+
+// mirrors VotableOwner.actionDigest()
+const hashTypedData = (web3, typedData) => {
+  const { keccak256 } = web3.utils
+  const { abi } = web3.eth
+  const { domain, message } = typedData
+  const domainSeparator = keccak256(
+    abi.encodeParameters(
+      ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+      [
+        keccak256(encodeType('EIP712Domain')),
+        keccak256(domain.name),
+        keccak256(domain.version),
+        domain.chainId,
+        domain.verifyingContract
+      ]
+    )
+  )
+  const actionHash = keccak256(
+    abi.encodeParameters(
+      ['bytes32', 'bytes32', 'uint256', 'uint256'],
+      [
+        keccak256(encodeType('Action')),
+        keccak256(message.callData),
+        message.actionNonce,
+        message.revocations
+      ]
+    )
+  )
+
+  return keccak256('0x1901' + domainSeparator.slice(2) + actionHash.slice(2))
+}
+
+// a request for signatures for the next vote on the action of the given call data
+const createSignatureRequest = async (web3, vbo, callData) => {
+  const status = await getActionStatus(web3, vbo, callData)
+  const chainId = await vbo.methods.chainId().call()
+
+  return {
+    address: vbo.options.address,
+    chainId: Number(chainId),
+    action: status.action,
+    args: status.args,
+    callData,
+    actionNonce: status.actionNonce,
+    revocations: status.revocations,
+    signatures: []
+  }
+}
+
+const loadSignatureRequest = file =>
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  JSON.parse(fs.readFileSync(file, 'utf8'))
+
+const saveSignatureRequest = (file, request) =>
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(file, JSON.stringify(request, null, 2))
+
+const recoverSigner = (web3, request, signature) =>
+  web3.eth.accounts.recover(
+    hashTypedData(web3, getTypedData(request)),
+    signature,
+    true
+  )
+
+// some wallets sign with a v of 0 or 1 rather than 27 or 28, which is the only
+// v accepted by VotableOwner.executeSigned()
+const normalizeSignature = signature => {
+  const v = parseInt(signature.slice(130, 132), 16)
+
+  return v < 27
+    ? signature.slice(0, 130) + (v + 27).toString(16).padStart(2, '0')
+    : signature
+}
+
+// adds a signature to the request after checking that it was signed by signer
+const addSignature = (web3, request, from, rawSignature) => {
+  const signer = web3.utils.toChecksumAddress(from)
+  const signature = normalizeSignature(rawSignature)
+
+  if (recoverSigner(web3, request, signature) !== signer) {
+    throw new Error(`signature was not signed by ${signer}`)
+  }
+
+  if (request.signatures.some(signed => signed.signer === signer)) {
+    throw new Error(`${signer} has already signed`)
+  }
+
+  request.signatures.push({
+    signer,
+    signature
+  })
+
+  return request
+}
+
+// signs the request through eth_signTypedData of the web3 provider. some wallets
+// name this method eth_signTypedData_v3
+const signAction = (web3, request, signer, method = 'eth_signTypedData') =>
+  new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      {
+        jsonrpc: '2.0',
+        id: Date.now(),
+        method,
+        params: [signer, getTypedData(request)]
+      },
+      (error, response) => {
+        if (error || response.error) {
+          return reject(error || new Error(response.error.message))
+        }
+
+        resolve(addSignature(web3, request, signer, response.result))
+      }
+    )
+  )
+
+// signatures which would currently be counted: signed by a voter who has not yet
+// voted, for the current nonce and amount of revoked votes of the action on the
+// contract the request is for
+const getValidSignatures = async (web3, vbo, request) => {
+  if (
+    request.address.toLowerCase() !== vbo.options.address.toLowerCase() ||
+    Number(await vbo.methods.chainId().call()) !== request.chainId
+  ) {
+    throw new Error('signature request is for a different contract')
+  }
+
+  const status = await getActionStatus(web3, vbo, request.callData)
+
+  if (
+    status.actionNonce !== request.actionNonce ||
+    status.revocations !== request.revocations
+  ) {
+    return []
+  }
+
+  const validSignatures = []
+  for (const { signer, signature } of request.signatures) {
+    const isVoter = await vbo.methods.isVoter(signer).call()
+    const hasVoted = status.votedBy.includes(signer)
+
+    if (
+      isVoter &&
+      !hasVoted &&
+      recoverSigner(web3, request, signature) === signer
+    ) {
+      validSignatures.push({
+        signer,
+        signature
+      })
+    }
+  }
+
+  return validSignatures
+}
+
+// concatenates signatures as expected by VotableOwner.executeSigned()
+const encodeSignatures = signatures =>
+  '0x' + signatures.map(({ signature }) => signature.slice(2)).join('')
+
+module.exports = {
+  actionTypes,
+  getTypedData,
+  hashTypedData,
+  createSignatureRequest,
+  loadSignatureRequest,
+  saveSignatureRequest,
+  recoverSigner,
+  addSignature,
+  signAction,
+  getValidSignatures,
+  encodeSignatures
+}
@@ -1,34 +1,130 @@
-const { voters, other, assertRevert, decimals18 } = require('./helpers/general')
 const {
+  voters,
+  other,
+  tokenHolders,
+  addressZero,
+  assertRevert,
+  decimals18,
+  timeWarp,
+  oneBlockDay,
+  oneBlockWeek,
+  areInRange,
+  getEtherBalance,
+  getCurrentBlockTime
+} = require('./helpers/general')
+const {
+  defaultVotableOwnerTokenBalance,
   setupContracts,
+  setupSeizableContracts,
+  setupRegistry,
+  setupStableToken,
+  setupNoReturnToken,
   testTokenInitialization,
   testVotableOwnerInitialization,
   testPauseTokenVote,
   testPauseTokenVoteRun,
+  testAddGuardianVote,
+  testAddGuardianVoteRun,
+  testRemoveGuardianVote,
+  testRemoveGuardianVoteRun,
+  testConfirmEmergencyPauseVote,
+  testConfirmEmergencyPauseVoteRun,
+  testEmergencyPause,
+  testEndEmergencyPause,
   testUnpauseTokenVote,
   testUnpauseTokenVoteRun,
+  testTransferTokenOwnershipVote,
+  testTransferTokenOwnershipVoteRun,
+  testRenounceTokenOwnershipVote,
+  testRenounceTokenOwnershipVoteRun,
+  testExtendTokenReleaseDateVote,
+  testExtendTokenReleaseDateVoteRun,
+  testShortenTokenReleaseDateVote,
+  testShortenTokenReleaseDateVoteRun,
   testRemoveVoterVote,
   testRemoveVoterVoteRun,
   testAddVoterVote,
   testAddVoterVoteRun,
+  testVoters,
+  testInitializeLocked,
+  testUpgradeToVote,
+  testUpgradeToVoteRun,
+  testReplaceVoterVote,
+  testReplaceVoterVoteRun,
+  testUpdateVoterWeightVote,
+  testUpdateVoterWeightVoteRun,
   testUpdateMinimumVotesVote,
   testUpdateMinimumVotesVoteRun,
+  testUpdateActionThresholdVote,
+  testUpdateActionThresholdVoteRun,
+  testUpdateVoteLifetimeVote,
+  testUpdateVoteLifetimeVoteRun,
+  testUpdateDailyEtherAllowanceVote,
+  testUpdateDailyEtherAllowanceVoteRun,
+  testUpdateDailyTokenAllowanceVote,
+  testUpdateDailyTokenAllowanceVoteRun,
+  testUpdateAllowanceVotesVote,
+  testUpdateAllowanceVotesVoteRun,
+  testRemainingAllowances,
+  testVesting,
+  testUpdateExecutionDelayVote,
+  testUpdateExecutionDelayVoteRun,
+  testUpdateVetoThresholdVote,
+  testUpdateVetoThresholdVoteRun,
   testReceiveEther,
   testSendEtherVote,
   testSendEtherVoteRun,
   testSendTokensVote,
   testSendTokensVoteRun,
+  testBatchTransferEtherVote,
+  testBatchTransferEtherVoteRun,
+  testBatchTransferTokensVote,
+  testBatchTransferTokensVoteRun,
+  testBatchExecuteCallVote,
+  testBatchExecuteCallVoteRun,
+  testTransferERC20Vote,
+  testTransferERC20VoteRun,
+  testAddTrackedTokenVote,
+  testAddTrackedTokenVoteRun,
+  testRemoveTrackedTokenVote,
+  testRemoveTrackedTokenVoteRun,
+  testTrackedTokenBalances,
+  testExecuteCallVote,
+  testExecuteCallVoteRun,
+  testVoteEvents,
+  testPendingActionIds,
+  testPendingActionsInvalidated,
+  testInvalidatedActionVote,
+  testActionExpiry,
+  testExpiredActionVote,
+  testQueuedAction,
+  testVetoAction,
+  testRejectAction,
+  testProposeAction,
+  testApproveAction,
+  testRevokeApproval,
+  testRevokeVote,
+  testExecuteAction,
+  calculateActionId,
+  calculateProposalActionId,
+  defaultVoteLifetime,
   warpToTokenReleaseDate
 } = require('./helpers/vbo')
 const { BN } = web3.utils
+const ExampleVotableOwnerV2 = artifacts.require(
+  './mocks/ExampleVotableOwnerV2.sol'
+)
+const VotableOwner = artifacts.require('VotableOwner.sol')
+const VotableOwnerExtension = artifacts.require('VotableOwnerExtension.sol')
 
 describe('when initializing contracts', () => {
   contract('VotableOwner', () => {
-    let tkn, vbo
+    let tkn, imp, vbo
 
     before('setup contracts', async () => {
       const contracts = await setupContracts()
       tkn = contracts.tkn
+      imp = contracts.imp
       vbo = contracts.vbo
     })
 
@@ -39,6 +135,34 @@ describe('when initializing contracts', () => {
     it('should start with correct VotableOwner values', async () => {
       await testVotableOwnerInitialization(vbo, tkn)
     })
+
+    it('should start with implementation', async () => {
+      assert.equal(
+        await vbo.implementation(),
+        imp.address,
+        'implementation should be the deployed VotableOwner'
+      )
+    })
+
+    it('should start with extension of implementation', async () => {
+      assert.equal(
+        await vbo.extension(),
+        await imp.extension(),
+        'extension should be the extension of the implementation'
+      )
+    })
+
+    it('should NOT deploy implementation with an extension without code', async () => {
+      await assertRevert(VotableOwner.new(other))
+    })
+
+    it('should NOT initialize again', async () => {
+      await testInitializeLocked(vbo, tkn)
+    })
+
+    it('should NOT initialize implementation', async () => {
+      await testInitializeLocked(imp, tkn)
+    })
   })
 })
 
@@ -87,6 +211,10 @@ describe('when adding/removing voters', () => {
       })
     })
 
+    it('should move last voter into place of removed voter', async () => {
+      await testVoters(vbo, [voters[0], voters[1], flimsyVoter])
+    })
+
     it('previously pending remove vote should be reset and should NOT trigger an action to be performed', async () => {
       await testRemoveVoterVote(vbo, flimsyVoter, {
         from: voters[0]
@@ -107,6 +235,14 @@ describe('when adding/removing voters', () => {
       )
     })
 
+    it('should NOT vote to add the zero address as a voter', async () => {
+      await assertRevert(
+        testAddVoterVote(vbo, addressZero, {
+          from: voters[0]
+        })
+      )
+    })
+
     it('should NOT vote to add voter which is already voter', async () => {
       await assertRevert(
         testAddVoterVote(vbo, voters[1], {
@@ -134,6 +270,108 @@ describe('when adding/removing voters', () => {
         from: voters[1]
       })
     })
+
+    it('should list added voter last', async () => {
+      await testVoters(vbo, [voters[0], voters[1], flimsyVoter])
+    })
+  })
+})
+
+describe('when replacing voters', () => {
+  contract('VotableOwner', () => {
+    const compromisedVoter = voters[1]
+    const newVoter = tokenHolders[0]
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should remove voters until only minimumVotes voters are left', async () => {
+      for (const voterToRemove of voters.slice(2)) {
+        await testRemoveVoterVote(vbo, voterToRemove, {
+          from: voters[0]
+        })
+        await testRemoveVoterVoteRun(vbo, voterToRemove, {
+          from: voters[1]
+        })
+      }
+    })
+
+    it('should NOT vote to remove compromised voter due to minimumVotes', async () => {
+      await assertRevert(
+        testRemoveVoterVote(vbo, compromisedVoter, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to replace voter when NOT a voter', async () => {
+      await assertRevert(
+        testReplaceVoterVote(vbo, compromisedVoter, newVoter, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to replace address which is NOT a voter', async () => {
+      await assertRevert(
+        testReplaceVoterVote(vbo, voters[2], newVoter, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to replace voter with the zero address', async () => {
+      await assertRevert(
+        testReplaceVoterVote(vbo, compromisedVoter, addressZero, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to replace voter with address which is already voter', async () => {
+      await assertRevert(
+        testReplaceVoterVote(vbo, compromisedVoter, voters[0], {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to replace voter', async () => {
+      await testReplaceVoterVote(vbo, compromisedVoter, newVoter, {
+        from: voters[0]
+      })
+    })
+
+    it('should perform replace voter action after enough votes', async () => {
+      await testReplaceVoterVoteRun(vbo, compromisedVoter, newVoter, {
+        from: compromisedVoter
+      })
+    })
+
+    it('should list new voter in place of replaced voter', async () => {
+      await testVoters(vbo, [voters[0], newVoter])
+    })
+
+    it('should NOT vote as replaced voter', async () => {
+      await assertRevert(
+        testPauseTokenVote(vbo, tkn, {
+          from: compromisedVoter
+        })
+      )
+    })
+
+    it('should perform actions with votes from new voter', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: newVoter
+      })
+    })
   })
 })
 
@@ -196,222 +434,450 @@ describe('when changing minimumVotes', () => {
   })
 })
 
-describe('when pausing/unpausing', () => {
+describe('when using weighted votes', () => {
   contract('VotableOwner', () => {
-    let tkn, vbo
+    const weight = 2
+    let vbo, tkn, transferCallData
 
     before('setup contracts', async () => {
       const contracts = await setupContracts()
-      tkn = contracts.tkn
       vbo = contracts.vbo
+      tkn = contracts.tkn
+      transferCallData = vbo.contract.methods
+        .transferEther(other, 1)
+        .encodeABI()
     })
 
-    it('should NOT allow voting for pause token action by a non-voter', async () => {
+    it('should start with a weight of 1 for each voter', async () => {
+      for (const voter of voters) {
+        const voterWeight = await vbo.voterWeights(voter)
+        assert.equal(voterWeight.toString(), '1', 'voter weight should be 1')
+      }
+
+      const totalWeight = await vbo.totalWeight()
+      assert.equal(
+        totalWeight.toString(),
+        voters.length.toString(),
+        'totalWeight should match voterCount'
+      )
+    })
+
+    it('should NOT vote to update voter weight if NOT voter', async () => {
       await assertRevert(
-        testPauseTokenVote(vbo, tkn, {
+        testUpdateVoterWeightVote(vbo, voters[0], weight, {
           from: other
         })
       )
     })
 
-    it('should vote to pause token', async () => {
-      await testPauseTokenVote(vbo, tkn, {
-        from: voters[0]
-      })
-    })
-
-    it('should NOT vote to pause again from same address', async () => {
+    it('should NOT vote to update weight of non voter', async () => {
       await assertRevert(
-        testPauseTokenVote(vbo, tkn, {
+        testUpdateVoterWeightVote(vbo, other, weight, {
           from: voters[0]
         })
       )
     })
 
-    it('should perform pause token action after enough votes', async () => {
-      await testPauseTokenVoteRun(vbo, tkn, {
-        from: voters[1]
-      })
+    it('should NOT vote to update voter weight to 0', async () => {
+      await assertRevert(
+        testUpdateVoterWeightVote(vbo, voters[0], 0, {
+          from: voters[0]
+        })
+      )
     })
 
-    it('should NOT allow voting for unpause action by a non-voter', async () => {
+    it('should NOT vote to update voter weight if same as current', async () => {
       await assertRevert(
-        testUnpauseTokenVote(vbo, tkn, {
-          from: other
+        testUpdateVoterWeightVote(vbo, voters[0], 1, {
+          from: voters[0]
         })
       )
     })
 
-    it('should vote to unpause token', async () => {
-      await testUnpauseTokenVote(vbo, tkn, {
+    it('should vote to update voter weight', async () => {
+      await testUpdateVoterWeightVote(vbo, voters[0], weight, {
+        from: voters[0]
+      })
+    })
+
+    it('should perform update voter weight action after enough votes', async () => {
+      await testUpdateVoterWeightVoteRun(vbo, voters[0], weight, {
         from: voters[1]
       })
     })
 
-    it('should NOT vote to unpause again from same address', async () => {
+    it('should perform action with a single vote of enough weight', async () => {
+      await vbo.pauseToken({ from: voters[0] })
+
+      assert(await tkn.paused(), 'token should be paused after single vote')
+    })
+
+    it('should invalidate pending actions when updating voter weight', async () => {
+      await vbo.transferEther(other, 1, { from: voters[1] })
+
+      await testPendingActionsInvalidated(
+        vbo,
+        () =>
+          vbo.updateVoterWeight(voters[1], weight, {
+            from: voters[0]
+          }),
+        [transferCallData]
+      )
+    })
+
+    it('should NOT vote to update minimum votes to more than totalWeight', async () => {
+      const totalWeight = await vbo.totalWeight()
+
       await assertRevert(
-        testUnpauseTokenVote(vbo, tkn, {
-          from: voters[1]
+        testUpdateMinimumVotesVote(vbo, totalWeight.addn(1), {
+          from: voters[0]
         })
       )
     })
 
-    it('should perform unpause token action after enough votes', async () => {
-      await testUnpauseTokenVoteRun(vbo, tkn, {
+    it('should update minimum votes to totalWeight', async () => {
+      const totalWeight = await vbo.totalWeight()
+
+      await testUpdateMinimumVotesVote(vbo, totalWeight, {
         from: voters[2]
       })
+      await testUpdateMinimumVotesVoteRun(vbo, totalWeight, {
+        from: voters[3]
+      })
     })
-  })
-})
-
-describe('when handling ether', () => {
-  contract('VotableOwner', () => {
-    const etherRecipient = voters[0]
-    const etherAmount = new BN(1).mul(decimals18)
-    let vbo
 
-    before('setup contracts', async () => {
-      const contracts = await setupContracts()
-      vbo = contracts.vbo
+    it('should emit accumulated weight of votes when voting', async () => {
+      await testVoteEvents(vbo, 'transferEther', [other, 1], {
+        from: voters[0]
+      })
+      await testVoteEvents(vbo, 'transferEther', [other, 1], {
+        from: voters[2]
+      })
     })
 
-    it('should receive ether without problems', async () => {
-      await testReceiveEther(vbo, {
-        to: vbo.address,
-        from: other,
-        value: etherAmount
+    it('should decrement votes by weight of voter when revoking', async () => {
+      await testRevokeVote(vbo, transferCallData, {
+        from: voters[0]
       })
     })
 
-    it('should NOT allow vote for sending ether by a non-voter', async () => {
-      await assertRevert(
-        testSendEtherVote(vbo, etherRecipient, etherAmount, {
-          from: other
-        })
+    it('should propose action as voter with a weight above 1', async () => {
+      await testProposeAction(
+        vbo,
+        vbo.contract.methods.unpauseToken().encodeABI(),
+        {
+          from: voters[0]
+        }
       )
     })
 
-    it('should vote to send ether', async () => {
-      await testSendEtherVote(vbo, etherRecipient, etherAmount, {
-        from: voters[0]
-      })
+    it('should NOT propose action which already has votes as voter with a weight above 1', async () => {
+      await assertRevert(
+        testProposeAction(vbo, transferCallData, {
+          from: voters[1]
+        })
+      )
     })
 
-    it('should NOT vote to send ether again from same address', async () => {
+    it('should NOT vote to remove voter if totalWeight would drop below minimumVotes', async () => {
       await assertRevert(
-        testSendEtherVote(vbo, etherRecipient, etherAmount, {
+        testRemoveVoterVote(vbo, voters[3], {
           from: voters[0]
         })
       )
     })
 
-    it('should perform send ether action after enough votes', async () => {
-      await testSendEtherVoteRun(vbo, etherRecipient, etherAmount, {
-        from: voters[1]
-      })
+    it('should NOT vote to lower voter weight if totalWeight would drop below minimumVotes', async () => {
+      await assertRevert(
+        testUpdateVoterWeightVote(vbo, voters[0], 1, {
+          from: voters[0]
+        })
+      )
     })
   })
 })
 
-describe('when handling tokens on VotableOwner', () => {
+describe('when using action thresholds', () => {
   contract('VotableOwner', () => {
-    const etherRecipient = voters[0]
-    const etherAmount = new BN(1).mul(decimals18)
-    let vbo, tkn
+    const supermajority = 4
+    let vbo, tkn, pauseTokenFuncSig, addVoterFuncSig, renounceFuncSig
 
     before('setup contracts', async () => {
       const contracts = await setupContracts()
       vbo = contracts.vbo
       tkn = contracts.tkn
+      pauseTokenFuncSig = vbo.contract.methods
+        .pauseToken()
+        .encodeABI()
+        .slice(0, 10)
+      addVoterFuncSig = vbo.contract.methods
+        .addVoter(other)
+        .encodeABI()
+        .slice(0, 10)
+      renounceFuncSig = vbo.contract.methods
+        .renounceTokenOwnership()
+        .encodeABI()
+        .slice(0, 10)
     })
 
-    it('should NOT allow vote for sending tokens if before token release date', async () => {
+    it('should start without thresholds', async () => {
+      const funcSigs = (await vbo.getActionThresholds())[0]
+      const minimumVotes = await vbo.minimumVotes()
+      const requiredVotes = await vbo.requiredVotes(addVoterFuncSig)
+
+      assert.equal(funcSigs.length, 0, 'there should be no thresholds')
+      assert.equal(
+        requiredVotes.toString(),
+        minimumVotes.toString(),
+        'function without threshold should need minimumVotes'
+      )
+    })
+
+    it('should NOT vote to update threshold if NOT voter', async () => {
       await assertRevert(
-        testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
+        testUpdateActionThresholdVote(vbo, addVoterFuncSig, supermajority, {
           from: other
         })
       )
     })
 
-    it('should time travel to after token release date', async () => {
-      await warpToTokenReleaseDate(vbo)
+    it('should NOT vote to update threshold of renounceTokenOwnership', async () => {
+      await assertRevert(
+        testUpdateActionThresholdVote(vbo, renounceFuncSig, 2, {
+          from: voters[0]
+        })
+      )
     })
 
-    it('should NOT allow vote for sending tokens by a non-voter', async () => {
+    it('should NOT vote to update threshold to 1', async () => {
       await assertRevert(
-        testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
-          from: other
+        testUpdateActionThresholdVote(vbo, addVoterFuncSig, 1, {
+          from: voters[0]
         })
       )
     })
 
-    it('should vote to send tokens', async () => {
-      await testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
-        from: voters[0]
-      })
+    it('should NOT vote to update threshold to more than totalWeight', async () => {
+      await assertRevert(
+        testUpdateActionThresholdVote(vbo, addVoterFuncSig, voters.length + 1, {
+          from: voters[0]
+        })
+      )
     })
 
-    it('should NOT vote to send tokens again from same address', async () => {
+    it('should NOT vote to update threshold if same as current', async () => {
       await assertRevert(
-        testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
+        testUpdateActionThresholdVote(vbo, addVoterFuncSig, 0, {
           from: voters[0]
         })
       )
     })
 
-    it('should perform send tokens action after enough votes', async () => {
-      await testSendTokensVoteRun(vbo, tkn, etherRecipient, etherAmount, {
-        from: voters[1]
+    it('should vote to update threshold', async () => {
+      await testUpdateActionThresholdVote(vbo, addVoterFuncSig, supermajority, {
+        from: voters[0]
       })
     })
-  })
-})
-
-describe('when changing minimumVotes during another vote', () => {
-  contract('VotableOwner', () => {
-    let vbo, tkn
 
-    before('setup contracts', async () => {
-      const contracts = await setupContracts()
-      vbo = contracts.vbo
-      tkn = contracts.tkn
+    it('should perform update threshold action after enough votes', async () => {
+      await testUpdateActionThresholdVoteRun(
+        vbo,
+        addVoterFuncSig,
+        supermajority,
+        {
+          from: voters[1]
+        }
+      )
     })
 
-    it('should vote to pause token', async () => {
-      await testPauseTokenVote(vbo, tkn, {
-        from: voters[0]
-      })
+    it('should NOT vote to remove voter if totalWeight would drop below threshold', async () => {
+      await assertRevert(
+        testRemoveVoterVote(vbo, voters[3], {
+          from: voters[0]
+        })
+      )
     })
 
-    it('should update minimum votes', async () => {
-      await testUpdateMinimumVotesVote(vbo, 3, {
+    it('should only perform action once when threshold has been met', async () => {
+      await testAddVoterVote(vbo, other, {
         from: voters[0]
       })
-
-      await testUpdateMinimumVotesVoteRun(vbo, 3, {
+      await testAddVoterVote(vbo, other, {
         from: voters[1]
       })
+      await testAddVoterVote(vbo, other, {
+        from: voters[2]
+      })
+      await testAddVoterVoteRun(vbo, other, {
+        from: voters[3]
+      })
     })
 
-    it('should require 3 NEW votes to pause token after minimumVotes updated', async () => {
+    it('should invalidate pending actions when updating threshold', async () => {
+      const pauseTokenCallData = vbo.contract.methods.pauseToken().encodeABI()
+
       await testPauseTokenVote(vbo, tkn, {
         from: voters[0]
       })
-
-      await testPauseTokenVote(vbo, tkn, {
-        from: voters[1]
+      await testUpdateActionThresholdVote(vbo, pauseTokenFuncSig, 3, {
+        from: voters[0]
       })
 
+      await testPendingActionsInvalidated(
+        vbo,
+        () =>
+          vbo.updateActionThreshold(pauseTokenFuncSig, 3, {
+            from: voters[1]
+          }),
+        [pauseTokenCallData]
+      )
+    })
+
+    it('should perform action with threshold higher than minimumVotes', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[1]
+      })
       await testPauseTokenVoteRun(vbo, tkn, {
         from: voters[2]
       })
     })
+
+    it('should need minimumVotes again after removing threshold', async () => {
+      await testUpdateActionThresholdVote(vbo, pauseTokenFuncSig, 0, {
+        from: voters[0]
+      })
+      await testUpdateActionThresholdVoteRun(vbo, pauseTokenFuncSig, 0, {
+        from: voters[1]
+      })
+    })
   })
 })
 
-describe('when adding voter during another vote', () => {
+describe('when using action thresholds of transfers', () => {
   contract('VotableOwner', () => {
-    const badVoter = voters[3]
+    const supermajority = 4
+    const etherAmount = new BN(1).mul(decimals18)
+    const recipient = tokenHolders[0]
+    let vbo, minimumVotes
+
+    const testActionRequiredVotes = async (callData, expectedVotes, message) =>
+      assert.equal(
+        (await vbo.actionRequiredVotes(callData)).toString(),
+        expectedVotes.toString(),
+        message
+      )
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      minimumVotes = await vbo.minimumVotes()
+
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherAmount.mul(new BN(2))
+      })
+
+      for (const method of ['transferEther', 'transferTokens']) {
+        const funcSig = vbo.contract.methods[method](recipient, 1)
+          .encodeABI()
+          .slice(0, 10)
+
+        await testUpdateActionThresholdVote(vbo, funcSig, supermajority, {
+          from: voters[0]
+        })
+        await testUpdateActionThresholdVoteRun(vbo, funcSig, supermajority, {
+          from: voters[1]
+        })
+      }
+    })
+
+    it('should need threshold of transfers for batch transfers', async () => {
+      await testActionRequiredVotes(
+        vbo.contract.methods
+          .batchTransferEther([recipient], [etherAmount.toString()])
+          .encodeABI(),
+        supermajority,
+        'batchTransferEther should need threshold of transferEther'
+      )
+      await testActionRequiredVotes(
+        vbo.contract.methods.batchTransferTokens([recipient], [1]).encodeABI(),
+        supermajority,
+        'batchTransferTokens should need threshold of transferTokens'
+      )
+    })
+
+    it('should need threshold of transferEther for calls sending ether', async () => {
+      await testActionRequiredVotes(
+        vbo.contract.methods
+          .executeCall(recipient, etherAmount.toString(), '0x')
+          .encodeABI(),
+        supermajority,
+        'executeCall sending ether should need threshold of transferEther'
+      )
+      await testActionRequiredVotes(
+        vbo.contract.methods
+          .batchExecuteCall(
+            [recipient, recipient],
+            [0, etherAmount.toString()],
+            '0x',
+            [0, 0]
+          )
+          .encodeABI(),
+        supermajority,
+        'batchExecuteCall sending ether should need threshold of transferEther'
+      )
+    })
+
+    it('should need minimumVotes for calls NOT sending ether', async () => {
+      await testActionRequiredVotes(
+        vbo.contract.methods.executeCall(recipient, 0, '0x').encodeABI(),
+        minimumVotes,
+        'executeCall without ether should need minimumVotes'
+      )
+      await testActionRequiredVotes(
+        vbo.contract.methods
+          .batchExecuteCall([recipient, recipient], [0, 0], '0x', [0, 0])
+          .encodeABI(),
+        minimumVotes,
+        'batchExecuteCall without ether should need minimumVotes'
+      )
+    })
+
+    it('should only send ether through executeCall once when threshold has been met', async () => {
+      const preRecipientBalance = new BN(await getEtherBalance(recipient))
+
+      for (const voter of voters.slice(0, supermajority)) {
+        assert.equal(
+          (await getEtherBalance(recipient)).toString(),
+          preRecipientBalance.toString(),
+          'ether should NOT be sent before threshold has been met'
+        )
+
+        await vbo.executeCall(recipient, etherAmount, '0x', {
+          from: voter
+        })
+      }
+
+      assert.equal(
+        (await getEtherBalance(recipient)).toString(),
+        preRecipientBalance.add(etherAmount).toString(),
+        'ether should be sent once when threshold has been met'
+      )
+    })
+  })
+})
+
+describe('when using daily allowances', () => {
+  contract('VotableOwner', () => {
+    const etherAllowance = new BN(1).mul(decimals18)
+    const tokenAllowance = new BN(2).mul(decimals18)
+    const smallEtherAmount = new BN(4).mul(decimals18).div(new BN(10))
+    const largeEtherAmount = new BN(7).mul(decimals18).div(new BN(10))
+    const smallTokenAmount = new BN(1).mul(decimals18)
     let vbo, tkn
 
     before('setup contracts', async () => {
@@ -420,72 +886,2896 @@ describe('when adding voter during another vote', () => {
       tkn = contracts.tkn
     })
 
-    it('should vote to pause token', async () => {
-      await testPauseTokenVote(vbo, tkn, {
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherAllowance.mul(new BN(3))
+      })
+    })
+
+    it('should start without allowances', async () => {
+      await testRemainingAllowances(vbo, {
+        ether: 0,
+        token: 0
+      })
+    })
+
+    it('should NOT vote to update daily ether allowance if NOT voter', async () => {
+      await assertRevert(
+        testUpdateDailyEtherAllowanceVote(vbo, etherAllowance, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to update allowance votes to 0', async () => {
+      await assertRevert(
+        testUpdateAllowanceVotesVote(vbo, 0, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to update allowance votes if same as current', async () => {
+      await assertRevert(
+        testUpdateAllowanceVotesVote(vbo, 1, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should update daily ether allowance after enough votes', async () => {
+      await testUpdateDailyEtherAllowanceVote(vbo, etherAllowance, {
         from: voters[0]
       })
+      await testUpdateDailyEtherAllowanceVoteRun(vbo, etherAllowance, {
+        from: voters[1]
+      })
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance,
+        token: 0
+      })
     })
 
-    it('should add voter', async () => {
-      await testRemoveVoterVote(vbo, badVoter, {
+    it('should transfer ether within allowance with a single vote', async () => {
+      await testSendEtherVoteRun(vbo, other, smallEtherAmount, {
         from: voters[0]
       })
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance.sub(smallEtherAmount),
+        token: 0
+      })
+    })
 
-      await testRemoveVoterVoteRun(vbo, badVoter, {
+    it('should NOT transfer ether exceeding remaining allowance with a single vote', async () => {
+      await testSendEtherVote(vbo, other, largeEtherAmount, {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT count transfers exceeding remaining allowance towards it', async () => {
+      await testSendEtherVoteRun(vbo, other, largeEtherAmount, {
         from: voters[1]
       })
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance.sub(smallEtherAmount),
+        token: 0
+      })
     })
 
-    it('should require 2 NEW votes to pause token after voter removed', async () => {
-      await testPauseTokenVote(vbo, tkn, {
+    it('should reset allowance after a day', async () => {
+      await timeWarp(oneBlockDay)
+
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance,
+        token: 0
+      })
+    })
+
+    it('should transfer ether within allowance of new period with a single vote', async () => {
+      await testSendEtherVoteRun(vbo, other, largeEtherAmount, {
+        from: voters[2]
+      })
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance.sub(largeEtherAmount),
+        token: 0
+      })
+    })
+
+    it('should update daily token allowance after enough votes', async () => {
+      await testUpdateDailyTokenAllowanceVote(vbo, tokenAllowance, {
         from: voters[0]
       })
+      await testUpdateDailyTokenAllowanceVoteRun(vbo, tokenAllowance, {
+        from: voters[1]
+      })
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance.sub(largeEtherAmount),
+        token: tokenAllowance
+      })
+    })
 
-      await testPauseTokenVoteRun(vbo, tkn, {
+    it('should transfer tokens within allowance with a single vote', async () => {
+      await warpToTokenReleaseDate(vbo)
+      await testSendTokensVoteRun(vbo, tkn, other, smallTokenAmount, {
+        from: voters[0]
+      })
+      await testRemainingAllowances(vbo, {
+        ether: etherAllowance,
+        token: tokenAllowance.sub(smallTokenAmount)
+      })
+    })
+
+    it('should update allowance votes after enough votes', async () => {
+      await testUpdateAllowanceVotesVote(vbo, 2, {
+        from: voters[0]
+      })
+      await testUpdateAllowanceVotesVoteRun(vbo, 2, {
+        from: voters[1]
+      })
+    })
+
+    it('should need allowance votes for transfers within allowance', async () => {
+      await testSendEtherVote(vbo, other, smallEtherAmount, {
+        from: voters[0]
+      })
+      await testSendEtherVoteRun(vbo, other, smallEtherAmount, {
         from: voters[1]
       })
     })
   })
 })
 
-describe('when voting resulting in a successful action and voting again', () => {
+describe('when changing voteLifetime', () => {
   contract('VotableOwner', () => {
-    let vbo, tkn
+    const voteLifetime = oneBlockDay
+    let vbo
 
     before('setup contracts', async () => {
       const contracts = await setupContracts()
       vbo = contracts.vbo
+    })
+
+    it('should NOT vote to update vote lifetime if NOT voter', async () => {
+      await assertRevert(
+        testUpdateVoteLifetimeVote(vbo, voteLifetime, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to update vote lifetime if 0', async () => {
+      await assertRevert(
+        testUpdateVoteLifetimeVote(vbo, 0, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to update vote lifetime if same as current', async () => {
+      await assertRevert(
+        testUpdateVoteLifetimeVote(vbo, defaultVoteLifetime, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to update vote lifetime', async () => {
+      await testUpdateVoteLifetimeVote(vbo, voteLifetime, {
+        from: voters[0]
+      })
+    })
+
+    it('should perform update vote lifetime action after enough votes', async () => {
+      await testUpdateVoteLifetimeVoteRun(vbo, voteLifetime, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when pausing/unpausing', () => {
+  contract('VotableOwner', () => {
+    let tkn, vbo
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
       tkn = contracts.tkn
+      vbo = contracts.vbo
     })
 
-    it('should vote and pause token after two votes', async () => {
+    it('should NOT allow voting for pause token action by a non-voter', async () => {
+      await assertRevert(
+        testPauseTokenVote(vbo, tkn, {
+          from: other
+        })
+      )
+    })
+
+    it('should vote to pause token', async () => {
       await testPauseTokenVote(vbo, tkn, {
         from: voters[0]
       })
+    })
+
+    it('should NOT vote to pause again from same address', async () => {
+      await assertRevert(
+        testPauseTokenVote(vbo, tkn, {
+          from: voters[0]
+        })
+      )
+    })
 
+    it('should perform pause token action after enough votes', async () => {
       await testPauseTokenVoteRun(vbo, tkn, {
         from: voters[1]
       })
     })
 
-    it('should vote and unpause token for second round of pause votes', async () => {
+    it('should NOT allow voting for unpause action by a non-voter', async () => {
+      await assertRevert(
+        testUnpauseTokenVote(vbo, tkn, {
+          from: other
+        })
+      )
+    })
+
+    it('should vote to unpause token', async () => {
       await testUnpauseTokenVote(vbo, tkn, {
-        from: voters[0]
+        from: voters[1]
       })
+    })
+
+    it('should NOT vote to unpause again from same address', async () => {
+      await assertRevert(
+        testUnpauseTokenVote(vbo, tkn, {
+          from: voters[1]
+        })
+      )
+    })
 
+    it('should perform unpause token action after enough votes', async () => {
       await testUnpauseTokenVoteRun(vbo, tkn, {
-        from: voters[1]
+        from: voters[2]
       })
     })
+  })
+})
 
-    it('should vote and pause token after two votes again', async () => {
-      await testPauseTokenVote(vbo, tkn, {
+describe('when using guardians', () => {
+  contract('VotableOwner', () => {
+    const guardian = tokenHolders[0]
+    let tkn, vbo, emergencyPauseDuration
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      vbo = contracts.vbo
+      emergencyPauseDuration = (await vbo.EMERGENCY_PAUSE_DURATION()).toNumber()
+    })
+
+    it('should NOT emergency pause token if NOT guardian', async () => {
+      await assertRevert(
+        testEmergencyPause(vbo, tkn, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to add guardian if NOT voter', async () => {
+      await assertRevert(
+        testAddGuardianVote(vbo, guardian, {
+          from: other
+        })
+      )
+    })
+
+    it('should vote to add guardian', async () => {
+      await testAddGuardianVote(vbo, guardian, {
         from: voters[0]
       })
+    })
 
-      await testPauseTokenVoteRun(vbo, tkn, {
+    it('should add guardian after enough votes', async () => {
+      await testAddGuardianVoteRun(vbo, guardian, {
         from: voters[1]
       })
     })
+
+    it('should NOT vote to add guardian which is already guardian', async () => {
+      await assertRevert(
+        testAddGuardianVote(vbo, guardian, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote for any other action as guardian', async () => {
+      await assertRevert(
+        testPauseTokenVote(vbo, tkn, {
+          from: guardian
+        })
+      )
+      await assertRevert(
+        testAddGuardianVote(vbo, other, {
+          from: guardian
+        })
+      )
+    })
+
+    it('should NOT vote to confirm emergency pause without emergency pause', async () => {
+      await assertRevert(
+        testConfirmEmergencyPauseVote(vbo, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should emergency pause token as guardian', async () => {
+      await testEmergencyPause(vbo, tkn, {
+        from: guardian
+      })
+    })
+
+    it('should NOT unpause token as guardian', async () => {
+      await assertRevert(
+        testUnpauseTokenVote(vbo, tkn, {
+          from: guardian
+        })
+      )
+    })
+
+    it('should NOT end emergency pause before it has expired', async () => {
+      await assertRevert(
+        testEndEmergencyPause(vbo, tkn, {
+          from: other
+        })
+      )
+    })
+
+    it('should end emergency pause after it has expired', async () => {
+      await timeWarp(emergencyPauseDuration)
+
+      await testEndEmergencyPause(vbo, tkn, {
+        from: other
+      })
+    })
+
+    it('should emergency pause token again as guardian', async () => {
+      await testEmergencyPause(vbo, tkn, {
+        from: guardian
+      })
+    })
+
+    it('should vote to confirm emergency pause', async () => {
+      await testConfirmEmergencyPauseVote(vbo, {
+        from: voters[0]
+      })
+    })
+
+    it('should confirm emergency pause after enough votes', async () => {
+      await testConfirmEmergencyPauseVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT end confirmed emergency pause', async () => {
+      await timeWarp(emergencyPauseDuration)
+
+      await assertRevert(
+        testEndEmergencyPause(vbo, tkn, {
+          from: other
+        })
+      )
+    })
+
+    it('should unpause token after confirmed emergency pause through a vote', async () => {
+      await testUnpauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testUnpauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should vote to remove guardian', async () => {
+      await testRemoveGuardianVote(vbo, guardian, {
+        from: voters[0]
+      })
+    })
+
+    it('should remove guardian after enough votes', async () => {
+      await testRemoveGuardianVoteRun(vbo, guardian, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT emergency pause token as removed guardian', async () => {
+      await assertRevert(
+        testEmergencyPause(vbo, tkn, {
+          from: guardian
+        })
+      )
+    })
+
+    it('should NOT vote to remove address which is NOT guardian', async () => {
+      await assertRevert(
+        testRemoveGuardianVote(vbo, guardian, {
+          from: voters[0]
+        })
+      )
+    })
+  })
+})
+
+describe('when transferring token ownership', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should NOT vote to transfer token ownership by a non-voter', async () => {
+      await assertRevert(
+        testTransferTokenOwnershipVote(vbo, tkn, other, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to transfer token ownership to VotableOwner', async () => {
+      await assertRevert(
+        testTransferTokenOwnershipVote(vbo, tkn, vbo.address, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to call token through executeCall', async () => {
+      const data = tkn.contract.methods.transferOwnership(other).encodeABI()
+
+      await assertRevert(
+        vbo.executeCall(tkn.address, 0, data, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to transfer token ownership', async () => {
+      await testTransferTokenOwnershipVote(vbo, tkn, other, {
+        from: voters[0]
+      })
+    })
+
+    it('should transfer token ownership after enough votes', async () => {
+      await testTransferTokenOwnershipVoteRun(vbo, tkn, other, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when renouncing token ownership', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should need votes from every voter to renounce token ownership', async () => {
+      const callData = vbo.contract.methods.renounceTokenOwnership().encodeABI()
+      const pauseTokenCallData = vbo.contract.methods.pauseToken().encodeABI()
+
+      assert.equal(
+        (await vbo.requiredVotes(callData.slice(0, 10))).toString(),
+        voters.length.toString(),
+        'renouncing token ownership should need a vote from every voter'
+      )
+      assert.equal(
+        (await vbo.requiredVotes(pauseTokenCallData.slice(0, 10))).toString(),
+        (await vbo.minimumVotes()).toString(),
+        'other actions should need minimumVotes'
+      )
+    })
+
+    it('should NOT renounce token ownership after minimumVotes', async () => {
+      await testRenounceTokenOwnershipVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testRenounceTokenOwnershipVote(vbo, tkn, {
+        from: voters[1]
+      })
+      await testRenounceTokenOwnershipVote(vbo, tkn, {
+        from: voters[2]
+      })
+    })
+
+    it('should renounce token ownership after votes from every voter', async () => {
+      await testRenounceTokenOwnershipVoteRun(vbo, tkn, {
+        from: voters[3]
+      })
+    })
+  })
+})
+
+describe('when changing tokenReleaseDate', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn, tokenReleaseDate, shortenedDate
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      tokenReleaseDate = (await vbo.tokenReleaseDate()).toNumber()
+    })
+
+    it('should NOT vote to extend tokenReleaseDate if NOT voter', async () => {
+      await assertRevert(
+        testExtendTokenReleaseDateVote(vbo, tokenReleaseDate + oneBlockDay, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to extend tokenReleaseDate to an earlier date', async () => {
+      await assertRevert(
+        testExtendTokenReleaseDateVote(vbo, tokenReleaseDate - oneBlockDay, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to extend tokenReleaseDate', async () => {
+      await testExtendTokenReleaseDateVote(
+        vbo,
+        tokenReleaseDate + oneBlockDay,
+        {
+          from: voters[0]
+        }
+      )
+    })
+
+    it('should extend tokenReleaseDate after enough votes', async () => {
+      await testExtendTokenReleaseDateVoteRun(
+        vbo,
+        tokenReleaseDate + oneBlockDay,
+        {
+          from: voters[1]
+        }
+      )
+    })
+
+    it('should NOT transfer tokens after original tokenReleaseDate', async () => {
+      await timeWarp(tokenReleaseDate - (await getCurrentBlockTime()) + 60)
+
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, other, 1, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should need votes from every voter to shorten tokenReleaseDate', async () => {
+      const callData = vbo.contract.methods
+        .shortenTokenReleaseDate(tokenReleaseDate)
+        .encodeABI()
+
+      assert.equal(
+        (await vbo.requiredVotes(callData.slice(0, 10))).toString(),
+        voters.length.toString(),
+        'shortening tokenReleaseDate should need a vote from every voter'
+      )
+    })
+
+    it('should NOT vote to shorten tokenReleaseDate to a later date', async () => {
+      await assertRevert(
+        testShortenTokenReleaseDateVote(vbo, tokenReleaseDate + oneBlockWeek, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to shorten tokenReleaseDate to a past date', async () => {
+      await assertRevert(
+        testShortenTokenReleaseDateVote(vbo, tokenReleaseDate, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should shorten tokenReleaseDate only after votes from every voter', async () => {
+      shortenedDate = (await getCurrentBlockTime()) + 60 * 60
+
+      for (const voter of voters.slice(0, -1)) {
+        await testShortenTokenReleaseDateVote(vbo, shortenedDate, {
+          from: voter
+        })
+      }
+
+      await testShortenTokenReleaseDateVoteRun(vbo, shortenedDate, {
+        from: voters[voters.length - 1]
+      })
+    })
+
+    it('should vote to extend shortened tokenReleaseDate', async () => {
+      await testExtendTokenReleaseDateVote(vbo, shortenedDate + oneBlockDay, {
+        from: voters[0]
+      })
+    })
+
+    it('should transfer tokens after shortened tokenReleaseDate', async () => {
+      await warpToTokenReleaseDate(vbo)
+
+      await testSendTokensVote(vbo, tkn, other, 1, {
+        from: voters[0]
+      })
+      await testSendTokensVoteRun(vbo, tkn, other, 1, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT extend tokenReleaseDate after tokens have been released', async () => {
+      const preReleasableTokens = await vbo.releasableTokens()
+
+      await assertRevert(
+        testExtendTokenReleaseDateVoteRun(vbo, shortenedDate + oneBlockDay, {
+          from: voters[1]
+        })
+      )
+
+      assert.equal(
+        (await vbo.tokenReleaseDate()).toString(),
+        shortenedDate.toString(),
+        'tokenReleaseDate should NOT be extended'
+      )
+      assert.equal(
+        (await vbo.releasableTokens()).toString(),
+        preReleasableTokens.toString(),
+        'releasableTokens should be unchanged'
+      )
+    })
+
+    it('should NOT vote to extend tokenReleaseDate after it has passed', async () => {
+      await assertRevert(
+        testExtendTokenReleaseDateVote(vbo, shortenedDate + oneBlockWeek, {
+          from: voters[2]
+        })
+      )
+    })
+  })
+})
+
+describe('when handling ether', () => {
+  contract('VotableOwner', () => {
+    const etherRecipient = voters[0]
+    const etherAmount = new BN(1).mul(decimals18)
+    let vbo
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+    })
+
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherAmount
+      })
+    })
+
+    it('should NOT allow vote for sending ether by a non-voter', async () => {
+      await assertRevert(
+        testSendEtherVote(vbo, etherRecipient, etherAmount, {
+          from: other
+        })
+      )
+    })
+
+    it('should vote to send ether', async () => {
+      await testSendEtherVote(vbo, etherRecipient, etherAmount, {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT vote to send ether again from same address', async () => {
+      await assertRevert(
+        testSendEtherVote(vbo, etherRecipient, etherAmount, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should perform send ether action after enough votes', async () => {
+      await testSendEtherVoteRun(vbo, etherRecipient, etherAmount, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when handling tokens on VotableOwner', () => {
+  contract('VotableOwner', () => {
+    const etherRecipient = voters[0]
+    const etherAmount = new BN(1).mul(decimals18)
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should NOT allow vote for sending tokens if before token release date', async () => {
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
+          from: other
+        })
+      )
+    })
+
+    it('should time travel to after token release date', async () => {
+      await warpToTokenReleaseDate(vbo)
+    })
+
+    it('should NOT allow vote for sending tokens by a non-voter', async () => {
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
+          from: other
+        })
+      )
+    })
+
+    it('should vote to send tokens', async () => {
+      await testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT vote to send tokens again from same address', async () => {
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, etherRecipient, etherAmount, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should perform send tokens action after enough votes', async () => {
+      await testSendTokensVoteRun(vbo, tkn, etherRecipient, etherAmount, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when vesting tokens in tranches', () => {
+  contract('VotableOwner', () => {
+    const vestingDuration = oneBlockDay * 4
+    const vestingTranches = 4
+    const totalTokens = new BN(defaultVotableOwnerTokenBalance.toString())
+    const trancheAmount = totalTokens.div(new BN(vestingTranches))
+    const tokenAmount = new BN(1).mul(decimals18)
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts(vestingDuration, vestingTranches)
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should NOT vest any tokens before token release date', async () => {
+      await testVesting(vbo, {
+        vested: 0,
+        released: 0,
+        remaining: totalTokens
+      })
+    })
+
+    it('should NOT vest any tokens before first tranche', async () => {
+      await warpToTokenReleaseDate(vbo)
+
+      await testVesting(vbo, {
+        vested: 0,
+        released: 0,
+        remaining: totalTokens
+      })
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, other, tokenAmount, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vest first tranche after a tranche duration', async () => {
+      await timeWarp(oneBlockDay)
+
+      await testVesting(vbo, {
+        vested: trancheAmount,
+        released: 0,
+        remaining: totalTokens.sub(trancheAmount)
+      })
+    })
+
+    it('should transfer tokens which have vested', async () => {
+      await testSendTokensVote(vbo, tkn, other, tokenAmount, {
+        from: voters[0]
+      })
+      await testSendTokensVoteRun(vbo, tkn, other, tokenAmount, {
+        from: voters[1]
+      })
+
+      await testVesting(vbo, {
+        vested: trancheAmount,
+        released: tokenAmount,
+        remaining: totalTokens.sub(trancheAmount)
+      })
+    })
+
+    it('should NOT transfer more tokens than are releasable', async () => {
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, other, tokenAmount, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT batch transfer more tokens than are releasable', async () => {
+      await assertRevert(
+        testBatchTransferTokensVote(
+          vbo,
+          tkn,
+          [other, tokenHolders[0]],
+          [trancheAmount.sub(tokenAmount), new BN(1)],
+          {
+            from: voters[0]
+          }
+        )
+      )
+    })
+
+    it('should vest all tokens after vesting duration', async () => {
+      await timeWarp(oneBlockDay * 3)
+
+      await testVesting(vbo, {
+        vested: totalTokens,
+        released: tokenAmount,
+        remaining: 0
+      })
+    })
+
+    it('should transfer all remaining tokens after vesting duration', async () => {
+      const remainingTokens = totalTokens.sub(tokenAmount)
+
+      await testSendTokensVote(vbo, tkn, other, remainingTokens, {
+        from: voters[0]
+      })
+      await testSendTokensVoteRun(vbo, tkn, other, remainingTokens, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when vesting tokens in tranches NOT dividing the vesting duration', () => {
+  contract('VotableOwner', () => {
+    // tranches would last for 1 second each when rounding down their duration
+    const vestingDuration = oneBlockDay * 4
+    const vestingTranches = oneBlockDay * 2 + 1
+    const totalTokens = new BN(defaultVotableOwnerTokenBalance.toString())
+    let vbo
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts(vestingDuration, vestingTranches)
+      vbo = contracts.vbo
+    })
+
+    it('should vest tranches evenly over vesting duration', async () => {
+      await warpToTokenReleaseDate(vbo)
+      await timeWarp(oneBlockDay * 3)
+
+      const vestedTokens = await vbo.vestedTokens()
+
+      assert(
+        areInRange(vestedTokens, totalTokens.muln(3).divn(4), 1e16),
+        'three quarters of tokens should have vested three quarters through vesting duration'
+      )
+    })
+
+    it('should vest all tokens after vesting duration', async () => {
+      await timeWarp(oneBlockDay)
+
+      await testVesting(vbo, {
+        vested: totalTokens,
+        released: 0,
+        remaining: 0
+      })
+    })
+  })
+})
+
+describe('when the token balance of VotableOwner drops after releasing tokens', () => {
+  contract('VotableOwner', () => {
+    const vestingDuration = oneBlockDay * 4
+    const vestingTranches = 4
+    const totalTokens = new BN(defaultVotableOwnerTokenBalance.toString())
+    const trancheAmount = totalTokens.divn(vestingTranches)
+    const seizedAmount = totalTokens.divn(2)
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupSeizableContracts(
+        vestingDuration,
+        vestingTranches
+      )
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should release the first tranche', async () => {
+      await warpToTokenReleaseDate(vbo)
+      await timeWarp(oneBlockDay)
+
+      await testSendTokensVote(vbo, tkn, other, trancheAmount, {
+        from: voters[0]
+      })
+      await testSendTokensVoteRun(vbo, tkn, other, trancheAmount, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT have releasable tokens when fewer tokens have vested than have been released', async () => {
+      await tkn.seize(vbo.address, seizedAmount)
+      const remainingTokens = totalTokens.sub(seizedAmount)
+      const vestedTokens = remainingTokens.divn(vestingTranches)
+
+      await testVesting(vbo, {
+        vested: vestedTokens,
+        released: trancheAmount,
+        remaining: remainingTokens.sub(vestedTokens)
+      })
+      await assertRevert(
+        testSendTokensVote(vbo, tkn, other, new BN(1), {
+          from: voters[0]
+        })
+      )
+    })
+  })
+})
+
+describe('when vesting tokens continuously', () => {
+  contract('VotableOwner', () => {
+    const vestingDuration = oneBlockDay * 4
+    const totalTokens = new BN(defaultVotableOwnerTokenBalance.toString())
+    let vbo
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts(vestingDuration, 0)
+      vbo = contracts.vbo
+    })
+
+    it('should vest tokens linearly after token release date', async () => {
+      await warpToTokenReleaseDate(vbo)
+      await timeWarp(oneBlockDay * 2)
+
+      const vestedTokens = await vbo.vestedTokens()
+
+      assert(
+        areInRange(vestedTokens, totalTokens.div(new BN(2)), 1e16),
+        'half of tokens should have vested halfway through vesting duration'
+      )
+    })
+
+    it('should vest all tokens after vesting duration', async () => {
+      await timeWarp(oneBlockDay * 2)
+
+      await testVesting(vbo, {
+        vested: totalTokens,
+        released: 0,
+        remaining: 0
+      })
+    })
+  })
+})
+
+describe('when handling other tokens on VotableOwner', () => {
+  contract('VotableOwner', () => {
+    const tokenRecipient = other
+    const tokenAmount = new BN(1000)
+    let vbo, tkn, stb, otherStb
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      stb = await setupStableToken(vbo)
+      otherStb = await setupStableToken(vbo)
+    })
+
+    it('should NOT allow vote for transferring other tokens by a non-voter', async () => {
+      await assertRevert(
+        testTransferERC20Vote(vbo, stb, tokenRecipient, tokenAmount, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT allow vote for transferring main token through transferERC20', async () => {
+      await assertRevert(
+        testTransferERC20Vote(vbo, tkn, tokenRecipient, tokenAmount, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to transfer other tokens', async () => {
+      await testTransferERC20Vote(vbo, stb, tokenRecipient, tokenAmount, {
+        from: voters[0]
+      })
+    })
+
+    it('should perform transfer other tokens action after enough votes', async () => {
+      await testTransferERC20VoteRun(vbo, stb, tokenRecipient, tokenAmount, {
+        from: voters[1]
+      })
+    })
+
+    it('should transfer tokens which do NOT return a value from transfer', async () => {
+      const nrt = await setupNoReturnToken(vbo)
+
+      await testTransferERC20Vote(vbo, nrt, tokenRecipient, tokenAmount, {
+        from: voters[0]
+      })
+      await testTransferERC20VoteRun(vbo, nrt, tokenRecipient, tokenAmount, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT perform transfer of tokens which do NOT return a value when transfer fails', async () => {
+      const nrt = await setupNoReturnToken(vbo)
+      const balance = await nrt.balanceOf(vbo.address)
+      const value = balance.addn(1)
+
+      await testTransferERC20Vote(vbo, nrt, tokenRecipient, value, {
+        from: voters[0]
+      })
+      await assertRevert(
+        testTransferERC20VoteRun(vbo, nrt, tokenRecipient, value, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should NOT allow vote for tracking an address without code', async () => {
+      await assertRevert(
+        testAddTrackedTokenVote(vbo, other, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to track a token', async () => {
+      await testAddTrackedTokenVote(vbo, stb.address, {
+        from: voters[0]
+      })
+    })
+
+    it('should track token after enough votes', async () => {
+      await testAddTrackedTokenVoteRun(vbo, stb.address, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT allow vote for tracking an already tracked token', async () => {
+      await assertRevert(
+        testAddTrackedTokenVote(vbo, stb.address, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should track another token', async () => {
+      await testAddTrackedTokenVote(vbo, otherStb.address, {
+        from: voters[0]
+      })
+      await testAddTrackedTokenVoteRun(vbo, otherStb.address, {
+        from: voters[1]
+      })
+    })
+
+    it('should return balances of tracked tokens', async () => {
+      await testTrackedTokenBalances(vbo, [stb, otherStb])
+    })
+
+    it('should NOT allow vote for untracking a token which is NOT tracked', async () => {
+      await assertRevert(
+        testRemoveTrackedTokenVote(vbo, tkn.address, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to untrack a token', async () => {
+      await testRemoveTrackedTokenVote(vbo, stb.address, {
+        from: voters[0]
+      })
+    })
+
+    it('should untrack token after enough votes', async () => {
+      await testRemoveTrackedTokenVoteRun(vbo, stb.address, {
+        from: voters[1]
+      })
+    })
+
+    it('should return balances of remaining tracked tokens', async () => {
+      await testTrackedTokenBalances(vbo, [otherStb])
+    })
+  })
+})
+
+describe('when using batch actions', () => {
+  contract('VotableOwner', () => {
+    const recipients = [tokenHolders[0], tokenHolders[1], other]
+    const values = ['1000', '2000', '3000']
+    const firstKey = web3.utils.soliditySha3('first')
+    const secondKey = web3.utils.soliditySha3('second')
+    let vbo, tkn, reg
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      reg = await setupRegistry(vbo)
+    })
+
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: new BN(1).mul(decimals18)
+      })
+    })
+
+    it('should NOT vote for batch ether transfer by a non-voter', async () => {
+      await assertRevert(
+        testBatchTransferEtherVote(vbo, recipients, values, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote for batch ether transfer with mismatched lengths', async () => {
+      await assertRevert(
+        testBatchTransferEtherVote(vbo, recipients, values.slice(1), {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote for empty batch ether transfer', async () => {
+      await assertRevert(
+        testBatchTransferEtherVote(vbo, [], [], {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should perform batch ether transfer after enough votes', async () => {
+      await testBatchTransferEtherVote(vbo, recipients, values, {
+        from: voters[0]
+      })
+      await testBatchTransferEtherVoteRun(vbo, recipients, values, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT vote for batch token transfer before token release date', async () => {
+      await assertRevert(
+        testBatchTransferTokensVote(vbo, tkn, recipients, values, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should time travel to after token release date', async () => {
+      await warpToTokenReleaseDate(vbo)
+    })
+
+    it('should perform batch token transfer after enough votes', async () => {
+      await testBatchTransferTokensVote(vbo, tkn, recipients, values, {
+        from: voters[0]
+      })
+      await testBatchTransferTokensVoteRun(vbo, tkn, recipients, values, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT perform any transfer when one token transfer fails', async () => {
+      const balance = await tkn.balanceOf(vbo.address)
+      // token transfers to address 0 fail
+      const failingRecipients = [recipients[0], addressZero]
+      const failingValues = ['1000', '1000']
+
+      await testBatchTransferTokensVote(
+        vbo,
+        tkn,
+        failingRecipients,
+        failingValues,
+        {
+          from: voters[0]
+        }
+      )
+      await assertRevert(
+        testBatchTransferTokensVoteRun(
+          vbo,
+          tkn,
+          failingRecipients,
+          failingValues,
+          {
+            from: voters[1]
+          }
+        )
+      )
+      assert.equal(
+        (await tkn.balanceOf(vbo.address)).toString(),
+        balance.toString(),
+        'VotableOwner token balance should remain the same'
+      )
+    })
+
+    it('should NOT vote for batch call to VotableOwner itself', async () => {
+      await assertRevert(
+        testBatchExecuteCallVote(
+          vbo,
+          [
+            {
+              target: vbo.address,
+              value: 0,
+              data: vbo.contract.methods.addVoter(other).encodeABI()
+            }
+          ],
+          {
+            from: voters[0]
+          }
+        )
+      )
+    })
+
+    it('should perform batch calls in order after enough votes', async () => {
+      const calls = [
+        {
+          target: reg.address,
+          value: 0,
+          data: reg.contract.methods.setEntry(firstKey, 1).encodeABI()
+        },
+        {
+          target: reg.address,
+          value: 100,
+          data: reg.contract.methods.setEntry(secondKey, 2).encodeABI()
+        },
+        {
+          target: reg.address,
+          value: 0,
+          data: reg.contract.methods.setEntry(firstKey, 3).encodeABI()
+        }
+      ]
+
+      await testBatchExecuteCallVote(vbo, calls, {
+        from: voters[0]
+      })
+      const returnData = await testBatchExecuteCallVoteRun(vbo, calls, {
+        from: voters[1]
+      })
+
+      assert.equal(
+        (await reg.entries(firstKey)).toString(),
+        '3',
+        'first entry should be set by last call'
+      )
+      assert.equal(
+        (await reg.entries(secondKey)).toString(),
+        '2',
+        'second entry should be set'
+      )
+      assert.deepEqual(
+        returnData.map(data =>
+          web3.eth.abi.decodeParameter('uint256', data).toString()
+        ),
+        ['0', '0', '1'],
+        'return data should contain previous registry entries'
+      )
+    })
+
+    it('should NOT perform any call when one call fails', async () => {
+      const calls = [
+        {
+          target: reg.address,
+          value: 0,
+          data: reg.contract.methods.setEntry(firstKey, 4).encodeABI()
+        },
+        {
+          target: reg.address,
+          value: 0,
+          data: reg.contract.methods.setEntry(secondKey, 0).encodeABI()
+        }
+      ]
+
+      await testBatchExecuteCallVote(vbo, calls, {
+        from: voters[0]
+      })
+
+      try {
+        await testBatchExecuteCallVoteRun(vbo, calls, {
+          from: voters[1]
+        })
+        assert.fail('Expected revert not received')
+      } catch (error) {
+        assert(
+          error.message.includes('value must be greater than 0'),
+          `Expected revert reason of failed call, got ${error.message} instead`
+        )
+      }
+
+      assert.equal(
+        (await reg.entries(firstKey)).toString(),
+        '3',
+        'first entry should NOT be changed'
+      )
+    })
+  })
+})
+
+describe('when changing minimumVotes during another vote', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should vote to pause token', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+    })
+
+    it('should update minimum votes', async () => {
+      await testUpdateMinimumVotesVote(vbo, 3, {
+        from: voters[0]
+      })
+
+      await testUpdateMinimumVotesVoteRun(vbo, 3, {
+        from: voters[1]
+      })
+    })
+
+    it('should require 3 NEW votes to pause token after minimumVotes updated', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[1]
+      })
+
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[2]
+      })
+    })
+  })
+})
+
+describe('when adding voter during another vote', () => {
+  contract('VotableOwner', () => {
+    const badVoter = voters[3]
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should vote to pause token', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+    })
+
+    it('should add voter', async () => {
+      await testRemoveVoterVote(vbo, badVoter, {
+        from: voters[0]
+      })
+
+      await testRemoveVoterVoteRun(vbo, badVoter, {
+        from: voters[1]
+      })
+    })
+
+    it('should require 2 NEW votes to pause token after voter removed', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when voting resulting in a successful action and voting again', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should vote and pause token after two votes', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should vote and unpause token for second round of pause votes', async () => {
+      await testUnpauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+
+      await testUnpauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should vote and pause token after two votes again', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when checking vote events', () => {
+  contract('VotableOwner', () => {
+    let vbo
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+    })
+
+    it('should emit actionId, actionNonce and call data when voting', async () => {
+      await testVoteEvents(vbo, 'transferEther', [other, 1], {
+        from: voters[0]
+      })
+    })
+
+    it('should emit VotePassed when vote has passed', async () => {
+      await testVoteEvents(vbo, 'pauseToken', [], {
+        from: voters[0]
+      })
+
+      await testVoteEvents(vbo, 'pauseToken', [], {
+        from: voters[1]
+      })
+    })
+
+    it('should emit new actionNonce when voting for same action after vote has passed', async () => {
+      await testVoteEvents(vbo, 'unpauseToken', [], {
+        from: voters[0]
+      })
+
+      await testVoteEvents(vbo, 'unpauseToken', [], {
+        from: voters[1]
+      })
+
+      await testVoteEvents(vbo, 'pauseToken', [], {
+        from: voters[0]
+      })
+    })
+  })
+})
+
+describe('when voting on concurrent actions', () => {
+  contract('VotableOwner', () => {
+    const tokenRecipient = other
+    const tokenAmount = new BN(1).mul(decimals18)
+    let vbo, tkn, transferTokensCallData, pauseTokenCallData
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      transferTokensCallData = vbo.contract.methods
+        .transferTokens(tokenRecipient, tokenAmount.toString())
+        .encodeABI()
+      pauseTokenCallData = vbo.contract.methods.pauseToken().encodeABI()
+
+      await warpToTokenReleaseDate(vbo)
+    })
+
+    it('should vote to send tokens', async () => {
+      await testSendTokensVote(vbo, tkn, tokenRecipient, tokenAmount, {
+        from: voters[0]
+      })
+    })
+
+    it('should vote to pause token', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[2]
+      })
+    })
+
+    it('should have both actions pending', async () => {
+      await testPendingActionIds(vbo, [
+        transferTokensCallData,
+        pauseTokenCallData
+      ])
+    })
+
+    it('should perform pause token action after enough votes', async () => {
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should keep send tokens action pending after pause token action passed', async () => {
+      await testPendingActionIds(vbo, [transferTokensCallData])
+    })
+
+    it('should vote to unpause token', async () => {
+      await testUnpauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+    })
+
+    it('should perform unpause token action after enough votes', async () => {
+      await testUnpauseTokenVoteRun(vbo, tkn, {
+        from: voters[3]
+      })
+    })
+
+    it('should perform send tokens action with vote from before other actions passed', async () => {
+      await testSendTokensVoteRun(vbo, tkn, tokenRecipient, tokenAmount, {
+        from: voters[1]
+      })
+    })
+
+    it('should have no pending actions after all actions passed', async () => {
+      await testPendingActionIds(vbo, [])
+    })
+  })
+})
+
+describe('when changing voters or minimumVotes during concurrent actions', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn, transferEtherCallData, pauseTokenCallData
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      transferEtherCallData = vbo.contract.methods
+        .transferEther(other, 1)
+        .encodeABI()
+      pauseTokenCallData = vbo.contract.methods.pauseToken().encodeABI()
+    })
+
+    it('should vote for multiple actions', async () => {
+      await testSendEtherVote(vbo, other, 1, {
+        from: voters[0]
+      })
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[1]
+      })
+      await testUpdateMinimumVotesVote(vbo, 3, {
+        from: voters[0]
+      })
+    })
+
+    it('should invalidate all pending actions when minimumVotes is updated', async () => {
+      await testPendingActionsInvalidated(
+        vbo,
+        () =>
+          vbo.updateMinimumVotes(3, {
+            from: voters[1]
+          }),
+        [transferEtherCallData, pauseTokenCallData]
+      )
+    })
+
+    it('should vote for multiple actions again', async () => {
+      await testSendEtherVote(vbo, other, 1, {
+        from: voters[0]
+      })
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[1]
+      })
+      await testAddVoterVote(vbo, other, {
+        from: voters[0]
+      })
+      await testAddVoterVote(vbo, other, {
+        from: voters[1]
+      })
+    })
+
+    it('should invalidate all pending actions when voter is added', async () => {
+      await testPendingActionsInvalidated(
+        vbo,
+        () =>
+          vbo.addVoter(other, {
+            from: voters[2]
+          }),
+        [transferEtherCallData, pauseTokenCallData]
+      )
+    })
+
+    it('should NOT approve invalidated action', async () => {
+      const actionId = await calculateProposalActionId(vbo, pauseTokenCallData)
+
+      await assertRevert(
+        testApproveAction(vbo, actionId, {
+          from: voters[3]
+        })
+      )
+    })
+
+    it('should start a new proposal when voting for invalidated action', async () => {
+      await testInvalidatedActionVote(
+        vbo,
+        () =>
+          vbo.pauseToken({
+            from: voters[0]
+          }),
+        pauseTokenCallData,
+        {
+          from: voters[0]
+        }
+      )
+
+      assert(!(await tkn.paused()), 'token should NOT be paused')
+    })
+
+    it('should invalidate many pending actions at the cost of a few', async () => {
+      const pendingActionCount = 50
+
+      await vbo.updateMinimumVotes(2, { from: voters[0] })
+      await vbo.updateMinimumVotes(2, { from: voters[1] })
+      const { receipt: fewReceipt } = await vbo.updateMinimumVotes(2, {
+        from: voters[2]
+      })
+
+      for (let value = 1; value <= pendingActionCount; value++) {
+        await vbo.transferEther(other, value, { from: voters[0] })
+      }
+
+      await vbo.updateMinimumVotes(3, { from: voters[0] })
+
+      assert.equal(
+        (await vbo.getPendingActionIds()).length,
+        pendingActionCount + 1,
+        'every action voted on should be pending'
+      )
+
+      const manyReceipt = await testPendingActionsInvalidated(
+        vbo,
+        () =>
+          vbo.updateMinimumVotes(3, {
+            from: voters[1]
+          }),
+        []
+      )
+
+      assert(
+        manyReceipt.gasUsed <= fewReceipt.gasUsed,
+        'invalidating many pending actions should NOT cost more than invalidating a few'
+      )
+    })
+  })
+})
+
+describe('when using propose/approve/execute', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn, pauseTokenCallData, unpauseTokenCallData, pauseActionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      pauseTokenCallData = vbo.contract.methods.pauseToken().encodeABI()
+      unpauseTokenCallData = vbo.contract.methods.unpauseToken().encodeABI()
+    })
+
+    it('should NOT propose when NOT a voter', async () => {
+      await assertRevert(
+        testProposeAction(vbo, pauseTokenCallData, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT propose call data of a function which is NOT an action', async () => {
+      await assertRevert(
+        testProposeAction(vbo, '0x12345678', {
+          from: voters[0]
+        })
+      )
+      await assertRevert(
+        testProposeAction(
+          vbo,
+          vbo.contract.methods.getPendingActionIds().encodeABI(),
+          {
+            from: voters[0]
+          }
+        )
+      )
+    })
+
+    it('should propose pausing token', async () => {
+      pauseActionId = await testProposeAction(vbo, pauseTokenCallData, {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT propose action which is already proposed', async () => {
+      await assertRevert(
+        testProposeAction(vbo, pauseTokenCallData, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should NOT execute action without enough votes', async () => {
+      await assertRevert(
+        testExecuteAction(vbo, pauseActionId, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should approve proposal', async () => {
+      await testApproveAction(vbo, pauseActionId, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT approve proposal again from same address', async () => {
+      await assertRevert(
+        testApproveAction(vbo, pauseActionId, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should revoke approval', async () => {
+      await testRevokeApproval(vbo, pauseActionId, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT revoke approval again from same address', async () => {
+      await assertRevert(
+        testRevokeApproval(vbo, pauseActionId, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should NOT execute action after approval has been revoked', async () => {
+      await assertRevert(
+        testExecuteAction(vbo, pauseActionId, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should approve proposal again', async () => {
+      await testApproveAction(vbo, pauseActionId, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT execute action when NOT a voter', async () => {
+      await assertRevert(
+        testExecuteAction(vbo, pauseActionId, {
+          from: other
+        })
+      )
+    })
+
+    it('should execute action with enough votes', async () => {
+      await testExecuteAction(vbo, pauseActionId, {
+        from: voters[2]
+      })
+
+      assert(await tkn.paused(), 'token should be paused after execution')
+    })
+
+    it('should NOT execute action again', async () => {
+      await assertRevert(
+        testExecuteAction(vbo, pauseActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should propose unpausing token', async () => {
+      await testProposeAction(vbo, unpauseTokenCallData, {
+        from: voters[0]
+      })
+    })
+
+    it('should perform proposed action when voting through unpauseToken', async () => {
+      await testUnpauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT execute action which fails', async () => {
+      const addVoterCallData = vbo.contract.methods
+        .addVoter(voters[0])
+        .encodeABI()
+      const actionId = await testProposeAction(vbo, addVoterCallData, {
+        from: voters[0]
+      })
+      await testApproveAction(vbo, actionId, {
+        from: voters[1]
+      })
+
+      await assertRevert(
+        testExecuteAction(vbo, actionId, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should execute voter changes', async () => {
+      const removeVoterCallData = vbo.contract.methods
+        .removeVoter(voters[3])
+        .encodeABI()
+      const actionId = await testProposeAction(vbo, removeVoterCallData, {
+        from: voters[0]
+      })
+      await testApproveAction(vbo, actionId, {
+        from: voters[1]
+      })
+
+      await testExecuteAction(vbo, actionId, {
+        from: voters[2]
+      })
+
+      assert(
+        !(await vbo.isVoter(voters[3])),
+        'voter should be removed after execution'
+      )
+      await testPendingActionIds(vbo, [])
+    })
+  })
+})
+
+describe('when rejecting actions', () => {
+  contract('VotableOwner', () => {
+    const etherAmount = new BN(1).mul(decimals18)
+    let vbo, callData, actionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      callData = vbo.contract.methods
+        .transferEther(other, etherAmount.toString())
+        .encodeABI()
+    })
+
+    it('should vote to transfer ether', async () => {
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+      actionId = await calculateActionId(vbo, callData)
+    })
+
+    it('should NOT reject action when NOT a voter', async () => {
+      await assertRevert(
+        testRejectAction(vbo, actionId, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT reject action which voter has voted for', async () => {
+      await assertRevert(
+        testRejectAction(vbo, actionId, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT reject action which is NOT pending', async () => {
+      const otherActionId = await calculateActionId(
+        vbo,
+        vbo.contract.methods.pauseToken().encodeABI()
+      )
+
+      await assertRevert(
+        vbo.reject(otherActionId, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should reject action while enough weight is left to pass it', async () => {
+      await testRejectAction(vbo, actionId, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT reject action again from same address', async () => {
+      await assertRevert(
+        testRejectAction(vbo, actionId, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should NOT vote for action which voter has rejected', async () => {
+      await assertRevert(
+        testSendEtherVote(vbo, other, etherAmount, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should show votes and rejections in tally', async () => {
+      const tally = await vbo.actionTally(actionId)
+
+      assert.equal(tally[0].toString(), '1', 'tally should have 1 vote')
+      assert.equal(tally[1].toString(), '1', 'tally should have 1 rejection')
+    })
+
+    it('should reject action once when it can no longer pass', async () => {
+      await testRejectAction(vbo, actionId, {
+        from: voters[2]
+      })
+      await testRejectAction(vbo, actionId, {
+        from: voters[3]
+      })
+    })
+
+    it('should NOT approve rejected action', async () => {
+      await assertRevert(vbo.approve(actionId, { from: voters[1] }))
+    })
+
+    it('should count votes for same call data towards a new proposal', async () => {
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[1]
+      })
+    })
+  })
+})
+
+describe('when revoking votes', () => {
+  contract('VotableOwner', () => {
+    const etherAmount = new BN(1).mul(decimals18)
+    const wrongEtherAmount = new BN(10).mul(decimals18)
+    let vbo, wrongCallData
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      wrongCallData = vbo.contract.methods
+        .transferEther(other, wrongEtherAmount.toString())
+        .encodeABI()
+    })
+
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: wrongEtherAmount
+      })
+    })
+
+    it('should vote to transfer wrong ether amount', async () => {
+      await testSendEtherVote(vbo, other, wrongEtherAmount, {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT revoke vote when NOT a voter', async () => {
+      await assertRevert(
+        testRevokeVote(vbo, wrongCallData, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT revoke vote when voter has NOT voted', async () => {
+      await assertRevert(
+        testRevokeVote(vbo, wrongCallData, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should revoke vote using same call data', async () => {
+      await testRevokeVote(vbo, wrongCallData, {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT revoke vote again from same address', async () => {
+      await assertRevert(
+        testRevokeVote(vbo, wrongCallData, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT transfer wrong ether amount when another voter votes', async () => {
+      await testSendEtherVote(vbo, other, wrongEtherAmount, {
+        from: voters[1]
+      })
+    })
+
+    it('should transfer correct ether amount after enough votes', async () => {
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+      await testSendEtherVoteRun(vbo, other, etherAmount, {
+        from: voters[1]
+      })
+    })
+
+    it('should revoke vote by actionId for vote cast through action function', async () => {
+      const actionId = await calculateActionId(vbo, wrongCallData)
+
+      await testRevokeApproval(vbo, actionId, {
+        from: voters[1]
+      })
+      await testPendingActionIds(vbo, [])
+    })
+
+    it('should vote again after vote has been revoked', async () => {
+      await testSendEtherVote(vbo, other, wrongEtherAmount, {
+        from: voters[0]
+      })
+    })
+  })
+})
+
+describe('when votes expire', () => {
+  contract('VotableOwner', () => {
+    const etherAmount = new BN(1).mul(decimals18)
+    let vbo, tkn, etherCallData, pauseTokenCallData, pauseActionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      etherCallData = vbo.contract.methods
+        .transferEther(other, etherAmount.toString())
+        .encodeABI()
+      pauseTokenCallData = vbo.contract.methods.pauseToken().encodeABI()
+    })
+
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherAmount
+      })
+    })
+
+    it('should have no expiry for action without votes', async () => {
+      const actionId = await calculateActionId(vbo, etherCallData)
+      const actionExpiry = await vbo.actionExpiry(actionId)
+
+      assert.equal(actionExpiry.toString(), '0', 'actionExpiry should be 0')
+    })
+
+    it('should vote to send ether and set action expiry', async () => {
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+      await testActionExpiry(vbo, etherCallData)
+    })
+
+    it('should propose and approve pausing token', async () => {
+      pauseActionId = await testProposeAction(vbo, pauseTokenCallData, {
+        from: voters[0]
+      })
+      await testApproveAction(vbo, pauseActionId, {
+        from: voters[1]
+      })
+    })
+
+    it('should warp past vote lifetime', async () => {
+      await timeWarp(defaultVoteLifetime + 1)
+    })
+
+    it('should NOT execute proposal with expired votes', async () => {
+      await assertRevert(
+        testExecuteAction(vbo, pauseActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should NOT approve proposal with expired votes', async () => {
+      await assertRevert(
+        testApproveAction(vbo, pauseActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should NOT send ether using expired votes', async () => {
+      await testExpiredActionVote(
+        vbo,
+        () =>
+          vbo.transferEther(other, etherAmount, {
+            from: voters[1]
+          }),
+        etherCallData,
+        {
+          from: voters[1]
+        }
+      )
+      await testActionExpiry(vbo, etherCallData)
+    })
+
+    it('should start a new proposal when voting for expired proposal', async () => {
+      await testExpiredActionVote(
+        vbo,
+        () =>
+          vbo.pauseToken({
+            from: voters[2]
+          }),
+        pauseTokenCallData,
+        {
+          from: voters[2]
+        }
+      )
+
+      assert(!(await tkn.paused()), 'token should NOT be paused')
+    })
+
+    it('should send ether with votes which have NOT expired', async () => {
+      await testSendEtherVoteRun(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+    })
+  })
+})
+
+describe('when using execution delays', () => {
+  contract('VotableOwner', () => {
+    const etherAmount = new BN(1).mul(decimals18)
+    const executionDelay = oneBlockDay
+    const vetoThreshold = 2
+    let vbo, tkn, etherCallData, transferEtherSig, queuedActionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      etherCallData = vbo.contract.methods
+        .transferEther(other, etherAmount.toString())
+        .encodeABI()
+      transferEtherSig = etherCallData.slice(0, 10)
+    })
+
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherAmount
+      })
+    })
+
+    it('should NOT vote to update execution delay if NOT voter', async () => {
+      await assertRevert(
+        testUpdateExecutionDelayVote(vbo, transferEtherSig, executionDelay, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to update execution delay if same as current', async () => {
+      await assertRevert(
+        testUpdateExecutionDelayVote(vbo, transferEtherSig, 0, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should update execution delay for transferEther after enough votes', async () => {
+      await testUpdateExecutionDelayVote(
+        vbo,
+        transferEtherSig,
+        executionDelay,
+        {
+          from: voters[0]
+        }
+      )
+      await testUpdateExecutionDelayVoteRun(
+        vbo,
+        transferEtherSig,
+        executionDelay,
+        {
+          from: voters[1]
+        }
+      )
+    })
+
+    it('should NOT vote to update veto threshold if more than voters', async () => {
+      await assertRevert(
+        testUpdateVetoThresholdVote(vbo, voters.length + 1, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should update veto threshold after enough votes', async () => {
+      await testUpdateVetoThresholdVote(vbo, vetoThreshold, {
+        from: voters[0]
+      })
+      await testUpdateVetoThresholdVoteRun(vbo, vetoThreshold, {
+        from: voters[1]
+      })
+    })
+
+    it('should queue send ether action rather than performing it', async () => {
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+      queuedActionId = await testQueuedAction(
+        vbo,
+        () =>
+          vbo.transferEther(other, etherAmount, {
+            from: voters[1]
+          }),
+        etherCallData
+      )
+    })
+
+    it('should NOT veto action which is NOT queued', async () => {
+      const callData = vbo.contract.methods.unpauseToken().encodeABI()
+      const actionId = await testProposeAction(vbo, callData, {
+        from: voters[0]
+      })
+
+      await assertRevert(
+        testVetoAction(vbo, actionId, {
+          from: voters[1]
+        })
+      )
+    })
+
+    it('should NOT execute queued action before eta', async () => {
+      await assertRevert(
+        testExecuteAction(vbo, queuedActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should NOT revoke vote for queued action', async () => {
+      await assertRevert(
+        testRevokeVote(vbo, etherCallData, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should still pause token immediately without execution delay', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should execute queued action after eta even after vote lifetime', async () => {
+      await timeWarp(defaultVoteLifetime + 1)
+
+      await testExecuteAction(vbo, queuedActionId, {
+        from: voters[2]
+      })
+    })
+
+    it('should queue send ether action again', async () => {
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+      queuedActionId = await testQueuedAction(
+        vbo,
+        () =>
+          vbo.transferEther(other, etherAmount, {
+            from: voters[1]
+          }),
+        etherCallData
+      )
+    })
+
+    it('should NOT veto queued action when NOT a voter', async () => {
+      await assertRevert(
+        testVetoAction(vbo, queuedActionId, {
+          from: other
+        })
+      )
+    })
+
+    it('should veto queued action', async () => {
+      await testVetoAction(vbo, queuedActionId, {
+        from: voters[2]
+      })
+    })
+
+    it('should NOT veto queued action again from same address', async () => {
+      await assertRevert(
+        testVetoAction(vbo, queuedActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should cancel queued action once veto threshold has been met', async () => {
+      await testVetoAction(vbo, queuedActionId, {
+        from: voters[3]
+      })
+    })
+
+    it('should NOT execute cancelled action after eta', async () => {
+      await timeWarp(executionDelay + 1)
+
+      await assertRevert(
+        testExecuteAction(vbo, queuedActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should apply execution delay of transferEther to batchTransferEther', async () => {
+      const batchTransferEtherCallData = vbo.contract.methods
+        .batchTransferEther([other], [etherAmount.toString()])
+        .encodeABI()
+      const batchTransferTokensCallData = vbo.contract.methods
+        .batchTransferTokens([other], [etherAmount.toString()])
+        .encodeABI()
+
+      assert.equal(
+        (await vbo.executionDelays(
+          batchTransferEtherCallData.slice(0, 10)
+        )).toString(),
+        '0',
+        'batchTransferEther should NOT have an execution delay of its own'
+      )
+      assert.equal(
+        (await vbo.actionExecutionDelay(batchTransferEtherCallData)).toString(),
+        executionDelay.toString(),
+        'batchTransferEther should be delayed as long as transferEther'
+      )
+      assert.equal(
+        (await vbo.actionExecutionDelay(
+          batchTransferTokensCallData
+        )).toString(),
+        '0',
+        'batchTransferTokens should NOT be delayed by transferEther'
+      )
+    })
+
+    it('should queue batch send ether action rather than performing it', async () => {
+      const recipients = [other, voters[3]]
+      const values = [etherAmount.toString(), etherAmount.toString()]
+      const callData = vbo.contract.methods
+        .batchTransferEther(recipients, values)
+        .encodeABI()
+
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherAmount.muln(2)
+      })
+      await testBatchTransferEtherVote(vbo, recipients, values, {
+        from: voters[0]
+      })
+      queuedActionId = await testQueuedAction(
+        vbo,
+        () =>
+          vbo.batchTransferEther(recipients, values, {
+            from: voters[1]
+          }),
+        callData
+      )
+
+      await assertRevert(
+        testExecuteAction(vbo, queuedActionId, {
+          from: voters[2]
+        })
+      )
+    })
+
+    it('should execute queued batch send ether action after eta', async () => {
+      await timeWarp(executionDelay + 1)
+
+      await testExecuteAction(vbo, queuedActionId, {
+        from: voters[2]
+      })
+    })
+
+    it('should apply execution delay of transferEther to calls sending ether', async () => {
+      const callData = vbo.contract.methods
+        .executeCall(other, etherAmount.toString(), '0x')
+        .encodeABI()
+      const batchCallData = vbo.contract.methods
+        .batchExecuteCall([other], [etherAmount.toString()], '0x', [0])
+        .encodeABI()
+      const noValueCallData = vbo.contract.methods
+        .executeCall(other, 0, '0x')
+        .encodeABI()
+
+      assert.equal(
+        (await vbo.actionExecutionDelay(callData)).toString(),
+        executionDelay.toString(),
+        'executeCall sending ether should be delayed as long as transferEther'
+      )
+      assert.equal(
+        (await vbo.actionExecutionDelay(batchCallData)).toString(),
+        executionDelay.toString(),
+        'batchExecuteCall sending ether should be delayed as long as transferEther'
+      )
+      assert.equal(
+        (await vbo.actionExecutionDelay(noValueCallData)).toString(),
+        '0',
+        'executeCall without ether should NOT be delayed'
+      )
+    })
+
+    it('should queue call sending ether rather than performing it', async () => {
+      const callData = vbo.contract.methods
+        .executeCall(other, etherAmount.toString(), '0x')
+        .encodeABI()
+      const preBalance = await getEtherBalance(other)
+
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: voters[3],
+        value: etherAmount
+      })
+      await vbo.executeCall(other, etherAmount, '0x', {
+        from: voters[0]
+      })
+      queuedActionId = await testQueuedAction(
+        vbo,
+        () =>
+          vbo.executeCall(other, etherAmount, '0x', {
+            from: voters[1]
+          }),
+        callData
+      )
+
+      assert.equal(
+        (await getEtherBalance(other)).toString(),
+        preBalance.toString(),
+        'ether should NOT be sent before eta'
+      )
+    })
+
+    it('should send ether of queued call after eta', async () => {
+      const preBalance = new BN(await getEtherBalance(other))
+
+      await timeWarp(executionDelay + 1)
+      await testExecuteAction(vbo, queuedActionId, {
+        from: voters[2]
+      })
+
+      assert.equal(
+        (await getEtherBalance(other)).toString(),
+        preBalance.add(etherAmount).toString(),
+        'ether should be sent after eta'
+      )
+    })
+
+    it('should apply larger execution delay of batchTransferEther', async () => {
+      const batchTransferEtherSig = vbo.contract.methods
+        .batchTransferEther([other], [etherAmount.toString()])
+        .encodeABI()
+        .slice(0, 10)
+
+      await testUpdateExecutionDelayVote(
+        vbo,
+        batchTransferEtherSig,
+        executionDelay * 2,
+        {
+          from: voters[0]
+        }
+      )
+      await testUpdateExecutionDelayVoteRun(
+        vbo,
+        batchTransferEtherSig,
+        executionDelay * 2,
+        {
+          from: voters[1]
+        }
+      )
+
+      assert.equal(
+        (await vbo.actionExecutionDelay(
+          vbo.contract.methods
+            .batchTransferEther([other], [etherAmount.toString()])
+            .encodeABI()
+        )).toString(),
+        (executionDelay * 2).toString(),
+        'batchTransferEther should keep its own execution delay when larger'
+      )
+    })
+  })
+})
+
+describe('when calling other contracts', () => {
+  contract('VotableOwner', () => {
+    const entryKey = web3.utils.soliditySha3('entry')
+    const entryValue = 5
+    const etherValue = new BN(1000)
+    let vbo, reg
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      reg = await setupRegistry(vbo)
+    })
+
+    it('should receive ether without problems', async () => {
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherValue
+      })
+    })
+
+    it('should NOT vote to call other contract by a non-voter', async () => {
+      const data = reg.contract.methods
+        .setEntry(entryKey, entryValue)
+        .encodeABI()
+
+      await assertRevert(
+        testExecuteCallVote(vbo, reg.address, 0, data, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to call VotableOwner itself', async () => {
+      const data = vbo.contract.methods.addVoter(other).encodeABI()
+
+      await assertRevert(
+        testExecuteCallVote(vbo, vbo.address, 0, data, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should call other contract with ether after enough votes', async () => {
+      const data = reg.contract.methods
+        .setEntry(entryKey, entryValue)
+        .encodeABI()
+
+      await testExecuteCallVote(vbo, reg.address, etherValue, data, {
+        from: voters[0]
+      })
+      const returnData = await testExecuteCallVoteRun(
+        vbo,
+        reg.address,
+        etherValue,
+        data,
+        {
+          from: voters[1]
+        }
+      )
+
+      assert.equal(
+        (await reg.entries(entryKey)).toString(),
+        entryValue.toString(),
+        'registry entry should be set'
+      )
+      assert.equal(
+        web3.eth.abi.decodeParameter('uint256', returnData).toString(),
+        '0',
+        'return data should contain previous registry entry'
+      )
+    })
+
+    it('should pass on revert reason of failed call', async () => {
+      const data = reg.contract.methods.setEntry(entryKey, 0).encodeABI()
+
+      await testExecuteCallVote(vbo, reg.address, 0, data, {
+        from: voters[0]
+      })
+
+      try {
+        await vbo.executeCall(reg.address, 0, data, {
+          from: voters[1]
+        })
+        assert.fail('Expected revert not received')
+      } catch (error) {
+        assert(
+          error.message.includes('value must be greater than 0'),
+          `Expected revert reason of failed call, got ${error.message} instead`
+        )
+      }
+    })
+
+    it('should pass on revert reason of failed call through execute', async () => {
+      const data = reg.contract.methods.setEntry(entryKey, 0).encodeABI()
+      const callData = vbo.contract.methods
+        .executeCall(reg.address, 0, data)
+        .encodeABI()
+      const actionId = await calculateActionId(vbo, callData)
+      await testApproveAction(vbo, actionId, {
+        from: voters[1]
+      })
+
+      try {
+        await vbo.execute(actionId, {
+          from: voters[2]
+        })
+        assert.fail('Expected revert not received')
+      } catch (error) {
+        assert(
+          error.message.includes('value must be greater than 0'),
+          `Expected revert reason of failed call, got ${error.message} instead`
+        )
+      }
+    })
+
+    it('should transfer ownership of other contract after enough votes', async () => {
+      const data = reg.contract.methods.transferOwnership(other).encodeABI()
+
+      await testExecuteCallVote(vbo, reg.address, 0, data, {
+        from: voters[0]
+      })
+      await testExecuteCallVoteRun(vbo, reg.address, 0, data, {
+        from: voters[1]
+      })
+
+      assert.equal(await reg.owner(), other, 'registry owner should be other')
+    })
+  })
+})
+
+describe('when upgrading VotableOwner', () => {
+  contract('VotableOwner', () => {
+    const etherValue = new BN('1000000000000000000')
+    const newMinimumVotes = 3
+    let tkn, imp, vbo, extV2, impV2, vboV2, pauseActionId, preUpgrade
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      imp = contracts.imp
+      vbo = contracts.vbo
+      extV2 = await VotableOwnerExtension.new()
+      impV2 = await ExampleVotableOwnerV2.new(extV2.address)
+      pauseActionId = await calculateActionId(
+        vbo,
+        vbo.contract.methods.pauseToken().encodeABI()
+      )
+    })
+
+    it('should NOT vote to upgrade when NOT a voter', async () => {
+      await assertRevert(
+        testUpgradeToVote(vbo, impV2.address, {
+          from: other
+        })
+      )
+    })
+
+    it('should NOT vote to upgrade to an address without code', async () => {
+      await assertRevert(
+        testUpgradeToVote(vbo, other, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should NOT vote to upgrade to current implementation', async () => {
+      await assertRevert(
+        testUpgradeToVote(vbo, imp.address, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should update minimumVotes, receive ether and vote to pause token before upgrading', async () => {
+      await testUpdateMinimumVotesVote(vbo, newMinimumVotes, {
+        from: voters[0]
+      })
+      await testUpdateMinimumVotesVoteRun(vbo, newMinimumVotes, {
+        from: voters[1]
+      })
+      await testReceiveEther(vbo, {
+        to: vbo.address,
+        from: other,
+        value: etherValue
+      })
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+    })
+
+    it('should need votes from every voter to upgrade', async () => {
+      const callData = vbo.contract.methods.upgradeTo(impV2.address).encodeABI()
+
+      assert.equal(
+        (await vbo.requiredVotes(callData.slice(0, 10))).toString(),
+        voters.length.toString(),
+        'upgrading should need a vote from every voter'
+      )
+    })
+
+    it('should NOT vote to update threshold of upgradeTo', async () => {
+      const upgradeToFuncSig = vbo.contract.methods
+        .upgradeTo(impV2.address)
+        .encodeABI()
+        .slice(0, 10)
+
+      await assertRevert(
+        testUpdateActionThresholdVote(vbo, upgradeToFuncSig, newMinimumVotes, {
+          from: voters[0]
+        })
+      )
+    })
+
+    it('should vote to upgrade', async () => {
+      await testUpgradeToVote(vbo, impV2.address, {
+        from: voters[0]
+      })
+      await testUpgradeToVote(vbo, impV2.address, {
+        from: voters[1]
+      })
+    })
+
+    it('should NOT upgrade with minimumVotes but without a vote from every voter', async () => {
+      await testUpgradeToVote(vbo, impV2.address, {
+        from: voters[2]
+      })
+    })
+
+    it('should upgrade after votes from every voter', async () => {
+      preUpgrade = {
+        isVoter: await Promise.all(
+          [...voters, other].map(voter => vbo.isVoter(voter))
+        ),
+        actionVotes: await vbo.actionVotes(pauseActionId),
+        minimumVotes: await vbo.minimumVotes(),
+        tokenBalance: await tkn.balanceOf(vbo.address),
+        etherBalance: await getEtherBalance(vbo.address)
+      }
+
+      await testUpgradeToVoteRun(vbo, impV2.address, {
+        from: voters[3]
+      })
+      vboV2 = await ExampleVotableOwnerV2.at(vbo.address)
+    })
+
+    it('should keep storage layout after upgrade', async () => {
+      assert.deepEqual(
+        await Promise.all(
+          [...voters, other].map(voter => vboV2.isVoter(voter))
+        ),
+        preUpgrade.isVoter,
+        'isVoter should match for every address'
+      )
+      assert.equal(
+        (await vboV2.actionVotes(pauseActionId)).toString(),
+        preUpgrade.actionVotes.toString(),
+        'actionVotes of pending action should match'
+      )
+      assert.equal(
+        (await vboV2.minimumVotes()).toString(),
+        preUpgrade.minimumVotes.toString(),
+        'minimumVotes should match'
+      )
+      assert.equal(
+        (await tkn.balanceOf(vboV2.address)).toString(),
+        preUpgrade.tokenBalance.toString(),
+        'token balance should match'
+      )
+      assert.equal(
+        (await getEtherBalance(vboV2.address)).toString(),
+        preUpgrade.etherBalance.toString(),
+        'ether balance should match'
+      )
+    })
+
+    it('should NOT initialize after upgrade', async () => {
+      await testInitializeLocked(vboV2, tkn)
+    })
+
+    it('should use functions of new implementation after upgrade', async () => {
+      assert.equal(
+        (await vboV2.version()).toString(),
+        '2',
+        'version should be the version of the new implementation'
+      )
+
+      for (const voter of voters.slice(0, newMinimumVotes)) {
+        await vboV2.updateUpgradedValue(5, {
+          from: voter
+        })
+      }
+
+      assert.equal(
+        (await vboV2.upgradedValue()).toString(),
+        '5',
+        'upgradedValue should be updated after enough votes'
+      )
+      assert.equal(
+        (await vboV2.minimumVotes()).toString(),
+        newMinimumVotes.toString(),
+        'minimumVotes should NOT be affected by new state variables'
+      )
+    })
+
+    it('should propose actions added by new implementation after upgrade', async () => {
+      await testProposeAction(
+        vboV2,
+        vboV2.contract.methods.updateUpgradedValue(6).encodeABI(),
+        {
+          from: voters[0]
+        }
+      )
+    })
+
+    it('should perform action voted on before upgrade after enough votes', async () => {
+      await testPauseTokenVote(vboV2, tkn, {
+        from: voters[1]
+      })
+      await testPauseTokenVoteRun(vboV2, tkn, {
+        from: voters[2]
+      })
+    })
+
+    it('should use extension of new implementation after upgrade', async () => {
+      const newVoteLifetime = defaultVoteLifetime * 2
+
+      assert.equal(
+        await vboV2.extension(),
+        extV2.address,
+        'extension should be the extension of the new implementation'
+      )
+
+      for (const voter of voters.slice(0, newMinimumVotes)) {
+        await vboV2.updateVoteLifetime(newVoteLifetime, {
+          from: voter
+        })
+      }
+
+      assert.equal(
+        (await vboV2.voteLifetime()).toString(),
+        newVoteLifetime.toString(),
+        'voteLifetime should be updated through the extension'
+      )
+    })
   })
 })
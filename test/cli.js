@@ -0,0 +1,474 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { voters, tokenHolders, other, timeWarp } = require('./helpers/general')
+const {
+  setupContracts,
+  setupStableToken,
+  defaultSymbol,
+  defaultDecimals,
+  defaultVotableOwnerTokenBalance,
+  defaultStableTokenSupply
+} = require('./helpers/vbo')
+const { setupClient } = require('./helpers/client')
+const {
+  testCliError,
+  testCliStatus,
+  testCliVote,
+  testCliRevoke,
+  testCliReject,
+  testCliExecute,
+  testCliPending,
+  testCliIndex,
+  testCliEncode,
+  testCliHoldings,
+  testCliVoters,
+  testCliVesting,
+  testCliEmergencyPause,
+  testCliEndEmergencyPause,
+  testCliSign,
+  testCliSubmit
+} = require('./helpers/cli')
+const { parseArgs, getProvider } = require('../src/cli')
+const { createSignatureRequest } = require('../src/signatures')
+const ExampleRegistry = artifacts.require('./mocks/ExampleRegistry.sol')
+
+describe('when parsing cli arguments', () => {
+  it('should split arguments and options', () => {
+    const { args, options } = parseArgs([
+      'vote',
+      'add-voter',
+      other,
+      '--network',
+      'test',
+      '--from',
+      voters[0]
+    ])
+
+    assert.deepEqual(args, ['vote', 'add-voter', other])
+    assert.deepEqual(options, {
+      network: 'test',
+      from: voters[0]
+    })
+  })
+
+  it('should use websocket url for truffle.js websockets network', () => {
+    const provider = getProvider({
+      host: 'localhost',
+      port: 8545,
+      websockets: true
+    })
+
+    assert.equal(provider, 'ws://localhost:8545')
+  })
+})
+
+describe('when using the cli', () => {
+  contract('VotableOwner', () => {
+    const etherValue = '1000'
+    let tkn, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      client = setupClient(contracts.vbo)
+    })
+
+    it('should NOT run unknown commands', async () => {
+      await testCliError(client, ['unknown'], 'usage: votable-owner')
+    })
+
+    it('should NOT run unknown actions', async () => {
+      await testCliError(
+        client,
+        ['status', 'unknown-token'],
+        'unknown action: unknown-token'
+      )
+    })
+
+    it('should NOT run actions with missing arguments', async () => {
+      await testCliError(
+        client,
+        ['vote', 'add-voter'],
+        'add-voter expects arguments: voter'
+      )
+    })
+
+    it('should list no pending actions before voting', async () => {
+      await testCliPending(client, [])
+    })
+
+    it('should show status of action without votes', async () => {
+      await testCliStatus(client, ['pause-token'], {
+        from: voters[0],
+        votes: 0,
+        minimumVotes: 2,
+        votedBy: []
+      })
+    })
+
+    it('should vote to pause token', async () => {
+      await testCliVote(client, ['pause-token'], {
+        from: voters[0]
+      })
+    })
+
+    it('should show status of action with votes', async () => {
+      await testCliStatus(client, ['pause-token'], {
+        from: voters[1],
+        votes: 1,
+        minimumVotes: 2,
+        votedBy: [voters[0]]
+      })
+    })
+
+    it('should vote to transfer ether', async () => {
+      await testCliVote(client, ['transfer-ether', other, etherValue], {
+        from: voters[0]
+      })
+    })
+
+    it('should NOT revoke vote for action which was NOT voted for', async () => {
+      await testCliError(
+        client,
+        ['revoke', 'transfer-ether', other, etherValue],
+        `${voters[1]} has not voted for this action`,
+        voters[1]
+      )
+    })
+
+    it('should revoke vote to transfer ether', async () => {
+      await testCliRevoke(client, ['transfer-ether', other, etherValue], {
+        from: voters[0]
+      })
+    })
+
+    it('should vote to transfer ether again', async () => {
+      await testCliVote(client, ['transfer-ether', other, etherValue], {
+        from: voters[0]
+      })
+    })
+
+    it('should list pending actions', async () => {
+      await testCliPending(client, ['pauseToken', 'transferEther'])
+    })
+
+    it('should perform pause token action after enough votes', async () => {
+      await testCliVote(client, ['pause-token'], {
+        from: voters[1]
+      })
+
+      assert(await tkn.paused(), 'token should be paused after vote passed')
+    })
+
+    it('should only list other pending actions after vote has passed', async () => {
+      await testCliPending(client, ['transferEther'])
+    })
+
+    it('should NOT veto action which is NOT queued', async () => {
+      await testCliError(
+        client,
+        ['veto', 'transfer-ether', other, etherValue],
+        'action is not queued',
+        voters[1]
+      )
+    })
+
+    it('should NOT reject action which was already voted for', async () => {
+      await testCliError(
+        client,
+        ['reject', 'transfer-ether', other, etherValue],
+        `${voters[0]} has already voted on this action`,
+        voters[0]
+      )
+    })
+
+    it('should reject action', async () => {
+      await testCliReject(client, ['transfer-ether', other, etherValue], {
+        from: voters[2]
+      })
+      await testCliStatus(client, ['transfer-ether', other, etherValue], {
+        from: voters[1],
+        votes: 1,
+        minimumVotes: 2,
+        votedBy: [voters[0]]
+      })
+    })
+
+    it('should NOT execute action without enough votes', async () => {
+      await testCliError(
+        client,
+        ['execute', 'transfer-ether', other, etherValue],
+        'action can not be performed yet',
+        voters[1]
+      )
+    })
+
+    it('should execute approved proposal', async () => {
+      const { callData, actionId } = await client.unpauseToken()
+      await client.propose(callData, { from: voters[0] })
+      await client.approve(actionId, { from: voters[1] })
+
+      await testCliExecute(client, ['unpause-token'], {
+        from: voters[2]
+      })
+
+      assert(!(await tkn.paused()), 'token should be unpaused after execution')
+    })
+
+    it('should vote for batch ether transfer from a payout sheet', async () => {
+      const file = path.join(
+        os.tmpdir(),
+        `votable-owner-payouts-${Date.now()}.csv`
+      )
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync(
+        file,
+        ['recipient,amount', `${voters[0]},1000`, `${other},2000`].join('\n')
+      )
+
+      await testCliStatus(client, ['batch-transfer-ether', file], {
+        from: voters[0],
+        votes: 0,
+        minimumVotes: 2,
+        votedBy: []
+      })
+      await testCliVote(client, ['batch-transfer-ether', file], {
+        from: voters[0]
+      })
+    })
+
+    it('should encode call data from a truffle artifact', async () => {
+      const file = path.join(
+        os.tmpdir(),
+        `votable-owner-artifact-${Date.now()}.json`
+      )
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync(file, JSON.stringify({ abi: ExampleRegistry.abi }))
+
+      await testCliEncode(
+        client,
+        file,
+        ExampleRegistry.abi,
+        'transferOwnership',
+        [other]
+      )
+    })
+
+    it('should index proposals into a file', async () => {
+      const file = path.join(
+        os.tmpdir(),
+        `votable-owner-cli-${Date.now()}.json`
+      )
+
+      await testCliIndex(client, file, {
+        open: 2,
+        executed: 2,
+        invalidated: 0
+      })
+    })
+  })
+})
+
+describe('when listing holdings with the cli', () => {
+  contract('VotableOwner', () => {
+    let stb, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      stb = await setupStableToken(contracts.vbo)
+      client = setupClient(contracts.vbo)
+    })
+
+    it('should list ether and token holdings', async () => {
+      await testCliHoldings(client, [
+        'ether: 0',
+        `${defaultSymbol}: ${defaultVotableOwnerTokenBalance} (${defaultDecimals} decimals)`
+      ])
+    })
+
+    it('should show vesting of voters tokens', async () => {
+      await testCliVesting(client, [
+        'vested: 0',
+        'released: 0',
+        'releasable: 0',
+        `remaining: ${defaultVotableOwnerTokenBalance}`
+      ])
+    })
+
+    it('should list tracked token holdings after tracking a token', async () => {
+      await testCliVote(client, ['add-tracked-token', stb.address], {
+        from: voters[0]
+      })
+      await testCliVote(client, ['add-tracked-token', stb.address], {
+        from: voters[1]
+      })
+
+      await testCliHoldings(client, [
+        'ether: 0',
+        `${defaultSymbol}: ${defaultVotableOwnerTokenBalance} (${defaultDecimals} decimals)`,
+        `EXS: ${defaultStableTokenSupply} (6 decimals)`
+      ])
+    })
+  })
+})
+
+describe('when listing voters with the cli', () => {
+  contract('VotableOwner', () => {
+    let client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      client = setupClient(contracts.vbo)
+    })
+
+    it('should list voters with a weight of 1', async () => {
+      await testCliVoters(client, voters.map(voter => `${voter}: 1`))
+    })
+
+    it('should list updated voter weight after voting', async () => {
+      await testCliVote(client, ['update-voter-weight', voters[0], '3'], {
+        from: voters[0]
+      })
+      await testCliVote(client, ['update-voter-weight', voters[0], '3'], {
+        from: voters[1]
+      })
+
+      await testCliVoters(client, [
+        `${voters[0]}: 3`,
+        ...voters.slice(1).map(voter => `${voter}: 1`)
+      ])
+    })
+
+    it('should list voters with their votes for an action', async () => {
+      await testCliVote(client, ['pause-token'], {
+        from: voters[1]
+      })
+
+      await testCliVoters(
+        client,
+        [
+          `${voters[0]}: 3 (not voted)`,
+          `${voters[1]}: 1 (voted)`,
+          ...voters.slice(2).map(voter => `${voter}: 1 (not voted)`)
+        ],
+        ['pause-token']
+      )
+    })
+  })
+})
+
+describe('when using guardians with the cli', () => {
+  contract('VotableOwner', () => {
+    const guardian = tokenHolders[0]
+    let vbo, tkn, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      client = setupClient(vbo)
+    })
+
+    it('should NOT emergency pause when NOT guardian', async () => {
+      await testCliError(
+        client,
+        ['emergency-pause'],
+        `${guardian} is not a guardian`,
+        guardian
+      )
+    })
+
+    it('should add guardian through votes', async () => {
+      await testCliVote(client, ['add-guardian', guardian], {
+        from: voters[0]
+      })
+      await testCliVote(client, ['add-guardian', guardian], {
+        from: voters[1]
+      })
+
+      assert(await vbo.isGuardian(guardian), 'guardian should be added')
+    })
+
+    it('should emergency pause as guardian', async () => {
+      await testCliEmergencyPause(client, tkn, {
+        from: guardian
+      })
+    })
+
+    it('should NOT end emergency pause before it has expired', async () => {
+      await testCliError(
+        client,
+        ['end-emergency-pause'],
+        'there is no expired emergency pause',
+        other
+      )
+    })
+
+    it('should end emergency pause after it has expired', async () => {
+      await timeWarp((await vbo.EMERGENCY_PAUSE_DURATION()).toNumber())
+
+      await testCliEndEmergencyPause(client, tkn, {
+        from: other
+      })
+    })
+  })
+})
+
+describe('when voting with signatures through the cli', () => {
+  contract('VotableOwner', () => {
+    const file = path.join(
+      os.tmpdir(),
+      `votable-owner-signatures-${Date.now()}.json`
+    )
+    let tkn, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      client = setupClient(contracts.vbo)
+    })
+
+    it('should NOT submit signature request without signatures', async () => {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync(
+        file,
+        JSON.stringify(
+          await createSignatureRequest(
+            web3,
+            client.contract,
+            client.contract.methods.pauseToken().encodeABI()
+          )
+        )
+      )
+
+      await testCliError(
+        client,
+        ['submit', file],
+        'signature request has no signatures which can be counted',
+        other
+      )
+    })
+
+    it('should create signature request when signing an action', async () => {
+      await testCliSign(client, file, ['pause-token'], {
+        from: voters[0]
+      })
+    })
+
+    it('should add signature to existing signature request', async () => {
+      await testCliSign(client, file, [], {
+        from: voters[1]
+      })
+    })
+
+    it('should perform action when submitting enough signatures', async () => {
+      await testCliSubmit(client, file, {
+        from: other,
+        expectedMessage: 'vote passed and action was performed'
+      })
+
+      assert(await tkn.paused(), 'token should be paused')
+    })
+  })
+})
@@ -0,0 +1,606 @@
+const { voters, other, decimals18, timeWarp } = require('./helpers/general')
+const {
+  setupContracts,
+  setupRegistry,
+  setupStableToken,
+  testRemoveVoterVote,
+  testRemoveVoterVoteRun,
+  defaultVoteLifetime
+} = require('./helpers/vbo')
+const {
+  setupClient,
+  testClientVoters,
+  testClientRoster,
+  testClientActionStatus,
+  testClientPauseTokenVote,
+  testClientHoldings
+} = require('./helpers/client')
+const { encodeCallData } = require('../src/client')
+const ExampleRegistry = artifacts.require('./mocks/ExampleRegistry.sol')
+const { BN } = web3.utils
+
+describe('when using VotableOwner client', () => {
+  contract('VotableOwner', () => {
+    const etherAmount = new BN(1).mul(decimals18)
+    let tkn, vbo, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should get voters from contract', async () => {
+      await testClientVoters(client, voters)
+    })
+
+    it('should get status of action without votes', async () => {
+      const status = await client.pauseToken({ from: voters[0] })
+
+      await testClientActionStatus(vbo, status, {
+        from: voters[0],
+        votedBy: []
+      })
+    })
+
+    it('should vote to pause token through client', async () => {
+      await testClientPauseTokenVote(client, vbo, tkn, {
+        from: voters[0]
+      })
+    })
+
+    it('should get status of action for voter who has voted', async () => {
+      const status = await client.pauseToken({ from: voters[0] })
+
+      await testClientActionStatus(vbo, status, {
+        from: voters[0],
+        votedBy: [voters[0]]
+      })
+    })
+
+    it('should get roster of voters with votes for action', async () => {
+      const callData = vbo.contract.methods.pauseToken().encodeABI()
+
+      await testClientRoster(client, callData, [voters[0]])
+    })
+
+    it('should get status of action for voter who would execute', async () => {
+      const status = await client.pauseToken({ from: voters[1] })
+
+      await testClientActionStatus(vbo, status, {
+        from: voters[1],
+        votedBy: [voters[0]]
+      })
+    })
+
+    it('should get status of action which needs a vote from every voter', async () => {
+      const status = await client.renounceTokenOwnership({ from: voters[0] })
+
+      assert.equal(
+        status.minimumVotes,
+        voters.length,
+        'status minimumVotes should be amount of voters'
+      )
+      await testClientActionStatus(vbo, status, {
+        from: voters[0],
+        votedBy: []
+      })
+    })
+
+    it('should get separate status for same action with different arguments', async () => {
+      const status = await client.transferEther(other, etherAmount, {
+        from: voters[0]
+      })
+      const otherStatus = await client.transferEther(voters[0], etherAmount, {
+        from: voters[0]
+      })
+
+      assert.notEqual(
+        status.actionId,
+        otherStatus.actionId,
+        'actionId should differ for different arguments'
+      )
+    })
+
+    it('should perform pause token action through client after enough votes', async () => {
+      await testClientPauseTokenVote(client, vbo, tkn, {
+        from: voters[1]
+      })
+    })
+
+    it('should get voters from contract after voter is removed', async () => {
+      await testRemoveVoterVote(vbo, voters[3], {
+        from: voters[0]
+      })
+      await testRemoveVoterVoteRun(vbo, voters[3], {
+        from: voters[1]
+      })
+
+      await testClientVoters(client, voters.slice(0, 3))
+    })
+  })
+})
+
+describe('when using VotableOwner client proposals', () => {
+  contract('VotableOwner', () => {
+    let tkn, vbo, client, actionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should propose action through client', async () => {
+      const { callData } = await client.pauseToken()
+      actionId = await client.calculateActionId(callData)
+
+      await client.propose(callData, { from: voters[0] })
+
+      const proposal = await client.getProposal(actionId)
+
+      assert.equal(proposal.action, 'pauseToken', 'action should be decoded')
+      assert.equal(proposal.proposer, voters[0], 'proposer should match')
+      assert.equal(proposal.votes, 1, 'proposal should have vote of proposer')
+    })
+
+    it('should approve action through client', async () => {
+      await client.approve(actionId, { from: voters[1] })
+
+      const status = await client.pauseToken()
+
+      assert.equal(status.votes, 2, 'proposal should have 2 votes')
+      assert(status.canExecute, 'action should be executable')
+      assert(!(await tkn.paused()), 'token should NOT be paused')
+    })
+
+    it('should execute action through client', async () => {
+      await client.execute(actionId, { from: voters[2] })
+
+      const proposal = await client.getProposal(actionId)
+
+      assert(proposal.executed, 'proposal should be executed')
+      assert(await tkn.paused(), 'token should be paused')
+    })
+  })
+})
+
+describe('when using VotableOwner client pending actions', () => {
+  contract('VotableOwner', () => {
+    let vbo, client, callData, actionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should list action with votes as pending', async () => {
+      const status = await client.pauseToken()
+      callData = status.callData
+      actionId = status.actionId
+      await client.castVote(callData, { from: voters[0] })
+
+      const pendingActions = await client.getPendingActions()
+
+      assert.equal(pendingActions.length, 1, 'action should be pending')
+      assert.equal(
+        pendingActions[0].actionId,
+        actionId,
+        'pending actionId should match vote'
+      )
+    })
+
+    it('should list pending action without VoterVoted event', async () => {
+      const { getPastEvents } = vbo.contract
+      vbo.contract.getPastEvents = async () => []
+
+      try {
+        const pendingActions = await client.getPendingActions()
+
+        assert.equal(pendingActions.length, 1, 'action should be pending')
+        assert.equal(
+          pendingActions[0].callData,
+          callData,
+          'call data should be taken from the proposal'
+        )
+      } finally {
+        vbo.contract.getPastEvents = getPastEvents
+      }
+    })
+  })
+})
+
+describe('when using VotableOwner client with expired votes', () => {
+  contract('VotableOwner', () => {
+    let vbo, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should get expiry of action with votes', async () => {
+      const { callData } = await client.pauseToken()
+      await client.castVote(callData, { from: voters[0] })
+
+      const status = await client.pauseToken({ from: voters[1] })
+      const { createdAt } = await client.getProposal(status.actionId)
+
+      assert.equal(
+        status.expiresAt,
+        createdAt + defaultVoteLifetime,
+        'expiresAt should be first vote time + voteLifetime'
+      )
+      assert(!status.expired, 'status should NOT be expired')
+      assert(status.willExecute, 'vote from voter should perform action')
+    })
+
+    it('should get status of action with expired votes', async () => {
+      const preStatus = await client.pauseToken({ from: voters[1] })
+
+      await timeWarp(defaultVoteLifetime + 1)
+
+      const status = await client.pauseToken({ from: voters[1] })
+
+      assert(status.expired, 'status should be expired')
+      assert.notEqual(
+        status.actionId,
+        preStatus.actionId,
+        'actionId should be for the next vote after expiry'
+      )
+      assert.equal(status.votes, 0, 'expired votes should NOT be counted')
+      assert(!status.willExecute, 'vote from voter should NOT perform action')
+    })
+
+    it('should NOT list actions with expired votes as pending', async () => {
+      const pendingActions = await client.getPendingActions()
+
+      assert.deepEqual(pendingActions, [], 'there should be no pending actions')
+    })
+
+    it('should vote for action with expired votes using status actionId', async () => {
+      const { callData, actionId } = await client.pauseToken()
+      await client.castVote(callData, { from: voters[1] })
+
+      const status = await client.pauseToken()
+
+      assert.equal(status.actionId, actionId, 'actionId should match vote')
+      assert.equal(status.votes, 1, 'vote should be the only vote')
+      assert(!status.expired, 'status should NOT be expired')
+    })
+  })
+})
+
+describe('when using VotableOwner client with invalidated votes', () => {
+  contract('VotableOwner', () => {
+    let vbo, client, preStatus
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should get status of action with invalidated votes', async () => {
+      const { callData } = await client.pauseToken()
+      await client.castVote(callData, { from: voters[0] })
+      preStatus = await client.pauseToken({ from: voters[1] })
+
+      await testRemoveVoterVote(vbo, voters[3], {
+        from: voters[0]
+      })
+      await testRemoveVoterVoteRun(vbo, voters[3], {
+        from: voters[1]
+      })
+
+      const status = await client.pauseToken({ from: voters[1] })
+
+      assert.equal(
+        status.actionNonce,
+        preStatus.actionNonce + 1,
+        'actionNonce should be for the next vote after invalidation'
+      )
+      assert.notEqual(
+        status.actionId,
+        preStatus.actionId,
+        'actionId should be for the next vote after invalidation'
+      )
+      assert.equal(status.votes, 0, 'invalidated votes should NOT be counted')
+      assert(!status.willExecute, 'vote from voter should NOT perform action')
+    })
+
+    it('should NOT list actions with invalidated votes as pending', async () => {
+      const pendingActions = await client.getPendingActions()
+
+      assert.deepEqual(pendingActions, [], 'there should be no pending actions')
+    })
+
+    it('should vote for action with invalidated votes using status actionId', async () => {
+      const { callData, actionId } = await client.pauseToken()
+      await client.castVote(callData, { from: voters[1] })
+
+      const status = await client.pauseToken()
+
+      assert.equal(status.actionId, actionId, 'actionId should match vote')
+      assert.equal(status.votes, 1, 'vote should be the only vote')
+    })
+  })
+})
+
+describe('when using VotableOwner client to call other contracts', () => {
+  contract('VotableOwner', () => {
+    let vbo, reg, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      reg = await setupRegistry(vbo)
+      client = setupClient(vbo)
+    })
+
+    it('should encode call data from artifact abi', async () => {
+      const callData = encodeCallData(
+        web3,
+        ExampleRegistry.abi,
+        'transferOwnership',
+        [other]
+      )
+
+      assert.equal(
+        callData,
+        reg.contract.methods.transferOwnership(other).encodeABI(),
+        'call data should match call data encoded by web3 contract'
+      )
+    })
+
+    it('should NOT encode call data for unknown method', async () => {
+      assert.throws(
+        () => encodeCallData(web3, ExampleRegistry.abi, 'unknown', []),
+        /unknown with 0 arguments not found in ABI/
+      )
+    })
+
+    it('should transfer ownership of other contract through client', async () => {
+      const status = await client.executeContractCall(
+        ExampleRegistry.abi,
+        reg.address,
+        'transferOwnership',
+        [other],
+        0,
+        { from: voters[0] }
+      )
+
+      assert.equal(status.action, 'executeCall', 'action should be decoded')
+      assert.equal(status.args._target, reg.address, 'target should match')
+
+      await client.castVote(status.callData, { from: voters[0] })
+      await client.castVote(status.callData, { from: voters[1] })
+
+      assert.equal(await reg.owner(), other, 'registry owner should be other')
+    })
+
+    it('should call other contracts in a batch through client', async () => {
+      const firstReg = await setupRegistry(vbo)
+      const secondReg = await setupRegistry(vbo)
+      const calls = [firstReg, secondReg].map(registry => ({
+        target: registry.address,
+        value: 0,
+        data: encodeCallData(web3, ExampleRegistry.abi, 'setEntry', [
+          web3.utils.soliditySha3('entry'),
+          5
+        ])
+      }))
+      const status = await client.batchExecuteCall(calls, {
+        from: voters[0]
+      })
+
+      assert.equal(
+        status.action,
+        'batchExecuteCall',
+        'action should be decoded'
+      )
+      assert.deepEqual(
+        status.args._targets,
+        [firstReg.address, secondReg.address],
+        'targets should match'
+      )
+
+      await client.castVote(status.callData, { from: voters[0] })
+      await client.castVote(status.callData, { from: voters[1] })
+
+      assert.equal(
+        (await secondReg.entries(web3.utils.soliditySha3('entry'))).toString(),
+        '5',
+        'entry should be set on last registry'
+      )
+    })
+  })
+})
+
+describe('when using VotableOwner client with other tokens', () => {
+  contract('VotableOwner', () => {
+    const tokenAmount = 1000
+    let tkn, vbo, stb, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      tkn = contracts.tkn
+      vbo = contracts.vbo
+      stb = await setupStableToken(vbo)
+      client = setupClient(vbo)
+    })
+
+    it('should list holdings without tracked tokens', async () => {
+      await testClientHoldings(client, vbo, tkn, [])
+    })
+
+    it('should track token through client', async () => {
+      const status = await client.addTrackedToken(stb.address, {
+        from: voters[0]
+      })
+
+      assert.equal(status.action, 'addTrackedToken', 'action should be decoded')
+
+      await client.castVote(status.callData, { from: voters[0] })
+      await client.castVote(status.callData, { from: voters[1] })
+    })
+
+    it('should list holdings with tracked tokens', async () => {
+      await testClientHoldings(client, vbo, tkn, [stb])
+    })
+
+    it('should transfer other tokens through client', async () => {
+      const preBalance = await stb.balanceOf(other)
+      const status = await client.transferERC20(
+        stb.address,
+        other,
+        tokenAmount,
+        { from: voters[0] }
+      )
+
+      await client.castVote(status.callData, { from: voters[0] })
+      await client.castVote(status.callData, { from: voters[1] })
+
+      const postBalance = await stb.balanceOf(other)
+
+      assert.equal(
+        postBalance.sub(preBalance).toString(),
+        tokenAmount.toString(),
+        'recipient balance should be incremented by transferred amount'
+      )
+      await testClientHoldings(client, vbo, tkn, [stb])
+    })
+  })
+})
+
+describe('when using VotableOwner client with weighted votes', () => {
+  contract('VotableOwner', () => {
+    const weight = 2
+    let vbo, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should update voter weight through client', async () => {
+      const status = await client.updateVoterWeight(voters[0], weight, {
+        from: voters[0]
+      })
+
+      assert.equal(
+        status.action,
+        'updateVoterWeight',
+        'action should be decoded'
+      )
+
+      await client.castVote(status.callData, { from: voters[0] })
+      await client.castVote(status.callData, { from: voters[1] })
+
+      const weights = await client.getVoterWeights()
+
+      assert.deepEqual(
+        weights,
+        {
+          [voters[0]]: weight,
+          [voters[1]]: 1,
+          [voters[2]]: 1,
+          [voters[3]]: 1
+        },
+        'client voter weights should match weights on contract'
+      )
+    })
+
+    it('should get status of action for voter whose weight meets minimumVotes', async () => {
+      const status = await client.pauseToken({ from: voters[0] })
+
+      assert.equal(status.weight, weight, 'status weight should match voter')
+      assert(
+        status.willExecute,
+        'vote of voter with enough weight should execute action'
+      )
+    })
+
+    it('should get status of action for voter whose weight does NOT meet minimumVotes', async () => {
+      const status = await client.pauseToken({ from: voters[1] })
+
+      assert.equal(status.weight, 1, 'status weight should match voter')
+      assert(
+        !status.willExecute,
+        'vote of voter without enough weight should NOT execute action'
+      )
+    })
+  })
+})
+
+describe('when using VotableOwner client with daily allowances', () => {
+  contract('VotableOwner', () => {
+    const etherAllowance = new BN(1).mul(decimals18)
+    let vbo, client
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      client = setupClient(vbo)
+    })
+
+    it('should update daily ether allowance through client', async () => {
+      const status = await client.updateDailyEtherAllowance(etherAllowance, {
+        from: voters[0]
+      })
+
+      await client.castVote(status.callData, { from: voters[0] })
+      await client.castVote(status.callData, { from: voters[1] })
+
+      const allowances = await client.getAllowances()
+
+      assert.deepEqual(
+        allowances,
+        {
+          allowanceVotes: 1,
+          dailyEtherAllowance: etherAllowance.toString(),
+          remainingEtherAllowance: etherAllowance.toString(),
+          dailyTokenAllowance: '0',
+          remainingTokenAllowance: '0'
+        },
+        'client allowances should match allowances on contract'
+      )
+    })
+
+    it('should get status of transfer within allowance', async () => {
+      const status = await client.transferEther(other, etherAllowance, {
+        from: voters[0]
+      })
+
+      await testClientActionStatus(vbo, status, {
+        from: voters[0],
+        votedBy: []
+      })
+      assert.equal(
+        status.minimumVotes,
+        1,
+        'transfer within allowance should only need allowanceVotes'
+      )
+    })
+
+    it('should get status of transfer exceeding allowance', async () => {
+      const status = await client.transferEther(
+        other,
+        etherAllowance.add(new BN(1)),
+        { from: voters[0] }
+      )
+
+      assert.equal(
+        status.minimumVotes,
+        2,
+        'transfer exceeding allowance should need minimumVotes'
+      )
+      assert(!status.willExecute, 'single vote should NOT execute transfer')
+    })
+  })
+})
@@ -0,0 +1,372 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  tempOwner,
+  voters,
+  other,
+  addressZero,
+  assertRevert,
+  getCurrentBlockTime,
+  oneBlockWeek
+} = require('./helpers/general')
+const {
+  setupToken,
+  setupFactory,
+  testPauseTokenVote,
+  testPauseTokenVoteRun
+} = require('./helpers/vbo')
+const {
+  setupDeployConfig,
+  testDeployConfigError,
+  testDeployVotableOwner,
+  testDeploymentRecord
+} = require('./helpers/deploy')
+const {
+  validateVotableOwnerArgs,
+  validateDeployConfig,
+  getCreateArgs,
+  loadManifest,
+  resolveManifest
+} = require('../src/deploy')
+const VotableOwnerFactory = artifacts.require('VotableOwnerFactory.sol')
+
+describe('when creating VotableOwners through the factory', () => {
+  contract('VotableOwnerFactory', () => {
+    let tkn, fct, vbo
+
+    before('setup contracts', async () => {
+      tkn = await setupToken()
+      fct = await setupFactory()
+    })
+
+    it('should NOT deploy factory without implementation', async () => {
+      await assertRevert(VotableOwnerFactory.new(other))
+    })
+
+    it('should NOT create VotableOwner with arguments rejected by initialize', async () => {
+      const args = await getCreateArgs(
+        web3,
+        await setupDeployConfig(tkn, {
+          minimumVotes: voters.length + 1
+        })
+      )
+
+      await assertRevert(fct.createVotableOwner(...args))
+    })
+
+    it('should NOT create VotableOwner with the zero address as a voter', async () => {
+      const args = await getCreateArgs(
+        web3,
+        await setupDeployConfig(tkn, {
+          voters: [...voters.slice(0, 2), addressZero]
+        })
+      )
+
+      await assertRevert(fct.createVotableOwner(...args))
+    })
+
+    it('should create VotableOwner without transferring token ownership', async () => {
+      await testDeployVotableOwner(fct, tkn, await setupDeployConfig(tkn), {
+        from: other
+      })
+    })
+
+    it('should create VotableOwner and transfer token ownership', async () => {
+      vbo = await testDeployVotableOwner(
+        fct,
+        tkn,
+        await setupDeployConfig(tkn, {
+          voters: voters.slice(0, 3),
+          minimumVotes: 3,
+          transferOwnership: true
+        }),
+        {
+          from: tempOwner
+        }
+      )
+    })
+
+    it('should perform actions of created VotableOwner after enough votes', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[1]
+      })
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[2]
+      })
+    })
+  })
+})
+
+describe('when validating deploy configs', () => {
+  contract('VotableOwnerFactory', () => {
+    let tkn
+
+    before('setup contracts', async () => {
+      tkn = await setupToken()
+    })
+
+    it('should accept valid config with tokenReleaseDate as a date string', async () => {
+      const tokenReleaseDate = new Date(
+        ((await getCurrentBlockTime()) + oneBlockWeek) * 1000
+      ).toISOString()
+
+      await validateDeployConfig(
+        web3,
+        await setupDeployConfig(tkn, {
+          tokenReleaseDate,
+          transferOwnership: true
+        }),
+        tempOwner
+      )
+    })
+
+    it('should NOT accept less than 2 voters', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          voters: voters.slice(0, 1)
+        }),
+        tempOwner,
+        'voters must list at least 2 addresses'
+      )
+    })
+
+    it('should NOT accept voters which are NOT addresses', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          voters: [voters[0], 'voter']
+        }),
+        tempOwner,
+        'voter is not an address'
+      )
+    })
+
+    it('should NOT accept the zero address as a voter', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          voters: [voters[0], addressZero]
+        }),
+        tempOwner,
+        'voters can not include the zero address'
+      )
+    })
+
+    it('should NOT accept voters listed more than once', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          voters: [voters[0], voters[1], voters[0].toLowerCase()]
+        }),
+        tempOwner,
+        `${voters[0].toLowerCase()} is listed more than once`
+      )
+    })
+
+    it('should NOT accept minimumVotes of less than 2 or more than voters', async () => {
+      for (const minimumVotes of [1, voters.length + 1]) {
+        await testDeployConfigError(
+          await setupDeployConfig(tkn, {
+            minimumVotes
+          }),
+          tempOwner,
+          'minimumVotes must be at least 2 and at most the amount of voters'
+        )
+      }
+    })
+
+    it('should NOT accept voteLifetime of 0', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          voteLifetime: 0
+        }),
+        tempOwner,
+        'voteLifetime must be greater than 0'
+      )
+    })
+
+    it('should NOT accept tokenReleaseDate in the past', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          tokenReleaseDate: (await getCurrentBlockTime()) - 1
+        }),
+        tempOwner,
+        'tokenReleaseDate must be in the future'
+      )
+    })
+
+    it('should NOT accept more vestingTranches than vestingDuration', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          vestingDuration: 2,
+          vestingTranches: 3
+        }),
+        tempOwner,
+        'vestingTranches can not be more than vestingDuration'
+      )
+    })
+
+    it('should NOT accept token without code', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          token: other
+        }),
+        tempOwner,
+        'token must be a deployed contract'
+      )
+    })
+
+    it('should NOT accept transferring token ownership when NOT token owner', async () => {
+      await testDeployConfigError(
+        await setupDeployConfig(tkn, {
+          transferOwnership: true
+        }),
+        other,
+        `${other} is not the owner of token`
+      )
+    })
+  })
+})
+
+describe('when resolving deployment manifests', () => {
+  const manifestsDir = path.join(__dirname, '../manifests')
+  const manifest = {
+    token: { mock: { name: 'ExampleToken', symbol: 'EXT', decimals: 18 } },
+    voters: [1, 2, voters[3]],
+    minimumVotes: 2,
+    funding: {
+      tokens: '5000',
+      tokenHolders: [{ holder: 4, amount: '2000' }]
+    }
+  }
+
+  it('should load manifest of a network', () => {
+    const kovan = loadManifest(manifestsDir, 'kovan')
+
+    assert.deepEqual(
+      kovan.voters,
+      [1, 2, 3],
+      'voters should be read from kovan manifest'
+    )
+  })
+
+  it('should NOT load manifest of a network without manifest', () => {
+    assert.throws(
+      () => loadManifest(manifestsDir, 'unknown'),
+      /no deployment manifest for network unknown/
+    )
+  })
+
+  it('should replace account indexes with addresses', () => {
+    const resolved = resolveManifest(manifest, accounts)
+
+    assert.deepEqual(resolved.voters, [accounts[1], accounts[2], voters[3]])
+    assert.deepEqual(resolved.funding, {
+      ether: '0',
+      tokens: '5000',
+      tokenHolders: [{ holder: accounts[4], amount: '2000' }]
+    })
+  })
+
+  it('should NOT resolve accounts which do not exist', () => {
+    assert.throws(
+      () =>
+        resolveManifest(
+          Object.assign({}, manifest, { voters: [1, 99] }),
+          accounts
+        ),
+      /account 99 does not exist/
+    )
+  })
+
+  it('should replace tokenReleaseDelay with tokenReleaseDate after blockTime', () => {
+    const resolved = resolveManifest(
+      Object.assign({}, manifest, { tokenReleaseDelay: oneBlockWeek }),
+      accounts,
+      1000
+    )
+
+    assert.equal(
+      resolved.tokenReleaseDate,
+      1000 + oneBlockWeek,
+      'tokenReleaseDate should be tokenReleaseDelay seconds after blockTime'
+    )
+  })
+
+  it('should NOT resolve tokenReleaseDelay which is NOT greater than 0', () => {
+    for (const tokenReleaseDelay of [0, '3600']) {
+      assert.throws(
+        () =>
+          resolveManifest(
+            Object.assign({}, manifest, { tokenReleaseDelay }),
+            accounts,
+            1000
+          ),
+        /tokenReleaseDelay must be greater than 0/
+      )
+    }
+  })
+
+  it('should NOT resolve both tokenReleaseDate and tokenReleaseDelay', () => {
+    assert.throws(
+      () =>
+        resolveManifest(
+          Object.assign({}, manifest, {
+            tokenReleaseDate: 2000,
+            tokenReleaseDelay: oneBlockWeek
+          }),
+          accounts,
+          1000
+        ),
+      /manifest can not have both tokenReleaseDate and tokenReleaseDelay/
+    )
+  })
+
+  it('should resolve and validate every manifest', async () => {
+    const { timestamp } = await web3.eth.getBlock('latest')
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const files = fs.readdirSync(manifestsDir)
+
+    assert(files.length > 0, 'there should be manifests')
+
+    for (const network of files.map(file => path.basename(file, '.json'))) {
+      await validateVotableOwnerArgs(
+        web3,
+        resolveManifest(
+          loadManifest(manifestsDir, network),
+          accounts,
+          timestamp
+        )
+      )
+    }
+  })
+
+  it('should NOT resolve token with both an address and a mock', () => {
+    assert.throws(
+      () =>
+        resolveManifest(
+          Object.assign({}, manifest, {
+            token: Object.assign({ address: other }, manifest.token)
+          }),
+          accounts
+        ),
+      /token must have either an address or a mock/
+    )
+  })
+})
+
+describe('when recording deployments', () => {
+  contract('VotableOwnerFactory', () => {
+    const dir = path.join(
+      os.tmpdir(),
+      `votable-owner-deployments-${Date.now()}`
+    )
+
+    it('should save and load deployment record with contracts and transactions', async () => {
+      await testDeploymentRecord(dir, 'development', {
+        from: tempOwner
+      })
+    })
+  })
+})
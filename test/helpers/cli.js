@@ -0,0 +1,318 @@
+const fs = require('fs')
+const { runCommand } = require('../../src/cli')
+
+// runs a cli command and collects the lines it logs
+const runCliCommand = async (client, args, from) => {
+  const lines = []
+  const result = await runCommand(client, args, {
+    from,
+    log: line => lines.push(line)
+  })
+
+  return {
+    lines,
+    result
+  }
+}
+
+const findLine = (lines, label) => lines.find(line => line.startsWith(label))
+
+const testCliError = async (client, args, expectedMessage, from) => {
+  try {
+    await runCliCommand(client, args, from)
+    assert.fail('Expected error not received')
+  } catch (error) {
+    assert(
+      error.message.startsWith(expectedMessage),
+      `Expected "${expectedMessage}", got ${error.message} instead`
+    )
+  }
+}
+
+const testCliStatus = async (client, args, config) => {
+  const { from, votes, minimumVotes, votedBy } = config
+  const { lines, result } = await runCliCommand(
+    client,
+    ['status', ...args],
+    from
+  )
+
+  assert.equal(
+    findLine(lines, 'votes:'),
+    `votes:         ${votes} / ${minimumVotes}`,
+    'status should show votes so far vs. minimumVotes'
+  )
+  assert.equal(
+    findLine(lines, 'action id:'),
+    `action id:     ${result.actionId}`,
+    'status should show action id'
+  )
+  assert.deepEqual(
+    result.votedBy,
+    votedBy,
+    'status should be for voters who have voted'
+  )
+  assert.equal(
+    findLine(lines, 'still needed:'),
+    `still needed:  ${result.pendingVoters.join(', ') || '-'}`,
+    'status should show voters who still need to vote'
+  )
+}
+
+const testCliVote = async (client, args, config) => {
+  const { from } = config
+  const preStatus = await runCliCommand(client, ['status', ...args], from)
+  const { lines } = await runCliCommand(client, ['vote', ...args], from)
+
+  assert(
+    findLine(lines, 'voted in tx:'),
+    'vote should show transaction hash of vote'
+  )
+
+  if (preStatus.result.willExecute) {
+    assert.equal(
+      lines[1],
+      'vote passed and action was performed',
+      'vote should show that action was performed'
+    )
+  } else {
+    assert.equal(
+      findLine(lines, 'votes:'),
+      `votes:         ${preStatus.result.votes + 1} / ${
+        preStatus.result.minimumVotes
+      }`,
+      'vote should show incremented votes'
+    )
+  }
+}
+
+const testCliRevoke = async (client, args, config) => {
+  const { from } = config
+  const preStatus = await runCliCommand(client, ['status', ...args], from)
+  const { lines } = await runCliCommand(client, ['revoke', ...args], from)
+  const postStatus = await runCliCommand(client, ['status', ...args], from)
+
+  assert(
+    findLine(lines, 'revoked vote in tx:'),
+    'revoke should show transaction hash of revocation'
+  )
+  assert.equal(
+    findLine(lines, 'votes:'),
+    `votes:         ${preStatus.result.votes - 1} / ${
+      preStatus.result.minimumVotes
+    }`,
+    'revoke should show decremented votes'
+  )
+  assert(!postStatus.result.hasVoted, 'from should NOT have voted anymore')
+}
+
+const testCliReject = async (client, args, config) => {
+  const { from } = config
+  const preStatus = await runCliCommand(client, ['status', ...args], from)
+  const { lines } = await runCliCommand(client, ['reject', ...args], from)
+  const postStatus = await runCliCommand(client, ['status', ...args], from)
+
+  assert(
+    findLine(lines, 'rejected in tx:'),
+    'reject should show transaction hash of rejection'
+  )
+
+  if (postStatus.result.actionNonce > preStatus.result.actionNonce) {
+    assert.equal(
+      lines[1],
+      'action can no longer pass and was rejected',
+      'reject should show that action was rejected'
+    )
+  } else {
+    assert.equal(
+      lines[1],
+      `rejections: ${preStatus.result.rejections + preStatus.result.weight}`,
+      'reject should show incremented rejections'
+    )
+    assert(postStatus.result.hasRejected, 'from should have rejected')
+  }
+}
+
+const testCliExecute = async (client, args, config) => {
+  const { from } = config
+  const preStatus = await runCliCommand(client, ['status', ...args], from)
+  const { lines } = await runCliCommand(client, ['execute', ...args], from)
+  const proposal = await client.getProposal(preStatus.result.actionId)
+
+  assert(preStatus.result.canExecute, 'action should be executable')
+  assert(
+    findLine(lines, 'executed in tx:'),
+    'execute should show transaction hash of execution'
+  )
+  assert(proposal.executed, 'proposal should be executed')
+}
+
+const testCliPending = async (client, expectedActions) => {
+  const { lines, result } = await runCliCommand(client, ['pending'])
+
+  assert.deepEqual(
+    result.map(status => status.action),
+    expectedActions,
+    'pending should list actions which have votes'
+  )
+
+  if (expectedActions.length === 0) {
+    assert.deepEqual(
+      lines,
+      ['no pending actions'],
+      'pending should show that there are no pending actions'
+    )
+  }
+}
+
+const testCliIndex = async (client, file, expectedCounts) => {
+  const { lines } = await runCliCommand(client, ['index', file])
+
+  for (const status of Object.keys(expectedCounts)) {
+    assert.equal(
+      findLine(lines, `${status} proposals:`),
+      `${status} proposals: ${expectedCounts[status]}`,
+      `index should show amount of ${status} proposals`
+    )
+  }
+}
+
+const testCliEncode = async (client, file, abi, method, args) => {
+  const { lines, result } = await runCliCommand(client, [
+    'encode',
+    file,
+    method,
+    ...args
+  ])
+  const abiItem = abi.find(item => item.name === method)
+
+  assert.deepEqual(lines, [result], 'encode should only show call data')
+  assert.equal(
+    result.slice(0, 10),
+    client.web3.eth.abi.encodeFunctionSignature(abiItem),
+    'call data should start with function signature of method'
+  )
+  assert.deepEqual(
+    Object.values(
+      client.web3.eth.abi.decodeParameters(
+        abiItem.inputs,
+        `0x${result.slice(10)}`
+      )
+    ).slice(0, args.length),
+    args,
+    'call data should contain arguments'
+  )
+}
+
+const testCliHoldings = async (client, expectedLines) => {
+  const { lines } = await runCliCommand(client, ['holdings'])
+
+  assert.deepEqual(
+    lines,
+    expectedLines,
+    'holdings should show ether, token and tracked token balances'
+  )
+}
+
+const testCliVesting = async (client, expectedLines) => {
+  const { lines } = await runCliCommand(client, ['vesting'])
+
+  assert.deepEqual(
+    lines,
+    expectedLines,
+    'vesting should show vested, released, releasable and remaining tokens'
+  )
+}
+
+const testCliVoters = async (client, expectedLines, args = []) => {
+  const { lines } = await runCliCommand(client, ['voters', ...args])
+
+  assert.deepEqual(
+    lines,
+    expectedLines,
+    'voters should show each voter with their vote weight'
+  )
+}
+
+const testCliEmergencyPause = async (client, tkn, config) => {
+  const { from } = config
+  const { lines } = await runCliCommand(client, ['emergency-pause'], from)
+
+  assert(await tkn.paused(), 'token should be paused after emergency pause')
+  assert(
+    findLine(lines, 'paused token in tx:'),
+    'emergency-pause should show transaction hash of pause'
+  )
+  assert(
+    findLine(lines, 'pause expires at'),
+    'emergency-pause should show when pause expires'
+  )
+}
+
+const testCliEndEmergencyPause = async (client, tkn, config) => {
+  const { from } = config
+  const { lines } = await runCliCommand(client, ['end-emergency-pause'], from)
+
+  assert(
+    !(await tkn.paused()),
+    'token should NOT be paused after ending emergency pause'
+  )
+  assert(
+    findLine(lines, 'unpaused token in tx:'),
+    'end-emergency-pause should show transaction hash of unpause'
+  )
+}
+
+const testCliSign = async (client, file, args, config) => {
+  const { from } = config
+  const { lines, result } = await runCliCommand(
+    client,
+    ['sign', file, ...args],
+    from
+  )
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const savedRequest = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+  assert.deepEqual(savedRequest, result, 'signature request should be saved')
+  assert.equal(
+    result.signatures[result.signatures.length - 1].signer,
+    from,
+    'last signature should be from signer'
+  )
+  assert.equal(
+    findLine(lines, 'signatures:'),
+    `signatures:    ${result.signatures.length}`,
+    'sign should show amount of signatures'
+  )
+}
+
+const testCliSubmit = async (client, file, config) => {
+  const { from, expectedMessage } = config
+  const { lines } = await runCliCommand(client, ['submit', file], from)
+
+  assert(
+    findLine(lines, 'submitted'),
+    'submit should show transaction hash of submission'
+  )
+  assert.equal(lines[1], expectedMessage, 'submit should show outcome')
+}
+
+module.exports = {
+  runCliCommand,
+  testCliError,
+  testCliStatus,
+  testCliVote,
+  testCliRevoke,
+  testCliReject,
+  testCliExecute,
+  testCliPending,
+  testCliIndex,
+  testCliEncode,
+  testCliHoldings,
+  testCliVoters,
+  testCliVesting,
+  testCliEmergencyPause,
+  testCliEndEmergencyPause,
+  testCliSign,
+  testCliSubmit
+}
@@ -0,0 +1,178 @@
+const { voters } = require('./general')
+const { createClient } = require('../../src/client')
+
+const setupClient = vbo => createClient(web3, vbo.contract)
+
+const testClientVoters = async (client, expectedVoters) => {
+  const clientVoters = await client.getVoters()
+
+  assert.deepEqual(
+    clientVoters,
+    expectedVoters,
+    'client voters should match current voters of contract'
+  )
+}
+
+const testClientRoster = async (client, callData, votedBy) => {
+  const roster = await client.getRoster(callData)
+  const weights = await client.getVoterWeights()
+
+  assert.deepEqual(
+    roster.map(({ voter }) => voter),
+    await client.getVoters(),
+    'roster should list every current voter'
+  )
+
+  for (const { voter, weight, voted } of roster) {
+    assert.equal(
+      weight,
+      weights[voter],
+      'roster weight should match weight of voter'
+    )
+    assert.equal(
+      voted,
+      votedBy.includes(voter),
+      'roster should show whether voter has voted for the action'
+    )
+  }
+}
+
+const testClientActionStatus = async (vbo, status, config) => {
+  const { from, votedBy } = config
+  const minimumVotes = await vbo.actionRequiredVotes(status.callData)
+  const hasVoted = votedBy.includes(from)
+
+  assert.equal(
+    status.votes,
+    votedBy.length,
+    'status votes should match amount of voters who have voted'
+  )
+  assert.equal(
+    status.minimumVotes,
+    minimumVotes.toNumber(),
+    'status minimumVotes should match votes required by contract'
+  )
+  assert.deepEqual(
+    status.votedBy,
+    votedBy,
+    'status votedBy should match voters who have voted'
+  )
+  assert.deepEqual(
+    status.pendingVoters,
+    voters.filter(voter => !votedBy.includes(voter)),
+    'status pendingVoters should match voters who have NOT voted'
+  )
+  assert.equal(
+    status.hasVoted,
+    hasVoted,
+    'status hasVoted should match whether from has voted'
+  )
+  assert.equal(
+    status.willExecute,
+    !hasVoted && votedBy.length + 1 >= minimumVotes.toNumber(),
+    'status willExecute should be true only when vote by from meets minimumVotes'
+  )
+
+  for (const voter of voters) {
+    const voted = await vbo.hasVoted(status.actionId, voter)
+
+    assert.equal(
+      voted,
+      votedBy.includes(voter),
+      'status actionId should match actionId used by contract'
+    )
+  }
+}
+
+const testClientPauseTokenVote = async (client, vbo, tkn, config) => {
+  const { from } = config
+  const preStatus = await client.pauseToken({ from })
+  const prePaused = await tkn.paused()
+
+  await client.castVote(preStatus.callData, { from })
+
+  const postStatus = await client.pauseToken({ from })
+  const postPaused = await tkn.paused()
+
+  assert(!prePaused, 'token should NOT start paused')
+
+  if (preStatus.willExecute) {
+    assert(postPaused, 'token should be paused after successful vote')
+    assert.equal(postStatus.votes, 0, 'votes should be reset after vote passed')
+    assert.notEqual(
+      preStatus.actionId,
+      postStatus.actionId,
+      'actionId should change after vote passed'
+    )
+  } else {
+    assert(!postPaused, 'token should NOT be paused after voting')
+    assert.equal(
+      postStatus.votes - preStatus.votes,
+      1,
+      'votes should be incremented by 1'
+    )
+    assert(postStatus.hasVoted, 'from should be marked as having voted')
+  }
+
+  await testClientActionStatus(vbo, postStatus, {
+    from,
+    votedBy: postStatus.votedBy
+  })
+}
+
+const testClientHoldings = async (client, vbo, tkn, erc20s) => {
+  const holdings = await client.getHoldings()
+  const etherBalance = await web3.eth.getBalance(vbo.address)
+  const tokenBalance = await tkn.balanceOf(vbo.address)
+
+  assert.equal(
+    holdings.ether,
+    etherBalance.toString(),
+    'holdings ether should match VotableOwner ether balance'
+  )
+  assert.equal(
+    holdings.token.address,
+    tkn.address,
+    'holdings token should be main token'
+  )
+  assert.equal(
+    holdings.token.balance,
+    tokenBalance.toString(),
+    'holdings token balance should match VotableOwner token balance'
+  )
+  assert.deepEqual(
+    holdings.trackedTokens.map(holding => holding.address),
+    erc20s.map(erc20 => erc20.address),
+    'holdings should include every tracked token'
+  )
+
+  for (let i = 0; i < erc20s.length; i++) {
+    const holding = holdings.trackedTokens[i]
+    const balance = await erc20s[i].balanceOf(vbo.address)
+    const symbol = await erc20s[i].symbol()
+    const decimals = await erc20s[i].decimals()
+
+    assert.equal(
+      holding.balance,
+      balance.toString(),
+      'tracked token holding should match VotableOwner token balance'
+    )
+    assert.equal(holding.symbol, symbol, 'holding should have token symbol')
+    assert.equal(
+      holding.decimals,
+      decimals.toNumber(),
+      'holding should have token decimals'
+    )
+  }
+
+  return holdings
+}
+
+module.exports = {
+  setupClient,
+  testClientVoters,
+  testClientRoster,
+  testClientActionStatus,
+  testClientPauseTokenVote,
+  testClientHoldings
+}
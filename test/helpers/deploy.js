@@ -0,0 +1,183 @@
+const { voters, getCurrentBlockTime, oneBlockWeek } = require('./general')
+const {
+  defaultVoteRequirement,
+  defaultVoteLifetime,
+  setupToken
+} = require('./vbo')
+const {
+  validateDeployConfig,
+  deployVotableOwner,
+  createDeploymentRecord,
+  recordContract,
+  recordTransaction,
+  saveDeploymentRecord,
+  loadDeploymentRecord
+} = require('../../src/deploy')
+const VotableOwner = artifacts.require('VotableOwner.sol')
+
+// a valid deploy config for tkn. fields can be overridden through config
+const setupDeployConfig = async (tkn, config = {}) =>
+  Object.assign(
+    {
+      voters,
+      minimumVotes: defaultVoteRequirement,
+      voteLifetime: defaultVoteLifetime,
+      tokenReleaseDate: (await getCurrentBlockTime()) + oneBlockWeek,
+      token: tkn.address,
+      transferOwnership: false
+    },
+    config
+  )
+
+const testDeployConfigError = async (config, from, expectedMessage) => {
+  try {
+    await validateDeployConfig(web3, config, from)
+    assert.fail('Expected error not received')
+  } catch (error) {
+    assert.equal(
+      error.message,
+      expectedMessage,
+      'config should be rejected with expected message'
+    )
+  }
+}
+
+const testDeployVotableOwner = async (fct, tkn, config, txConfig) => {
+  const preVotableOwnerCount = await fct.votableOwnerCount()
+  const preTokenOwner = await tkn.owner()
+
+  const deployment = await deployVotableOwner(
+    web3,
+    fct.contract,
+    config,
+    txConfig
+  )
+
+  const postVotableOwnerCount = await fct.votableOwnerCount()
+  const postTokenOwner = await tkn.owner()
+  const votableOwners = await fct.getVotableOwners()
+  const [event] = await fct.contract.getPastEvents('VotableOwnerCreated', {
+    fromBlock: deployment.blockNumber,
+    toBlock: deployment.blockNumber
+  })
+  const vbo = await VotableOwner.at(deployment.address)
+
+  assert.equal(
+    postVotableOwnerCount.sub(preVotableOwnerCount).toString(),
+    '1',
+    'votableOwnerCount should be incremented by 1'
+  )
+  assert.equal(
+    votableOwners[votableOwners.length - 1],
+    deployment.address,
+    'new VotableOwner should be listed last'
+  )
+  assert(
+    await fct.isVotableOwner(deployment.address),
+    'new VotableOwner should be registered'
+  )
+  assert.equal(
+    event.returnValues.votableOwner,
+    deployment.address,
+    'VotableOwnerCreated should be emitted for new VotableOwner'
+  )
+  assert.equal(
+    event.returnValues.token,
+    tkn.address,
+    'VotableOwnerCreated should contain token'
+  )
+  assert.deepEqual(
+    event.returnValues.voters,
+    config.voters,
+    'VotableOwnerCreated should contain voters'
+  )
+  assert.equal(
+    event.returnValues.minimumVotes,
+    config.minimumVotes.toString(),
+    'VotableOwnerCreated should contain minimumVotes'
+  )
+
+  assert.equal(
+    await vbo.implementation(),
+    await fct.implementation(),
+    'new VotableOwner should delegate to implementation of factory'
+  )
+  assert.deepEqual(
+    await vbo.getVoters(),
+    config.voters,
+    'new VotableOwner should have voters of config'
+  )
+  assert.equal(
+    (await vbo.minimumVotes()).toString(),
+    config.minimumVotes.toString(),
+    'new VotableOwner should have minimumVotes of config'
+  )
+  assert.equal(
+    await vbo.token(),
+    tkn.address,
+    'new VotableOwner should operate on token of config'
+  )
+  assert.equal(
+    postTokenOwner,
+    config.transferOwnership ? deployment.address : preTokenOwner,
+    'token ownership should only be transferred when set in config'
+  )
+
+  return vbo
+}
+
+// records a token deployment and a mint, saves the record to dir and loads it again
+const testDeploymentRecord = async (dir, network, config) => {
+  const { from } = config
+  const networkId = await web3.eth.net.getId()
+  const record = createDeploymentRecord(network, networkId, from, {})
+
+  const tkn = await setupToken()
+  await recordContract(web3, record, 'ExampleToken', tkn, ['EXT'])
+  const { receipt } = await tkn.mint(from, 1000, config)
+  recordTransaction(record, 'mint 1000 tokens', receipt)
+
+  assert.equal(
+    loadDeploymentRecord(dir, network),
+    null,
+    'deployment record should NOT exist before saving'
+  )
+
+  saveDeploymentRecord(dir, record)
+
+  assert.deepEqual(
+    loadDeploymentRecord(dir, network),
+    {
+      network,
+      networkId,
+      deployer: from,
+      manifest: {},
+      votableOwner: null,
+      contracts: {
+        ExampleToken: {
+          address: tkn.address,
+          transactionHash: tkn.transactionHash,
+          blockNumber: (await web3.eth.getTransactionReceipt(
+            tkn.transactionHash
+          )).blockNumber,
+          args: ['EXT']
+        }
+      },
+      transactions: [
+        {
+          description: 'mint 1000 tokens',
+          transactionHash: receipt.transactionHash,
+          blockNumber: receipt.blockNumber
+        }
+      ]
+    },
+    'loaded deployment record should match saved deployment record'
+  )
+}
+
+module.exports = {
+  setupDeployConfig,
+  testDeployConfigError,
+  testDeployVotableOwner,
+  testDeploymentRecord
+}
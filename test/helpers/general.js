@@ -107,7 +107,8 @@ const sendTransaction = args => {
 const send = (method, params = []) =>
   web3.currentProvider.send(
     {
-      id: new Date().getSeconds(),
+      // ids based on seconds collide with ids of pending truffle requests
+      id: Date.now(),
       jsonrpc: '2.0',
       method,
       params
@@ -0,0 +1,75 @@
+const { createStore, getProposals, indexEvents } = require('../../src/indexer')
+const { calculateActionId } = require('../../src/client')
+
+const setupStore = vbo => createStore(vbo.address)
+
+const testIndexEvents = async (vbo, store) => {
+  const preLastBlock = store.lastBlock
+  const preHistoryLength = store.history.length
+
+  await indexEvents(web3, vbo.contract, store)
+
+  const blockNumber = await web3.eth.getBlockNumber()
+
+  assert(
+    store.lastBlock > preLastBlock,
+    'lastBlock should be incremented after indexing'
+  )
+  assert.equal(
+    store.lastBlock,
+    blockNumber,
+    'lastBlock should match latest block after indexing'
+  )
+  assert(
+    store.history.length >= preHistoryLength,
+    'history should only ever grow'
+  )
+}
+
+const testProposal = async (vbo, store, method, args, expected) => {
+  const { status, voters, effects = [] } = expected
+  const callData = vbo.contract.methods[method](...args).encodeABI()
+  const proposal = getProposals(store).find(
+    indexed => indexed.callData === callData && indexed.status === status
+  )
+
+  assert(proposal, `${status} proposal for ${method} should be indexed`)
+  assert.equal(
+    proposal.action,
+    method,
+    'proposal action should match function voted on'
+  )
+  assert.deepEqual(
+    proposal.votes.map(vote => vote.voter),
+    voters,
+    'proposal votes should match voters who voted'
+  )
+  assert.deepEqual(
+    proposal.effects.map(effect => effect.event),
+    effects,
+    'proposal effects should match events emitted by performed action'
+  )
+
+  if (status === 'open' || status === 'queued') {
+    const actionId = await calculateActionId(web3, vbo.contract, callData)
+
+    assert.equal(
+      proposal.actionId,
+      actionId,
+      `${status} proposal actionId should match current actionId for call data`
+    )
+    assert.equal(
+      proposal.closedBlock,
+      null,
+      `${status} proposal should NOT close`
+    )
+  } else {
+    assert(proposal.closedBlock, 'closed proposal should have closedBlock')
+  }
+}
+
+module.exports = {
+  setupStore,
+  testIndexEvents,
+  testProposal
+}
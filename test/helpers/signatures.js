@@ -0,0 +1,99 @@
+const {
+  getTypedData,
+  hashTypedData,
+  createSignatureRequest,
+  signAction,
+  getValidSignatures,
+  encodeSignatures
+} = require('../../src/signatures')
+const { calculateActionId } = require('../../src/client')
+
+const setupSignatureRequest = (vbo, callData) =>
+  createSignatureRequest(web3, vbo.contract, callData)
+
+const testSignAction = async (vbo, request, signer) => {
+  const preSignatures = request.signatures.length
+  const callData = request.callData
+  const actionId = await calculateActionId(web3, vbo.contract, callData)
+  const preActionVotes = await vbo.actionVotes(actionId)
+
+  await signAction(web3, request, signer)
+
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const digest = await vbo.actionDigest(
+    callData,
+    request.actionNonce,
+    request.revocations
+  )
+
+  assert.equal(
+    request.signatures.length,
+    preSignatures + 1,
+    'signature should be added to request'
+  )
+  assert.equal(
+    request.signatures[request.signatures.length - 1].signer,
+    signer,
+    'signature should be from signer'
+  )
+  assert.equal(
+    hashTypedData(web3, getTypedData(request)),
+    digest,
+    'digest of typed data should match actionDigest of contract'
+  )
+  assert.equal(
+    preActionVotes.toString(),
+    postActionVotes.toString(),
+    'signing should NOT count as a vote on its own'
+  )
+}
+
+// submits all valid signatures of request, returns logs of the transaction
+const testExecuteSigned = async (vbo, request, config) => {
+  const { callData } = request
+  const actionId = await calculateActionId(web3, vbo.contract, callData)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const signatures = await getValidSignatures(web3, vbo.contract, request)
+
+  const { logs } = await vbo.executeSigned(
+    callData,
+    encodeSignatures(signatures),
+    config
+  )
+
+  const votedEvents = logs.filter(log => log.event === 'VoterVoted')
+  const passedEvent = logs.find(log => log.event === 'VotePassed')
+  const requiredVotes = await vbo.actionRequiredVotes(callData)
+  const executionDelay = await vbo.actionExecutionDelay(callData)
+  const votes = preActionVotes.addn(signatures.length)
+
+  assert.deepEqual(
+    votedEvents.map(log => log.args.voter),
+    signatures.map(signature => signature.signer),
+    'a vote should be counted for each signer'
+  )
+
+  if (votes.gte(requiredVotes) && executionDelay.isZero()) {
+    assert(passedEvent, 'VotePassed should be emitted with enough signatures')
+    assert.equal(
+      passedEvent.args.actionId,
+      actionId,
+      'passed actionId should match signed action'
+    )
+  } else {
+    assert(!passedEvent, 'VotePassed should NOT be emitted')
+    assert.equal(
+      (await vbo.actionVotes(actionId)).toString(),
+      votes.toString(),
+      'actionVotes should be incremented by amount of signatures'
+    )
+  }
+
+  return logs
+}
+
+module.exports = {
+  setupSignatureRequest,
+  testSignAction,
+  testExecuteSigned
+}
@@ -2,13 +2,32 @@ const {
   tempOwner,
   voters,
   tokenHolders,
+  assertRevert,
   sendTransaction,
   getEtherBalance,
   timeWarp,
-  getCurrentBlockTime
+  getCurrentBlockTime,
+  oneBlockWeek
 } = require('./general')
 const VotableOwner = artifacts.require('VotableOwner.sol')
+const VotableOwnerExtension = artifacts.require('VotableOwnerExtension.sol')
+const VotableOwnerProxy = artifacts.require('VotableOwnerProxy.sol')
+const VotableOwnerFactory = artifacts.require('VotableOwnerFactory.sol')
 const ExampleToken = artifacts.require('./mocks/ExampleToken.sol')
+const ExampleSeizableToken = artifacts.require(
+  './mocks/ExampleSeizableToken.sol'
+)
+const ExampleRegistry = artifacts.require('./mocks/ExampleRegistry.sol')
+const ExampleStableToken = artifacts.require('./mocks/ExampleStableToken.sol')
+const ExampleNoReturnToken = artifacts.require(
+  './mocks/ExampleNoReturnToken.sol'
+)
+const {
+  getStoredActionNonce: getContractStoredActionNonce,
+  getActionNonce: getContractActionNonce,
+  calculateActionId: calculateContractActionId,
+  encodeBatchCalls
+} = require('../../src/client')
 const { soliditySha3 } = web3.utils
 const { BN } = web3.utils
 
@@ -16,43 +35,70 @@ const defaultName = 'ExampleToken'
 const defaultSymbol = 'EXT'
 const defaultDecimals = 18
 const defaultVoteRequirement = 2
+const defaultVoteLifetime = oneBlockWeek
 const defaultTokenReleaseDate =
   Math.floor(new Date().getTime() / 1000) + 60 * 60 * 24 * 30
+const defaultVestingDuration = 0
+const defaultVestingTranches = 0
 const defaultVotableOwnerTokenBalance = 5e18
+const defaultStableTokenSupply = 1e12
+
+const getActionNonce = async (vbo, callData) =>
+  new BN(await getContractActionNonce(web3, vbo.contract, callData))
 
-const calculateActionId = async (vbo, callData) => {
-  const actionNonce = await vbo.actionNonce()
+const calculateActionId = (vbo, callData) =>
+  calculateContractActionId(web3, vbo.contract, callData)
 
-  const actionId = soliditySha3(
+// actionId of the open proposal for callData, which differs from calculateActionId()
+// when votes for it have been invalidated or have expired
+const calculateProposalActionId = async (vbo, callData) =>
+  soliditySha3(
     {
       type: 'bytes',
       value: callData
     },
     {
       type: 'uint256',
-      value: actionNonce
+      value: await getContractStoredActionNonce(web3, vbo.contract, callData)
     }
   )
 
-  return actionId
-}
+// deploys a token owned by tempOwner
+const setupToken = (Token = ExampleToken) =>
+  Token.new(defaultName, defaultSymbol, defaultDecimals, {
+    from: tempOwner
+  })
 
-const setupContracts = async () => {
-  const tkn = await ExampleToken.new(
-    defaultName,
-    defaultSymbol,
-    defaultDecimals,
-    {
-      from: tempOwner
-    }
-  )
+// deploys VotableOwner along with the extension it delegates part of its functions to
+const setupImplementation = async () => {
+  const ext = await VotableOwnerExtension.new()
 
-  const vbo = await VotableOwner.new(
-    voters,
-    defaultVoteRequirement,
-    defaultTokenReleaseDate,
-    tkn.address
-  )
+  return VotableOwner.new(ext.address)
+}
+
+const setupContracts = async (
+  vestingDuration = defaultVestingDuration,
+  vestingTranches = defaultVestingTranches,
+  Token = ExampleToken
+) => {
+  const tkn = await setupToken(Token)
+
+  // VotableOwner is used through a proxy which is initialized when deployed
+  const imp = await setupImplementation()
+  const initData = imp.contract.methods
+    .initialize(
+      voters,
+      defaultVoteRequirement,
+      defaultVoteLifetime,
+      defaultTokenReleaseDate,
+      vestingDuration,
+      vestingTranches,
+      tkn.address,
+      await web3.eth.net.getId()
+    )
+    .encodeABI()
+  const proxy = await VotableOwnerProxy.new(imp.address, initData)
+  const vbo = await VotableOwner.at(proxy.address)
 
   await tkn.mint(vbo.address, defaultVotableOwnerTokenBalance, {
     from: tempOwner
@@ -70,10 +116,53 @@ const setupContracts = async () => {
 
   return {
     tkn,
+    imp,
     vbo
   }
 }
 
+// deploys contracts with a token which lets anyone reduce the token balance of VotableOwner
+const setupSeizableContracts = (vestingDuration, vestingTranches) =>
+  setupContracts(vestingDuration, vestingTranches, ExampleSeizableToken)
+
+// deploys a registry owned by VotableOwner for testing calls to other contracts
+const setupRegistry = async vbo => {
+  const reg = await ExampleRegistry.new({
+    from: tempOwner
+  })
+
+  await reg.transferOwnership(vbo.address, {
+    from: tempOwner
+  })
+
+  return reg
+}
+
+// deploys a factory creating VotableOwners which delegate to a new implementation
+const setupFactory = async () => {
+  const imp = await setupImplementation()
+
+  return VotableOwnerFactory.new(imp.address, {
+    from: tempOwner
+  })
+}
+
+// deploys another token and sends the full supply to VotableOwner
+const setupStableToken = async (vbo, StableToken = ExampleStableToken) => {
+  const stb = await StableToken.new(defaultStableTokenSupply, {
+    from: tempOwner
+  })
+
+  await stb.transfer(vbo.address, defaultStableTokenSupply, {
+    from: tempOwner
+  })
+
+  return stb
+}
+
+// deploys a token which does not return a value from transfer()
+const setupNoReturnToken = vbo => setupStableToken(vbo, ExampleNoReturnToken)
+
 const testTokenInitialization = async (tkn, vbo) => {
   const name = await tkn.name()
   const symbol = await tkn.symbol()
@@ -106,9 +195,13 @@ const testTokenInitialization = async (tkn, vbo) => {
 
 const testVotableOwnerInitialization = async (vbo, tkn) => {
   const minimumVotes = await vbo.minimumVotes()
+  const voteLifetime = await vbo.voteLifetime()
   const tokenReleaseDate = await vbo.tokenReleaseDate()
+  const vestingDuration = await vbo.vestingDuration()
+  const vestingTranches = await vbo.vestingTranches()
   const voterCount = await vbo.voterCount()
   const token = await vbo.token()
+  const chainId = await vbo.chainId()
   const tokenBalance = await tkn.balanceOf(vbo.address)
   const etherBalance = await getEtherBalance(vbo.address)
 
@@ -118,16 +211,33 @@ const testVotableOwnerInitialization = async (vbo, tkn) => {
     assert(isVoter, 'voter should be a voter on VotableOwner contract')
   }
 
+  await testVoters(vbo, voters)
+
   assert.equal(
     minimumVotes.toString(),
     defaultVoteRequirement.toString(),
     'minimumVotes should match given constructor argument'
   )
+  assert.equal(
+    voteLifetime.toString(),
+    defaultVoteLifetime.toString(),
+    'voteLifetime should match given constructor argument'
+  )
   assert.equal(
     tokenReleaseDate.toString(),
     defaultTokenReleaseDate.toString(),
     'tokenReleaseDate should match given constructor argument'
   )
+  assert.equal(
+    vestingDuration.toString(),
+    defaultVestingDuration.toString(),
+    'vestingDuration should match given constructor argument'
+  )
+  assert.equal(
+    vestingTranches.toString(),
+    defaultVestingTranches.toString(),
+    'vestingTranches should match given constructor argument'
+  )
   assert.equal(
     voterCount.toString(),
     voters.length.toString(),
@@ -138,6 +248,11 @@ const testVotableOwnerInitialization = async (vbo, tkn) => {
     tkn.address,
     'token should match given constructor argument'
   )
+  assert.equal(
+    chainId.toString(),
+    (await web3.eth.net.getId()).toString(),
+    'chainId should match given constructor argument'
+  )
   assert.equal(
     tokenBalance.toString(),
     defaultVotableOwnerTokenBalance.toString(),
@@ -156,14 +271,14 @@ const testPauseTokenVote = async (vbo, tkn, config) => {
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
+  const preActionNonce = await getActionNonce(vbo, callData)
   const prePaused = await tkn.paused()
 
   await vbo.pauseToken(config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
+  const postActionNonce = await getActionNonce(vbo, callData)
   const postPaused = await tkn.paused()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
@@ -189,14 +304,14 @@ const testPauseTokenVoteRun = async (vbo, tkn, config) => {
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
+  const preActionNonce = await getActionNonce(vbo, callData)
   const prePaused = await tkn.paused()
 
   await vbo.pauseToken(config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
+  const postActionNonce = await getActionNonce(vbo, callData)
   const postPaused = await tkn.paused()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
@@ -216,21 +331,23 @@ const testPauseTokenVoteRun = async (vbo, tkn, config) => {
   assert(postPaused, 'token should be paused after successful vote')
 }
 
-const testUnpauseTokenVote = async (vbo, tkn, config) => {
+const testAddGuardianVote = async (vbo, guardian, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.unpauseToken().encodeABI()
+  const callData = vbo.contract.methods.addGuardian(guardian).encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const prePaused = await tkn.paused()
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preIsGuardian = await vbo.isGuardian(guardian)
+  const preGuardianCount = await vbo.guardianCount()
 
-  await vbo.unpauseToken(config)
+  await vbo.addGuardian(guardian, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postPaused = await tkn.paused()
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postIsGuardian = await vbo.isGuardian(guardian)
+  const postGuardianCount = await vbo.guardianCount()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -245,25 +362,35 @@ const testUnpauseTokenVote = async (vbo, tkn, config) => {
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
 
-  assert(prePaused, 'token should start paused')
-  assert(postPaused, 'token should be paused even after vote')
+  assert.equal(
+    preGuardianCount.toString(),
+    postGuardianCount.toString(),
+    'guardianCount should remain the same after voting'
+  )
+  assert(!preIsGuardian, 'guardian should NOT be a guardian before voting')
+  assert(
+    !postIsGuardian,
+    'guardian should still NOT be a guardian after voting'
+  )
 }
 
-const testUnpauseTokenVoteRun = async (vbo, tkn, config) => {
+const testAddGuardianVoteRun = async (vbo, guardian, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.unpauseToken().encodeABI()
+  const callData = vbo.contract.methods.addGuardian(guardian).encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const prePaused = await tkn.paused()
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preIsGuardian = await vbo.isGuardian(guardian)
+  const preGuardianCount = await vbo.guardianCount()
 
-  await vbo.unpauseToken(config)
+  const { logs } = await vbo.addGuardian(guardian, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postPaused = await tkn.paused()
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postIsGuardian = await vbo.isGuardian(guardian)
+  const postGuardianCount = await vbo.guardianCount()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -278,27 +405,40 @@ const testUnpauseTokenVoteRun = async (vbo, tkn, config) => {
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
 
-  assert(prePaused, 'token should start paused')
-  assert(!postPaused, 'token should NOT be paused after successful vote')
+  assert.equal(
+    postGuardianCount.sub(preGuardianCount).toString(),
+    '1',
+    'guardianCount should be incremented by 1'
+  )
+  assert(
+    !preIsGuardian,
+    'guardian should NOT be a guardian before successful vote'
+  )
+  assert(postIsGuardian, 'guardian should be a guardian after successful vote')
+  assert.equal(
+    logs.find(log => log.event === 'GuardianAdded').args.guardian,
+    guardian,
+    'GuardianAdded should be emitted for guardian'
+  )
 }
 
-const testRemoveVoterVote = async (vbo, voterToRemove, config) => {
+const testRemoveGuardianVote = async (vbo, guardian, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.removeVoter(voterToRemove).encodeABI()
+  const callData = vbo.contract.methods.removeGuardian(guardian).encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preVoterCount = await vbo.voterCount()
-  const preIsVoter = await vbo.isVoter(voterToRemove)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preIsGuardian = await vbo.isGuardian(guardian)
+  const preGuardianCount = await vbo.guardianCount()
 
-  await vbo.removeVoter(voterToRemove, config)
+  await vbo.removeGuardian(guardian, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postVoterCount = await vbo.voterCount()
-  const postIsVoter = await vbo.isVoter(voterToRemove)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postIsGuardian = await vbo.isGuardian(guardian)
+  const postGuardianCount = await vbo.guardianCount()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -314,32 +454,31 @@ const testRemoveVoterVote = async (vbo, voterToRemove, config) => {
   assert(postHasVoted, 'voter should be marked as having voted on this action')
 
   assert.equal(
-    preVoterCount.toString(),
-    postVoterCount.toString(),
-    'voterCount should remain the same after voting'
+    preGuardianCount.toString(),
+    postGuardianCount.toString(),
+    'guardianCount should remain the same after voting'
   )
-
-  assert(preIsVoter, 'voterToRemove should be a voter before removing')
-  assert(postIsVoter, 'voterToRemove should still be a voter after voting')
+  assert(preIsGuardian, 'guardian should be a guardian before voting')
+  assert(postIsGuardian, 'guardian should still be a guardian after voting')
 }
 
-const testRemoveVoterVoteRun = async (vbo, voterToRemove, config) => {
+const testRemoveGuardianVoteRun = async (vbo, guardian, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.removeVoter(voterToRemove).encodeABI()
+  const callData = vbo.contract.methods.removeGuardian(guardian).encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preVoterCount = await vbo.voterCount()
-  const preIsVoter = await vbo.isVoter(voterToRemove)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preIsGuardian = await vbo.isGuardian(guardian)
+  const preGuardianCount = await vbo.guardianCount()
 
-  await vbo.removeVoter(voterToRemove, config)
+  const { logs } = await vbo.removeGuardian(guardian, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postVoterCount = await vbo.voterCount()
-  const postIsVoter = await vbo.isVoter(voterToRemove)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postIsGuardian = await vbo.isGuardian(guardian)
+  const postGuardianCount = await vbo.guardianCount()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -355,35 +494,37 @@ const testRemoveVoterVoteRun = async (vbo, voterToRemove, config) => {
   assert(postHasVoted, 'voter should be marked as having voted on this action')
 
   assert.equal(
-    preVoterCount.sub(postVoterCount).toString(),
+    preGuardianCount.sub(postGuardianCount).toString(),
     '1',
-    'voterCount should be decremented by 1'
+    'guardianCount should be decremented by 1'
   )
-
-  assert(preIsVoter, 'voterToRemove should be a voter before successful vote')
+  assert(preIsGuardian, 'guardian should be a guardian before successful vote')
   assert(
-    !postIsVoter,
-    'voterToRemove should NOT be a voter after successful vote'
+    !postIsGuardian,
+    'guardian should NOT be a guardian after successful vote'
+  )
+  assert.equal(
+    logs.find(log => log.event === 'GuardianRemoved').args.guardian,
+    guardian,
+    'GuardianRemoved should be emitted for guardian'
   )
 }
 
-const testAddVoterVote = async (vbo, voterCandidate, config) => {
+const testConfirmEmergencyPauseVote = async (vbo, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.addVoter(voterCandidate).encodeABI()
+  const callData = vbo.contract.methods.confirmEmergencyPause().encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preVoterCount = await vbo.voterCount()
-  const preIsVoter = await vbo.isVoter(voterCandidate)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preEmergencyPauseExpiry = await vbo.emergencyPauseExpiry()
 
-  await vbo.addVoter(voterCandidate, config)
+  await vbo.confirmEmergencyPause(config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postVoterCount = await vbo.voterCount()
-  const postIsVoter = await vbo.isVoter(voterCandidate)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postEmergencyPauseExpiry = await vbo.emergencyPauseExpiry()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -399,35 +540,28 @@ const testAddVoterVote = async (vbo, voterCandidate, config) => {
   assert(postHasVoted, 'voter should be marked as having voted on this action')
 
   assert.equal(
-    preVoterCount.toString(),
-    postVoterCount.toString(),
-    'voterCount should remain the same after voting'
-  )
-
-  assert(!preIsVoter, 'voterCandidate should NOT be a voter before voting')
-  assert(
-    !postIsVoter,
-    'voterCandidate should still NOT be a voter after voting'
+    preEmergencyPauseExpiry.toString(),
+    postEmergencyPauseExpiry.toString(),
+    'emergencyPauseExpiry should remain the same after voting'
   )
 }
 
-const testAddVoterVoteRun = async (vbo, voterCandidate, config) => {
+const testConfirmEmergencyPauseVoteRun = async (vbo, tkn, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.addVoter(voterCandidate).encodeABI()
+  const callData = vbo.contract.methods.confirmEmergencyPause().encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preVoterCount = await vbo.voterCount()
-  const preIsVoter = await vbo.isVoter(voterCandidate)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preEmergencyPauseExpiry = await vbo.emergencyPauseExpiry()
 
-  await vbo.addVoter(voterCandidate, config)
+  const { logs } = await vbo.confirmEmergencyPause(config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postVoterCount = await vbo.voterCount()
-  const postIsVoter = await vbo.isVoter(voterCandidate)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postEmergencyPauseExpiry = await vbo.emergencyPauseExpiry()
+  const postPaused = await tkn.paused()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -442,31 +576,90 @@ const testAddVoterVoteRun = async (vbo, voterCandidate, config) => {
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
 
+  assert(
+    preEmergencyPauseExpiry.gt(new BN(0)),
+    'emergencyPauseExpiry should be set before successful vote'
+  )
+  assert.equal(
+    postEmergencyPauseExpiry.toString(),
+    '0',
+    'emergencyPauseExpiry should be cleared after successful vote'
+  )
+  assert(postPaused, 'token should still be paused after successful vote')
+  assert(
+    logs.find(log => log.event === 'EmergencyPauseConfirmed'),
+    'EmergencyPauseConfirmed should be emitted'
+  )
+}
+
+const testEmergencyPause = async (vbo, tkn, config) => {
+  const { from } = config
+  const prePaused = await tkn.paused()
+
+  const { logs, receipt } = await vbo.emergencyPause(config)
+
+  const postPaused = await tkn.paused()
+  const postEmergencyPauseExpiry = await vbo.emergencyPauseExpiry()
+  const emergencyPauseDuration = await vbo.EMERGENCY_PAUSE_DURATION()
+  const { timestamp } = await web3.eth.getBlock(receipt.blockNumber)
+  const pausedEvent = logs.find(log => log.event === 'EmergencyPaused')
+
+  assert(!prePaused, 'token should NOT be paused before emergency pause')
+  assert(postPaused, 'token should be paused after emergency pause')
   assert.equal(
-    postVoterCount.sub(preVoterCount).toString(),
-    '1',
-    'voterCount should be incremented by 1'
+    postEmergencyPauseExpiry.toString(),
+    emergencyPauseDuration.add(new BN(timestamp)).toString(),
+    'emergencyPauseExpiry should be EMERGENCY_PAUSE_DURATION after pausing'
   )
+  assert(pausedEvent, 'EmergencyPaused should be emitted')
+  assert.equal(
+    pausedEvent.args.guardian,
+    from,
+    'EmergencyPaused guardian should match guardian'
+  )
+  assert.equal(
+    pausedEvent.args.expiry.toString(),
+    postEmergencyPauseExpiry.toString(),
+    'EmergencyPaused expiry should match emergencyPauseExpiry'
+  )
+}
 
-  assert(!preIsVoter, 'voterCandidate should be a voter before successful vote')
-  assert(postIsVoter, 'voterCandidate should be a voter after successful vote')
+const testEndEmergencyPause = async (vbo, tkn, config) => {
+  const prePaused = await tkn.paused()
+
+  const { logs } = await vbo.endEmergencyPause(config)
+
+  const postPaused = await tkn.paused()
+  const postEmergencyPauseExpiry = await vbo.emergencyPauseExpiry()
+
+  assert(prePaused, 'token should be paused before ending emergency pause')
+  assert(!postPaused, 'token should NOT be paused after ending emergency pause')
+  assert.equal(
+    postEmergencyPauseExpiry.toString(),
+    '0',
+    'emergencyPauseExpiry should be cleared after ending emergency pause'
+  )
+  assert(
+    logs.find(log => log.event === 'EmergencyPauseEnded'),
+    'EmergencyPauseEnded should be emitted'
+  )
 }
 
-const testUpdateMinimumVotesVote = async (vbo, minVotes, config) => {
+const testUnpauseTokenVote = async (vbo, tkn, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.updateMinimumVotes(minVotes).encodeABI()
+  const callData = vbo.contract.methods.unpauseToken().encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preMinVotes = await vbo.minimumVotes()
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const prePaused = await tkn.paused()
 
-  await vbo.updateMinimumVotes(minVotes, config)
+  await vbo.unpauseToken(config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postMinVotes = await vbo.minimumVotes()
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postPaused = await tkn.paused()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -480,27 +673,26 @@ const testUpdateMinimumVotesVote = async (vbo, minVotes, config) => {
     'pre and post actionNonce should match'
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
-  assert.equal(
-    preMinVotes.toString(),
-    postMinVotes.toString(),
-    'minimumVotes should remain unchanged even after voting'
-  )
+
+  assert(prePaused, 'token should start paused')
+  assert(postPaused, 'token should be paused even after vote')
 }
 
-const testUpdateMinimumVotesVoteRun = async (vbo, minVotes, config) => {
+const testUnpauseTokenVoteRun = async (vbo, tkn, config) => {
   const { from } = config
-  const callData = vbo.contract.methods.updateMinimumVotes(minVotes).encodeABI()
+  const callData = vbo.contract.methods.unpauseToken().encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const prePaused = await tkn.paused()
 
-  await vbo.updateMinimumVotes(minVotes, config)
+  await vbo.unpauseToken(config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postMinVotes = await vbo.minimumVotes()
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postPaused = await tkn.paused()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -514,48 +706,32 @@ const testUpdateMinimumVotesVoteRun = async (vbo, minVotes, config) => {
     'actionNonce should be incremented by 1 upon successful vote'
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
-  assert.equal(
-    postMinVotes.toString(),
-    minVotes.toString(),
-    'minimumVotes should be updated to given argument after successful vote'
-  )
-}
-
-const testReceiveEther = async (vbo, config) => {
-  const preContractEtherBalance = await getEtherBalance(vbo.address)
-
-  await sendTransaction(config)
-
-  const postContractEtherBalance = await getEtherBalance(vbo.address)
 
-  assert.equal(
-    new BN(postContractEtherBalance)
-      .sub(new BN(preContractEtherBalance))
-      .toString(),
-    new BN(config.value.replace('0x', ''), 16).toString(),
-    'VotableOwner ether balance should be incremented by tx value'
-  )
+  assert(prePaused, 'token should start paused')
+  assert(!postPaused, 'token should NOT be paused after successful vote')
 }
 
-const testSendEtherVote = async (vbo, etherRecipient, etherAmount, config) => {
+const testBatchTransferEtherVote = async (vbo, recipients, values, config) => {
   const { from } = config
   const callData = vbo.contract.methods
-    .transferEther(etherRecipient, etherAmount)
+    .batchTransferEther(recipients, values)
     .encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preContractEtherBalance = await getEtherBalance(vbo.address)
-  const preRecipientEtherBalance = await getEtherBalance(vbo.address)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preRecipientBalances = await Promise.all(
+    recipients.map(recipient => getEtherBalance(recipient))
+  )
 
-  await vbo.transferEther(etherRecipient, etherAmount, config)
+  await vbo.batchTransferEther(recipients, values, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postContractEtherBalance = await getEtherBalance(vbo.address)
-  const postRecipientEtherBalance = await getEtherBalance(vbo.address)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postRecipientBalances = await Promise.all(
+    recipients.map(recipient => getEtherBalance(recipient))
+  )
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -569,42 +745,45 @@ const testSendEtherVote = async (vbo, etherRecipient, etherAmount, config) => {
     'pre and post actionNonce should match'
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
-  assert.equal(
-    preContractEtherBalance.toString(),
-    postContractEtherBalance.toString(),
-    'VotableOwner ether balance should remain the same after voting'
-  )
-  assert.equal(
-    preRecipientEtherBalance.toString(),
-    postRecipientEtherBalance.toString(),
-    'etherRecipient ether balance should remain the same after voting'
+  assert.deepEqual(
+    preRecipientBalances.map(balance => balance.toString()),
+    postRecipientBalances.map(balance => balance.toString()),
+    'recipient ether balances should remain the same after voting'
   )
 }
 
-const testSendEtherVoteRun = async (
+const testBatchTransferEtherVoteRun = async (
   vbo,
-  etherRecipient,
-  etherAmount,
+  recipients,
+  values,
   config
 ) => {
   const { from } = config
   const callData = vbo.contract.methods
-    .transferEther(etherRecipient, etherAmount)
+    .batchTransferEther(recipients, values)
     .encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preContractEtherBalance = await getEtherBalance(vbo.address)
-  const preRecipientBalance = await getEtherBalance(etherRecipient)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractBalance = await getEtherBalance(vbo.address)
+  const preRecipientBalances = await Promise.all(
+    recipients.map(recipient => getEtherBalance(recipient))
+  )
 
-  await vbo.transferEther(etherRecipient, etherAmount, config)
+  const { logs } = await vbo.batchTransferEther(recipients, values, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postContractEtherBalance = await getEtherBalance(vbo.address)
-  const postRecipientBalance = await getEtherBalance(etherRecipient)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractBalance = await getEtherBalance(vbo.address)
+  const postRecipientBalances = await Promise.all(
+    recipients.map(recipient => getEtherBalance(recipient))
+  )
+  const total = values.reduce((sum, value) => sum.add(new BN(value)), new BN(0))
+  const transferredEvents = logs.filter(
+    log => log.event === 'VotersEtherTransferred'
+  )
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -619,44 +798,55 @@ const testSendEtherVoteRun = async (
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
   assert.equal(
-    new BN(preContractEtherBalance)
-      .sub(new BN(postContractEtherBalance))
-      .toString(),
-    new BN(etherAmount).toString(),
-    'VotableOwner ether balance should be decremented by etherAmount'
+    new BN(preContractBalance).sub(new BN(postContractBalance)).toString(),
+    total.toString(),
+    'VotableOwner ether balance should be decremented by total of values'
   )
+
+  for (let i = 0; i < recipients.length; i++) {
+    assert.equal(
+      new BN(postRecipientBalances[i])
+        .sub(new BN(preRecipientBalances[i]))
+        .toString(),
+      values[i].toString(),
+      'recipient ether balance should be incremented by value'
+    )
+  }
+
   assert.equal(
-    new BN(postRecipientBalance).sub(new BN(preRecipientBalance)).toString(),
-    new BN(etherAmount).toString(),
-    'etherRecipient ether balance should be incremented by etherAmount'
+    transferredEvents.length,
+    recipients.length,
+    'VotersEtherTransferred should be emitted for each recipient'
   )
 }
 
-const testSendTokensVote = async (
+const testBatchTransferTokensVote = async (
   vbo,
   tkn,
-  tokenRecipient,
-  tokenAmount,
+  recipients,
+  values,
   config
 ) => {
   const { from } = config
   const callData = vbo.contract.methods
-    .transferTokens(tokenRecipient, tokenAmount)
+    .batchTransferTokens(recipients, values)
     .encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preContractTokenBalance = await tkn.balanceOf(vbo.address)
-  const preRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preRecipientBalances = await Promise.all(
+    recipients.map(recipient => tkn.balanceOf(recipient))
+  )
 
-  await vbo.transferTokens(tokenRecipient, tokenAmount, config)
+  await vbo.batchTransferTokens(recipients, values, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postContractTokenBalance = await tkn.balanceOf(vbo.address)
-  const postRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postRecipientBalances = await Promise.all(
+    recipients.map(recipient => tkn.balanceOf(recipient))
+  )
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -670,44 +860,233 @@ const testSendTokensVote = async (
     'pre and post actionNonce should match'
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.deepEqual(
+    preRecipientBalances.map(balance => balance.toString()),
+    postRecipientBalances.map(balance => balance.toString()),
+    'recipient token balances should remain the same after voting'
+  )
+}
+
+const testBatchTransferTokensVoteRun = async (
+  vbo,
+  tkn,
+  recipients,
+  values,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .batchTransferTokens(recipients, values)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractBalance = await tkn.balanceOf(vbo.address)
+  const preRecipientBalances = await Promise.all(
+    recipients.map(recipient => tkn.balanceOf(recipient))
+  )
+
+  const { logs } = await vbo.batchTransferTokens(recipients, values, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractBalance = await tkn.balanceOf(vbo.address)
+  const postRecipientBalances = await Promise.all(
+    recipients.map(recipient => tkn.balanceOf(recipient))
+  )
+  const total = values.reduce((sum, value) => sum.add(new BN(value)), new BN(0))
+  const transferredEvents = logs.filter(
+    log => log.event === 'VotersTokensTransferred'
+  )
 
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
-    preContractTokenBalance.toString(),
-    postContractTokenBalance.toString(),
-    'contract token balance should remain unchanged after voting'
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
   )
   assert.equal(
-    preRecipientTokenBalance.toString(),
-    postRecipientTokenBalance.toString(),
-    'tokenRecipientBalance should remain unchanged after voting'
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preContractBalance.sub(postContractBalance).toString(),
+    total.toString(),
+    'VotableOwner token balance should be decremented by total of values'
+  )
+
+  for (let i = 0; i < recipients.length; i++) {
+    assert.equal(
+      postRecipientBalances[i].sub(preRecipientBalances[i]).toString(),
+      values[i].toString(),
+      'recipient token balance should be incremented by value'
+    )
+  }
+
+  assert.equal(
+    transferredEvents.length,
+    recipients.length,
+    'VotersTokensTransferred should be emitted for each recipient'
   )
 }
 
-const testSendTokensVoteRun = async (
+const testTransferERC20Vote = async (vbo, erc20, recipient, value, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferERC20(erc20.address, recipient, value)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preRecipientBalance = await erc20.balanceOf(recipient)
+
+  await vbo.transferERC20(erc20.address, recipient, value, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postRecipientBalance = await erc20.balanceOf(recipient)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preRecipientBalance.toString(),
+    postRecipientBalance.toString(),
+    'recipient token balance should remain the same after voting'
+  )
+}
+
+const testTransferERC20VoteRun = async (
   vbo,
-  tkn,
-  tokenRecipient,
-  tokenAmount,
+  erc20,
+  recipient,
+  value,
   config
 ) => {
   const { from } = config
   const callData = vbo.contract.methods
-    .transferTokens(tokenRecipient, tokenAmount)
+    .transferERC20(erc20.address, recipient, value)
     .encodeABI()
   const actionId = await calculateActionId(vbo, callData)
   const preHasVoted = await vbo.hasVoted(actionId, from)
   const preActionVotes = await vbo.actionVotes(actionId)
-  const preActionNonce = await vbo.actionNonce()
-  const preContractTokenBalance = await tkn.balanceOf(vbo.address)
-  const preRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractBalance = await erc20.balanceOf(vbo.address)
+  const preRecipientBalance = await erc20.balanceOf(recipient)
+
+  const { logs } = await vbo.transferERC20(
+    erc20.address,
+    recipient,
+    value,
+    config
+  )
 
-  await vbo.transferTokens(tokenRecipient, tokenAmount, config)
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractBalance = await erc20.balanceOf(vbo.address)
+  const postRecipientBalance = await erc20.balanceOf(recipient)
+  const transferredEvent = logs.find(log => log.event === 'ERC20Transferred')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preContractBalance.sub(postContractBalance).toString(),
+    value.toString(),
+    'VotableOwner token balance should be decremented by value'
+  )
+  assert.equal(
+    postRecipientBalance.sub(preRecipientBalance).toString(),
+    value.toString(),
+    'recipient token balance should be incremented by value'
+  )
+  assert(transferredEvent, 'ERC20Transferred should be emitted')
+  assert.equal(
+    transferredEvent.args.token,
+    erc20.address,
+    'event token should match transferred token'
+  )
+}
+
+const testAddTrackedTokenVote = async (vbo, trackedToken, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .addTrackedToken(trackedToken)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTrackedTokens = await vbo.getTrackedTokens()
+
+  await vbo.addTrackedToken(trackedToken, config)
 
   const postHasVoted = await vbo.hasVoted(actionId, from)
   const postActionVotes = await vbo.actionVotes(actionId)
-  const postActionNonce = await vbo.actionNonce()
-  const postContractTokenBalance = await tkn.balanceOf(vbo.address)
-  const postRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTrackedTokens = await vbo.getTrackedTokens()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.deepEqual(
+    preTrackedTokens,
+    postTrackedTokens,
+    'tracked tokens should remain unchanged even after voting'
+  )
+}
+
+const testAddTrackedTokenVoteRun = async (vbo, trackedToken, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .addTrackedToken(trackedToken)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTrackedTokens = await vbo.getTrackedTokens()
+
+  await vbo.addTrackedToken(trackedToken, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTrackedTokens = await vbo.getTrackedTokens()
 
   assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
@@ -721,16 +1100,2667 @@ const testSendTokensVoteRun = async (
     'actionNonce should be incremented by 1 upon successful vote'
   )
   assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.deepEqual(
+    postTrackedTokens,
+    [...preTrackedTokens, trackedToken],
+    'token should be added to tracked tokens'
+  )
+}
+
+const testRemoveTrackedTokenVote = async (vbo, trackedToken, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .removeTrackedToken(trackedToken)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTrackedTokens = await vbo.getTrackedTokens()
+
+  await vbo.removeTrackedToken(trackedToken, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTrackedTokens = await vbo.getTrackedTokens()
 
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
   assert.equal(
-    preContractTokenBalance.sub(postContractTokenBalance).toString(),
-    tokenAmount.toString(),
-    'contract token balance should be decremented by tokenAmount after successful vote'
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
   )
   assert.equal(
-    postRecipientTokenBalance.sub(preRecipientTokenBalance).toString(),
-    tokenAmount.toString(),
-    'tokenRecipient token balance should be incremente by tokenAmount after successful vote'
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.deepEqual(
+    preTrackedTokens,
+    postTrackedTokens,
+    'tracked tokens should remain unchanged even after voting'
+  )
+}
+
+const testRemoveTrackedTokenVoteRun = async (vbo, trackedToken, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .removeTrackedToken(trackedToken)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTrackedTokens = await vbo.getTrackedTokens()
+
+  await vbo.removeTrackedToken(trackedToken, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTrackedTokens = await vbo.getTrackedTokens()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postTrackedTokens.length,
+    preTrackedTokens.length - 1,
+    'tracked tokens should be decremented by 1'
+  )
+  assert(
+    !postTrackedTokens.includes(trackedToken),
+    'token should be removed from tracked tokens'
+  )
+}
+
+const testTrackedTokenBalances = async (vbo, erc20s) => {
+  const trackedTokenBalances = await vbo.getTrackedTokenBalances()
+  const trackedTokens = trackedTokenBalances[0]
+  const balances = trackedTokenBalances[1]
+
+  assert.deepEqual(
+    trackedTokens,
+    erc20s.map(erc20 => erc20.address),
+    'tracked token balances should be for tracked tokens'
+  )
+
+  for (let i = 0; i < erc20s.length; i++) {
+    const balance = await erc20s[i].balanceOf(vbo.address)
+
+    assert.equal(
+      balances[i].toString(),
+      balance.toString(),
+      'tracked token balance should match VotableOwner token balance'
+    )
+  }
+}
+
+const testTransferTokenOwnershipVote = async (vbo, tkn, newOwner, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferTokenOwnership(newOwner)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.transferTokenOwnership(newOwner, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const owner = await tkn.owner()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(owner, vbo.address, 'VotableOwner should still own token')
+}
+
+const testTransferTokenOwnershipVoteRun = async (
+  vbo,
+  tkn,
+  newOwner,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferTokenOwnership(newOwner)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preOwner = await tkn.owner()
+
+  const { logs } = await vbo.transferTokenOwnership(newOwner, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postOwner = await tkn.owner()
+  const transferredEvent = logs.find(
+    log => log.event === 'TokenOwnershipTransferred'
+  )
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(preOwner, vbo.address, 'VotableOwner should start as owner')
+  assert.equal(postOwner, newOwner, 'token owner should be new owner')
+  assert(transferredEvent, 'TokenOwnershipTransferred should be emitted')
+  assert.equal(
+    transferredEvent.args.newOwner,
+    newOwner,
+    'event newOwner should match new owner'
+  )
+}
+
+const testRenounceTokenOwnershipVote = async (vbo, tkn, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.renounceTokenOwnership().encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.renounceTokenOwnership(config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const owner = await tkn.owner()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(owner, vbo.address, 'VotableOwner should still own token')
+}
+
+const testRenounceTokenOwnershipVoteRun = async (vbo, tkn, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.renounceTokenOwnership().encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const voterCount = await vbo.voterCount()
+
+  const { logs } = await vbo.renounceTokenOwnership(config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const owner = await tkn.owner()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.toString(),
+    voterCount.toString(),
+    'every voter should have voted for renouncing token ownership'
+  )
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    owner,
+    '0x0000000000000000000000000000000000000000',
+    'token should NOT have an owner'
+  )
+  assert(
+    logs.find(log => log.event === 'TokenOwnershipRenounced'),
+    'TokenOwnershipRenounced should be emitted'
+  )
+}
+
+// initialize() should revert for proxies which have been initialized and for implementations
+const testInitializeLocked = async (vbo, tkn) => {
+  await assertRevert(
+    vbo.initialize(
+      voters,
+      defaultVoteRequirement,
+      defaultVoteLifetime,
+      (await getCurrentBlockTime()) + oneBlockWeek,
+      defaultVestingDuration,
+      defaultVestingTranches,
+      tkn.address,
+      await web3.eth.net.getId()
+    )
+  )
+}
+
+const testUpgradeToVote = async (vbo, implementation, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.upgradeTo(implementation).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preImplementation = await vbo.implementation()
+
+  await vbo.upgradeTo(implementation, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postImplementation = await vbo.implementation()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preImplementation,
+    postImplementation,
+    'implementation should remain the same after voting'
+  )
+}
+
+const testUpgradeToVoteRun = async (vbo, implementation, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.upgradeTo(implementation).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preImplementation = await vbo.implementation()
+
+  const { logs } = await vbo.upgradeTo(implementation, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postImplementation = await vbo.implementation()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert(
+    preImplementation !== implementation,
+    'implementation should NOT be the new implementation before successful vote'
+  )
+  assert.equal(
+    postImplementation,
+    implementation,
+    'implementation should be the new implementation after successful vote'
+  )
+  assert.equal(
+    logs.find(log => log.event === 'Upgraded').args.implementation,
+    implementation,
+    'Upgraded should be emitted for implementation'
+  )
+}
+
+const testVoters = async (vbo, expectedVoters) => {
+  const currentVoters = await vbo.getVoters()
+  const voterCount = await vbo.voterCount()
+
+  assert.deepEqual(
+    currentVoters,
+    expectedVoters,
+    'getVoters should match expected voters'
+  )
+  assert.equal(
+    voterCount.toString(),
+    expectedVoters.length.toString(),
+    'voterCount should match amount of voters'
+  )
+
+  for (let i = 0; i < expectedVoters.length; i++) {
+    assert.equal(
+      await vbo.voterAt(i),
+      expectedVoters[i],
+      'voterAt should match voter at same index of getVoters'
+    )
+  }
+
+  await assertRevert(vbo.voterAt(expectedVoters.length))
+}
+
+const testRemoveVoterVote = async (vbo, voterToRemove, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.removeVoter(voterToRemove).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoterCount = await vbo.voterCount()
+  const preIsVoter = await vbo.isVoter(voterToRemove)
+
+  await vbo.removeVoter(voterToRemove, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoterCount = await vbo.voterCount()
+  const postIsVoter = await vbo.isVoter(voterToRemove)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preVoterCount.toString(),
+    postVoterCount.toString(),
+    'voterCount should remain the same after voting'
+  )
+
+  assert(preIsVoter, 'voterToRemove should be a voter before removing')
+  assert(postIsVoter, 'voterToRemove should still be a voter after voting')
+}
+
+const testRemoveVoterVoteRun = async (vbo, voterToRemove, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.removeVoter(voterToRemove).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoterCount = await vbo.voterCount()
+  const preIsVoter = await vbo.isVoter(voterToRemove)
+
+  await vbo.removeVoter(voterToRemove, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoterCount = await vbo.voterCount()
+  const postIsVoter = await vbo.isVoter(voterToRemove)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preVoterCount.sub(postVoterCount).toString(),
+    '1',
+    'voterCount should be decremented by 1'
+  )
+
+  assert(preIsVoter, 'voterToRemove should be a voter before successful vote')
+  assert(
+    !postIsVoter,
+    'voterToRemove should NOT be a voter after successful vote'
+  )
+}
+
+const testAddVoterVote = async (vbo, voterCandidate, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.addVoter(voterCandidate).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoterCount = await vbo.voterCount()
+  const preIsVoter = await vbo.isVoter(voterCandidate)
+
+  await vbo.addVoter(voterCandidate, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoterCount = await vbo.voterCount()
+  const postIsVoter = await vbo.isVoter(voterCandidate)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preVoterCount.toString(),
+    postVoterCount.toString(),
+    'voterCount should remain the same after voting'
+  )
+
+  assert(!preIsVoter, 'voterCandidate should NOT be a voter before voting')
+  assert(
+    !postIsVoter,
+    'voterCandidate should still NOT be a voter after voting'
+  )
+}
+
+const testAddVoterVoteRun = async (vbo, voterCandidate, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.addVoter(voterCandidate).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoterCount = await vbo.voterCount()
+  const preIsVoter = await vbo.isVoter(voterCandidate)
+
+  await vbo.addVoter(voterCandidate, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoterCount = await vbo.voterCount()
+  const postIsVoter = await vbo.isVoter(voterCandidate)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    postVoterCount.sub(preVoterCount).toString(),
+    '1',
+    'voterCount should be incremented by 1'
+  )
+
+  assert(!preIsVoter, 'voterCandidate should be a voter before successful vote')
+  assert(postIsVoter, 'voterCandidate should be a voter after successful vote')
+}
+
+const testReplaceVoterVote = async (vbo, oldVoter, newVoter, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .replaceVoter(oldVoter, newVoter)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoterCount = await vbo.voterCount()
+  const preOldIsVoter = await vbo.isVoter(oldVoter)
+  const preNewIsVoter = await vbo.isVoter(newVoter)
+
+  await vbo.replaceVoter(oldVoter, newVoter, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoterCount = await vbo.voterCount()
+  const postOldIsVoter = await vbo.isVoter(oldVoter)
+  const postNewIsVoter = await vbo.isVoter(newVoter)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preVoterCount.toString(),
+    postVoterCount.toString(),
+    'voterCount should remain the same after voting'
+  )
+
+  assert(preOldIsVoter, 'oldVoter should be a voter before voting')
+  assert(postOldIsVoter, 'oldVoter should still be a voter after voting')
+  assert(!preNewIsVoter, 'newVoter should NOT be a voter before voting')
+  assert(!postNewIsVoter, 'newVoter should still NOT be a voter after voting')
+}
+
+const testReplaceVoterVoteRun = async (vbo, oldVoter, newVoter, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .replaceVoter(oldVoter, newVoter)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoterCount = await vbo.voterCount()
+  const preTotalWeight = await vbo.totalWeight()
+  const preOldVoterWeight = await vbo.voterWeights(oldVoter)
+
+  const { logs } = await vbo.replaceVoter(oldVoter, newVoter, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoterCount = await vbo.voterCount()
+  const postTotalWeight = await vbo.totalWeight()
+  const postOldIsVoter = await vbo.isVoter(oldVoter)
+  const postNewIsVoter = await vbo.isVoter(newVoter)
+  const postNewVoterWeight = await vbo.voterWeights(newVoter)
+  const addedEvent = logs.find(log => log.event === 'VoterAdded')
+  const removedEvent = logs.find(log => log.event === 'VoterRemoved')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preVoterCount.toString(),
+    postVoterCount.toString(),
+    'voterCount should remain the same after replacing a voter'
+  )
+  assert.equal(
+    preTotalWeight.toString(),
+    postTotalWeight.toString(),
+    'totalWeight should remain the same after replacing a voter'
+  )
+  assert.equal(
+    postNewVoterWeight.toString(),
+    preOldVoterWeight.toString(),
+    'newVoter should take over the weight of oldVoter'
+  )
+
+  assert(
+    !postOldIsVoter,
+    'oldVoter should NOT be a voter after successful vote'
+  )
+  assert(postNewIsVoter, 'newVoter should be a voter after successful vote')
+  assert(addedEvent, 'VoterAdded should be emitted')
+  assert.equal(
+    addedEvent.args.voter,
+    newVoter,
+    'VoterAdded should be for newVoter'
+  )
+  assert(removedEvent, 'VoterRemoved should be emitted')
+  assert.equal(
+    removedEvent.args.voter,
+    oldVoter,
+    'VoterRemoved should be for oldVoter'
+  )
+}
+
+const testUpdateVoterWeightVote = async (vbo, voter, weight, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateVoterWeight(voter, weight)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preWeight = await vbo.voterWeights(voter)
+  const voterWeight = await vbo.voterWeights(from)
+
+  await vbo.updateVoterWeight(voter, weight, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postWeight = await vbo.voterWeights(voter)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    voterWeight.toString(),
+    'actionVotes should be incremented by weight of voter'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preWeight.toString(),
+    postWeight.toString(),
+    'voter weight should remain unchanged even after voting'
+  )
+}
+
+const testUpdateVoterWeightVoteRun = async (vbo, voter, weight, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateVoterWeight(voter, weight)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preWeight = await vbo.voterWeights(voter)
+  const preTotalWeight = await vbo.totalWeight()
+
+  const { logs } = await vbo.updateVoterWeight(voter, weight, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postWeight = await vbo.voterWeights(voter)
+  const postTotalWeight = await vbo.totalWeight()
+  const updatedEvent = logs.find(log => log.event === 'VoterWeightUpdated')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postWeight.toString(),
+    weight.toString(),
+    'voter weight should be updated to given argument after successful vote'
+  )
+  assert.equal(
+    postTotalWeight.toString(),
+    preTotalWeight
+      .sub(preWeight)
+      .add(new BN(weight))
+      .toString(),
+    'totalWeight should reflect updated voter weight'
+  )
+  assert(updatedEvent, 'VoterWeightUpdated should be emitted')
+  assert.equal(
+    updatedEvent.args.oldWeight.toString(),
+    preWeight.toString(),
+    'event oldWeight should match previous weight'
+  )
+}
+
+const testUpdateMinimumVotesVote = async (vbo, minVotes, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.updateMinimumVotes(minVotes).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preMinVotes = await vbo.minimumVotes()
+
+  await vbo.updateMinimumVotes(minVotes, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postMinVotes = await vbo.minimumVotes()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preMinVotes.toString(),
+    postMinVotes.toString(),
+    'minimumVotes should remain unchanged even after voting'
+  )
+}
+
+const testUpdateMinimumVotesVoteRun = async (vbo, minVotes, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods.updateMinimumVotes(minVotes).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateMinimumVotes(minVotes, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postMinVotes = await vbo.minimumVotes()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postMinVotes.toString(),
+    minVotes.toString(),
+    'minimumVotes should be updated to given argument after successful vote'
+  )
+}
+
+const testUpdateActionThresholdVote = async (
+  vbo,
+  funcSig,
+  threshold,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateActionThreshold(funcSig, threshold)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preRequiredVotes = await vbo.requiredVotes(funcSig)
+
+  await vbo.updateActionThreshold(funcSig, threshold, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postRequiredVotes = await vbo.requiredVotes(funcSig)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preRequiredVotes.toString(),
+    postRequiredVotes.toString(),
+    'requiredVotes should remain unchanged even after voting'
+  )
+}
+
+const testUpdateActionThresholdVoteRun = async (
+  vbo,
+  funcSig,
+  threshold,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateActionThreshold(funcSig, threshold)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateActionThreshold(funcSig, threshold, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postThreshold = await vbo.actionThresholds(funcSig)
+  const postRequiredVotes = await vbo.requiredVotes(funcSig)
+  const minimumVotes = await vbo.minimumVotes()
+  const actionThresholds = await vbo.getActionThresholds()
+  const funcSigs = actionThresholds[0]
+  const thresholds = actionThresholds[1]
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postThreshold.toString(),
+    threshold.toString(),
+    'threshold should be updated to given argument after successful vote'
+  )
+  assert.equal(
+    postRequiredVotes.toString(),
+    threshold.toString() === '0'
+      ? minimumVotes.toString()
+      : threshold.toString(),
+    'requiredVotes should match threshold or minimumVotes without threshold'
+  )
+  assert.equal(
+    funcSigs.includes(funcSig),
+    threshold.toString() !== '0',
+    'getActionThresholds should only include function with a threshold'
+  )
+  if (threshold.toString() !== '0') {
+    assert.equal(
+      thresholds[funcSigs.indexOf(funcSig)].toString(),
+      threshold.toString(),
+      'getActionThresholds should return threshold of function'
+    )
+  }
+}
+
+const testUpdateVoteLifetimeVote = async (vbo, voteLifetime, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateVoteLifetime(voteLifetime)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVoteLifetime = await vbo.voteLifetime()
+
+  await vbo.updateVoteLifetime(voteLifetime, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoteLifetime = await vbo.voteLifetime()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preVoteLifetime.toString(),
+    postVoteLifetime.toString(),
+    'voteLifetime should remain unchanged even after voting'
+  )
+}
+
+const testUpdateVoteLifetimeVoteRun = async (vbo, voteLifetime, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateVoteLifetime(voteLifetime)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateVoteLifetime(voteLifetime, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVoteLifetime = await vbo.voteLifetime()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postVoteLifetime.toString(),
+    voteLifetime.toString(),
+    'voteLifetime should be updated to given argument after successful vote'
+  )
+}
+
+const testExtendTokenReleaseDateVote = async (
+  vbo,
+  tokenReleaseDate,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .extendTokenReleaseDate(tokenReleaseDate)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTokenReleaseDate = await vbo.tokenReleaseDate()
+
+  await vbo.extendTokenReleaseDate(tokenReleaseDate, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTokenReleaseDate = await vbo.tokenReleaseDate()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preTokenReleaseDate.toString(),
+    postTokenReleaseDate.toString(),
+    'tokenReleaseDate should remain unchanged even after voting'
+  )
+}
+
+const testExtendTokenReleaseDateVoteRun = async (
+  vbo,
+  tokenReleaseDate,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .extendTokenReleaseDate(tokenReleaseDate)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTokenReleaseDate = await vbo.tokenReleaseDate()
+
+  const { logs } = await vbo.extendTokenReleaseDate(tokenReleaseDate, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTokenReleaseDate = await vbo.tokenReleaseDate()
+  const updatedEvent = logs.find(log => log.event === 'TokenReleaseDateUpdated')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postTokenReleaseDate.toString(),
+    tokenReleaseDate.toString(),
+    'tokenReleaseDate should be updated to given argument after successful vote'
+  )
+  assert(updatedEvent, 'TokenReleaseDateUpdated should be emitted')
+  assert.equal(
+    updatedEvent.args.oldTokenReleaseDate.toString(),
+    preTokenReleaseDate.toString(),
+    'event oldTokenReleaseDate should match previous tokenReleaseDate'
+  )
+  assert.equal(
+    updatedEvent.args.newTokenReleaseDate.toString(),
+    tokenReleaseDate.toString(),
+    'event newTokenReleaseDate should match given argument'
+  )
+}
+
+const testShortenTokenReleaseDateVote = async (
+  vbo,
+  tokenReleaseDate,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .shortenTokenReleaseDate(tokenReleaseDate)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTokenReleaseDate = await vbo.tokenReleaseDate()
+
+  await vbo.shortenTokenReleaseDate(tokenReleaseDate, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTokenReleaseDate = await vbo.tokenReleaseDate()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preTokenReleaseDate.toString(),
+    postTokenReleaseDate.toString(),
+    'tokenReleaseDate should remain unchanged even after voting'
+  )
+}
+
+const testShortenTokenReleaseDateVoteRun = async (
+  vbo,
+  tokenReleaseDate,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .shortenTokenReleaseDate(tokenReleaseDate)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTokenReleaseDate = await vbo.tokenReleaseDate()
+
+  const { logs } = await vbo.shortenTokenReleaseDate(tokenReleaseDate, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTokenReleaseDate = await vbo.tokenReleaseDate()
+  const updatedEvent = logs.find(log => log.event === 'TokenReleaseDateUpdated')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postTokenReleaseDate.toString(),
+    tokenReleaseDate.toString(),
+    'tokenReleaseDate should be updated to given argument after successful vote'
+  )
+  assert(updatedEvent, 'TokenReleaseDateUpdated should be emitted')
+  assert.equal(
+    updatedEvent.args.oldTokenReleaseDate.toString(),
+    preTokenReleaseDate.toString(),
+    'event oldTokenReleaseDate should match previous tokenReleaseDate'
+  )
+  assert.equal(
+    updatedEvent.args.newTokenReleaseDate.toString(),
+    tokenReleaseDate.toString(),
+    'event newTokenReleaseDate should match given argument'
+  )
+}
+
+const testUpdateDailyEtherAllowanceVote = async (
+  vbo,
+  dailyEtherAllowance,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateDailyEtherAllowance(dailyEtherAllowance)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preDailyEtherAllowance = await vbo.dailyEtherAllowance()
+
+  await vbo.updateDailyEtherAllowance(dailyEtherAllowance, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postDailyEtherAllowance = await vbo.dailyEtherAllowance()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preDailyEtherAllowance.toString(),
+    postDailyEtherAllowance.toString(),
+    'dailyEtherAllowance should remain unchanged even after voting'
+  )
+}
+
+const testUpdateDailyEtherAllowanceVoteRun = async (
+  vbo,
+  dailyEtherAllowance,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateDailyEtherAllowance(dailyEtherAllowance)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateDailyEtherAllowance(dailyEtherAllowance, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postDailyEtherAllowance = await vbo.dailyEtherAllowance()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postDailyEtherAllowance.toString(),
+    dailyEtherAllowance.toString(),
+    'dailyEtherAllowance should be updated to given argument after successful vote'
+  )
+}
+
+const testUpdateDailyTokenAllowanceVote = async (
+  vbo,
+  dailyTokenAllowance,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateDailyTokenAllowance(dailyTokenAllowance)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preDailyTokenAllowance = await vbo.dailyTokenAllowance()
+
+  await vbo.updateDailyTokenAllowance(dailyTokenAllowance, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postDailyTokenAllowance = await vbo.dailyTokenAllowance()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preDailyTokenAllowance.toString(),
+    postDailyTokenAllowance.toString(),
+    'dailyTokenAllowance should remain unchanged even after voting'
+  )
+}
+
+const testUpdateDailyTokenAllowanceVoteRun = async (
+  vbo,
+  dailyTokenAllowance,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateDailyTokenAllowance(dailyTokenAllowance)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateDailyTokenAllowance(dailyTokenAllowance, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postDailyTokenAllowance = await vbo.dailyTokenAllowance()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postDailyTokenAllowance.toString(),
+    dailyTokenAllowance.toString(),
+    'dailyTokenAllowance should be updated to given argument after successful vote'
+  )
+}
+
+const testUpdateAllowanceVotesVote = async (vbo, allowanceVotes, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateAllowanceVotes(allowanceVotes)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preAllowanceVotes = await vbo.allowanceVotes()
+
+  await vbo.updateAllowanceVotes(allowanceVotes, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postAllowanceVotes = await vbo.allowanceVotes()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preAllowanceVotes.toString(),
+    postAllowanceVotes.toString(),
+    'allowanceVotes should remain unchanged even after voting'
+  )
+}
+
+const testUpdateAllowanceVotesVoteRun = async (vbo, allowanceVotes, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateAllowanceVotes(allowanceVotes)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateAllowanceVotes(allowanceVotes, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postAllowanceVotes = await vbo.allowanceVotes()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postAllowanceVotes.toString(),
+    allowanceVotes.toString(),
+    'allowanceVotes should be updated to given argument after successful vote'
+  )
+}
+
+const testUpdateExecutionDelayVote = async (
+  vbo,
+  funcSig,
+  executionDelay,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateExecutionDelay(funcSig, executionDelay)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preExecutionDelay = await vbo.executionDelays(funcSig)
+
+  await vbo.updateExecutionDelay(funcSig, executionDelay, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postExecutionDelay = await vbo.executionDelays(funcSig)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preExecutionDelay.toString(),
+    postExecutionDelay.toString(),
+    'executionDelay should remain unchanged even after voting'
+  )
+}
+
+const testUpdateExecutionDelayVoteRun = async (
+  vbo,
+  funcSig,
+  executionDelay,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateExecutionDelay(funcSig, executionDelay)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateExecutionDelay(funcSig, executionDelay, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postExecutionDelay = await vbo.executionDelays(funcSig)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postExecutionDelay.toString(),
+    executionDelay.toString(),
+    'executionDelay should be updated to given argument after successful vote'
+  )
+}
+
+const testUpdateVetoThresholdVote = async (vbo, vetoThreshold, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateVetoThreshold(vetoThreshold)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preVetoThreshold = await vbo.vetoThreshold()
+
+  await vbo.updateVetoThreshold(vetoThreshold, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVetoThreshold = await vbo.vetoThreshold()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preVetoThreshold.toString(),
+    postVetoThreshold.toString(),
+    'vetoThreshold should remain unchanged even after voting'
+  )
+}
+
+const testUpdateVetoThresholdVoteRun = async (vbo, vetoThreshold, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .updateVetoThreshold(vetoThreshold)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  await vbo.updateVetoThreshold(vetoThreshold, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postVetoThreshold = await vbo.vetoThreshold()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postVetoThreshold.toString(),
+    vetoThreshold.toString(),
+    'vetoThreshold should be updated to given argument after successful vote'
+  )
+}
+
+const testReceiveEther = async (vbo, config) => {
+  const preContractEtherBalance = await getEtherBalance(vbo.address)
+
+  await sendTransaction(config)
+
+  const postContractEtherBalance = await getEtherBalance(vbo.address)
+
+  assert.equal(
+    new BN(postContractEtherBalance)
+      .sub(new BN(preContractEtherBalance))
+      .toString(),
+    new BN(config.value.replace('0x', ''), 16).toString(),
+    'VotableOwner ether balance should be incremented by tx value'
+  )
+}
+
+const testSendEtherVote = async (vbo, etherRecipient, etherAmount, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferEther(etherRecipient, etherAmount)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractEtherBalance = await getEtherBalance(vbo.address)
+  const preRecipientEtherBalance = await getEtherBalance(vbo.address)
+
+  await vbo.transferEther(etherRecipient, etherAmount, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractEtherBalance = await getEtherBalance(vbo.address)
+  const postRecipientEtherBalance = await getEtherBalance(vbo.address)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    preContractEtherBalance.toString(),
+    postContractEtherBalance.toString(),
+    'VotableOwner ether balance should remain the same after voting'
+  )
+  assert.equal(
+    preRecipientEtherBalance.toString(),
+    postRecipientEtherBalance.toString(),
+    'etherRecipient ether balance should remain the same after voting'
+  )
+}
+
+const testSendEtherVoteRun = async (
+  vbo,
+  etherRecipient,
+  etherAmount,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferEther(etherRecipient, etherAmount)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractEtherBalance = await getEtherBalance(vbo.address)
+  const preRecipientBalance = await getEtherBalance(etherRecipient)
+
+  await vbo.transferEther(etherRecipient, etherAmount, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractEtherBalance = await getEtherBalance(vbo.address)
+  const postRecipientBalance = await getEtherBalance(etherRecipient)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    new BN(preContractEtherBalance)
+      .sub(new BN(postContractEtherBalance))
+      .toString(),
+    new BN(etherAmount).toString(),
+    'VotableOwner ether balance should be decremented by etherAmount'
+  )
+  assert.equal(
+    new BN(postRecipientBalance).sub(new BN(preRecipientBalance)).toString(),
+    new BN(etherAmount).toString(),
+    'etherRecipient ether balance should be incremented by etherAmount'
+  )
+}
+
+const testSendTokensVote = async (
+  vbo,
+  tkn,
+  tokenRecipient,
+  tokenAmount,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferTokens(tokenRecipient, tokenAmount)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractTokenBalance = await tkn.balanceOf(vbo.address)
+  const preRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+
+  await vbo.transferTokens(tokenRecipient, tokenAmount, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractTokenBalance = await tkn.balanceOf(vbo.address)
+  const postRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preContractTokenBalance.toString(),
+    postContractTokenBalance.toString(),
+    'contract token balance should remain unchanged after voting'
+  )
+  assert.equal(
+    preRecipientTokenBalance.toString(),
+    postRecipientTokenBalance.toString(),
+    'tokenRecipientBalance should remain unchanged after voting'
+  )
+}
+
+const testSendTokensVoteRun = async (
+  vbo,
+  tkn,
+  tokenRecipient,
+  tokenAmount,
+  config
+) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .transferTokens(tokenRecipient, tokenAmount)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preContractTokenBalance = await tkn.balanceOf(vbo.address)
+  const preRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+
+  await vbo.transferTokens(tokenRecipient, tokenAmount, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postContractTokenBalance = await tkn.balanceOf(vbo.address)
+  const postRecipientTokenBalance = await tkn.balanceOf(tokenRecipient)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+
+  assert.equal(
+    preContractTokenBalance.sub(postContractTokenBalance).toString(),
+    tokenAmount.toString(),
+    'contract token balance should be decremented by tokenAmount after successful vote'
+  )
+  assert.equal(
+    postRecipientTokenBalance.sub(preRecipientTokenBalance).toString(),
+    tokenAmount.toString(),
+    'tokenRecipient token balance should be incremente by tokenAmount after successful vote'
+  )
+}
+
+const testExecuteCallVote = async (vbo, target, value, data, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .executeCall(target, value, data)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTargetEtherBalance = await getEtherBalance(target)
+
+  const { logs } = await vbo.executeCall(target, value, data, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTargetEtherBalance = await getEtherBalance(target)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert(
+    !logs.find(log => log.event === 'ActionExecuted'),
+    'ActionExecuted should NOT be emitted before vote has passed'
+  )
+  assert.equal(
+    preTargetEtherBalance.toString(),
+    postTargetEtherBalance.toString(),
+    'target ether balance should remain the same after voting'
+  )
+}
+
+const testExecuteCallVoteRun = async (vbo, target, value, data, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods
+    .executeCall(target, value, data)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const preTargetEtherBalance = await getEtherBalance(target)
+
+  const { logs } = await vbo.executeCall(target, value, data, config)
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postTargetEtherBalance = await getEtherBalance(target)
+  const executedEvent = logs.find(log => log.event === 'ActionExecuted')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    new BN(postTargetEtherBalance)
+      .sub(new BN(preTargetEtherBalance))
+      .toString(),
+    value.toString(),
+    'target ether balance should be incremented by value'
+  )
+  assert(executedEvent, 'ActionExecuted should be emitted')
+  assert.equal(executedEvent.args.target, target, 'event target should match')
+  assert.equal(
+    executedEvent.args.value.toString(),
+    value.toString(),
+    'event value should match'
+  )
+  assert.equal(executedEvent.args.data, data, 'event data should match')
+
+  return executedEvent.args.returnData
+}
+
+// calls is a list of { target, value, data }
+const testBatchExecuteCallVote = async (vbo, calls, config) => {
+  const { from } = config
+  const { targets, values, data, dataLengths } = encodeBatchCalls(calls)
+  const callData = vbo.contract.methods
+    .batchExecuteCall(targets, values, data, dataLengths)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  const { logs } = await vbo.batchExecuteCall(
+    targets,
+    values,
+    data,
+    dataLengths,
+    config
+  )
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert(
+    !logs.find(log => log.event === 'ActionExecuted'),
+    'ActionExecuted should NOT be emitted before vote has passed'
+  )
+}
+
+const testBatchExecuteCallVoteRun = async (vbo, calls, config) => {
+  const { from } = config
+  const { targets, values, data, dataLengths } = encodeBatchCalls(calls)
+  const callData = vbo.contract.methods
+    .batchExecuteCall(targets, values, data, dataLengths)
+    .encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preActionNonce = await getActionNonce(vbo, callData)
+
+  const { logs } = await vbo.batchExecuteCall(
+    targets,
+    values,
+    data,
+    dataLengths,
+    config
+  )
+
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const executedEvents = logs.filter(log => log.event === 'ActionExecuted')
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert.equal(
+    postActionVotes.sub(preActionVotes).toString(),
+    '1',
+    'actionVotes should be incremented by 1'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'actionNonce should be incremented by 1 upon successful vote'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    executedEvents.length,
+    calls.length,
+    'ActionExecuted should be emitted for each call'
+  )
+
+  for (let i = 0; i < calls.length; i++) {
+    assert.equal(
+      executedEvents[i].args.target,
+      calls[i].target,
+      'event target should match call target'
+    )
+    assert.equal(
+      executedEvents[i].args.data,
+      calls[i].data,
+      'event data should match call data'
+    )
+  }
+
+  return executedEvents.map(event => event.args.returnData)
+}
+
+const testVoteEvents = async (vbo, method, args, config) => {
+  const { from } = config
+  const callData = vbo.contract.methods[method](...args).encodeABI()
+  const actionId = await calculateActionId(vbo, callData)
+  const actionNonce = await getActionNonce(vbo, callData)
+  const minimumVotes = await vbo.minimumVotes()
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const weight = await vbo.voterWeights(from)
+
+  const { logs } = await vbo[method](...args, config)
+
+  const votedEvent = logs.find(log => log.event === 'VoterVoted')
+  const passedEvent = logs.find(log => log.event === 'VotePassed')
+  const votes = preActionVotes.add(weight)
+
+  assert(votedEvent, 'VoterVoted should be emitted')
+  assert.equal(votedEvent.args.voter, from, 'event voter should match from')
+  assert.equal(
+    votedEvent.args.funcSig,
+    callData.slice(0, 10),
+    'event funcSig should match function signature'
+  )
+  assert.equal(
+    votedEvent.args.actionId,
+    actionId,
+    'event actionId should match calculated actionId'
+  )
+  assert.equal(
+    votedEvent.args.actionNonce.toString(),
+    actionNonce.toString(),
+    'event actionNonce should match actionNonce at time of voting'
+  )
+  assert.equal(
+    votedEvent.args.votes.toString(),
+    votes.toString(),
+    'event votes should match accumulated weight of votes for action after voting'
+  )
+  assert.equal(
+    votedEvent.args.callData,
+    callData,
+    'event callData should match call data of vote'
+  )
+
+  if (votes.gte(minimumVotes)) {
+    assert(passedEvent, 'VotePassed should be emitted when vote has passed')
+    assert.equal(
+      passedEvent.args.actionId,
+      actionId,
+      'VotePassed actionId should match calculated actionId'
+    )
+    assert.equal(
+      passedEvent.args.actionNonce.toString(),
+      actionNonce.toString(),
+      'VotePassed actionNonce should match actionNonce at time of voting'
+    )
+  } else {
+    assert(!passedEvent, 'VotePassed should NOT be emitted before vote passed')
+  }
+}
+
+const testPendingActionIds = async (vbo, callDatas) => {
+  const pendingActionIds = await vbo.getPendingActionIds()
+  const actionIds = []
+  for (const callData of callDatas) {
+    actionIds.push(await calculateActionId(vbo, callData))
+  }
+
+  assert.deepEqual(
+    [...pendingActionIds].sort(),
+    [...actionIds].sort(),
+    'pending actionIds should match actionIds of actions with votes'
+  )
+}
+
+// vote is a function sending the vote which invalidates all pending actions, callDatas are the pending actions
+const testPendingActionsInvalidated = async (vbo, vote, callDatas) => {
+  const preConfigurationEpoch = await vbo.configurationEpoch()
+  const preActionIds = []
+  for (const callData of callDatas) {
+    preActionIds.push(await calculateActionId(vbo, callData))
+  }
+
+  const { logs, receipt } = await vote()
+
+  const postConfigurationEpoch = await vbo.configurationEpoch()
+  const invalidatedEvent = logs.find(
+    log => log.event === 'PendingActionsInvalidated'
+  )
+  const pendingActionIds = await vbo.getPendingActionIds()
+
+  assert.equal(
+    postConfigurationEpoch.sub(preConfigurationEpoch).toString(),
+    '1',
+    'configurationEpoch should be incremented by 1 upon invalidation'
+  )
+  assert(invalidatedEvent, 'PendingActionsInvalidated should be emitted')
+  assert.equal(
+    invalidatedEvent.args.configurationEpoch.toString(),
+    postConfigurationEpoch.toString(),
+    'event configurationEpoch should match new configurationEpoch'
+  )
+  assert.equal(
+    pendingActionIds.length,
+    0,
+    'there should be no pending actions after invalidation'
+  )
+
+  for (let i = 0; i < callDatas.length; i++) {
+    const postActionId = await calculateActionId(vbo, callDatas[i])
+
+    assert(
+      !(await vbo.actionIsExecutable(preActionIds[i])),
+      'invalidated action should NOT be executable'
+    )
+    assert.notEqual(
+      postActionId,
+      preActionIds[i],
+      'next vote should count towards a new actionId'
+    )
+    assert.equal(
+      (await vbo.actionVotes(postActionId)).toString(),
+      '0',
+      'new actionId should have no votes'
+    )
+  }
+
+  return receipt
+}
+
+// vote is a function sending a vote for callData after it has been invalidated
+const testInvalidatedActionVote = async (vbo, vote, callData, config) => {
+  const { from } = config
+  const preActionId = await calculateProposalActionId(vbo, callData)
+  const preActionNonce = new BN(
+    await getContractStoredActionNonce(web3, vbo.contract, callData)
+  )
+  const preNextActionNonce = await getActionNonce(vbo, callData)
+  const preProposal = await vbo.proposals(preActionId)
+  const configurationEpoch = await vbo.configurationEpoch()
+
+  const { logs } = await vote()
+
+  const postActionId = await calculateActionId(vbo, callData)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postActionVotes = await vbo.actionVotes(postActionId)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const invalidatedEvent = logs.find(log => log.event === 'ActionInvalidated')
+
+  assert(
+    preProposal.epoch.lt(configurationEpoch),
+    'action should have been proposed in an earlier configurationEpoch'
+  )
+  assert.equal(
+    preNextActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'next vote should count towards the next action nonce'
+  )
+  assert(invalidatedEvent, 'ActionInvalidated should be emitted')
+  assert.equal(
+    invalidatedEvent.args.actionId,
+    preActionId,
+    'event actionId should match invalidated actionId'
+  )
+  assert.equal(
+    invalidatedEvent.args.actionNonce.toString(),
+    preActionNonce.toString(),
+    'event actionNonce should match actionNonce of invalidated action'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'action nonce should be incremented by 1 upon invalidation'
+  )
+  assert.equal(
+    postActionVotes.toString(),
+    (await vbo.voterWeights(from)).toString(),
+    'vote should be the only vote for the action after invalidation'
+  )
+  assert(
+    postPendingActionIds.includes(postActionId),
+    'new action should be pending'
+  )
+}
+
+// soliditySha3 returns null rather than hash of empty bytes
+const emptyBytesHash =
+  '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+
+const calculateArgsHash = callData =>
+  callData.length > 10
+    ? soliditySha3({
+        type: 'bytes',
+        value: `0x${callData.slice(10)}`
+      })
+    : emptyBytesHash
+
+const testActionExpiry = async (vbo, callData) => {
+  const actionId = await calculateActionId(vbo, callData)
+  const { createdAt } = await vbo.proposals(actionId)
+  const voteLifetime = await vbo.voteLifetime()
+  const actionExpiry = await vbo.actionExpiry(actionId)
+
+  assert(!createdAt.isZero(), 'action should have a proposal')
+  assert.equal(
+    actionExpiry.toString(),
+    createdAt.add(voteLifetime).toString(),
+    'actionExpiry should be first vote time + voteLifetime'
+  )
+
+  return actionExpiry
+}
+
+// vote is a function sending a vote for callData after votes for it have expired
+const testExpiredActionVote = async (vbo, vote, callData, config) => {
+  const { from } = config
+  const preActionId = await calculateProposalActionId(vbo, callData)
+  const preActionNonce = new BN(
+    await getContractStoredActionNonce(web3, vbo.contract, callData)
+  )
+  const preNextActionNonce = await getActionNonce(vbo, callData)
+  const preActionExpiry = await vbo.actionExpiry(preActionId)
+  const preBlockTime = await getCurrentBlockTime()
+
+  const { logs } = await vote()
+
+  const postActionId = await calculateActionId(vbo, callData)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postActionVotes = await vbo.actionVotes(postActionId)
+  const postHasVoted = await vbo.hasVoted(postActionId, from)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const expiredEvent = logs.find(log => log.event === 'ActionExpired')
+
+  assert(
+    preBlockTime >= preActionExpiry.toNumber(),
+    'votes for action should have expired before voting'
+  )
+  assert.equal(
+    preNextActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'next vote should count towards the next action nonce'
+  )
+  assert(expiredEvent, 'ActionExpired should be emitted')
+  assert.equal(
+    expiredEvent.args.actionId,
+    preActionId,
+    'event actionId should match expired actionId'
+  )
+  assert.equal(
+    expiredEvent.args.actionNonce.toString(),
+    preActionNonce.toString(),
+    'event actionNonce should match actionNonce of expired action'
+  )
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'action nonce should be incremented by 1 upon expiry'
+  )
+  assert.equal(
+    postActionVotes.toString(),
+    '1',
+    'vote should be the only vote for the action after expiry'
+  )
+  assert(postHasVoted, 'voter should be marked as having voted on new action')
+  assert(
+    !postPendingActionIds.includes(preActionId),
+    'expired action should NOT be pending'
+  )
+  assert(
+    postPendingActionIds.includes(postActionId),
+    'new action should be pending'
+  )
+}
+
+// vote is a function sending the vote which meets minimumVotes for callData
+const testQueuedAction = async (vbo, vote, callData) => {
+  const actionId = await calculateActionId(vbo, callData)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const executionDelay = await vbo.actionExecutionDelay(callData)
+
+  const { logs } = await vote()
+
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const { eta } = await vbo.proposals(actionId)
+  const blockTime = await getCurrentBlockTime()
+  const isExecutable = await vbo.actionIsExecutable(actionId)
+  const queuedEvent = logs.find(log => log.event === 'ActionQueued')
+
+  assert(!executionDelay.isZero(), 'action should have an execution delay')
+  assert(queuedEvent, 'ActionQueued should be emitted')
+  assert.equal(
+    queuedEvent.args.actionId,
+    actionId,
+    'event actionId should match queued actionId'
+  )
+  assert.equal(
+    queuedEvent.args.eta.toString(),
+    eta.toString(),
+    'event eta should match proposal eta'
+  )
+  assert.equal(
+    eta.toString(),
+    executionDelay.add(new BN(blockTime)).toString(),
+    'eta should be block time + execution delay'
+  )
+  assert(
+    !logs.find(log => log.event === 'VotePassed'),
+    'VotePassed should NOT be emitted when queued'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post actionNonce should match'
+  )
+  assert(
+    postPendingActionIds.includes(actionId),
+    'queued action should still be pending'
+  )
+  assert(!isExecutable, 'queued action should NOT be executable before eta')
+
+  return actionId
+}
+
+const testVetoAction = async (vbo, actionId, config) => {
+  const { from } = config
+  const preProposal = await vbo.proposals(actionId)
+  const preHasVetoed = await vbo.hasVetoed(actionId, from)
+  const preActionNonce = await getActionNonce(vbo, preProposal.callData)
+  const vetoThreshold = await vbo.vetoThreshold()
+
+  const { logs } = await vbo.veto(actionId, config)
+
+  const postProposal = await vbo.proposals(actionId)
+  const postHasVetoed = await vbo.hasVetoed(actionId, from)
+  const postActionNonce = await getActionNonce(vbo, preProposal.callData)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const vetoedEvent = logs.find(log => log.event === 'ActionVetoed')
+  const cancelledEvent = logs.find(log => log.event === 'ActionCancelled')
+
+  assert(!preHasVetoed, 'voter should NOT have vetoed this action before')
+  assert(postHasVetoed, 'voter should be marked as having vetoed')
+  assert.equal(
+    postProposal.vetoes.sub(preProposal.vetoes).toString(),
+    '1',
+    'vetoes should be incremented by 1'
+  )
+  assert(vetoedEvent, 'ActionVetoed should be emitted')
+  assert.equal(
+    vetoedEvent.args.vetoes.toString(),
+    postProposal.vetoes.toString(),
+    'event vetoes should match proposal vetoes'
+  )
+
+  if (postProposal.vetoes.gte(vetoThreshold)) {
+    assert(cancelledEvent, 'ActionCancelled should be emitted')
+    assert.equal(
+      postActionNonce.sub(preActionNonce).toString(),
+      '1',
+      'action nonce should be incremented by 1 upon cancellation'
+    )
+    assert(
+      !postPendingActionIds.includes(actionId),
+      'cancelled action should NOT be pending'
+    )
+  } else {
+    assert(!cancelledEvent, 'ActionCancelled should NOT be emitted')
+    assert.equal(
+      preActionNonce.toString(),
+      postActionNonce.toString(),
+      'pre and post actionNonce should match'
+    )
+    assert(
+      postPendingActionIds.includes(actionId),
+      'action should still be pending'
+    )
+  }
+}
+
+const testRejectAction = async (vbo, actionId, config) => {
+  const { from } = config
+  const preProposal = await vbo.proposals(actionId)
+  const preHasRejected = await vbo.hasRejected(actionId, from)
+  const preActionNonce = await getActionNonce(vbo, preProposal.callData)
+  const weight = await vbo.voterWeights(from)
+  const totalWeight = await vbo.totalWeight()
+  const requiredVotes = await vbo.actionRequiredVotes(preProposal.callData)
+
+  const { logs } = await vbo.reject(actionId, config)
+
+  const postTally = await vbo.actionTally(actionId)
+  const postHasRejected = await vbo.hasRejected(actionId, from)
+  const postActionNonce = await getActionNonce(vbo, preProposal.callData)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const votedEvent = logs.find(log => log.event === 'RejectionVoted')
+  const rejectedEvent = logs.find(log => log.event === 'ActionRejected')
+
+  assert(!preHasRejected, 'voter should NOT have rejected this action before')
+  assert(postHasRejected, 'voter should be marked as having rejected')
+  assert.equal(
+    postTally[0].toString(),
+    preProposal.votes.toString(),
+    'votes should remain the same after rejecting'
+  )
+  assert.equal(
+    postTally[1].sub(preProposal.rejections).toString(),
+    weight.toString(),
+    'rejections should be incremented by weight of voter'
+  )
+  assert(votedEvent, 'RejectionVoted should be emitted')
+  assert.equal(
+    votedEvent.args.rejections.toString(),
+    postTally[1].toString(),
+    'event rejections should match proposal rejections'
+  )
+
+  if (totalWeight.sub(postTally[1]).lt(requiredVotes)) {
+    assert(rejectedEvent, 'ActionRejected should be emitted')
+    assert.equal(
+      postActionNonce.sub(preActionNonce).toString(),
+      '1',
+      'action nonce should be incremented by 1 upon rejection'
+    )
+    assert(
+      !postPendingActionIds.includes(actionId),
+      'rejected action should NOT be pending'
+    )
+  } else {
+    assert(!rejectedEvent, 'ActionRejected should NOT be emitted')
+    assert.equal(
+      preActionNonce.toString(),
+      postActionNonce.toString(),
+      'pre and post actionNonce should match'
+    )
+    assert(
+      postPendingActionIds.includes(actionId),
+      'action should still be pending'
+    )
+  }
+}
+
+const testProposeAction = async (vbo, callData, config) => {
+  const { from } = config
+  const actionId = await calculateActionId(vbo, callData)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const prePendingActionIds = await vbo.getPendingActionIds()
+
+  await vbo.propose(callData, config)
+
+  const proposal = await vbo.proposals(actionId)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const blockTime = await getCurrentBlockTime()
+
+  assert(
+    !prePendingActionIds.includes(actionId),
+    'action should NOT be pending before proposing'
+  )
+  assert(
+    postPendingActionIds.includes(actionId),
+    'action should be pending after proposing'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'pre and post action nonce should match'
+  )
+  assert(postHasVoted, 'proposer should be marked as having voted')
+  assert.equal(proposal.proposer, from, 'proposer should match from')
+  assert.equal(
+    proposal.funcSig,
+    callData.slice(0, 10),
+    'proposal funcSig should match function signature of call data'
+  )
+  assert.equal(
+    proposal.argsHash,
+    calculateArgsHash(callData),
+    'proposal argsHash should match hash of call data arguments'
+  )
+  assert.equal(
+    proposal.callData,
+    callData,
+    'proposal callData should match given call data'
+  )
+  assert.equal(
+    proposal.createdAt.toString(),
+    blockTime.toString(),
+    'proposal createdAt should match time of proposing'
+  )
+  assert.equal(
+    proposal.votes.toString(),
+    (await vbo.voterWeights(from)).toString(),
+    'proposal should start with vote weight of proposer'
+  )
+  assert(!proposal.executed, 'proposal should NOT be executed')
+
+  return actionId
+}
+
+const testApproveAction = async (vbo, actionId, config) => {
+  const { from } = config
+  const preProposal = await vbo.proposals(actionId)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+
+  await vbo.approve(actionId, config)
+
+  const postProposal = await vbo.proposals(actionId)
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+
+  assert(!preHasVoted, 'user should have NOT voted on this action before')
+  assert(postHasVoted, 'voter should be marked as having voted on this action')
+  assert.equal(
+    postProposal.votes.sub(preProposal.votes).toString(),
+    '1',
+    'proposal votes should be incremented by 1'
+  )
+  assert(!postProposal.executed, 'proposal should NOT be executed by approving')
+  assert(
+    postPendingActionIds.includes(actionId),
+    'action should still be pending after approving'
+  )
+}
+
+const testRevokeApproval = async (vbo, actionId, config) => {
+  const { from } = config
+  const preProposal = await vbo.proposals(actionId)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+
+  await vbo.revokeApproval(actionId, config)
+
+  const postProposal = await vbo.proposals(actionId)
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+
+  assert(preHasVoted, 'voter should have voted on this action before')
+  assert(!postHasVoted, 'voter should NOT be marked as having voted')
+  assert.equal(
+    preProposal.votes.sub(postProposal.votes).toString(),
+    '1',
+    'proposal votes should be decremented by 1'
+  )
+  assert.equal(
+    postPendingActionIds.includes(actionId),
+    !postProposal.votes.isZero(),
+    'action should only be pending while it has votes'
+  )
+}
+
+const testRevokeVote = async (vbo, callData, config) => {
+  const { from } = config
+  const actionId = await calculateActionId(vbo, callData)
+  const preActionVotes = await vbo.actionVotes(actionId)
+  const preHasVoted = await vbo.hasVoted(actionId, from)
+  const preActionNonce = await getActionNonce(vbo, callData)
+  const weight = await vbo.voterWeights(from)
+
+  const { logs } = await vbo.revokeVote(callData, config)
+
+  const postActionVotes = await vbo.actionVotes(actionId)
+  const postHasVoted = await vbo.hasVoted(actionId, from)
+  const postActionNonce = await getActionNonce(vbo, callData)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const revokedEvent = logs.find(log => log.event === 'VoteRevoked')
+
+  assert(preHasVoted, 'voter should have voted on this action before')
+  assert(!postHasVoted, 'voter should NOT be marked as having voted')
+  assert.equal(
+    preActionVotes.sub(postActionVotes).toString(),
+    weight.toString(),
+    'actionVotes should be decremented by weight of voter'
+  )
+  assert.equal(
+    preActionNonce.toString(),
+    postActionNonce.toString(),
+    'actionNonce should NOT change when revoking a vote'
+  )
+  assert.equal(
+    postPendingActionIds.includes(actionId),
+    !postActionVotes.isZero(),
+    'action should only be pending while it has votes'
+  )
+  assert(revokedEvent, 'VoteRevoked should be emitted')
+  assert.equal(revokedEvent.args.voter, from, 'event voter should match from')
+  assert.equal(
+    revokedEvent.args.actionId,
+    actionId,
+    'event actionId should match actionId'
+  )
+  assert.equal(
+    revokedEvent.args.votes.toString(),
+    postActionVotes.toString(),
+    'event votes should match remaining actionVotes'
+  )
+}
+
+const testExecuteAction = async (vbo, actionId, config) => {
+  const preProposal = await vbo.proposals(actionId)
+  const preActionNonce = await getActionNonce(vbo, preProposal.callData)
+
+  const { logs } = await vbo.execute(actionId, config)
+
+  const postProposal = await vbo.proposals(actionId)
+  const postActionNonce = await getActionNonce(vbo, preProposal.callData)
+  const postPendingActionIds = await vbo.getPendingActionIds()
+  const passedEvent = logs.find(log => log.event === 'VotePassed')
+
+  assert(!preProposal.executed, 'proposal should NOT start executed')
+  assert(postProposal.executed, 'proposal should be executed')
+  assert.equal(
+    postActionNonce.sub(preActionNonce).toString(),
+    '1',
+    'action nonce should be incremented by 1 upon execution'
+  )
+  assert(
+    !postPendingActionIds.includes(actionId),
+    'action should NOT be pending after execution'
+  )
+  assert.equal(
+    passedEvent.args.actionId,
+    actionId,
+    'VotePassed should be emitted for executed action'
+  )
+}
+
+const testRemainingAllowances = async (vbo, expected) => {
+  const { ether, token } = expected
+  const remainingEtherAllowance = await vbo.remainingEtherAllowance()
+  const remainingTokenAllowance = await vbo.remainingTokenAllowance()
+
+  assert.equal(
+    remainingEtherAllowance.toString(),
+    ether.toString(),
+    'remainingEtherAllowance should match expected ether allowance left'
+  )
+  assert.equal(
+    remainingTokenAllowance.toString(),
+    token.toString(),
+    'remainingTokenAllowance should match expected token allowance left'
+  )
+}
+
+const testVesting = async (vbo, expected) => {
+  const { vested, released, remaining } = expected
+  const vesting = await vbo.getVesting()
+  const releasableTokens = await vbo.releasableTokens()
+
+  assert.equal(
+    vesting[0].toString(),
+    vested.toString(),
+    'vested tokens should match expected vested amount'
+  )
+  assert.equal(
+    vesting[1].toString(),
+    released.toString(),
+    'released tokens should match expected released amount'
+  )
+  assert.equal(
+    vesting[2].toString(),
+    remaining.toString(),
+    'remaining tokens should match expected amount yet to vest'
+  )
+  assert.equal(
+    releasableTokens.toString(),
+    BN.max(
+      new BN(vested.toString()).sub(new BN(released.toString())),
+      new BN(0)
+    ).toString(),
+    'releasableTokens should be vested tokens which have NOT been released'
   )
 }
 
@@ -748,25 +3778,108 @@ module.exports = {
   defaultSymbol,
   defaultDecimals,
   defaultVoteRequirement,
+  defaultVoteLifetime,
   defaultTokenReleaseDate,
+  defaultVestingDuration,
+  defaultVestingTranches,
   defaultVotableOwnerTokenBalance,
+  defaultStableTokenSupply,
+  getActionNonce,
+  calculateActionId,
+  calculateProposalActionId,
+  setupToken,
+  setupImplementation,
   setupContracts,
+  setupSeizableContracts,
+  setupFactory,
+  setupRegistry,
+  setupStableToken,
+  setupNoReturnToken,
   testTokenInitialization,
   testVotableOwnerInitialization,
   testPauseTokenVote,
   testPauseTokenVoteRun,
+  testAddGuardianVote,
+  testAddGuardianVoteRun,
+  testRemoveGuardianVote,
+  testRemoveGuardianVoteRun,
+  testConfirmEmergencyPauseVote,
+  testConfirmEmergencyPauseVoteRun,
+  testEmergencyPause,
+  testEndEmergencyPause,
   testUnpauseTokenVote,
   testUnpauseTokenVoteRun,
+  testBatchTransferEtherVote,
+  testBatchTransferEtherVoteRun,
+  testBatchTransferTokensVote,
+  testBatchTransferTokensVoteRun,
+  testBatchExecuteCallVote,
+  testBatchExecuteCallVoteRun,
+  testTransferERC20Vote,
+  testTransferERC20VoteRun,
+  testAddTrackedTokenVote,
+  testAddTrackedTokenVoteRun,
+  testRemoveTrackedTokenVote,
+  testRemoveTrackedTokenVoteRun,
+  testTrackedTokenBalances,
+  testTransferTokenOwnershipVote,
+  testTransferTokenOwnershipVoteRun,
+  testRenounceTokenOwnershipVote,
+  testRenounceTokenOwnershipVoteRun,
+  testExtendTokenReleaseDateVote,
+  testExtendTokenReleaseDateVoteRun,
+  testShortenTokenReleaseDateVote,
+  testShortenTokenReleaseDateVoteRun,
+  testInitializeLocked,
+  testUpgradeToVote,
+  testUpgradeToVoteRun,
+  testVoters,
   testRemoveVoterVote,
   testRemoveVoterVoteRun,
   testAddVoterVote,
   testAddVoterVoteRun,
+  testReplaceVoterVote,
+  testReplaceVoterVoteRun,
+  testUpdateVoterWeightVote,
+  testUpdateVoterWeightVoteRun,
   testUpdateMinimumVotesVote,
   testUpdateMinimumVotesVoteRun,
+  testUpdateActionThresholdVote,
+  testUpdateActionThresholdVoteRun,
+  testUpdateVoteLifetimeVote,
+  testUpdateVoteLifetimeVoteRun,
+  testUpdateDailyEtherAllowanceVote,
+  testUpdateDailyEtherAllowanceVoteRun,
+  testUpdateDailyTokenAllowanceVote,
+  testUpdateDailyTokenAllowanceVoteRun,
+  testUpdateAllowanceVotesVote,
+  testUpdateAllowanceVotesVoteRun,
+  testRemainingAllowances,
+  testVesting,
+  testUpdateExecutionDelayVote,
+  testUpdateExecutionDelayVoteRun,
+  testUpdateVetoThresholdVote,
+  testUpdateVetoThresholdVoteRun,
   testReceiveEther,
   testSendEtherVote,
   testSendEtherVoteRun,
   testSendTokensVote,
   testSendTokensVoteRun,
+  testExecuteCallVote,
+  testExecuteCallVoteRun,
+  testVoteEvents,
+  testPendingActionIds,
+  testPendingActionsInvalidated,
+  testInvalidatedActionVote,
+  testActionExpiry,
+  testExpiredActionVote,
+  testQueuedAction,
+  testVetoAction,
+  testRejectAction,
+  testProposeAction,
+  testApproveAction,
+  testRevokeApproval,
+  testRevokeVote,
+  testExecuteAction,
   warpToTokenReleaseDate
 }
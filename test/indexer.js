@@ -0,0 +1,439 @@
+const os = require('os')
+const path = require('path')
+const { voters, tokenHolders, other, timeWarp } = require('./helpers/general')
+const {
+  setupContracts,
+  setupStableToken,
+  testPauseTokenVote,
+  testPauseTokenVoteRun,
+  testUnpauseTokenVote,
+  testReceiveEther,
+  testSendEtherVote,
+  testSendEtherVoteRun,
+  testRemoveVoterVote,
+  testRemoveVoterVoteRun,
+  testProposeAction,
+  testRevokeApproval,
+  testExpiredActionVote,
+  testUpdateExecutionDelayVote,
+  testUpdateExecutionDelayVoteRun,
+  testQueuedAction,
+  testVetoAction,
+  testRejectAction,
+  testAddTrackedTokenVote,
+  testAddTrackedTokenVoteRun,
+  testTransferERC20Vote,
+  testTransferERC20VoteRun,
+  testUpdateVoterWeightVote,
+  testUpdateVoterWeightVoteRun,
+  testUpdateActionThresholdVote,
+  testUpdateActionThresholdVoteRun,
+  testReplaceVoterVote,
+  testReplaceVoterVoteRun,
+  testAddGuardianVote,
+  testAddGuardianVoteRun,
+  defaultVoteLifetime
+} = require('./helpers/vbo')
+const {
+  setupStore,
+  testIndexEvents,
+  testProposal
+} = require('./helpers/indexer')
+const { loadStore, saveStore } = require('../src/indexer')
+
+describe('when indexing VotableOwner events', () => {
+  contract('VotableOwner', () => {
+    const etherAmount = 1000
+    const executionDelay = 60 * 60
+    const storeFile = path.join(os.tmpdir(), `votable-owner-${Date.now()}.json`)
+    let vbo, tkn, stb, store, queuedActionId
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+      stb = await setupStableToken(vbo)
+      store = setupStore(vbo)
+    })
+
+    it('should index voters added when deploying', async () => {
+      await testIndexEvents(vbo, store)
+
+      assert.deepEqual(store.voters, voters, 'store voters should match voters')
+      assert.deepEqual(
+        Object.values(store.voterWeights),
+        voters.map(() => '1'),
+        'store should have a weight of 1 for each voter'
+      )
+      assert.equal(store.minimumVotes, '2', 'store should have minimumVotes')
+      assert.equal(
+        store.voteLifetime,
+        defaultVoteLifetime.toString(),
+        'store should have voteLifetime'
+      )
+    })
+
+    it('should index open proposals', async () => {
+      await testPauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'pauseToken', [], {
+        status: 'open',
+        voters: [voters[0]]
+      })
+      await testProposal(vbo, store, 'transferEther', [other, etherAmount], {
+        status: 'open',
+        voters: [voters[0]]
+      })
+    })
+
+    it('should index executed proposals and keep other proposals open', async () => {
+      await testPauseTokenVoteRun(vbo, tkn, {
+        from: voters[1]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'pauseToken', [], {
+        status: 'executed',
+        voters: [voters[0], voters[1]]
+      })
+      await testProposal(vbo, store, 'transferEther', [other, etherAmount], {
+        status: 'open',
+        voters: [voters[0]]
+      })
+    })
+
+    it('should save and load store', async () => {
+      saveStore(storeFile, store)
+
+      const loadedStore = loadStore(storeFile, vbo.address)
+
+      assert.deepEqual(loadedStore, store, 'loaded store should match saved')
+
+      store = loadedStore
+    })
+
+    it('should index transfers performed by executed proposals', async () => {
+      await testReceiveEther(vbo, {
+        from: other,
+        to: vbo.address,
+        value: web3.utils.toHex(etherAmount)
+      })
+      await testSendEtherVoteRun(vbo, other, etherAmount, {
+        from: voters[1]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'transferEther', [other, etherAmount], {
+        status: 'executed',
+        voters: [voters[0], voters[1]],
+        effects: ['VotersEtherTransferred']
+      })
+    })
+
+    it('should index voters removed by executed proposals', async () => {
+      await testUnpauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      await testRemoveVoterVote(vbo, voters[3], {
+        from: voters[0]
+      })
+      await testRemoveVoterVoteRun(vbo, voters[3], {
+        from: voters[1]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'removeVoter', [voters[3]], {
+        status: 'executed',
+        voters: [voters[0], voters[1]],
+        effects: ['VoterRemoved']
+      })
+      assert.deepEqual(
+        store.voters,
+        voters.slice(0, 3),
+        'store voters should NOT include removed voter'
+      )
+    })
+
+    it('should index proposals invalidated by removing voter', async () => {
+      await testProposal(vbo, store, 'unpauseToken', [], {
+        status: 'invalidated',
+        voters: [voters[0]]
+      })
+    })
+
+    it('should index proposals with all votes revoked', async () => {
+      const callData = vbo.contract.methods.unpauseToken().encodeABI()
+      const actionId = await testProposeAction(vbo, callData, {
+        from: voters[0]
+      })
+      await testRevokeApproval(vbo, actionId, {
+        from: voters[0]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'unpauseToken', [], {
+        status: 'revoked',
+        voters: []
+      })
+    })
+
+    it('should index proposals with expired votes', async () => {
+      const callData = vbo.contract.methods
+        .transferEther(other, etherAmount)
+        .encodeABI()
+      await testSendEtherVote(vbo, other, etherAmount, {
+        from: voters[0]
+      })
+      await timeWarp(defaultVoteLifetime + 1)
+      await testExpiredActionVote(
+        vbo,
+        () =>
+          vbo.transferEther(other, etherAmount, {
+            from: voters[1]
+          }),
+        callData,
+        {
+          from: voters[1]
+        }
+      )
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'transferEther', [other, etherAmount], {
+        status: 'expired',
+        voters: [voters[0]]
+      })
+      await testProposal(vbo, store, 'transferEther', [other, etherAmount], {
+        status: 'open',
+        voters: [voters[1]]
+      })
+    })
+
+    it('should index queued proposals', async () => {
+      const callData = vbo.contract.methods
+        .transferEther(other, etherAmount)
+        .encodeABI()
+      const funcSig = callData.slice(0, 10)
+      await testUpdateExecutionDelayVote(vbo, funcSig, executionDelay, {
+        from: voters[0]
+      })
+      await testUpdateExecutionDelayVoteRun(vbo, funcSig, executionDelay, {
+        from: voters[1]
+      })
+      queuedActionId = await testQueuedAction(
+        vbo,
+        () =>
+          vbo.transferEther(other, etherAmount, {
+            from: voters[0]
+          }),
+        callData
+      )
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'transferEther', [other, etherAmount], {
+        status: 'queued',
+        voters: [voters[1], voters[0]]
+      })
+      assert.equal(
+        store.executionDelays[funcSig],
+        executionDelay.toString(),
+        'store should have execution delay of function'
+      )
+    })
+
+    it('should index proposals cancelled by vetoes', async () => {
+      await testVetoAction(vbo, queuedActionId, {
+        from: voters[2]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      const proposal = store.proposals[queuedActionId]
+
+      assert.equal(proposal.status, 'cancelled', 'proposal should be cancelled')
+      assert.deepEqual(
+        proposal.vetoes.map(veto => veto.voter),
+        [voters[2]],
+        'proposal vetoes should match voters who vetoed'
+      )
+    })
+
+    it('should index proposals rejected by voters', async () => {
+      const callData = vbo.contract.methods
+        .transferEther(voters[2], etherAmount)
+        .encodeABI()
+      const actionId = await testProposeAction(vbo, callData, {
+        from: voters[0]
+      })
+      await testRejectAction(vbo, actionId, {
+        from: voters[1]
+      })
+      await testRejectAction(vbo, actionId, {
+        from: voters[2]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(
+        vbo,
+        store,
+        'transferEther',
+        [voters[2], etherAmount],
+        {
+          status: 'rejected',
+          voters: [voters[0]]
+        }
+      )
+      assert.deepEqual(
+        store.proposals[actionId].rejections.map(rejection => rejection.voter),
+        [voters[1], voters[2]],
+        'proposal rejections should match voters who rejected'
+      )
+    })
+
+    it('should index tracked tokens and transfers of other tokens', async () => {
+      await testAddTrackedTokenVote(vbo, stb.address, {
+        from: voters[0]
+      })
+      await testAddTrackedTokenVoteRun(vbo, stb.address, {
+        from: voters[1]
+      })
+      await testTransferERC20Vote(vbo, stb, other, etherAmount, {
+        from: voters[0]
+      })
+      await testTransferERC20VoteRun(vbo, stb, other, etherAmount, {
+        from: voters[1]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'addTrackedToken', [stb.address], {
+        status: 'executed',
+        voters: [voters[0], voters[1]],
+        effects: ['TrackedTokenAdded']
+      })
+      await testProposal(
+        vbo,
+        store,
+        'transferERC20',
+        [stb.address, other, etherAmount],
+        {
+          status: 'executed',
+          voters: [voters[0], voters[1]],
+          effects: ['ERC20Transferred']
+        }
+      )
+      assert.deepEqual(
+        store.trackedTokens,
+        [stb.address],
+        'store should have tracked tokens'
+      )
+    })
+
+    it('should index voter weights updated by executed proposals', async () => {
+      await testUpdateVoterWeightVote(vbo, voters[0], 2, {
+        from: voters[0]
+      })
+      await testUpdateVoterWeightVoteRun(vbo, voters[0], 2, {
+        from: voters[1]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'updateVoterWeight', [voters[0], 2], {
+        status: 'executed',
+        voters: [voters[0], voters[1]],
+        effects: ['VoterWeightUpdated']
+      })
+      assert.equal(
+        store.voterWeights[voters[0]],
+        '2',
+        'store should have updated voter weight'
+      )
+    })
+
+    it('should index action thresholds updated by executed proposals', async () => {
+      const funcSig = vbo.contract.methods
+        .pauseToken()
+        .encodeABI()
+        .slice(0, 10)
+      await testUpdateActionThresholdVote(vbo, funcSig, 3, {
+        from: voters[1]
+      })
+      await testUpdateActionThresholdVoteRun(vbo, funcSig, 3, {
+        from: voters[2]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      assert.deepEqual(
+        store.actionThresholds,
+        { [funcSig]: '3' },
+        'store should have action thresholds'
+      )
+    })
+
+    it('should index replaced voters with the weight of the voter they replace', async () => {
+      await testReplaceVoterVote(vbo, voters[0], tokenHolders[0], {
+        from: voters[1]
+      })
+      await testReplaceVoterVoteRun(vbo, voters[0], tokenHolders[0], {
+        from: voters[2]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(
+        vbo,
+        store,
+        'replaceVoter',
+        [voters[0], tokenHolders[0]],
+        {
+          status: 'executed',
+          voters: [voters[1], voters[2]],
+          effects: ['VoterAdded', 'VoterRemoved']
+        }
+      )
+      assert(
+        !store.voters.includes(voters[0]) &&
+          store.voters.includes(tokenHolders[0]),
+        'store should have new voter in place of replaced voter'
+      )
+      assert.deepEqual(
+        store.voterWeights[tokenHolders[0]],
+        '2',
+        'new voter should have weight of replaced voter'
+      )
+    })
+
+    it('should index guardians added by executed proposals', async () => {
+      await testAddGuardianVote(vbo, other, {
+        from: voters[1]
+      })
+      await testAddGuardianVoteRun(vbo, other, {
+        from: voters[2]
+      })
+
+      await testIndexEvents(vbo, store)
+
+      await testProposal(vbo, store, 'addGuardian', [other], {
+        status: 'executed',
+        voters: [voters[1], voters[2]],
+        effects: ['GuardianAdded']
+      })
+      assert.deepEqual(store.guardians, [other], 'store should have guardians')
+    })
+  })
+})
@@ -0,0 +1,89 @@
+const { voters, other } = require('./helpers/general')
+const {
+  toBaseUnits,
+  parsePayoutSheet,
+  buildPayoutBatch
+} = require('../src/payouts')
+
+describe('when parsing payout sheets', () => {
+  it('should parse recipients and amounts', () => {
+    const payouts = parsePayoutSheet(
+      web3,
+      [`${voters[0]},1000`, `${other.toLowerCase()}, 2000`].join('\n')
+    )
+
+    assert.deepEqual(payouts, [
+      { recipient: voters[0], value: '1000' },
+      { recipient: other, value: '2000' }
+    ])
+  })
+
+  it('should ignore header, comments and blank lines', () => {
+    const payouts = parsePayoutSheet(
+      web3,
+      [
+        'recipient,amount',
+        '# team payouts',
+        '',
+        `${voters[0]},1000`,
+        '',
+        `${voters[1]},2000`,
+        ''
+      ].join('\r\n')
+    )
+
+    assert.deepEqual(buildPayoutBatch(payouts), {
+      recipients: [voters[0], voters[1]],
+      values: ['1000', '2000']
+    })
+  })
+
+  it('should convert decimal amounts when given decimals', () => {
+    const payouts = parsePayoutSheet(
+      web3,
+      [`${voters[0]},1.5`, `${voters[1]},2`].join('\n'),
+      18
+    )
+
+    assert.deepEqual(payouts.map(payout => payout.value), [
+      '1500000000000000000',
+      '2000000000000000000'
+    ])
+  })
+
+  it('should NOT convert amounts with more decimals than given', () => {
+    assert.throws(
+      () => toBaseUnits(web3, '1.005', 2),
+      /has more than 2 decimals/
+    )
+  })
+
+  it('should NOT parse invalid recipients', () => {
+    assert.throws(
+      () =>
+        parsePayoutSheet(web3, [`${voters[0]},1000`, '0x1234,1000'].join('\n')),
+      /line 2: invalid recipient 0x1234/
+    )
+  })
+
+  it('should NOT parse invalid amounts', () => {
+    assert.throws(
+      () => parsePayoutSheet(web3, `${voters[0]},-1000`),
+      /line 1: invalid amount -1000/
+    )
+  })
+
+  it('should NOT parse lines with extra columns', () => {
+    assert.throws(
+      () => parsePayoutSheet(web3, `${voters[0]},1000,bonus`),
+      /line 1: expected recipient,amount/
+    )
+  })
+
+  it('should NOT parse sheet without payouts', () => {
+    assert.throws(
+      () => parsePayoutSheet(web3, 'recipient,amount\n'),
+      /payout sheet does not contain any payouts/
+    )
+  })
+})
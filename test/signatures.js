@@ -0,0 +1,289 @@
+const { voters, other, assertRevert } = require('./helpers/general')
+const {
+  setupContracts,
+  testUnpauseTokenVote,
+  testRevokeVote,
+  testUpdateExecutionDelayVote,
+  testUpdateExecutionDelayVoteRun
+} = require('./helpers/vbo')
+const {
+  setupSignatureRequest,
+  testSignAction,
+  testExecuteSigned
+} = require('./helpers/signatures')
+const {
+  addSignature,
+  getValidSignatures,
+  encodeSignatures
+} = require('../src/signatures')
+
+// order of the secp256k1 curve
+const curveOrder = web3.utils.toBN(
+  '0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141'
+)
+
+describe('when voting with signatures', () => {
+  contract('VotableOwner', () => {
+    let vbo, tkn, pauseRequest
+
+    before('setup contracts', async () => {
+      const contracts = await setupContracts()
+      vbo = contracts.vbo
+      tkn = contracts.tkn
+    })
+
+    it('should create signature request for current action nonce', async () => {
+      const callData = vbo.contract.methods.pauseToken().encodeABI()
+      pauseRequest = await setupSignatureRequest(vbo, callData)
+
+      assert.equal(pauseRequest.action, 'pauseToken', 'action should match')
+      assert.equal(pauseRequest.actionNonce, 0, 'actionNonce should be 0')
+      assert.equal(
+        pauseRequest.chainId,
+        await web3.eth.net.getId(),
+        'chainId should match chainId of contract'
+      )
+    })
+
+    it('should sign action as a voter', async () => {
+      await testSignAction(vbo, pauseRequest, voters[0])
+    })
+
+    it('should NOT add a signature from the same voter twice', async () => {
+      const { signature } = pauseRequest.signatures[0]
+
+      assert.throws(
+        () => addSignature(web3, pauseRequest, voters[0], signature),
+        /has already signed/
+      )
+    })
+
+    it('should NOT add a signature for a different signer', async () => {
+      const { signature } = pauseRequest.signatures[0]
+
+      assert.throws(
+        () => addSignature(web3, pauseRequest, voters[1], signature),
+        /signature was not signed by/
+      )
+    })
+
+    it('should NOT count signatures from a non-voter', async () => {
+      const otherRequest = Object.assign({}, pauseRequest, { signatures: [] })
+      await testSignAction(vbo, otherRequest, other)
+
+      await assertRevert(
+        vbo.executeSigned(
+          otherRequest.callData,
+          encodeSignatures(otherRequest.signatures),
+          { from: other }
+        )
+      )
+    })
+
+    it('should NOT count signatures which do NOT recover a signer', async () => {
+      const signature = '0x' + '00'.repeat(64) + '1b'
+
+      await assertRevert(
+        vbo.executeSigned(pauseRequest.callData, signature, { from: other })
+      )
+    })
+
+    it('should NOT count signatures with a v other than 27 or 28', async () => {
+      const { signature } = pauseRequest.signatures[0]
+      const v = parseInt(signature.slice(130), 16) - 27
+
+      await assertRevert(
+        vbo.executeSigned(
+          pauseRequest.callData,
+          signature.slice(0, 130) + v.toString(16).padStart(2, '0'),
+          { from: other }
+        )
+      )
+    })
+
+    it('should NOT count signatures with a high s', async () => {
+      const { signature } = pauseRequest.signatures[0]
+      const s = web3.utils.toBN('0x' + signature.slice(66, 130))
+      const v = parseInt(signature.slice(130), 16) === 27 ? '1c' : '1b'
+      // same signer as the original signature, but with s in the upper half of the curve order
+      const highS = curveOrder
+        .sub(s)
+        .toString(16)
+        .padStart(64, '0')
+
+      await assertRevert(
+        vbo.executeSigned(
+          pauseRequest.callData,
+          signature.slice(0, 66) + highS + v,
+          { from: other }
+        )
+      )
+    })
+
+    it('should add signatures with a v of 0 or 1 as 27 or 28', async () => {
+      const request = Object.assign({}, pauseRequest, { signatures: [] })
+      const { signature } = pauseRequest.signatures[0]
+      const v = parseInt(signature.slice(130), 16) - 27
+
+      addSignature(
+        web3,
+        request,
+        voters[0],
+        signature.slice(0, 130) + v.toString(16).padStart(2, '0')
+      )
+
+      assert.equal(
+        request.signatures[0].signature,
+        signature,
+        'signature should be added with a v of 27 or 28'
+      )
+    })
+
+    it('should count a signature as a vote when submitted by anyone', async () => {
+      await testExecuteSigned(vbo, pauseRequest, {
+        from: other
+      })
+
+      assert(!(await tkn.paused()), 'token should NOT be paused yet')
+    })
+
+    it('should NOT count the same signature twice', async () => {
+      await assertRevert(
+        vbo.executeSigned(
+          pauseRequest.callData,
+          encodeSignatures(pauseRequest.signatures),
+          { from: other }
+        )
+      )
+      assert.deepEqual(
+        await getValidSignatures(web3, vbo.contract, pauseRequest),
+        [],
+        'counted signatures should no longer be valid'
+      )
+    })
+
+    it('should perform action once when enough voters have signed', async () => {
+      await testSignAction(vbo, pauseRequest, voters[1])
+      await testExecuteSigned(vbo, pauseRequest, {
+        from: other
+      })
+
+      assert(await tkn.paused(), 'token should be paused')
+    })
+
+    it('should NOT replay signatures after action has been performed', async () => {
+      await assertRevert(
+        vbo.executeSigned(
+          pauseRequest.callData,
+          encodeSignatures(pauseRequest.signatures),
+          { from: other }
+        )
+      )
+    })
+
+    it('should NOT replay a signature after its vote has been revoked', async () => {
+      const callData = vbo.contract.methods.updateVoteLifetime(1234).encodeABI()
+      const request = await setupSignatureRequest(vbo, callData)
+      await testSignAction(vbo, request, voters[0])
+      await testExecuteSigned(vbo, request, {
+        from: other
+      })
+      await testRevokeVote(vbo, callData, {
+        from: voters[0]
+      })
+
+      assert.deepEqual(
+        await getValidSignatures(web3, vbo.contract, request),
+        [],
+        'signatures collected before revoking should no longer be valid'
+      )
+      await assertRevert(
+        vbo.executeSigned(
+          request.callData,
+          encodeSignatures(request.signatures),
+          { from: other }
+        )
+      )
+
+      const renewed = await setupSignatureRequest(vbo, callData)
+      assert.equal(renewed.revocations, 1, 'revocations should be 1')
+      await testSignAction(vbo, renewed, voters[0])
+      await testExecuteSigned(vbo, renewed, {
+        from: other
+      })
+    })
+
+    it('should combine signatures with votes sent as transactions', async () => {
+      const callData = vbo.contract.methods.unpauseToken().encodeABI()
+      await testUnpauseTokenVote(vbo, tkn, {
+        from: voters[0]
+      })
+      const request = await setupSignatureRequest(vbo, callData)
+      await testSignAction(vbo, request, voters[0])
+      await testSignAction(vbo, request, voters[1])
+
+      assert.deepEqual(
+        (await getValidSignatures(web3, vbo.contract, request)).map(
+          signature => signature.signer
+        ),
+        [voters[1]],
+        'signature of voter who already voted should NOT be valid'
+      )
+
+      await testExecuteSigned(vbo, request, {
+        from: voters[2]
+      })
+
+      assert(!(await tkn.paused()), 'token should be unpaused')
+    })
+
+    it('should NOT count signatures for a different contract', async () => {
+      const contracts = await setupContracts()
+
+      await assertRevert(
+        contracts.vbo.executeSigned(
+          pauseRequest.callData,
+          encodeSignatures(pauseRequest.signatures),
+          { from: other }
+        )
+      )
+    })
+
+    it('should NOT count signatures for a function which is NOT an action', async () => {
+      const request = await setupSignatureRequest(vbo, '0x12345678')
+      await testSignAction(vbo, request, voters[0])
+
+      await assertRevert(
+        vbo.executeSigned(
+          request.callData,
+          encodeSignatures(request.signatures),
+          { from: other }
+        )
+      )
+    })
+
+    it('should queue action with an execution delay', async () => {
+      const callData = vbo.contract.methods.pauseToken().encodeABI()
+      const funcSig = callData.slice(0, 10)
+      await testUpdateExecutionDelayVote(vbo, funcSig, 60, {
+        from: voters[0]
+      })
+      await testUpdateExecutionDelayVoteRun(vbo, funcSig, 60, {
+        from: voters[1]
+      })
+      const request = await setupSignatureRequest(vbo, callData)
+      await testSignAction(vbo, request, voters[0])
+      await testSignAction(vbo, request, voters[1])
+
+      const logs = await testExecuteSigned(vbo, request, {
+        from: other
+      })
+
+      assert(
+        logs.find(log => log.event === 'ActionQueued'),
+        'ActionQueued should be emitted'
+      )
+      assert(!(await tkn.paused()), 'token should NOT be paused yet')
+    })
+  })
+})